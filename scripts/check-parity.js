@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+// scripts/check-parity.js
+// Verify the JS preprocessing and ONNX session against a golden fixture from the Python training pipeline.
+//
+// Usage:
+//   node scripts/check-parity.js [--model-id <id>] [--model <file.onnx>] [--normalized-tol <n>] [--logits-tol <n>] [--json] <fixture.json>
+//
+// See src/core/parityCheck.js for the fixture format. Exits with status 1 when any case is out of tolerance,
+// so it can gate shipping a new model.
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import * as ort from 'onnxruntime-web';
+import { EmotionInferenceCore } from '../src/core/emotionInferenceCore.js';
+import { registerFrontalizationReference } from '../src/core/frontalization.js';
+import { parseParityFixture, runParityCheck, PARITY_STAGES } from '../src/core/parityCheck.js';
+import { getActiveModelConfig, getModelConfig, registerModelManifest } from '../src/config/modelConfig.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const MODELS_DIR = path.join(ROOT_DIR, 'public', 'models');
+
+const USAGE = 'Usage: node scripts/check-parity.js [--model-id <id>] [--model <file.onnx>] [--normalized-tol <n>] [--logits-tol <n>] [--json] <fixture.json>';
+
+const parseArgs = (argv) => {
+  const args = { modelId: null, modelPath: null, tolerances: {}, json: false, input: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--model-id') args.modelId = argv[++i];
+    else if (arg === '--model') args.modelPath = argv[++i];
+    else if (arg === '--normalized-tol') args.tolerances.normalized = Number(argv[++i]);
+    else if (arg === '--logits-tol') args.tolerances.logits = Number(argv[++i]);
+    else if (arg === '--json') args.json = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else args.input = arg;
+  }
+  Object.entries(args.tolerances).forEach(([key, value]) => {
+    if (!(value >= 0)) throw new Error(`Tolerance for ${key} must be a non-negative number`);
+  });
+  return args;
+};
+
+const formatStage = (stage) => {
+  if (!stage) return 'skipped';
+  const value = stage.error || stage.maxAbsError.toExponential(2);
+  const where = stage.worst && !stage.pass ? ` @ frame ${stage.worst.frame} landmark ${stage.worst.landmark}.${stage.worst.coord}` : '';
+  return `${stage.pass ? 'ok' : 'FAIL'} ${value}${where}`;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.input) {
+    console.error(USAGE);
+    process.exit(args.help ? 0 : 1);
+  }
+
+  // Same registry as the web client
+  registerModelManifest(JSON.parse(await readFile(path.join(MODELS_DIR, 'manifest.json'), 'utf8')));
+  const fixture = parseParityFixture(await readFile(args.input, 'utf8'));
+  const modelId = args.modelId || fixture.modelId;
+  const modelConfig = modelId ? getModelConfig(modelId) : getActiveModelConfig();
+  if (!modelConfig) throw new Error(`Unknown model id '${modelId}'`);
+  const modelPath = args.modelPath || path.join(MODELS_DIR, modelConfig.filename);
+  const referenceFile = modelConfig.frontalization?.referenceLandmarks;
+  if (referenceFile) registerFrontalizationReference(referenceFile, JSON.parse(await readFile(path.join(MODELS_DIR, referenceFile), 'utf8')));
+
+  const logger = { log: () => {}, warn: (...items) => console.error(...items), error: (...items) => console.error(...items) };
+  const core = await EmotionInferenceCore.create({ ort, modelConfig, modelBytes: await readFile(modelPath), logger });
+  const report = await runParityCheck(core, fixture, { tolerances: args.tolerances });
+  await core.release();
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(`Model ${report.modelId}, tolerances: normalized ${report.tolerances.normalized}, logits ${report.tolerances.logits}`);
+    report.cases.forEach(result => {
+      console.log(`${result.pass ? 'PASS' : 'FAIL'} ${result.id}: ${PARITY_STAGES.map(stage => `${stage} ${formatStage(result[stage])}`).join(' | ')}`);
+    });
+    const worst = PARITY_STAGES.map(stage => `${stage} ${report.worst[stage] === null ? 'skipped' : report.worst[stage].toExponential(2)}`);
+    console.log(`Worst: ${worst.join(' | ')}`);
+    console.log(report.pass ? `PASS (${report.cases.length} cases)` : `FAIL (${report.cases.filter(c => !c.pass).length}/${report.cases.length} cases)`);
+  }
+  process.exit(report.pass ? 0 : 1);
+};
+
+main().catch(error => {
+  console.error(`check-parity: ${error.message}`);
+  process.exit(2);
+});
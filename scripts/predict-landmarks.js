@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+// scripts/predict-landmarks.js
+// Run an emotion model over recorded landmarks with the same preprocessing as the web client.
+//
+// Usage:
+//   node scripts/predict-landmarks.js [--model-id <id>] [--model <file.onnx>] [--width <px>] [--height <px>] [--embeddings] [--verbose] <input>
+//
+// <input> is one of:
+//   - a landmark stream recorded in the app (.json, see src/services/landmarkStream.js)
+//   - a JSON array of records, or a JSON Lines file with one record per line
+// A record is { landmarks | faces, videoWidth?, videoHeight?, t? } where `landmarks` is one face and
+// `faces` a list of faces; each face is a list of [x, y, z] or {x, y, z} in normalized image coordinates.
+// One JSON line per face prediction is printed to stdout; --embeddings adds the model's embedding to each line.
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import * as ort from 'onnxruntime-web';
+import { EmotionInferenceCore } from '../src/core/emotionInferenceCore.js';
+import { EnsembleInferenceCore } from '../src/core/ensembleInference.js';
+import { registerFrontalizationReference } from '../src/core/frontalization.js';
+import { normalizeLandmarkFrame } from '../src/core/landmarkPreprocessing.js';
+import { labelProbabilities } from '../src/core/predictionPostprocessing.js';
+import { getActiveModelConfig, getModelConfig, getAllModelConfigs, registerModelManifest } from '../src/config/modelConfig.js';
+import { createSequenceBufferForModel } from '../src/services/landmarkSequenceBuffer.js';
+import { LANDMARK_STREAM_FORMAT, parseLandmarkStream } from '../src/services/landmarkStream.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const MODELS_DIR = path.join(ROOT_DIR, 'public', 'models');
+const DEFAULT_WIDTH = 640;
+const DEFAULT_HEIGHT = 480;
+
+const usage = () => `Usage: node scripts/predict-landmarks.js [--model-id <id>] [--model <file.onnx>] [--width <px>] [--height <px>] [--embeddings] [--verbose] <input.json|input.jsonl>
+Model ids: ${getAllModelConfigs().map(config => config.id).join(', ')}`;
+
+const parseArgs = (argv) => {
+  const args = { modelId: null, modelPath: null, width: DEFAULT_WIDTH, height: DEFAULT_HEIGHT, embeddings: false, verbose: false, input: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--model-id') args.modelId = argv[++i];
+    else if (arg === '--model') args.modelPath = argv[++i];
+    else if (arg === '--width') args.width = Number(argv[++i]);
+    else if (arg === '--height') args.height = Number(argv[++i]);
+    else if (arg === '--embeddings') args.embeddings = true;
+    else if (arg === '--verbose') args.verbose = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else args.input = arg;
+  }
+  if (!Number.isFinite(args.width) || !Number.isFinite(args.height) || args.width <= 0 || args.height <= 0) {
+    throw new Error('--width and --height must be positive numbers');
+  }
+  return args;
+};
+
+const toLandmarkObjects = (face) => face.map(lm => (Array.isArray(lm) ? { x: lm[0], y: lm[1], z: lm[2] } : lm));
+
+/**
+ * Read the input file into frames of { t, videoWidth, videoHeight, faces }.
+ * @returns {Array<{t: number|null, videoWidth?: number, videoHeight?: number, faces: Array<Array<{x,y,z}>>}>}
+ */
+const readFrames = async (inputPath) => {
+  const text = await readFile(inputPath, 'utf8');
+  const trimmed = text.trim();
+  if (trimmed.length === 0) return [];
+
+  let records;
+  if (inputPath.endsWith('.jsonl')) {
+    records = trimmed.split('\n').filter(line => line.trim()).map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid JSON on line ${i + 1}: ${error.message}`);
+      }
+    });
+  } else {
+    const data = JSON.parse(trimmed);
+    if (data && data.format === LANDMARK_STREAM_FORMAT) {
+      return parseLandmarkStream(trimmed).frames.map(frame => ({
+        t: frame.t, videoWidth: frame.videoWidth, videoHeight: frame.videoHeight, faces: frame.multiFaceLandmarks
+      }));
+    }
+    records = Array.isArray(data) ? data : [data];
+  }
+
+  return records.map((record, i) => {
+    const faces = record.faces || record.multiFaceLandmarks || (record.landmarks ? [record.landmarks] : null);
+    if (!Array.isArray(faces)) {
+      throw new Error(`Record ${i} has no "landmarks" or "faces"`);
+    }
+    return {
+      t: typeof record.t === 'number' ? record.t : null,
+      videoWidth: record.videoWidth,
+      videoHeight: record.videoHeight,
+      faces: faces.map(toLandmarkObjects)
+    };
+  });
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  // Same registry as the web client
+  registerModelManifest(JSON.parse(await readFile(path.join(MODELS_DIR, 'manifest.json'), 'utf8')));
+  if (args.help || !args.input) {
+    console.error(usage());
+    process.exit(args.help ? 0 : 1);
+  }
+
+  const modelConfig = args.modelId ? getModelConfig(args.modelId) : getActiveModelConfig();
+  if (!modelConfig) throw new Error(`Unknown model id '${args.modelId}'`);
+  if (modelConfig.type === 'ensemble' && args.modelPath) throw new Error(`--model cannot be used with ensemble '${modelConfig.id}'`);
+
+  // Diagnostics go to stderr so stdout stays machine-readable
+  const logger = {
+    log: args.verbose ? (...items) => console.error(...items) : () => {},
+    warn: (...items) => console.error(...items),
+    error: (...items) => console.error(...items)
+  };
+
+  const loadCore = async (config, modelPath = path.join(MODELS_DIR, config.filename)) => {
+    // Frontalizing models align every frame to their reference mesh, served next to the model
+    const referenceFile = config.frontalization?.referenceLandmarks;
+    if (referenceFile) registerFrontalizationReference(referenceFile, JSON.parse(await readFile(path.join(MODELS_DIR, referenceFile), 'utf8')));
+    return EmotionInferenceCore.create({ ort, modelConfig: config, modelBytes: await readFile(modelPath), logger });
+  };
+  let core;
+  if (modelConfig.type === 'ensemble') {
+    const members = [];
+    for (const { modelId, weight } of modelConfig.members) {
+      const memberConfig = getModelConfig(modelId);
+      members.push({ modelId, name: memberConfig.name, weight, classLabels: memberConfig.outputFormat.classLabels, core: await loadCore(memberConfig) });
+    }
+    core = new EnsembleInferenceCore(modelConfig, members);
+  } else {
+    core = await loadCore(modelConfig, args.modelPath || undefined);
+  }
+  const frames = await readFrames(args.input);
+  const isSequenceModel = modelConfig.inputFormat.sequenceLength > 1;
+  const sequenceBuffers = new Map(); // face index -> LandmarkSequenceBuffer
+
+  for (let frameIndex = 0; frameIndex < frames.length; frameIndex++) {
+    const frame = frames[frameIndex];
+    const width = frame.videoWidth || args.width;
+    const height = frame.videoHeight || args.height;
+
+    for (let face = 0; face < frame.faces.length; face++) {
+      const landmarks = frame.faces[face];
+      const options = { context: `FRAME ${frameIndex} FACE ${face}` };
+      if (isSequenceModel) {
+        if (!sequenceBuffers.has(face)) sequenceBuffers.set(face, createSequenceBufferForModel(modelConfig));
+        const buffer = sequenceBuffers.get(face);
+        buffer.push(normalizeLandmarkFrame(landmarks, width, height, modelConfig));
+        if (!buffer.isReady()) continue;
+        options.sequenceWindow = buffer.toWindow();
+      }
+
+      const prediction = await core.predict(landmarks, width, height, options);
+      if (!prediction) throw new Error(`Inference failed on frame ${frameIndex}, face ${face}`);
+      // Regression models report their score and its band (in emotion) instead of probabilities
+      const regression = modelConfig.outputFormat.outputType === 'regression';
+      const probabilities = Object.fromEntries(
+        labelProbabilities(prediction.classification_head_probabilities, modelConfig.outputFormat.classLabels)
+          .map(({ label, probability }) => [label, probability])
+      );
+      console.log(JSON.stringify({
+        frame: frameIndex,
+        t: frame.t,
+        face,
+        emotion: prediction.emotion,
+        score: prediction.score,
+        ...(regression ? { band_index: prediction.band_index } : {
+          // Below the model's abstention thresholds emotion is "Uncertain"
+          abstained: prediction.abstained,
+          candidate_emotion: prediction.candidate_emotion,
+          probabilities
+        }),
+        raw_logits: prediction.raw_logits,
+        // Multi-head models: scalar head values by name
+        ...(prediction.dimensions ? { dimensions: prediction.dimensions } : {}),
+        ...(args.embeddings ? { embedding: prediction.embedding ?? null } : {}),
+        ...(prediction.ensemble_members ? {
+          members: prediction.ensemble_members.map(({ modelId, emotion, score }) => ({ modelId, emotion, score }))
+        } : {})
+      }));
+    }
+  }
+  await core.release();
+};
+
+main().catch(error => {
+  console.error(`predict-landmarks: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,94 @@
+// scripts/vite-offline-plugin.js
+// Vite plugin that makes the app work without internet access:
+// - serves (dev) and copies (build) the FaceMesh wasm/data/graph files under <base>/mediapipe/face_mesh/
+// - after the build, writes <base>/sw.js from src/pwa/serviceWorker.js with a precache list of every
+//   emitted file (bundles, ORT wasm, FaceMesh assets, manifest and icons) except the .onnx models, which
+//   services/modelCache.js stores once they are loaded
+import { createHash } from 'node:crypto';
+import { createReadStream, existsSync, readdirSync, readFileSync, statSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const FACE_MESH_DIR = path.join(ROOT_DIR, 'node_modules', '@mediapipe', 'face_mesh');
+const SERVICE_WORKER_TEMPLATE = path.join(ROOT_DIR, 'src', 'pwa', 'serviceWorker.js');
+
+// Directory (relative to the base path) the FaceMesh runtime files are served from; see services/faceMeshRunner.js
+export const FACE_MESH_ASSET_DIR = 'mediapipe/face_mesh';
+const SERVICE_WORKER_FILE = 'sw.js';
+
+// Package files that are not loaded at runtime
+const FACE_MESH_IGNORED_FILES = new Set(['README.md', 'index.d.ts', 'package.json']);
+
+const CONTENT_TYPES = {
+  '.js': 'text/javascript',
+  '.wasm': 'application/wasm',
+  '.data': 'application/octet-stream',
+  '.binarypb': 'application/octet-stream'
+};
+
+const listFaceMeshFiles = () => readdirSync(FACE_MESH_DIR).filter(file => !FACE_MESH_IGNORED_FILES.has(file));
+
+// All files under dir, as paths relative to dir with forward slashes
+const listFilesRecursive = (dir, prefix = '') => readdirSync(dir).flatMap(entry => {
+  const fullPath = path.join(dir, entry);
+  const relativePath = prefix ? `${prefix}/${entry}` : entry;
+  return statSync(fullPath).isDirectory() ? listFilesRecursive(fullPath, relativePath) : [relativePath];
+});
+
+export default function offlinePlugin() {
+  let config;
+
+  return {
+    name: 'emotions-offline',
+
+    configResolved(resolvedConfig) {
+      config = resolvedConfig;
+    },
+
+    // Dev server: serve FaceMesh files straight from node_modules
+    configureServer(server) {
+      const prefix = `${config.base}${FACE_MESH_ASSET_DIR}/`;
+      server.middlewares.use((req, res, next) => {
+        const url = (req.url || '').split('?')[0];
+        if (!url.startsWith(prefix)) return next();
+        const file = url.slice(prefix.length);
+        const filePath = path.join(FACE_MESH_DIR, file);
+        if (FACE_MESH_IGNORED_FILES.has(file) || file.includes('..') || !existsSync(filePath)) return next();
+        res.setHeader('Content-Type', CONTENT_TYPES[path.extname(file)] || 'application/octet-stream');
+        createReadStream(filePath).pipe(res);
+      });
+    },
+
+    // Build: copy FaceMesh files next to the bundles
+    generateBundle() {
+      listFaceMeshFiles().forEach(file => {
+        this.emitFile({
+          type: 'asset',
+          fileName: `${FACE_MESH_ASSET_DIR}/${file}`,
+          source: readFileSync(path.join(FACE_MESH_DIR, file))
+        });
+      });
+    },
+
+    // Build: write the service worker once the output directory (including public/) is complete
+    closeBundle() {
+      if (config.command !== 'build') return;
+      const outDir = path.resolve(config.root, config.build.outDir);
+      const files = listFilesRecursive(outDir)
+        .filter(file => file !== SERVICE_WORKER_FILE && !file.endsWith('.map') && !file.endsWith('.onnx'))
+        .sort();
+      // The cache version changes whenever any precached file changes
+      const hash = createHash('sha256');
+      files.forEach(file => hash.update(file).update(readFileSync(path.join(outDir, file))));
+      const version = hash.digest('hex').slice(0, 12);
+
+      const precache = ['./', ...files.map(file => `./${file}`)];
+      const source = readFileSync(SERVICE_WORKER_TEMPLATE, 'utf8')
+        .replace('self.__PRECACHE_MANIFEST__', JSON.stringify(precache))
+        .replace('self.__CACHE_VERSION__', JSON.stringify(version));
+      writeFileSync(path.join(outDir, SERVICE_WORKER_FILE), source);
+      config.logger.info(`[offline] ${SERVICE_WORKER_FILE} precaches ${precache.length} files (version ${version})`);
+    }
+  };
+}
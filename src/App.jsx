@@ -1,11 +1,39 @@
+import { useState } from 'react';
 import './App.css';
 import EmotionMonitor from './components/EmotionMonitor'; // Added import
+import VideoAnalysisView from './components/VideoAnalysisView';
+import BatchImageAnalysisView from './components/BatchImageAnalysisView';
+import ParityCheckView from './components/ParityCheckView';
+
+// Available input modes
+const MODES = [
+  { id: 'live', label: '🎥 Live camera' },
+  { id: 'video', label: '🎞️ Analyze video' },
+  { id: 'images', label: '🖼️ Batch images' },
+  { id: 'parity', label: '🧪 Parity check' },
+];
 
 function App() {
+  const [mode, setMode] = useState('live');
+
   return (
     <>
       <h1>Emotion Detection App</h1>
-      <EmotionMonitor /> {/* Added EmotionMonitor component */}
+      <div className="mode-tabs">
+        {MODES.map(m => (
+          <button
+            key={m.id}
+            className={`mode-tab ${mode === m.id ? 'active' : ''}`}
+            onClick={() => setMode(m.id)}
+          >
+            {m.label}
+          </button>
+        ))}
+      </div>
+      {mode === 'live' && <EmotionMonitor />} {/* Added EmotionMonitor component */}
+      {mode === 'video' && <VideoAnalysisView />}
+      {mode === 'images' && <BatchImageAnalysisView />}
+      {mode === 'parity' && <ParityCheckView />}
     </>
   );
 }
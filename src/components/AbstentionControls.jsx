@@ -0,0 +1,48 @@
+import React from 'react';
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+/**
+ * Abstention thresholds of the displayed emotion (see shouldAbstain in core/predictionPostprocessing.js):
+ * below the minimum confidence, or with a lead over the runner-up below the minimum margin, the face is
+ * reported as "Uncertain". Starts from the model's outputFormat.abstention; its temperature and class
+ * priors are listed read-only since they are part of the model config.
+ */
+const AbstentionControls = ({ settings, modelDefaults, outputFormat, onChange }) => {
+  const update = (changes) => onChange({ ...settings, ...changes });
+  const percentHandler = (key) => (e) => {
+    const value = parseFloat(e.target.value);
+    if (Number.isFinite(value) && value >= 0 && value <= 100) update({ [key]: value / 100 });
+  };
+  const isOff = settings.minConfidence === 0 && settings.minMargin === 0;
+  const priors = Object.entries(outputFormat?.classPriors || {});
+
+  return (
+    <details className="abstention-panel">
+      <summary>
+        Abstention: {isOff ? 'off' : `confidence < ${formatPercent(settings.minConfidence)} or margin < ${formatPercent(settings.minMargin)}`}
+      </summary>
+      <div className="runtime-settings-row">
+        <label htmlFor="abstention-confidence" title="Report Uncertain when the top probability is below this">Min confidence (%): </label>
+        <input id="abstention-confidence" type="number" min="0" max="100" step="5" value={Math.round(settings.minConfidence * 100)} onChange={percentHandler('minConfidence')} />
+        <label htmlFor="abstention-margin" title="Report Uncertain when the top probability leads the runner-up by less than this">Min margin (%): </label>
+        <input id="abstention-margin" type="number" min="0" max="100" step="5" value={Math.round(settings.minMargin * 100)} onChange={percentHandler('minMargin')} />
+        <button
+          className="toggle-button"
+          onClick={() => onChange(modelDefaults)}
+          disabled={settings.minConfidence === modelDefaults.minConfidence && settings.minMargin === modelDefaults.minMargin}
+        >
+          Model defaults
+        </button>
+      </div>
+      {outputFormat && (
+        <div className="runtime-settings-note">
+          Model calibration: temperature {outputFormat.temperature ?? 1}
+          {priors.length > 0 ? `, priors ${priors.map(([label, prior]) => `${label} ×${prior}`).join(', ')}` : ', no class priors'}
+        </div>
+      )}
+    </details>
+  );
+};
+
+export default AbstentionControls;
@@ -0,0 +1,168 @@
+import React, { useRef, useState, useEffect } from 'react';
+import { analyzeImages, collectDroppedImageFiles, isImageFile, batchResultsToCsv } from '../services/imageBatchAnalyzer';
+import { downloadTextFile } from '../services/csvExport';
+import { initializeOnnxModel, getCurrentModelInfo, getModelLoadError } from '../services/emotionOnnxService';
+import '../styles/EmotionMonitor.css';
+import '../styles/BatchImageAnalysisView.css';
+
+/**
+ * Batch still-image analysis: drop images or a folder, run each through FaceMesh
+ * and the active ONNX model, and review/export the results table.
+ */
+const BatchImageAnalysisView = () => {
+  const abortRef = useRef(null);
+  const [files, setFiles] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [isDragOver, setIsDragOver] = useState(false);
+  const [status, setStatus] = useState('Drop images or a folder to analyze');
+  const [errorMessage, setErrorMessage] = useState(null);
+
+  // Stop a running batch when leaving the view
+  useEffect(() => {
+    return () => abortRef.current?.abort();
+  }, []);
+
+  const selectFiles = (selected) => {
+    setFiles(selected);
+    setRows([]);
+    setErrorMessage(null);
+    setStatus(selected.length > 0 ? `${selected.length} images selected` : 'No images found');
+  };
+
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setIsDragOver(false);
+    if (isAnalyzing) return;
+    try {
+      selectFiles(await collectDroppedImageFiles(e.dataTransfer));
+    } catch (error) {
+      console.error('[ImageBatch] drop error:', error);
+      setErrorMessage(error.message);
+    }
+  };
+
+  const handleFileInput = (e) => {
+    const selected = Array.from(e.target.files || [])
+      .filter(isImageFile)
+      .map(file => ({ file, path: file.webkitRelativePath || file.name }));
+    selectFiles(selected);
+  };
+
+  const handleAnalyze = async () => {
+    if (files.length === 0) return;
+    setErrorMessage(null);
+    if (!getCurrentModelInfo()) {
+      setStatus('Loading ONNX model...');
+      const ok = await initializeOnnxModel();
+      if (!ok) {
+        setErrorMessage(`Failed to initialize ONNX model: ${getModelLoadError()?.message || 'unknown error'}`);
+        setStatus('Analysis not started');
+        return;
+      }
+    }
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setIsAnalyzing(true);
+    setRows([]);
+    setStatus(`Analyzing with ${getCurrentModelInfo().name}...`);
+    try {
+      const result = await analyzeImages(files, {
+        signal: controller.signal,
+        onProgress: ({ processed, total, row }) => {
+          setStatus(`Analyzed ${processed}/${total} images`);
+          setRows(prev => [...prev, row]);
+        }
+      });
+      setRows(result);
+      const failed = result.filter(row => row.error).length;
+      setStatus(`${controller.signal.aborted ? 'Cancelled after' : 'Analyzed'} ${result.length} images (${failed} failed)`);
+    } catch (error) {
+      console.error('[ImageBatch] error:', error);
+      setErrorMessage(error.message);
+      setStatus('Analysis failed');
+    } finally {
+      setIsAnalyzing(false);
+      abortRef.current = null;
+    }
+  };
+
+  const handleExportCsv = () => {
+    const modelId = getCurrentModelInfo()?.id || 'model';
+    downloadTextFile(`batch_${modelId}_${new Date().toISOString().replace(/[:.]/g, '-')}.csv`, batchResultsToCsv(rows), 'text/csv');
+  };
+
+  // Column order follows the model's class labels
+  const labels = rows.find(row => row.probabilities.length > 0)?.probabilities.map(p => p.label) || [];
+
+  return (
+    <div className="emotion-monitor batch-analysis">
+      <div className="status-bar">
+        <div className="status-header">
+          <div className="model-loader">
+            <label htmlFor="batch-file-input">Images: </label>
+            <input id="batch-file-input" type="file" accept="image/*" multiple onChange={handleFileInput} disabled={isAnalyzing} />
+            <label htmlFor="batch-folder-input">Folder: </label>
+            <input id="batch-folder-input" type="file" webkitdirectory="" multiple onChange={handleFileInput} disabled={isAnalyzing} />
+          </div>
+          <div className="status-text">
+            <span>Status: {status}</span>
+            {errorMessage && <span className="error-message">Error: {errorMessage}</span>}
+          </div>
+          <div className="button-group">
+            {isAnalyzing ? (
+              <button onClick={() => abortRef.current?.abort()} className="toggle-button inactive">Cancel</button>
+            ) : (
+              <button onClick={handleAnalyze} className="toggle-button active" disabled={files.length === 0}>Analyze images</button>
+            )}
+            <button onClick={handleExportCsv} className="toggle-button" disabled={isAnalyzing || rows.length === 0}>Export CSV</button>
+          </div>
+        </div>
+      </div>
+
+      <div
+        className={`batch-drop-zone ${isDragOver ? 'drag-over' : ''}`}
+        onDragOver={e => { e.preventDefault(); setIsDragOver(true); }}
+        onDragLeave={() => setIsDragOver(false)}
+        onDrop={handleDrop}
+      >
+        {files.length > 0 ? `${files.length} images ready` : 'Drop images or a folder here'}
+      </div>
+
+      {rows.length > 0 && (
+        <div className="batch-results">
+          <table className="batch-results-table">
+            <thead>
+              <tr>
+                <th>Face</th>
+                <th>File</th>
+                <th>Top emotion</th>
+                {labels.map(label => <th key={label}>{label}</th>)}
+                <th>Failure</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.path} className={row.error ? 'failed' : ''}>
+                  <td>{row.thumbnail ? <img src={row.thumbnail} alt={row.path} className="batch-thumbnail" /> : '—'}</td>
+                  <td className="batch-path">{row.path}</td>
+                  <td data-emotion={row.emotion || undefined}>
+                    {row.emotion ? `${row.emotion}${row.abstained ? ` – ${row.candidateEmotion}?` : ''} (${(row.score * 100).toFixed(1)}%)` : '—'}
+                  </td>
+                  {labels.map(label => {
+                    const entry = row.probabilities.find(p => p.label === label);
+                    return <td key={label}>{entry ? `${(entry.probability * 100).toFixed(1)}%` : ''}</td>;
+                  })}
+                  <td className="batch-failure">{row.error || ''}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BatchImageAnalysisView;
@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+
+const MODE_LABELS = {
+  logits: 'Logit bias (after inference)',
+  landmarks: 'Landmark offset (before inference)'
+};
+
+/**
+ * Neutral baseline calibration of the current model (see core/neutralCalibration.js): start a run while
+ * the user holds a neutral expression, then apply, save or reset the baseline.
+ */
+const CalibrationPanel = ({
+  modelName, baseline, enabled, isSaved, run, landmarkModeAvailable, showUncalibrated,
+  onStart, onCancel, onToggle, onShowUncalibratedChange, onSave, onReset
+}) => {
+  const [mode, setMode] = useState('logits');
+  const [durationSec, setDurationSec] = useState(5);
+
+  return (
+    <details className="calibration-panel">
+      <summary>
+        Neutral calibration: {baseline
+          ? `${enabled ? 'on' : 'off'} (${MODE_LABELS[baseline.mode]}, ${baseline.sampleCount} samples${isSaved ? ', saved' : ''})`
+          : 'none'}
+      </summary>
+      {run ? (
+        <div className="runtime-settings-row">
+          <span className="calibration-prompt">Hold a neutral, relaxed expression…</span>
+          <progress max={1} value={run.progress} />
+          <span>{run.predictions} predictions</span>
+          <button className="toggle-button" onClick={onCancel}>Cancel</button>
+        </div>
+      ) : (
+        <div className="runtime-settings-row">
+          <label htmlFor="calibration-mode">Mode: </label>
+          <select id="calibration-mode" value={mode} onChange={(e) => setMode(e.target.value)}>
+            <option value="logits">{MODE_LABELS.logits}</option>
+            <option value="landmarks" disabled={!landmarkModeAvailable}>
+              {MODE_LABELS.landmarks}{landmarkModeAvailable ? '' : ' – no neutral reference for this model'}
+            </option>
+          </select>
+          <label htmlFor="calibration-duration">Seconds: </label>
+          <input
+            id="calibration-duration"
+            type="number"
+            min="2"
+            max="30"
+            value={durationSec}
+            onChange={(e) => setDurationSec(Math.max(2, parseInt(e.target.value, 10) || 2))}
+          />
+          <button className="toggle-button active" onClick={() => onStart(mode, durationSec * 1000)} disabled={!modelName}>
+            Calibrate {modelName}
+          </button>
+        </div>
+      )}
+      {baseline && !run && (
+        <div className="runtime-settings-row">
+          <label>
+            <input type="checkbox" checked={enabled} onChange={(e) => onToggle(e.target.checked)} />
+            Apply calibration
+          </label>
+          <label title={baseline.mode === 'landmarks' ? 'The landmark offset needs a second inference per face for this' : undefined}>
+            <input type="checkbox" checked={showUncalibrated} onChange={(e) => onShowUncalibratedChange(e.target.checked)} disabled={!enabled} />
+            Show uncalibrated{baseline.mode === 'landmarks' ? ' (runs the model twice)' : ''}
+          </label>
+          <button className="toggle-button" onClick={onSave} disabled={isSaved}>Save</button>
+          <button className="toggle-button" onClick={onReset}>Reset</button>
+          <span className="runtime-settings-note">Calibrated {new Date(baseline.createdAt).toLocaleString()}</span>
+        </div>
+      )}
+    </details>
+  );
+};
+
+export default CalibrationPanel;
@@ -0,0 +1,47 @@
+import React from 'react';
+
+const SIZE = 100;
+const MARGIN = 12;
+
+/**
+ * Valence/arousal circumplex: valence on the horizontal axis, arousal on the vertical one, the current
+ * point and a trail of recent points fading with age. Values are placed within the heads' ranges.
+ */
+const CircumplexPlot = ({ valence, arousal, trail = [], valenceRange, arousalRange }) => {
+  const scale = (value, [low, high]) => Math.min(Math.max((value - low) / (high - low), 0), 1);
+  const x = (value) => MARGIN + scale(value, valenceRange) * (SIZE - 2 * MARGIN);
+  const y = (value) => SIZE - MARGIN - scale(value, arousalRange) * (SIZE - 2 * MARGIN);
+  const center = SIZE / 2;
+  const radius = SIZE / 2 - MARGIN;
+  const points = trail.filter(point => Number.isFinite(point.valence) && Number.isFinite(point.arousal));
+
+  return (
+    <svg className="circumplex-plot" viewBox={`0 0 ${SIZE} ${SIZE}`} role="img" aria-label={`Valence ${valence?.toFixed(2)}, arousal ${arousal?.toFixed(2)}`}>
+      <circle className="circumplex-ring" cx={center} cy={center} r={radius} />
+      <line className="circumplex-axis" x1={MARGIN} y1={center} x2={SIZE - MARGIN} y2={center} />
+      <line className="circumplex-axis" x1={center} y1={MARGIN} x2={center} y2={SIZE - MARGIN} />
+      <text className="circumplex-label" x={SIZE - 2} y={center - 2} textAnchor="end">pleasant</text>
+      <text className="circumplex-label" x={2} y={center - 2}>unpleasant</text>
+      <text className="circumplex-label" x={center + 2} y={MARGIN - 3}>high arousal</text>
+      <text className="circumplex-label" x={center + 2} y={SIZE - 3}>low arousal</text>
+      {points.length > 1 && (
+        <polyline className="circumplex-trail" points={points.map(point => `${x(point.valence)},${y(point.arousal)}`).join(' ')} />
+      )}
+      {points.map((point, i) => (
+        <circle
+          key={i}
+          className="circumplex-trail-point"
+          cx={x(point.valence)}
+          cy={y(point.arousal)}
+          r={1.5}
+          opacity={(i + 1) / points.length}
+        />
+      ))}
+      {Number.isFinite(valence) && Number.isFinite(arousal) && (
+        <circle className="circumplex-point" cx={x(valence)} cy={y(arousal)} r={3.5} />
+      )}
+    </svg>
+  );
+};
+
+export default CircumplexPlot;
@@ -1,8 +1,37 @@
 import React, { useRef, useState, useEffect } from 'react';
 import useFaceMesh from '../hooks/useFaceMesh';
+import useNeutralCalibration from '../hooks/useNeutralCalibration';
+import usePersonalEnrollment from '../hooks/usePersonalEnrollment';
 import FaceCloseUpStage from '../services/faceCloseUpStage';
 import PreprocessDebugView from './PreprocessDebugView';
-import { initializeOnnxModel, predictEngagement, getCurrentModelInfo, getAllModels, switchModel } from '../services/emotionOnnxService'; // Added model loader functions
+import SessionRecorderControls from './SessionRecorderControls';
+import SessionRecorder from '../services/sessionRecorder';
+import LandmarkStreamControls from './LandmarkStreamControls';
+import ModelCachePanel from './ModelCachePanel';
+import ModelUploadPanel from './ModelUploadPanel';
+import RuntimeSettingsPanel from './RuntimeSettingsPanel';
+import ModelComparisonPanel from './ModelComparisonPanel';
+import SmoothingControls from './SmoothingControls';
+import QualityControls from './QualityControls';
+import CalibrationPanel from './CalibrationPanel';
+import EnrollmentPanel from './EnrollmentPanel';
+import AbstentionControls from './AbstentionControls';
+import EngagementGauge from './EngagementGauge';
+import CircumplexPlot from './CircumplexPlot';
+import ProbabilityColumn from './ProbabilityColumn';
+import { LandmarkStreamRecorder, LandmarkStreamPlayer } from '../services/landmarkStream';
+import FaceTracker from '../services/faceTracker';
+import { computePaddedFaceBox, drawFaceOverlay, drawQualityNotice } from '../services/faceOverlayRenderer';
+import { measureFaceCropExposure } from '../services/faceCropExposure';
+import { createSequenceBufferForModel } from '../services/landmarkSequenceBuffer';
+import { initializeOnnxModel, predictEngagement, normalizeLandmarkFrame, labelProbabilities, getCurrentModelInfo, getModelRegistry, switchModel, getModelLoadError, getModelValidationReport, getExecutionProviderInfo, InferenceCancelledError, loadComparisonModel, unloadComparisonModel, getComparisonModelInfo, predictComparison, getEmbeddingOutputName } from '../services/emotionOnnxService'; // Added model loader functions
+import { ModelAgreementTracker } from '../core/modelComparison';
+import { hasClassificationHead } from '../core/modelManifest';
+import { DEFAULT_SMOOTHING_SETTINGS, createEmotionSmoother } from '../core/temporalSmoothing';
+import { DEFAULT_ABSTENTION, DEFAULT_HEAD_RANGE, UNCERTAIN_LABEL, mapScoreToBand, shouldAbstain } from '../core/predictionPostprocessing';
+import { DEFAULT_QUALITY_SETTINGS, assessFaceQuality } from '../core/faceQuality';
+import { isClassifierReady } from '../core/personalClassifier';
+import { FACE_TRACKING_SETTINGS } from '../config/config';
 import '../styles/EmotionMonitor.css';
 
 // Constant to enable/disable John Normalization
@@ -10,13 +39,73 @@ const ENABLE_JOHN_NORMALIZATION = false;
 // Enable separate zoomed-face emotion prediction display
 const ENABLE_ZOOM_PREDICTIONS = true;
 
+// Re-express landmarks relative to the tight face box ("John Normalization").
+// Returns the landmarks and the dimensions to use for prediction; falls back to the originals on an invalid box.
+const applyJohnNormalization = (landmarks, videoWidth, videoHeight) => {
+  // Calculate tight bounding box of the face in pixel coordinates
+  let faceBoxMinX = Infinity, faceBoxMinY = Infinity;
+  let faceBoxMaxX = -Infinity, faceBoxMaxY = -Infinity;
+  landmarks.forEach(lm => {
+    const px = lm.x * videoWidth;
+    const py = lm.y * videoHeight;
+    faceBoxMinX = Math.min(faceBoxMinX, px);
+    faceBoxMinY = Math.min(faceBoxMinY, py);
+    faceBoxMaxX = Math.max(faceBoxMaxX, px);
+    faceBoxMaxY = Math.max(faceBoxMaxY, py);
+  });
+
+  const roiX = faceBoxMinX;
+  const roiY = faceBoxMinY;
+  const roiWidth = faceBoxMaxX - faceBoxMinX;
+  const roiHeight = faceBoxMaxY - faceBoxMinY;
+
+  // Check for valid ROI dimensions
+  if (roiWidth > 0 && roiHeight > 0) {
+    return {
+      landmarks: landmarks.map(lm => ({
+        x: (lm.x * videoWidth - roiX) / roiWidth,
+        y: (lm.y * videoHeight - roiY) / roiHeight,
+        z: lm.z // Pass z through
+      })),
+      width: roiWidth,
+      height: roiHeight
+    };
+  }
+  console.log(`[${new Date().toISOString()}] John Normalization skipped: Invalid ROI dimensions (w:${roiWidth.toFixed(0)}, h:${roiHeight.toFixed(0)})`);
+  // Fallback to original landmarks and dimensions
+  return { landmarks, width: videoWidth, height: videoHeight };
+};
+
+// Predictions kept in the circumplex trail of each face
+const DIMENSION_TRAIL_LENGTH = 20;
+
+// Scalar heads of a multi-head model as a short label, e.g. "V +0.42 A -0.10"
+const formatDimensions = (dimensions) => Object.entries(dimensions)
+  .filter(([, value]) => Number.isFinite(value))
+  .map(([name, value]) => `${name.charAt(0).toUpperCase()} ${value >= 0 ? '+' : ''}${value.toFixed(2)}`)
+  .join(' ');
+
+// Temporal buffer for the currently loaded model, or null for single-frame models
+const createSequenceBuffer = () => {
+  const info = getCurrentModelInfo();
+  return info && info.inputFormat.sequenceLength > 1 ? createSequenceBufferForModel(info) : null;
+};
+
+// Temporal buffer for the comparison model of compare mode, or null
+const createComparisonSequenceBuffer = () => {
+  const info = getComparisonModelInfo();
+  return info && info.inputFormat.sequenceLength > 1 ? createSequenceBufferForModel(info) : null;
+};
+
 const EmotionMonitor = () => {
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
   const [faceMeshStatus, setFaceMeshStatus] = useState('Initializing...');
   const [isActive, setIsActive] = useState(true);
-  const [detectedEmotion, setDetectedEmotion] = useState(null);
-  const [emotionScore, setEmotionScore] = useState(null);
+  // Tracked faces with their latest prediction: [{ id, emotion, score, probabilities }], ordered by ID
+  const [trackedFaces, setTrackedFaces] = useState([]);
+  // Number of faces FaceMesh looks for
+  const [maxNumFaces, setMaxNumFaces] = useState(FACE_TRACKING_SETTINGS.DEFAULT_MAX_NUM_FACES);
   const [errorMessage, setErrorMessage] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [onnxModelReady, setOnnxModelReady] = useState(false);
@@ -25,9 +114,28 @@ const EmotionMonitor = () => {
   const [johnNormalizationEnabled, setJohnNormalizationEnabled] = useState(ENABLE_JOHN_NORMALIZATION);
   // State for model loader
   const [availableModels, setAvailableModels] = useState([]);
+  // Manifest entries that failed validation or whose file is missing, and manifest-level errors
+  const [invalidModels, setInvalidModels] = useState([]);
+  const [registryErrors, setRegistryErrors] = useState([]);
+  // Why the last model load failed (validation failures listed one by one), and validation warnings of the loaded model
+  const [modelDiagnostics, setModelDiagnostics] = useState({ errors: [], warnings: [] });
   const [selectedModel, setSelectedModel] = useState(getCurrentModelInfo()?.id || '');
-  // Store raw class probabilities for status display
-  const [allProbabilities, setAllProbabilities] = useState([]);
+  // Compare mode: id of the second model fed the same landmarks ('' when off), and agreement statistics
+  const [comparisonModelId, setComparisonModelId] = useState('');
+  const [comparisonSummary, setComparisonSummary] = useState(null);
+  const agreementTrackerRef = useRef(null);
+  // Temporal smoothing and hysteresis of the displayed emotion (raw predictions are kept next to it)
+  const [smoothingSettings, setSmoothingSettings] = useState(DEFAULT_SMOOTHING_SETTINGS);
+  // Limits of the face quality gate in front of the model
+  const [qualitySettings, setQualitySettings] = useState(DEFAULT_QUALITY_SETTINGS);
+  // Thresholds below which the displayed emotion is "Uncertain", from the model config unless changed
+  const [abstention, setAbstention] = useState(DEFAULT_ABSTENTION);
+  // Neutral baseline of the current model and its calibration runs
+  const neutralCalibration = useNeutralCalibration({ onStatus: setOnnxStatus, onError: setErrorMessage });
+  const { calibration } = neutralCalibration;
+  // Personal classifier enrolled on the current model and its enrollment runs
+  const personalEnrollment = usePersonalEnrollment({ onStatus: setOnnxStatus, onError: setErrorMessage });
+  const { personalClassifier } = personalEnrollment;
   // Grab current model info (may be null on failure)
   const modelInfo = getCurrentModelInfo();  // List of emotions to ignore when selecting top result
   const [ignoredEmotions, setIgnoredEmotions] = useState([]);
@@ -44,6 +152,28 @@ const EmotionMonitor = () => {
   // State for zoomed-face probabilities display toggle
   const [showFilteredZoom, setShowFilteredZoom] = useState(true);  // State for showing/hiding the preprocessed face and zoom probabilities
   const [showPreprocessAndZoom, setShowPreprocessAndZoom] = useState(false);
+  // Warm-up state of the temporal window for sequence models (null for single-frame models)
+  const [sequenceStatus, setSequenceStatus] = useState(null);
+  // Ring buffer of normalized zoomed-face frames for sequence models (primary face only)
+  const zoomSequenceBufferRef = useRef(null);
+  // Stable face IDs across frames, and per-face inference state keyed by ID
+  const trackerRef = useRef(new FaceTracker());
+  const faceStatesRef = useRef(new Map());
+  // ID of the face driving the zoom/debug view
+  const primaryFaceIdRef = useRef(null);
+  // IDs last published to React state, to avoid re-rendering on every frame
+  const publishedFaceIdsRef = useRef('');
+  // Records every inference while a session recording is running
+  const recorderRef = useRef(new SessionRecorder());
+  // Raw landmark stream recording, and replay of a recorded stream instead of the camera
+  const streamRecorderRef = useRef(new LandmarkStreamRecorder());
+  const streamPlayerRef = useRef(null);
+  const [replayStatus, setReplayStatus] = useState(null);
+  const [isReplaying, setIsReplaying] = useState(false);
+  // Latest results handler, so replayed frames see the current render's state
+  const handleResultsRef = useRef(null);
+  // Latest loader of the per-model calibration and enrollment state, for the mount-time initialization
+  const loadModelPersonalizationRef = useRef(null);
   
   // Toggle ignore for a given emotion label
   const handleToggleIgnore = (label) => {
@@ -73,28 +203,15 @@ const EmotionMonitor = () => {
     return normalized.sort((a, b) => b.probability - a.probability);
   };
 
-  // Get probabilities to display based on toggle state
-  const getDisplayProbabilities = () => {
-    if (!allProbabilities.length) return [];
+  // Get a face's probabilities to display based on toggle state
+  const getDisplayProbabilities = (probabilities) => {
+    if (!probabilities.length) return [];
     
     if (showFilteredProbabilities) {
-      return applySoftmax(allProbabilities);
+      return applySoftmax(probabilities);
     } else {
-      return allProbabilities.sort((a, b) => b.probability - a.probability);
+      return [...probabilities].sort((a, b) => b.probability - a.probability);
     }
-  };// Color mapping for emotions
-  const getEmotionColor = (emotion) => {
-    const emotionColors = {
-      'Happiness': '#fbbf24',
-      'Sadness': '#3b82f6', 
-      'Anger': '#ef4444',
-      'Fear': '#8b5cf6',
-      'Surprise': '#06b6d4',
-      'Disgust': '#84cc16',
-      'Contempt': '#6b7280',
-      'Neutral': '#64748b'
-    };
-    return emotionColors[emotion] || '#64748b';
   };
   // Get zoomed-face probabilities to display based on toggle state
   const getDisplayZoom = () => {
@@ -105,30 +222,186 @@ const EmotionMonitor = () => {
     return [...zoomProbabilities].sort((a, b) => b.probability - a.probability);
   };
 
-  // Get emotion background color for bounding box
-  const getEmotionBgColor = (emotion) => {
-    const emotionBgColors = {
-      'Happiness': 'rgba(251, 191, 36, 0.2)',
-      'Sadness': 'rgba(59, 130, 246, 0.2)',
-      'Anger': 'rgba(239, 68, 68, 0.2)',
-      'Fear': 'rgba(139, 92, 246, 0.2)',
-      'Surprise': 'rgba(6, 182, 212, 0.2)',
-      'Disgust': 'rgba(132, 204, 22, 0.2)',
-      'Contempt': 'rgba(107, 114, 128, 0.2)',
-      'Neutral': 'rgba(100, 116, 139, 0.2)'
-    };
-    return emotionBgColors[emotion] || 'rgba(100, 116, 139, 0.2)';
-  };
-
   // For FPS calculation (optional, but good for debugging)
   const frameCountRef = useRef(0);
   const lastFpsLogTimeRef = useRef(Date.now());
-  // Throttle ONNX inference to once every 1.5 seconds
-  const lastInferenceTimeRef = useRef(0);
+  // Throttle ONNX inference per face to once every second
+  const INFERENCE_INTERVAL_MS = 1000;
+  // While enrolling, the primary face is sampled more often so that a few seconds give enough embeddings
+  const ENROLLMENT_INFERENCE_INTERVAL_MS = 250;
   // Throttle zoomed-face predictions separately
   const lastZoomTimeRef = useRef(0);
   const ZOOM_INFERENCE_INTERVAL_MS = 1500;
 
+  // (Re)build the temporal buffers for the currently loaded model
+  const resetSequenceBuffers = () => {
+    faceStatesRef.current.forEach(state => {
+      state.sequenceBuffer = createSequenceBuffer();
+      state.comparisonBuffer = createComparisonSequenceBuffer();
+      state.comparison = null;
+      // Labels may have changed with the model
+      state.smoother?.reset();
+      state.dimensions = null;
+      state.dimensionTrail = [];
+    });
+    resetComparisonStats();
+    zoomSequenceBufferRef.current = createSequenceBuffer();
+    setSequenceStatus(zoomSequenceBufferRef.current ? zoomSequenceBufferRef.current.getStatusText() : null);
+  };
+
+  // Per-face inference state, created the first time a face ID is seen
+  const getFaceState = (faceId) => {
+    let state = faceStatesRef.current.get(faceId);
+    if (!state) {
+      state = {
+        id: faceId,
+        lastInferenceTime: 0,
+        sequenceBuffer: createSequenceBuffer(),
+        emotion: null,
+        score: null,
+        probabilities: [],
+        members: null,
+        // Compare mode: the comparison model's temporal buffer and latest prediction
+        comparisonBuffer: createComparisonSequenceBuffer(),
+        comparison: null,
+        // Temporal smoothing of the displayed emotion
+        smoother: createFaceSmoother(),
+        smoothedProbabilities: null,
+        rawEmotion: null,
+        rawScore: null,
+        // Abstention: emotion is UNCERTAIN_LABEL and candidateEmotion the top class
+        abstained: false,
+        candidateEmotion: null,
+        // Regression models: band of the score (probabilities stay empty)
+        bandIndex: null,
+        // Multi-head models: latest scalar head values and the recent ones for the circumplex trail
+        dimensions: null,
+        dimensionTrail: [],
+        // Uncalibrated prediction, set when a neutral baseline is applied
+        uncalibrated: null,
+        // Personal classifier: its prediction next to the model's, or the model's when it replaces it
+        personal: null,
+        unpersonalized: null,
+        // Latest quality gate result (null when the gate is off); failing faces are not sent to the model
+        quality: null
+      };
+      faceStatesRef.current.set(faceId, state);
+    }
+    return state;
+  };
+
+  // Push the per-face state of the given faces to React, in face ID order
+  const publishTrackedFaces = (faceStates) => {
+    publishedFaceIdsRef.current = faceStates.map(state => state.id).join(',');
+    setTrackedFaces(faceStates.map(({ id, emotion, score, probabilities, members, comparison, smoothedProbabilities, rawEmotion, rawScore, abstained, candidateEmotion, bandIndex, dimensions, dimensionTrail, uncalibrated, personal, unpersonalized, quality }) => (
+      {
+        id, emotion, score, probabilities, members, comparison, smoothedProbabilities, rawEmotion, rawScore, abstained, candidateEmotion, bandIndex,
+        dimensions, dimensionTrail, uncalibrated, personal, unpersonalized, qualityIssue: quality && !quality.pass ? quality.reason : null
+      }
+    )));
+    if (agreementTrackerRef.current) setComparisonSummary(agreementTrackerRef.current.getSummary());
+  };
+
+  // Abstain on the distribution the displayed emotion was picked from
+  const withAbstention = (summary, displayedProbabilities) => {
+    summary.candidateEmotion = summary.emotion;
+    summary.abstained = Boolean(summary.emotion) && shouldAbstain(displayedProbabilities, abstention);
+    if (summary.abstained) summary.emotion = UNCERTAIN_LABEL;
+    return summary;
+  };
+
+  // Map a prediction to labelled probabilities and pick the top emotion, skipping ignored ones
+  // With a face smoother, emotion/score come from the smoothed probabilities (and hysteresis) and the
+  // raw top emotion is kept as rawEmotion/rawScore
+  // Below the abstention thresholds emotion is UNCERTAIN_LABEL, the class it would have been is candidateEmotion
+  // Scalar heads of multi-head models are passed through as dimensions
+  const summarizePrediction = (prediction, smoother = null, timestamp = 0) => {
+    if (prediction.band_index !== undefined) return summarizeScore(prediction, smoother);
+    if (!prediction.classification_head_probabilities) {
+      return {
+        emotion: null, score: null, probabilities: [], members: null, rawEmotion: null, rawScore: null, smoothedProbabilities: null,
+        abstained: false, candidateEmotion: null, bandIndex: null, dimensions: prediction.dimensions || null
+      };
+    }
+    // Map labels and probabilities
+    const mapped = labelProbabilities(prediction.classification_head_probabilities);
+    // Filter out ignored emotions, then re-normalize
+    const remaining = mapped.filter(item => !ignoredEmotions.includes(item.label));
+    const total = remaining.reduce((sum, item) => sum + item.probability, 0) || 1;
+    const normalized = remaining.map(item => ({ label: item.label, probability: item.probability / total }));
+    // Choose top normalized
+    const best = normalized.reduce((maxItem, item) => item.probability > maxItem.probability ? item : maxItem, { label: '', probability: 0 });
+    // Ensemble member results, labelled like the fused probabilities
+    const members = prediction.ensemble_members?.map(member => ({
+      ...member,
+      probabilities: labelProbabilities(member.probabilities)
+    })) || null;
+    const summary = { emotion: best.label, score: best.probability, probabilities: mapped, members, rawEmotion: best.label, rawScore: best.probability, smoothedProbabilities: null, bandIndex: null, dimensions: prediction.dimensions || null };
+    if (!smoother) return withAbstention(summary, normalized.map(item => item.probability));
+
+    const smoothed = labelProbabilities(smoother.smooth(prediction.classification_head_probabilities));
+    // Same filtering as above, in class order for the hysteresis
+    const selectable = smoothed.map(item => (ignoredEmotions.includes(item.label) ? 0 : item.probability));
+    const selectableTotal = selectable.reduce((sum, p) => sum + p, 0);
+    if (selectableTotal > 0) {
+      const index = smoother.select(selectable.map(p => p / selectableTotal), timestamp);
+      summary.emotion = smoothed[index].label;
+      summary.score = selectable[index] / selectableTotal;
+    }
+    summary.smoothedProbabilities = smoothed;
+    return withAbstention(summary, selectableTotal > 0 ? selectable.map(p => p / selectableTotal) : selectable);
+  };
+
+  // Regression models: emotion is the band of the score (smoothed when smoothing is on, hysteresis does not
+  // apply), there are no probabilities to filter or abstain on
+  const summarizeScore = (prediction, smoother) => {
+    const { classLabels, bandThresholds } = getCurrentModelInfo().outputFormat;
+    const score = smoother ? smoother.smooth([prediction.score])[0] : prediction.score;
+    const bandIndex = smoother ? mapScoreToBand(score, bandThresholds) : prediction.band_index;
+    return {
+      emotion: bandIndex === -1 ? prediction.emotion : classLabels[bandIndex],
+      score,
+      probabilities: [],
+      members: null,
+      rawEmotion: prediction.emotion,
+      rawScore: prediction.score,
+      smoothedProbabilities: null,
+      abstained: false,
+      candidateEmotion: null,
+      bandIndex,
+      dimensions: null
+    };
+  };
+
+  // Smoother for one face, null when smoothing and hysteresis are off
+  const createFaceSmoother = (settings = smoothingSettings) => (
+    settings.method !== 'none' || settings.hysteresis ? createEmotionSmoother(settings) : null
+  );
+
+  // New smoothing settings apply to every tracked face from its next prediction
+  const handleSmoothingChange = (settings) => {
+    setSmoothingSettings(settings);
+    faceStatesRef.current.forEach(state => {
+      state.smoother = createFaceSmoother(settings);
+    });
+  };
+
+  // Show the validation outcome of the last model load
+  const updateModelDiagnostics = (ok) => {
+    const loadError = getModelLoadError();
+    if (ok || !loadError) {
+      const report = getModelValidationReport();
+      const warnings = report ? report.checks.filter(check => !check.pass).map(check => check.message) : [];
+      setModelDiagnostics({ errors: [], warnings });
+      return null;
+    }
+    const errors = loadError.report
+      ? loadError.report.checks.filter(check => !check.pass && check.severity === 'error').map(check => check.message)
+      : [loadError.message];
+    setModelDiagnostics({ errors, warnings: [] });
+    return loadError.report ? `${loadError.report.modelId} does not match its config` : loadError.message;
+  };
+
   // Initialize ONNX model
   useEffect(() => {
     const initModel = async () => {
@@ -136,10 +409,21 @@ const EmotionMonitor = () => {
         setOnnxStatus('Starting ONNX model initialization...');
         const initialized = await initializeOnnxModel();
         setOnnxModelReady(initialized);
+        const loadFailure = updateModelDiagnostics(initialized);
         setSelectedModel(getCurrentModelInfo()?.id || '');
+        // Load available models from the manifest
+        const registry = await getModelRegistry();
+        setAvailableModels(registry.models);
+        setInvalidModels(registry.invalidModels);
+        setRegistryErrors(registry.errors);
+        // No faces are tracked yet, only the zoom buffer needs sizing
+        zoomSequenceBufferRef.current = createSequenceBuffer();
+        setSequenceStatus(zoomSequenceBufferRef.current ? zoomSequenceBufferRef.current.getStatusText() : null);
+        loadModelPersonalizationRef.current();
+        setAbstention(getModelAbstention());
         if (!initialized) {
           setOnnxStatus('Failed to initialize ONNX model');
-          setErrorMessage("Failed to initialize ONNX model");
+          setErrorMessage(`Failed to initialize ONNX model: ${loadFailure}`);
         } else {
           setOnnxStatus('ONNX model initialized successfully');
           console.log("ONNX model initialized successfully");
@@ -151,8 +435,6 @@ const EmotionMonitor = () => {
       }
     };
     initModel();
-    // Load available models
-    setAvailableModels(getAllModels() || []);
   }, []);
   
   // Prepare FaceCloseUpStage
@@ -169,11 +451,225 @@ const EmotionMonitor = () => {
     setOnnxStatus(`Loading model ${modelId}...`);
     const ok = await switchModel(modelId);
     setOnnxModelReady(ok);
-    setOnnxStatus(ok ? `Model loaded: ${getCurrentModelInfo().name}` : `Failed to load model: ${modelId}`);
+    const loadFailure = updateModelDiagnostics(ok);
+    resetSequenceBuffers();
+    loadModelPersonalization();
+    setAbstention(getModelAbstention());
+    setOnnxStatus(ok ? `Model loaded: ${getCurrentModelInfo().name}` : `Failed to load model: ${loadFailure}`);
+  };
+
+  // (Re)load a model even when it is the active one, e.g. after an upload or a runtime settings change
+  const reloadModel = async (modelId) => {
+    setSelectedModel(modelId);
+    setOnnxStatus(`Loading model ${modelId}...`);
+    const ok = await initializeOnnxModel(modelId);
+    setOnnxModelReady(ok);
+    const loadFailure = updateModelDiagnostics(ok);
+    resetSequenceBuffers();
+    loadModelPersonalization();
+    setAbstention(getModelAbstention());
+    if (ok) setErrorMessage(null);
+    setOnnxStatus(ok ? `Model loaded: ${getCurrentModelInfo().name}` : `Failed to load model: ${loadFailure}`);
+  };
+
+  // Displayed emotion of a tracked face, with the class it abstained from, or its dimensions without a classification head;
+  // faces skipped by the quality gate show its hint
+  const describeEmotion = (face) => {
+    if (face.qualityIssue) return `(${face.qualityIssue})`;
+    if (face.abstained) return `${face.emotion} (${face.candidateEmotion}?)`;
+    return face.emotion ?? (face.dimensions ? formatDimensions(face.dimensions) : null);
+  };
+
+  // Abstention thresholds declared by a model
+  const getModelAbstention = (info = getCurrentModelInfo()) => ({ ...DEFAULT_ABSTENTION, ...info?.outputFormat.abstention });
+
+  // Neutral baseline and personal classifier of the current model
+  const loadModelPersonalization = () => {
+    neutralCalibration.loadForModel();
+    personalEnrollment.loadForModel();
+  };
+  loadModelPersonalizationRef.current = loadModelPersonalization;
+
+  // Start agreement statistics over for the current pair of models (none outside compare mode)
+  const resetComparisonStats = () => {
+    const reference = getCurrentModelInfo();
+    const candidate = getComparisonModelInfo();
+    // Compare mode needs class probabilities, and the current model may have changed since it was entered
+    const classifying = [reference, candidate].every(info => info && hasClassificationHead(info));
+    agreementTrackerRef.current = classifying
+      ? new ModelAgreementTracker(reference.outputFormat.classLabels, candidate.outputFormat.classLabels)
+      : null;
+    setComparisonSummary(agreementTrackerRef.current ? agreementTrackerRef.current.getSummary() : null);
+  };
+
+  // Enter, change or leave compare mode
+  const handleComparisonChange = async (e) => {
+    const modelId = e.target.value;
+    setComparisonModelId(modelId);
+    try {
+      if (modelId) {
+        setOnnxStatus(`Loading comparison model ${modelId}...`);
+        const config = await loadComparisonModel(modelId);
+        setOnnxStatus(`Comparing with ${config.name}`);
+      } else {
+        await unloadComparisonModel();
+      }
+    } catch (error) {
+      console.error('Failed to load comparison model:', error);
+      setComparisonModelId('');
+      setOnnxStatus('Failed to load comparison model');
+      setErrorMessage(`Failed to load comparison model: ${error.message}`);
+    }
+    faceStatesRef.current.forEach(state => {
+      state.comparisonBuffer = createComparisonSequenceBuffer();
+      state.comparison = null;
+    });
+    resetComparisonStats();
+  };
+
+  // Release the comparison worker when leaving the page
+  useEffect(() => () => { unloadComparisonModel(); }, []);
+
+  // A local model was added: list it and load it (reloading when the same id was uploaded again)
+  const handleModelUploaded = async (modelId) => {
+    const registry = await getModelRegistry();
+    setAvailableModels(registry.models);
+    await reloadModel(modelId);
+  };
+
+  // Session header: which model ran and how its input was normalized
+  const getSessionHeader = () => {
+    const info = getCurrentModelInfo();
+    return {
+      modelId: info?.id || null,
+      modelConfig: info,
+      // Execution provider that actually ran, thread count, proxy mode, worker or main thread
+      runtime: getExecutionProviderInfo(),
+      comparisonModelId: getComparisonModelInfo()?.id || null,
+      smoothing: smoothingSettings,
+      faceQuality: qualitySettings,
+      abstention,
+      neutralCalibration: calibration?.enabled
+        ? { mode: calibration.baseline.mode, createdAt: calibration.baseline.createdAt, sampleCount: calibration.baseline.sampleCount }
+        : null,
+      personalClassifier: personalClassifier && personalClassifier.mode !== 'off' && isClassifierReady(personalClassifier.classifier)
+        ? {
+          mode: personalClassifier.mode,
+          type: personalClassifier.classifier.type,
+          k: personalClassifier.classifier.k,
+          createdAt: personalClassifier.classifier.createdAt,
+          sampleCounts: Object.fromEntries(Object.entries(personalClassifier.classifier.samples).map(([label, samples]) => [label, samples.length]))
+        }
+        : null,
+      normalization: {
+        normalizationType: info?.normalizationType || null,
+        frontalization: info?.frontalization || null,
+        johnNormalization: johnNormalizationEnabled,
+        zoomContext: 'landmarks re-expressed relative to the padded face box, z rescaled to frame width'
+      },
+      ignoredEmotions,
+      maxNumFaces,
+      inferenceIntervalMs: INFERENCE_INTERVAL_MS,
+      zoomInferenceIntervalMs: ZOOM_INFERENCE_INTERVAL_MS
+    };
+  };
+
+  // Add one inference to the session recording (no-op unless recording)
+  const recordInference = (prediction, summary, faceId, context, comparison = null, calibrated = null, personal = null) => {
+    if (!recorderRef.current.isRecording) return;
+    recorderRef.current.record({
+      modelId: getCurrentModelInfo()?.id || null,
+      faceId,
+      context,
+      labels: summary.probabilities.map(item => item.label),
+      rawLogits: prediction.raw_logits || null,
+      probabilities: prediction.classification_head_probabilities || null,
+      emotion: summary.emotion,
+      score: summary.score,
+      // Below the abstention thresholds emotion is "Uncertain" and candidateEmotion the top class
+      abstained: summary.abstained,
+      candidateEmotion: summary.candidateEmotion,
+      // Multi-head models: scalar head values, e.g. { valence, arousal }
+      dimensions: summary.dimensions,
+      // With smoothing on, emotion/score are the smoothed ones and rawEmotion/rawScore the per-inference ones
+      rawEmotion: summary.rawEmotion,
+      rawScore: summary.rawScore,
+      smoothedProbabilities: summary.smoothedProbabilities ? summary.smoothedProbabilities.map(item => item.probability) : null,
+      // With a neutral baseline applied, rawLogits/probabilities stay the model's and the displayed emotion is calibrated
+      calibratedProbabilities: calibrated ? calibrated.classification_head_probabilities : null,
+      // Personal classifier: its prediction, displayed instead of the model's in 'replace' mode
+      personal: personal ? {
+        mode: personalClassifier.mode,
+        emotion: personal.emotion,
+        score: personal.score,
+        probabilities: personal.classification_head_probabilities
+      } : null,
+      members: summary.members?.map(({ modelId, weight, emotion, score, probabilities }) => ({
+        modelId, weight, emotion, score, probabilities: probabilities.map(item => item.probability)
+      })) || null,
+      // Compare mode: the comparison model's prediction for the same landmarks
+      comparison: comparison ? {
+        modelId: comparison.modelId,
+        emotion: comparison.emotion,
+        score: comparison.score,
+        probabilities: comparison.probabilities.map(item => item.probability)
+      } : null
+    });
+  };
+
+  // Forget tracked faces and their temporal state (e.g. when switching between camera and replay)
+  const resetTracking = () => {
+    trackerRef.current.reset();
+    faceStatesRef.current.clear();
+    primaryFaceIdRef.current = null;
+    zoomSequenceBufferRef.current?.reset();
+    lastZoomTimeRef.current = 0;
+    publishTrackedFaces([]);
+  };
+
+  // Replay a recorded landmark stream through handleResults, with original timing or as fast as possible
+  const handleReplay = async (stream, realtime) => {
+    if (!stream) return;
+    streamPlayerRef.current?.stop();
+    resetTracking();
+    const player = new LandmarkStreamPlayer(stream, results => handleResultsRef.current(results));
+    streamPlayerRef.current = player;
+    setIsReplaying(true);
+    setReplayStatus(`Replaying 0/${stream.frames.length}`);
+    const completed = await player.play({
+      realtime,
+      onProgress: ({ index, total }) => setReplayStatus(`Replaying ${index}/${total}${realtime ? '' : ' (fast)'}`)
+    });
+    if (streamPlayerRef.current === player) {
+      streamPlayerRef.current = null;
+      setIsReplaying(false);
+      setReplayStatus(completed ? `Replay finished (${stream.frames.length} frames)` : 'Replay stopped');
+      resetTracking();
+    }
+  };
+
+  const handleStopReplay = () => {
+    streamPlayerRef.current?.stop();
+    streamPlayerRef.current = null;
+    setIsReplaying(false);
+    setReplayStatus('Replay stopped');
+    resetTracking();
+  };
+
+  // Handle face count selection
+  const handleMaxNumFacesChange = (e) => {
+    setMaxNumFaces(Number(e.target.value));
   };
 
   // Handle FaceMesh results
   const handleResults = async (results) => {
+    // Replayed frames carry their own dimensions and stream time; live camera frames are ignored during replay
+    const isReplay = results?.replay === true;
+    if (streamPlayerRef.current && !isReplay) return;
+    if (!isReplay && results && videoRef.current) {
+      streamRecorderRef.current.addFrame(results, videoRef.current.videoWidth, videoRef.current.videoHeight);
+    }
+
     // FPS Calculation
     frameCountRef.current++;
     const now = Date.now();
@@ -189,12 +685,19 @@ const EmotionMonitor = () => {
     if (errorMessage) setErrorMessage(null);
 
     if (!canvasRef.current || !videoRef.current || !results || !results.multiFaceLandmarks || results.multiFaceLandmarks.length === 0) {
-      // Clear previous emotion if no face is detected
-      setDetectedEmotion(null);
-      setEmotionScore(null);
+      // Clear previous emotions if no face is detected
+      if (publishedFaceIdsRef.current !== '') publishTrackedFaces([]);
       // Clear zoom and debug views
       setZoomProbabilities([]);
       setCloseUpDataUrl(null);
+      // Age out tracks; a temporal window must not span across a lost face
+      const { removedIds } = trackerRef.current.update([]);
+      removedIds.forEach(id => faceStatesRef.current.delete(id));
+      faceStatesRef.current.forEach(state => {
+        state.sequenceBuffer?.reset();
+        state.smoother?.reset();
+      });
+      zoomSequenceBufferRef.current?.reset();
       // Clear canvas
       if (canvasRef.current) {
         const canvas = canvasRef.current;
@@ -206,8 +709,8 @@ const EmotionMonitor = () => {
 
     const canvas = canvasRef.current;
     const ctx = canvas.getContext('2d');
-    const videoWidth = videoRef.current.videoWidth;
-    const videoHeight = videoRef.current.videoHeight;
+    const videoWidth = isReplay ? results.videoWidth : videoRef.current.videoWidth;
+    const videoHeight = isReplay ? results.videoHeight : videoRef.current.videoHeight;
 
     canvas.width = videoWidth;
     canvas.height = videoHeight;
@@ -215,186 +718,184 @@ const EmotionMonitor = () => {
     ctx.save();
     ctx.clearRect(0, 0, canvas.width, canvas.height);
     try {
-      ctx.drawImage(videoRef.current, 0, 0, canvas.width, canvas.height);
+      if (isReplay) {
+        // No camera image for replayed frames: draw the landmarks on a dark background
+        ctx.fillStyle = '#0f172a';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = 'rgba(148, 163, 184, 0.8)';
+        results.multiFaceLandmarks.forEach(face => face.forEach(lm => {
+          ctx.fillRect(lm.x * canvas.width - 1, lm.y * canvas.height - 1, 2, 2);
+        }));
+      } else {
+        ctx.drawImage(videoRef.current, 0, 0, canvas.width, canvas.height);
+      }
     } catch (e) {
       console.error("Error drawing video to canvas:", e);
       ctx.restore();
       return;
     }
 
-    const landmarks = results.multiFaceLandmarks[0]; // Assuming one face
-    // Debug: print raw landmarks from FaceMesh
-    console.log('[Landmarks Raw]', landmarks);
-
-    if (isActive && landmarks && onnxModelReady) {
-      const now = Date.now();
-      // Only run inference every 1.5 seconds (1500 ms)
-      if (now - lastInferenceTimeRef.current >= 1000) {
-        lastInferenceTimeRef.current = now;
-        console.log(`[${new Date().toISOString()}] Running inference...`);
-        // Initialize and debug: print landmarks used for full-frame prediction
-        let landmarksForPrediction = landmarks;
-        console.log('[Landmarks For Prediction]', landmarksForPrediction);
-        let widthForPrediction = videoWidth;
-        let heightForPrediction = videoHeight;
-
-        if (johnNormalizationEnabled) {
-          // Calculate tight bounding box of the face in pixel coordinates
-          let faceBoxMinX = Infinity, faceBoxMinY = Infinity;
-          let faceBoxMaxX = -Infinity, faceBoxMaxY = -Infinity;
-          landmarks.forEach(lm => {
-            const px = lm.x * videoWidth;
-            const py = lm.y * videoHeight;
-            faceBoxMinX = Math.min(faceBoxMinX, px);
-            faceBoxMinY = Math.min(faceBoxMinY, py);
-            faceBoxMaxX = Math.max(faceBoxMaxX, px);
-            faceBoxMaxY = Math.max(faceBoxMaxY, py);
-          });
+    // Assign stable IDs to this frame's faces
+    const { faces, lostIds, removedIds } = trackerRef.current.update(results.multiFaceLandmarks);
+    removedIds.forEach(id => faceStatesRef.current.delete(id));
+    // A temporal window must not span across frames where the face was lost
+    lostIds.forEach(id => {
+      const state = faceStatesRef.current.get(id);
+      state?.sequenceBuffer?.reset();
+      state?.smoother?.reset();
+    });
+    const faceStates = faces.map(face => getFaceState(face.id));
+    let predictionsUpdated = false;
 
-          const roiX = faceBoxMinX;
-          const roiY = faceBoxMinY;
-          const roiWidth = faceBoxMaxX - faceBoxMinX;
-          const roiHeight = faceBoxMaxY - faceBoxMinY;
-
-          // Check for valid ROI dimensions
-          if (roiWidth > 0 && roiHeight > 0) {
-            landmarksForPrediction = landmarks.map(lm => ({
-              x: (lm.x * videoWidth - roiX) / roiWidth,
-              y: (lm.y * videoHeight - roiY) / roiHeight,
-              z: lm.z // Pass z through
-            }));
-            widthForPrediction = roiWidth;
-            heightForPrediction = roiHeight;
-            console.log(`[${new Date().toISOString()}] John Normalization applied. ROI: x:${roiX.toFixed(0)}, y:${roiY.toFixed(0)}, w:${roiWidth.toFixed(0)}, h:${roiHeight.toFixed(0)}`);
-          } else {
-            console.log(`[${new Date().toISOString()}] John Normalization skipped: Invalid ROI dimensions (w:${roiWidth.toFixed(0)}, h:${roiHeight.toFixed(0)})`);
-            // Fallback to original landmarks and dimensions (already set by default)
-          }
-        }
+    for (let i = 0; i < faces.length; i++) {
+      const landmarks = faces[i].landmarks;
+      const faceState = faceStates[i];
+      const ctxLabel = `FACE ${faceState.id}`;
+      // Debug: print raw landmarks from FaceMesh
+      console.log(`[Landmarks Raw] face ${faceState.id}`, landmarks);
 
-        try {
-          // Log full-frame raw landmarks
-          console.log('--- FULL FRAME INPUT ---');
-          console.log('Raw landmarks:', landmarksForPrediction);
-          const prediction = await predictEngagement(landmarksForPrediction, widthForPrediction, heightForPrediction, { context: 'FULL' });
-          console.log(`[${new Date().toISOString()}] FULL FRAME PREDICTION:`, prediction);
+      // Landmarks and dimensions used for the full-frame prediction
+      let landmarksForPrediction = landmarks;
+      let widthForPrediction = videoWidth;
+      let heightForPrediction = videoHeight;
+      if (johnNormalizationEnabled) {
+        ({ landmarks: landmarksForPrediction, width: widthForPrediction, height: heightForPrediction } = applyJohnNormalization(landmarks, videoWidth, videoHeight));
+      }
+
+      // Sequence models consume every camera frame, not just the throttled ones
+      const sequenceBuffer = faceState.sequenceBuffer;
+      if ((isActive || isReplay) && onnxModelReady && sequenceBuffer) {
+        sequenceBuffer.push(normalizeLandmarkFrame(landmarksForPrediction, widthForPrediction, heightForPrediction));
+      }
+      // Neutral calibration collects every frame of the primary face
+      if (i === 0 && (isActive || isReplay) && onnxModelReady) {
+        neutralCalibration.collectFrame(isReplay ? results.timestamp : Date.now(),
+          () => normalizeLandmarkFrame(landmarksForPrediction, widthForPrediction, heightForPrediction));
+      }
+      const comparisonConfig = getComparisonModelInfo();
+      const comparisonBuffer = faceState.comparisonBuffer;
+      if ((isActive || isReplay) && onnxModelReady && comparisonConfig && comparisonBuffer) {
+        comparisonBuffer.push(normalizeLandmarkFrame(landmarksForPrediction, widthForPrediction, heightForPrediction, comparisonConfig));
+      }
+
+      if (!(isActive || isReplay) || !onnxModelReady) continue;
+      // Quality gate on every frame, so the overlay hint follows the face; replays have no image to measure
+      const previousIssue = faceState.quality && !faceState.quality.pass ? faceState.quality.reason : null;
+      if (qualitySettings.enabled) {
+        const exposure = qualitySettings.checkExposure && !isReplay
+          ? measureFaceCropExposure(canvas, computePaddedFaceBox(landmarks, canvas.width, canvas.height, 0))
+          : null;
+        faceState.quality = assessFaceQuality(landmarks, videoWidth, videoHeight, qualitySettings, exposure);
+      } else {
+        faceState.quality = null;
+      }
+      if ((faceState.quality && !faceState.quality.pass ? faceState.quality.reason : null) !== previousIssue) predictionsUpdated = true;
+      if (faceState.quality && !faceState.quality.pass) {
+        // Like a lost face, a temporal window must not span the skipped frames
+        sequenceBuffer?.reset();
+        continue;
+      }
+      // Replays throttle on stream time so that fast replays see the same frames as the original timing
+      const now = isReplay ? results.timestamp : Date.now();
+      // Each face has its own inference throttle
+      const inferenceIntervalMs = i === 0 && personalEnrollment.isEnrolling() ? ENROLLMENT_INFERENCE_INTERVAL_MS : INFERENCE_INTERVAL_MS;
+      if (now - faceState.lastInferenceTime < inferenceIntervalMs) continue;
+      faceState.lastInferenceTime = now;
+      if (i === 0 && sequenceBuffer) setSequenceStatus(sequenceBuffer.getStatusText());
+      // Still warming up the temporal window
+      if (sequenceBuffer && !sequenceBuffer.isReady()) continue;
+
+      console.log(`[${new Date().toISOString()}] Running inference for face ${faceState.id}...`);
+      try {
+        // Log full-frame raw landmarks
+        console.log(`--- FULL FRAME INPUT (${ctxLabel}) ---`);
+        console.log('Raw landmarks:', landmarksForPrediction);
+        // In compare mode the comparison model gets the same landmarks, in parallel in its own worker
+        const runComparison = comparisonConfig && agreementTrackerRef.current && (!comparisonBuffer || comparisonBuffer.isReady());
+        // The neutral baseline biases the output or runs the model on offset landmarks (see useNeutralCalibration)
+        const runModel = (inputOffset) => predictEngagement(landmarksForPrediction, widthForPrediction, heightForPrediction, {
+          context: inputOffset ? `${ctxLabel} CALIBRATED` : ctxLabel,
+          sequenceWindow: sequenceBuffer ? sequenceBuffer.toWindow() : undefined,
+          inputOffset
+        });
+        const [{ prediction, calibrated }, comparisonPrediction] = await Promise.all([
+          neutralCalibration.predict(runModel, { isPrimary: i === 0, now }),
+          runComparison
+            ? predictComparison(landmarksForPrediction, widthForPrediction, heightForPrediction, {
+              context: ctxLabel,
+              sequenceWindow: comparisonBuffer ? comparisonBuffer.toWindow() : undefined
+            })
+            : null
+        ]);
+        console.log(`[${new Date().toISOString()}] FULL FRAME PREDICTION (${ctxLabel}):`, prediction);
+        // Compare mode may have been left while the comparison was running
+        faceState.comparison = comparisonPrediction && getComparisonModelInfo() === comparisonConfig ? {
+          modelId: comparisonConfig.id,
+          emotion: comparisonPrediction.emotion,
+          score: comparisonPrediction.score,
+          probabilities: labelProbabilities(comparisonPrediction.classification_head_probabilities, comparisonConfig.outputFormat.classLabels)
+        } : null;
+        faceState.uncalibrated = calibrated ? {
+          emotion: prediction.emotion,
+          score: prediction.score,
+          probabilities: labelProbabilities(prediction.classification_head_probabilities)
+        } : null;
+        // Enrollment collects the embeddings of the primary face, as the personal classifier will see them
+        const modelPrediction = calibrated || prediction;
+        if (i === 0 && modelPrediction?.embedding) personalEnrollment.collect(modelPrediction.embedding, now);
+        // Personal classifier on the same embedding, next to the model or in its place
+        const { mode: personalMode, personal } = personalEnrollment.classify(modelPrediction);
+        const labelled = (item) => ({ emotion: item.emotion, score: item.score, probabilities: labelProbabilities(item.classification_head_probabilities) });
+        faceState.personal = personal && personalMode === 'alongside' ? labelled(personal) : null;
+        faceState.unpersonalized = personal && personalMode === 'replace' ? labelled(modelPrediction) : null;
         if (prediction) {
-          setDetectedEmotion(prediction.emotion);
-          setEmotionScore(prediction.score);
-          // Update all class probabilities
-          const modelInfo = getCurrentModelInfo();
-          const labels = modelInfo.outputFormat.classLabels;
-          const probs = prediction.classification_head_probabilities || [];
-          // Map labels and probabilities
-          const mapped = probs.map((p, idx) => ({ label: labels[idx], probability: p }));
-          setAllProbabilities(mapped);
-          // Filter out ignored emotions, then re-normalize
-          const remaining = mapped.filter(item => !ignoredEmotions.includes(item.label));
-          const total = remaining.reduce((sum, item) => sum + item.probability, 0) || 1;
-          const normalized = remaining.map(item => ({ label: item.label, probability: item.probability / total }));
-          // Choose top normalized
-          const best = normalized.reduce((maxItem, item) => item.probability > maxItem.probability ? item : maxItem, { label: '', probability: 0 });
-          setDetectedEmotion(best.label);
-          setEmotionScore(best.probability);
-          } else {
-            setDetectedEmotion('Error');
-            setEmotionScore(null);
+          const summary = summarizePrediction(personalMode === 'replace' && personal ? personal : modelPrediction, faceState.smoother, now);
+          Object.assign(faceState, summary);
+          if (summary.dimensions) faceState.dimensionTrail = [...faceState.dimensionTrail, summary.dimensions].slice(-DIMENSION_TRAIL_LENGTH);
+          if (faceState.comparison && agreementTrackerRef.current) {
+            agreementTrackerRef.current.add(prediction.classification_head_probabilities, comparisonPrediction.classification_head_probabilities);
           }
-        } catch (error) {
-          console.error('Error predicting emotion:', error);
-          setErrorMessage('Error predicting emotion: ' + error.message);
-          setDetectedEmotion('Error');
-          setEmotionScore(null);
+          recordInference(prediction, summary, faceState.id, 'full', faceState.comparison, calibrated, personal);
+        } else {
+          faceState.emotion = 'Error';
+          faceState.score = null;
         }
+      } catch (error) {
+        // Superseded by a newer request for this face: keep the previous prediction
+        if (error instanceof InferenceCancelledError) continue;
+        console.error('Error predicting emotion:', error);
+        setErrorMessage('Error predicting emotion: ' + error.message);
+        faceState.emotion = 'Error';
+        faceState.score = null;
       }
+      predictionsUpdated = true;
     }
 
-    // Draw face bounding box (optional, but good for visualization)
-    // After drawing, extract cropped face
-    // Compute tight face box and apply relative padding
-    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-    landmarks.forEach(landmark => {
-      const x = landmark.x * canvas.width;
-      const y = landmark.y * canvas.height;
-      minX = Math.min(minX, x);
-      minY = Math.min(minY, y);
-      maxX = Math.max(maxX, x);
-      maxY = Math.max(maxY, y);
-    });
-    // Relative padding: use same factor as FaceCloseUpStage
-    const boxW = maxX - minX;
-    const boxH = maxY - minY;
-    const padW = boxW * stageRef.current.paddingFactor;
-    const padH = boxH * stageRef.current.paddingFactor;
-    minX = Math.max(0, minX - padW);
-    minY = Math.max(0, minY - padH);
-    maxX = Math.min(canvas.width, maxX + padW);
-    maxY = Math.min(canvas.height, maxY + padH);
-    
-    // Use emotion-specific colors
-    const emotionColor = getEmotionColor(detectedEmotion);
-    const emotionBgColor = getEmotionBgColor(detectedEmotion);
-    
-    ctx.strokeStyle = emotionColor;
-    ctx.lineWidth = 6;
-    ctx.shadowColor = emotionColor;
-    ctx.shadowBlur = 8;
-    ctx.strokeRect(minX, minY, maxX - minX, maxY - minY);
-    
-    // Reset shadow for fill operations
-    ctx.shadowColor = 'transparent';
-    ctx.shadowBlur = 0;    if (detectedEmotion) {
-      const boxWidth = maxX - minX;
-      const boxHeight = maxY - minY;
-      
-      // Calculate dynamic font size based on box size
-      const baseFontSize = Math.max(18, Math.min(32, Math.min(boxWidth / 8, boxHeight / 12)));
-      const labelHeight = baseFontSize + 30;
-      
-      // Draw background for emotion label with gradient
-      const gradient = ctx.createLinearGradient(minX, minY - labelHeight, minX, minY);
-      gradient.addColorStop(0, 'rgba(0, 0, 0, 0.9)');
-      gradient.addColorStop(1, 'rgba(0, 0, 0, 0.7)');
-      ctx.fillStyle = gradient;
-      ctx.fillRect(minX, minY - labelHeight, boxWidth, labelHeight);
-      
-      // Add subtle border to label background
-      ctx.strokeStyle = emotionColor;
-      ctx.lineWidth = 2;
-      ctx.strokeRect(minX, minY - labelHeight, boxWidth, labelHeight);
-      
-      // Draw emotion text with enhanced styling
-      ctx.font = `bold ${baseFontSize}px 'Inter', 'Segoe UI', Arial, sans-serif`;
-      ctx.fillStyle = emotionColor;
-      ctx.textAlign = "center";
-      ctx.textBaseline = "middle";
-      
-      // Add text glow effect
-      ctx.shadowColor = emotionColor;
-      ctx.shadowBlur = 8;
-      ctx.shadowOffsetX = 0;
-      ctx.shadowOffsetY = 0;
-      
-      const emotionText = `${detectedEmotion}`;
-      const scoreText = `${emotionScore !== null ? (emotionScore * 100).toFixed(1) + '%' : 'N/A'}`;
-      
-      // Draw emotion name with glow
-      ctx.fillText(emotionText, minX + (boxWidth / 2), minY - labelHeight + baseFontSize/2 + 8);
-      
-      // Draw score with smaller font and white color
-      ctx.font = `600 ${Math.max(14, baseFontSize * 0.75)}px 'Inter', 'Segoe UI', Arial, sans-serif`;
-      ctx.fillStyle = '#FFFFFF';
-      ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
-      ctx.shadowBlur = 4;
-      ctx.fillText(scoreText, minX + (boxWidth / 2), minY - labelHeight + baseFontSize + 12);
-      
-      // Reset shadow
-      ctx.shadowColor = 'transparent';
-      ctx.shadowBlur = 0;
-      ctx.shadowOffsetX = 0;
-      ctx.shadowOffsetY = 0;
+    if (predictionsUpdated || publishedFaceIdsRef.current !== faceStates.map(state => state.id).join(',')) {
+      publishTrackedFaces(faceStates);
     }
+
+    // Draw face bounding boxes, labelled with the face ID when tracking several faces
+    const faceBoxes = faces.map((face, i) => {
+      const box = computePaddedFaceBox(face.landmarks, canvas.width, canvas.height, stageRef.current.paddingFactor);
+      const faceLabel = maxNumFaces > 1 ? `#${face.id}` : null;
+      const { emotion, score, abstained, candidateEmotion, dimensions, quality } = faceStates[i];
+      if (quality && !quality.pass) {
+        drawQualityNotice(ctx, box, quality.reason, faceLabel);
+        return box;
+      }
+      drawFaceOverlay(ctx, box, emotion ?? (dimensions ? formatDimensions(dimensions) : null), score, faceLabel, abstained ? candidateEmotion : null);
+      return box;
+    });
     ctx.restore();
+
+    // Close-up and zoomed-face predictions follow the primary (longest-tracked) face
+    const landmarks = faces[0].landmarks;
+    const { minX, minY, maxX, maxY } = faceBoxes[0];
+    if (primaryFaceIdRef.current !== faces[0].id) {
+      primaryFaceIdRef.current = faces[0].id;
+      zoomSequenceBufferRef.current?.reset();
+    }
     // Manual crop & zoom using detected box
     const boxWidth = maxX - minX;
     const boxHeight = maxY - minY;
@@ -408,33 +909,43 @@ const EmotionMonitor = () => {
       } catch (err) {
         console.error('FaceCloseUpStage crop error:', err);
       }
+      // normalize landmarks relative to box, rescale z to full-frame pixel space
+      const zoomLandmarks = landmarks.map(lm => ({
+        x: (lm.x * canvas.width - minX) / boxWidth,
+        y: (lm.y * canvas.height - minY) / boxHeight,
+        z: lm.z * (canvas.width / boxWidth)
+      }));
+      const zoomSequenceBuffer = zoomSequenceBufferRef.current;
+      if (ENABLE_ZOOM_PREDICTIONS && (isActive || isReplay) && onnxModelReady && zoomSequenceBuffer) {
+        zoomSequenceBuffer.push(normalizeLandmarkFrame(zoomLandmarks, boxWidth, boxHeight));
+      }
       // Prepare zoomed-face prediction with throttle
-      const nowZoom = Date.now();
+      const nowZoom = isReplay ? results.timestamp : Date.now();
       console.log(`[ZoomPrediction] check: enabled=${ENABLE_ZOOM_PREDICTIONS}, ready=${onnxModelReady}, delta=${nowZoom - lastZoomTimeRef.current}ms`);
-      if (ENABLE_ZOOM_PREDICTIONS && onnxModelReady && nowZoom - lastZoomTimeRef.current >= ZOOM_INFERENCE_INTERVAL_MS) {
+      if (ENABLE_ZOOM_PREDICTIONS && onnxModelReady && nowZoom - lastZoomTimeRef.current >= ZOOM_INFERENCE_INTERVAL_MS
+        && (!zoomSequenceBuffer || zoomSequenceBuffer.isReady()) && faceStates[0].quality?.pass !== false) {
         lastZoomTimeRef.current = nowZoom;
-        // normalize landmarks relative to box, rescale z to full-frame pixel space
-        const zoomLandmarks = landmarks.map(lm => ({
-          x: (lm.x * canvas.width - minX) / boxWidth,
-          y: (lm.y * canvas.height - minY) / boxHeight,
-          z: lm.z * (canvas.width / boxWidth)
-        }));
         console.log('[ZoomPrediction] landmarks:', zoomLandmarks);
         try {
           // Run zoomed-face prediction with same preprocessing as full-frame
-          const zoomPred = await predictEngagement(zoomLandmarks, boxWidth, boxHeight);
+          const zoomPred = await predictEngagement(zoomLandmarks, boxWidth, boxHeight, {
+            context: 'ZOOM',
+            sequenceWindow: zoomSequenceBuffer ? zoomSequenceBuffer.toWindow() : undefined
+          });
           console.log('[ZoomPrediction] raw result:', zoomPred);
-          const labels = getCurrentModelInfo().outputFormat.classLabels;
-          const zp = (zoomPred?.classification_head_probabilities || []).map((p, i) => ({ label: labels[i], probability: p }));
+          const zp = labelProbabilities(zoomPred?.classification_head_probabilities);
           console.log('[ZoomPrediction] probabilities:', zp);
           setZoomProbabilities(zp);
+          if (zoomPred) recordInference(zoomPred, summarizePrediction(zoomPred), faces[0].id, 'zoom');
         } catch (e) {
-          console.error('[ZoomPrediction] error:', e);
+          if (!(e instanceof InferenceCancelledError)) console.error('[ZoomPrediction] error:', e);
         }
       }
     }
   };
 
+  handleResultsRef.current = handleResults;
+
   const handleFaceMeshStatus = (status) => {
     setFaceMeshStatus(status);
     if (status.toLowerCase().includes('error') || status.toLowerCase().includes('failed') || status.toLowerCase().includes('denied')) {
@@ -453,15 +964,15 @@ const EmotionMonitor = () => {
     setErrorMessage(null);
     setIsLoading(true);
     setFaceMeshStatus('Initializing...');
-    setDetectedEmotion(null);
-    setEmotionScore(null);
+    publishTrackedFaces([]);
 
     if (!onnxModelReady) {
       try {
         setOnnxStatus('Re-initializing ONNX model...');
         const initialized = await initializeOnnxModel();
         setOnnxModelReady(initialized);
-        if (!initialized) setErrorMessage("Failed to re-initialize ONNX model");
+        const loadFailure = updateModelDiagnostics(initialized);
+        if (!initialized) setErrorMessage(`Failed to re-initialize ONNX model: ${loadFailure}`);
         else setOnnxStatus('ONNX model initialized successfully');
       } catch (error) {
         console.error("Error re-initializing ONNX model:", error);
@@ -486,18 +997,71 @@ const EmotionMonitor = () => {
               id="model-select"
               value={selectedModel}
               onChange={handleModelChange}
-              disabled={!onnxModelReady || !modelInfo}
+              disabled={availableModels.length === 0}
             >
               {availableModels.map(m => (
                 <option key={m.id} value={m.id}>{m.name}</option>
               ))}
+              {invalidModels.length > 0 && (
+                <optgroup label="Unavailable">
+                  {invalidModels.map(m => (
+                    <option key={m.id} value={m.id} disabled>⚠ {m.name}: {m.errors[0]}</option>
+                  ))}
+                </optgroup>
+              )}
+            </select>
+            <label htmlFor="comparison-model-select">Compare with: </label>
+            <select
+              id="comparison-model-select"
+              value={comparisonModelId}
+              onChange={handleComparisonChange}
+              disabled={!onnxModelReady || (modelInfo && !hasClassificationHead(modelInfo))}
+            >
+              <option value="">Off</option>
+              {availableModels.map(m => (
+                <option key={m.id} value={m.id} disabled={!hasClassificationHead(m)}>{m.name}</option>
+              ))}
             </select>
             {!modelInfo && <span className="error-message">No model loaded</span>}
+            {(registryErrors.length > 0 || invalidModels.length > 0) && (
+              <ul className="model-registry-errors">
+                {registryErrors.map(error => <li key={error}>manifest.json: {error}</li>)}
+                {invalidModels.map(m => <li key={m.id}>{m.id}: {m.errors.join('; ')}</li>)}
+              </ul>
+            )}
+            {modelDiagnostics.errors.length > 0 && (
+              <ul className="model-registry-errors">
+                {modelDiagnostics.errors.map(error => <li key={error}>{error}</li>)}
+              </ul>
+            )}
+            {modelDiagnostics.warnings.length > 0 && (
+              <ul className="model-validation-warnings">
+                {modelDiagnostics.warnings.map(warning => <li key={warning}>⚠ {warning}</li>)}
+              </ul>
+            )}
+            <label htmlFor="face-count-select">Faces: </label>
+            <select
+              id="face-count-select"
+              className="face-count-select"
+              value={maxNumFaces}
+              onChange={handleMaxNumFacesChange}
+            >
+              {Array.from({ length: FACE_TRACKING_SETTINGS.MAX_NUM_FACES_LIMIT }, (_, i) => i + 1).map(n => (
+                <option key={n} value={n}>{n}</option>
+              ))}
+            </select>
           </div>
           <div className="status-text">
             <span>FaceMesh: {faceMeshStatus}</span>
             <span>ONNX: {onnxStatus}</span>
-            <span className="top-emotion">Top Emotion: {detectedEmotion || 'Detecting...'}</span>
+            {sequenceStatus && <span className="sequence-status">Sequence: {sequenceStatus}</span>}
+            <span className="top-emotion">
+              Top Emotion: {trackedFaces.length === 0
+                ? 'Detecting...'
+                : trackedFaces.length === 1
+                  ? describeEmotion(trackedFaces[0]) || 'Detecting...'
+                  : trackedFaces.map(face => `#${face.id} ${describeEmotion(face) || '…'}`).join(' · ')}
+            </span>
             {errorMessage && <span className="error-message">Error: {errorMessage}</span>}
           </div>
           <div className="button-group">
@@ -509,7 +1073,68 @@ const EmotionMonitor = () => {
                 Retry
               </button>
             )}
+            <SessionRecorderControls recorder={recorderRef.current} getSessionHeader={getSessionHeader} />
+            <LandmarkStreamControls
+              recorder={streamRecorderRef.current}
+              isReplaying={isReplaying}
+              replayStatus={replayStatus}
+              onReplay={handleReplay}
+              onStopReplay={handleStopReplay}
+            />
           </div>        </div>
+        <ModelCachePanel />
+        <ModelUploadPanel onModelAdded={handleModelUploaded} />
+        <SmoothingControls settings={smoothingSettings} onChange={handleSmoothingChange} />
+        <QualityControls settings={qualitySettings} onChange={setQualitySettings} />
+        {/* Abstention, neutral calibration and personal enrollment work on class probabilities */}
+        {(!modelInfo || hasClassificationHead(modelInfo)) && (
+          <>
+            <AbstentionControls
+              settings={abstention}
+              modelDefaults={getModelAbstention(modelInfo)}
+              outputFormat={modelInfo?.outputFormat || null}
+              onChange={setAbstention}
+            />
+            <CalibrationPanel
+              modelName={onnxModelReady ? modelInfo?.name : null}
+              baseline={calibration?.baseline || null}
+              enabled={Boolean(calibration?.enabled)}
+              isSaved={Boolean(calibration?.isSaved)}
+              run={neutralCalibration.calibrationRun}
+              landmarkModeAvailable={Boolean(neutralCalibration.neutralReference)}
+              showUncalibrated={neutralCalibration.showUncalibrated}
+              onStart={neutralCalibration.start}
+              onCancel={neutralCalibration.cancel}
+              onToggle={neutralCalibration.toggle}
+              onShowUncalibratedChange={neutralCalibration.setShowUncalibrated}
+              onSave={neutralCalibration.save}
+              onReset={neutralCalibration.reset}
+            />
+            {onnxModelReady && getEmbeddingOutputName() && (
+              <EnrollmentPanel
+                modelName={modelInfo?.name}
+                labels={Object.values(modelInfo?.outputFormat.classLabels || {})}
+                classifier={personalClassifier?.classifier || null}
+                mode={personalClassifier?.mode || 'off'}
+                isSaved={Boolean(personalClassifier?.isSaved)}
+                run={personalEnrollment.enrollmentRun}
+                sampleIntervalMs={ENROLLMENT_INFERENCE_INTERVAL_MS}
+                onStart={personalEnrollment.start}
+                onCancel={personalEnrollment.cancel}
+                onRemoveLabel={personalEnrollment.removeLabel}
+                onClassifierChange={personalEnrollment.changeClassifier}
+                onModeChange={personalEnrollment.changeMode}
+                onSave={personalEnrollment.save}
+                onReset={personalEnrollment.reset}
+              />
+            )}
+          </>
+        )}
+        <RuntimeSettingsPanel
+          runtimeInfo={onnxModelReady ? getExecutionProviderInfo() : null}
+          modelProcessingOptions={modelInfo?.processingOptions}
+          onApply={() => reloadModel(selectedModel)}
+        />
       </div>      {/* Main content layout - side by side */}
       <div className="main-content">
         {/* Video and preprocess debug stack */}
@@ -549,10 +1174,22 @@ const EmotionMonitor = () => {
         </div>
         {/* Probabilities sidebar */}
         <div className="probabilities-sidebar">          {/* Enhanced probabilities display */}
-          {allProbabilities.length > 0 && (
-            <div className="probabilities-section">
+          {comparisonModelId && modelInfo && getComparisonModelInfo() && comparisonSummary && (
+            <ModelComparisonPanel
+              referenceName={modelInfo.name}
+              candidateName={getComparisonModelInfo().name}
+              faces={trackedFaces}
+              summary={comparisonSummary}
+              showFaceIds={maxNumFaces > 1}
+              onReset={resetComparisonStats}
+            />
+          )}
+          {trackedFaces.filter(face => face.probabilities.length > 0).map(face => (
+            <div key={face.id} className="probabilities-section" data-face-id={face.id}>
               <div className="probabilities-header">
-                <div className="probabilities-title">🎭 Emotion Probabilities (Full Frame)</div>
+                <div className="probabilities-title">
+                  🎭 {maxNumFaces > 1 ? `Face #${face.id} ` : ''}Emotion Probabilities (Full Frame{face.smoothedProbabilities ? ', smoothed' : ''})
+                </div>
                 <button
                   className={`softmax-toggle-btn ${showFilteredProbabilities ? 'filtered' : 'raw'}`}
                   onClick={() => setShowFilteredProbabilities(!showFilteredProbabilities)}
@@ -562,15 +1199,95 @@ const EmotionMonitor = () => {
                 </button>
               </div>
               <div className="probabilities-list">
-                {getDisplayProbabilities().map(({ label, probability }) => (
+                {getDisplayProbabilities(face.smoothedProbabilities || face.probabilities).map(({ label, probability }) => (
                   <div key={label} className="probability-item" data-emotion={label}>
                     <span className="probability-label">{label}</span>
                     <span className="probability-value">{(probability * 100).toFixed(1)}%</span>
+                    {face.smoothedProbabilities && (
+                      <span className="probability-raw" title="Latest unsmoothed prediction">
+                        raw {(getDisplayProbabilities(face.probabilities).find(item => item.label === label).probability * 100).toFixed(1)}%
+                      </span>
+                    )}
                   </div>
                 ))}
               </div>
+              {face.uncalibrated && (
+                <div className="comparison-columns calibration-columns">
+                  <ProbabilityColumn title="Calibrated" prediction={face} />
+                  <ProbabilityColumn title="Uncalibrated" prediction={face.uncalibrated} />
+                </div>
+              )}
+              {(face.personal || face.unpersonalized) && (
+                <div className="comparison-columns calibration-columns">
+                  <ProbabilityColumn title={face.personal ? modelInfo?.name : 'Personal'} prediction={face} />
+                  <ProbabilityColumn title={face.personal ? 'Personal' : modelInfo?.name} prediction={face.personal || face.unpersonalized} />
+                </div>
+              )}
+              {face.members && (
+                <details className="ensemble-breakdown">
+                  <summary>Ensemble members ({face.members.length})</summary>
+                  {face.members.map(member => (
+                    <div key={member.modelId} className="ensemble-member">
+                      <div className="ensemble-member-header">
+                        <span>{member.name}{modelInfo?.fusion === 'weighted' ? ` ×${member.weight}` : ''}</span>
+                        <span>{member.emotion} {(member.score * 100).toFixed(1)}%</span>
+                      </div>
+                      <div className="ensemble-member-bars">
+                        {member.probabilities.map(({ label, probability }) => (
+                          <span
+                            key={label}
+                            className="ensemble-member-bar"
+                            data-emotion={label}
+                            title={`${label}: ${(probability * 100).toFixed(1)}%`}
+                            style={{ height: `${Math.max(probability * 100, 2)}%` }}
+                          />
+                        ))}
+                      </div>
+                    </div>
+                  ))}
+                </details>
+              )}
             </div>
-          )}
+          ))}
+          {modelInfo?.outputFormat.outputType === 'regression' && trackedFaces.filter(face => face.bandIndex !== null).map(face => (
+            <div key={face.id} className="probabilities-section" data-face-id={face.id}>
+              <EngagementGauge
+                title={`📈 ${maxNumFaces > 1 ? `Face #${face.id} ` : ''}${modelInfo.name}${face.rawScore !== face.score ? ' (smoothed)' : ''}`}
+                score={face.score}
+                rawScore={face.rawScore !== face.score ? face.rawScore : null}
+                bandIndex={face.bandIndex}
+                outputFormat={modelInfo.outputFormat}
+              />
+            </div>
+          ))}
+          {modelInfo?.outputFormat.outputType === 'multihead' && trackedFaces.filter(face => face.dimensions).map(face => {
+            const heads = modelInfo.outputFormat.heads;
+            const others = Object.entries(face.dimensions).filter(([name]) => name !== 'valence' && name !== 'arousal');
+            return (
+              <div key={face.id} className="probabilities-section" data-face-id={face.id}>
+                <div className="probabilities-header">
+                  <div className="probabilities-title">🧭 {maxNumFaces > 1 ? `Face #${face.id} ` : ''}{modelInfo.name} dimensions</div>
+                </div>
+                {heads.valence && heads.arousal && (
+                  <CircumplexPlot
+                    valence={face.dimensions.valence}
+                    arousal={face.dimensions.arousal}
+                    trail={face.dimensionTrail}
+                    valenceRange={heads.valence.range ?? DEFAULT_HEAD_RANGE}
+                    arousalRange={heads.arousal.range ?? DEFAULT_HEAD_RANGE}
+                  />
+                )}
+                <div className="probabilities-list">
+                  {(heads.valence && heads.arousal ? others : Object.entries(face.dimensions)).map(([name, value]) => (
+                    <div key={name} className="probability-item">
+                      <span className="probability-label">{name}</span>
+                      <span className="probability-value">{Number.isFinite(value) ? value.toFixed(3) : '–'}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
           {ENABLE_ZOOM_PREDICTIONS && showPreprocessAndZoom && zoomProbabilities.length > 0 && (
             <div className="probabilities-section zoomed">
               <div className="probabilities-header">
@@ -595,7 +1312,7 @@ const EmotionMonitor = () => {
           )}
 
           {/* Styled emotion filter buttons */}
-          {allProbabilities.length > 0 && modelInfo && (
+          {trackedFaces.some(face => face.probabilities.length > 0) && modelInfo && (
             <div className="emotion-filters">
               <div className="filters-title">🎛️ Emotion Filters</div>
               <div className="emotion-toggle-grid">
@@ -620,7 +1337,7 @@ const EmotionMonitor = () => {
       </div>
 
       {/* FaceMesh hook */}
-      {useFaceMesh(isActive, videoRef, handleResults, handleFaceMeshStatus)}
+      {useFaceMesh(isActive, videoRef, handleResults, handleFaceMeshStatus, undefined, maxNumFaces)}
     </div>
   );
 };
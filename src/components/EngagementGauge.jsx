@@ -0,0 +1,51 @@
+import React from 'react';
+
+// Band color from red (lowest band) to green (highest)
+const bandColor = (index, count) => `hsl(${count > 1 ? Math.round((index / (count - 1)) * 120) : 120}, 65%, 50%)`;
+
+/**
+ * Score of a regression model (outputType 'regression') on its bands: one segment per band between the
+ * band thresholds, a marker at the score, and the band label. Takes the place of the probability list.
+ */
+const EngagementGauge = ({ title, score, rawScore = null, bandIndex, outputFormat }) => {
+  const { classLabels, bandThresholds, scoreRange = [0, 1] } = outputFormat;
+  const [low, high] = scoreRange;
+  const position = (value) => `${Math.min(Math.max((value - low) / (high - low), 0), 1) * 100}%`;
+  const edges = [low, ...bandThresholds, high];
+  const label = bandIndex >= 0 ? classLabels[bandIndex] : 'Invalid score';
+
+  return (
+    <div className="engagement-gauge">
+      <div className="engagement-gauge-header">
+        <span className="probabilities-title">{title}</span>
+        <span className="engagement-gauge-band" style={{ color: bandIndex >= 0 ? bandColor(bandIndex, edges.length - 1) : undefined }}>
+          {label}
+        </span>
+      </div>
+      <div className="engagement-gauge-track">
+        {edges.slice(0, -1).map((edge, i) => (
+          <span
+            key={classLabels[i]}
+            className={`engagement-gauge-segment ${i === bandIndex ? 'active' : ''}`}
+            title={`${classLabels[i]}: ${edge} – ${edges[i + 1]}`}
+            style={{ left: position(edge), width: `calc(${position(edges[i + 1])} - ${position(edge)})`, background: bandColor(i, edges.length - 1) }}
+          />
+        ))}
+        {Number.isFinite(score) && <span className="engagement-gauge-marker" style={{ left: position(score) }} />}
+        {rawScore !== null && Number.isFinite(rawScore) && (
+          <span className="engagement-gauge-marker raw" title="Latest unsmoothed score" style={{ left: position(rawScore) }} />
+        )}
+      </div>
+      <div className="engagement-gauge-scale">
+        <span>{low}</span>
+        <span className="engagement-gauge-score">
+          {Number.isFinite(score) ? score.toFixed(3) : '–'}
+          {rawScore !== null && Number.isFinite(rawScore) && <span className="probability-raw">raw {rawScore.toFixed(3)}</span>}
+        </span>
+        <span>{high}</span>
+      </div>
+    </div>
+  );
+};
+
+export default EngagementGauge;
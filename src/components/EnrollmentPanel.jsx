@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { DEFAULT_K, MIN_ENROLLMENT_SAMPLES, getEnrolledLabels, isClassifierReady } from '../core/personalClassifier';
+
+const MODE_LABELS = {
+  off: 'Off',
+  alongside: 'Next to the model',
+  replace: 'Instead of the model'
+};
+
+/**
+ * Few-shot personal enrollment for the current model (see core/personalClassifier.js): record a few
+ * seconds of each of your own expressions, then show the personal classifier next to the model or in its place.
+ */
+const EnrollmentPanel = ({
+  modelName, labels, classifier, mode, isSaved, run, sampleIntervalMs,
+  onStart, onCancel, onRemoveLabel, onClassifierChange, onModeChange, onSave, onReset
+}) => {
+  const [label, setLabel] = useState('');
+  const [durationSec, setDurationSec] = useState(5);
+  const selectedLabel = labels.includes(label) ? label : labels[0];
+  const enrolled = classifier ? getEnrolledLabels(classifier) : [];
+  const ready = isClassifierReady(classifier);
+
+  return (
+    <details className="enrollment-panel">
+      <summary>
+        Personal enrollment: {classifier
+          ? `${enrolled.length} expressions${ready ? `, ${MODE_LABELS[mode].toLowerCase()}` : ''}${isSaved ? ', saved' : ''}`
+          : 'none'}
+      </summary>
+      {run ? (
+        <div className="runtime-settings-row">
+          <span className="calibration-prompt">Hold your “{run.label}” expression…</span>
+          <progress max={1} value={run.progress} />
+          <span>{run.samples} embeddings</span>
+          <button className="toggle-button" onClick={onCancel}>Cancel</button>
+        </div>
+      ) : (
+        <div className="runtime-settings-row">
+          <label htmlFor="enrollment-label">Expression: </label>
+          <select id="enrollment-label" value={selectedLabel || ''} onChange={(e) => setLabel(e.target.value)}>
+            {labels.map(item => <option key={item} value={item}>{item}</option>)}
+          </select>
+          <label htmlFor="enrollment-duration">Seconds: </label>
+          <input
+            id="enrollment-duration"
+            type="number"
+            min="2"
+            max="30"
+            value={durationSec}
+            onChange={(e) => setDurationSec(Math.max(2, parseInt(e.target.value, 10) || 2))}
+          />
+          <button className="toggle-button active" onClick={() => onStart(selectedLabel, durationSec * 1000)} disabled={!modelName || !selectedLabel}>
+            Record
+          </button>
+          <span className="runtime-settings-note">about {Math.floor((durationSec * 1000) / sampleIntervalMs)} embeddings</span>
+        </div>
+      )}
+      {classifier && (
+        <>
+          <ul className="enrollment-labels">
+            {Object.entries(classifier.samples).map(([item, samples]) => (
+              <li key={item} data-emotion={item} className={samples.length < MIN_ENROLLMENT_SAMPLES ? 'too-few' : ''}>
+                {item}: {samples.length}
+                <button className="enrollment-remove" onClick={() => onRemoveLabel(item)} title={`Forget ${item}`}>×</button>
+              </li>
+            ))}
+          </ul>
+          <div className="runtime-settings-row">
+            <label htmlFor="enrollment-type">Classifier: </label>
+            <select id="enrollment-type" value={classifier.type} onChange={(e) => onClassifierChange({ type: e.target.value })}>
+              <option value="centroid">Nearest centroid</option>
+              <option value="knn">k nearest neighbours</option>
+            </select>
+            {classifier.type === 'knn' && (
+              <>
+                <label htmlFor="enrollment-k">k: </label>
+                <input
+                  id="enrollment-k"
+                  type="number"
+                  min="1"
+                  max="25"
+                  value={classifier.k ?? DEFAULT_K}
+                  onChange={(e) => onClassifierChange({ k: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                />
+              </>
+            )}
+            <label htmlFor="enrollment-mode">Use: </label>
+            <select id="enrollment-mode" value={mode} onChange={(e) => onModeChange(e.target.value)} disabled={!ready}>
+              {Object.entries(MODE_LABELS).map(([value, text]) => <option key={value} value={value}>{text}</option>)}
+            </select>
+            <button className="toggle-button" onClick={onSave} disabled={isSaved}>Save</button>
+            <button className="toggle-button" onClick={onReset}>Reset</button>
+          </div>
+          {!ready && (
+            <div className="runtime-settings-note">
+              Record at least two expressions ({MIN_ENROLLMENT_SAMPLES} embeddings each) to use the personal classifier
+            </div>
+          )}
+        </>
+      )}
+    </details>
+  );
+};
+
+export default EnrollmentPanel;
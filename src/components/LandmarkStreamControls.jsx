@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import { parseLandmarkStream } from '../services/landmarkStream';
+import { downloadTextFile } from '../services/csvExport';
+
+/**
+ * Record the raw FaceMesh landmark stream to a file, or load a recorded file and replay it
+ * through the live pipeline instead of the camera.
+ */
+const LandmarkStreamControls = ({ recorder, isReplaying, replayStatus, onReplay, onStopReplay }) => {
+  const [isRecording, setIsRecording] = useState(recorder.isRecording);
+  const [loadedStream, setLoadedStream] = useState(null);
+  const [loadedName, setLoadedName] = useState('');
+  const [loadError, setLoadError] = useState(null);
+
+  const handleToggleRecording = () => {
+    if (recorder.isRecording) {
+      recorder.stop();
+      setIsRecording(false);
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      downloadTextFile(`landmarks_${stamp}.json`, recorder.toJson(), 'application/json');
+    } else {
+      recorder.start({ source: 'webcam' });
+      setIsRecording(true);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    try {
+      const stream = parseLandmarkStream(await file.text());
+      setLoadedStream(stream);
+      setLoadedName(`${file.name} (${stream.frames.length} frames)`);
+      setLoadError(null);
+    } catch (error) {
+      console.error('[LandmarkStream] load error:', error);
+      setLoadedStream(null);
+      setLoadedName('');
+      setLoadError(error.message);
+    }
+  };
+
+  return (
+    <div className="landmark-stream-controls">
+      <button
+        onClick={handleToggleRecording}
+        className={`toggle-button ${isRecording ? 'inactive' : 'active'}`}
+        disabled={isReplaying}
+        title="Record the FaceMesh landmark stream and download it when stopped"
+      >
+        {isRecording ? '⏹ Stop & save landmarks' : '⏺ Record landmarks'}
+      </button>
+      <input type="file" accept=".json,application/json" onChange={handleFileChange} disabled={isReplaying} />
+      {isReplaying ? (
+        <button onClick={onStopReplay} className="toggle-button inactive">Stop replay</button>
+      ) : (
+        <>
+          <button onClick={() => onReplay(loadedStream, true)} className="toggle-button" disabled={!loadedStream}>
+            ▶ Replay
+          </button>
+          <button onClick={() => onReplay(loadedStream, false)} className="toggle-button" disabled={!loadedStream}>
+            ⏩ Replay fast
+          </button>
+        </>
+      )}
+      {loadedName && <span className="landmark-stream-status">{loadedName}</span>}
+      {replayStatus && <span className="landmark-stream-status">{replayStatus}</span>}
+      {loadError && <span className="error-message">{loadError}</span>}
+    </div>
+  );
+};
+
+export default LandmarkStreamControls;
@@ -0,0 +1,57 @@
+import React, { useEffect, useState } from 'react';
+import { listCachedModels, clearModelCache, deleteCachedModel, subscribeToModelCache, isModelCacheAvailable } from '../services/modelCache';
+
+const formatSize = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+/**
+ * Collapsible list of the models stored in the persistent model cache, with remove/clear actions.
+ */
+const ModelCachePanel = () => {
+  const [entries, setEntries] = useState([]);
+  const [errorMessage, setErrorMessage] = useState(null);
+
+  // Follow the cache contents
+  useEffect(() => {
+    const refresh = () => listCachedModels()
+      .then(setEntries)
+      .catch(error => setErrorMessage(error.message));
+    refresh();
+    return subscribeToModelCache(refresh);
+  }, []);
+
+  const runAction = (action) => action().catch(error => {
+    console.error('[ModelCache] action failed:', error);
+    setErrorMessage(error.message);
+  });
+
+  if (!isModelCacheAvailable()) return null;
+
+  const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+  return (
+    <details className="model-cache-panel">
+      <summary>Model cache: {entries.length} models, {formatSize(totalSize)}</summary>
+      {entries.length === 0 ? (
+        <p className="model-cache-empty">No models cached yet</p>
+      ) : (
+        <ul className="model-cache-list">
+          {entries.map(entry => (
+            <li key={entry.key}>
+              <span className="model-cache-name">{entry.id}</span>
+              <span>v{entry.version}</span>
+              <span>{formatSize(entry.size)}</span>
+              <span title={entry.sha256 || ''}>{entry.cachedAt ? new Date(entry.cachedAt).toLocaleString() : ''}</span>
+              <button className="toggle-button" onClick={() => runAction(() => deleteCachedModel(entry.key))}>Remove</button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <button className="toggle-button inactive" disabled={entries.length === 0} onClick={() => runAction(clearModelCache)}>
+        Clear cache
+      </button>
+      {errorMessage && <span className="error-message">{errorMessage}</span>}
+    </details>
+  );
+};
+
+export default ModelCachePanel;
@@ -0,0 +1,59 @@
+import React from 'react';
+import ProbabilityColumn from './ProbabilityColumn';
+
+const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+
+/**
+ * Compare mode: the current and the comparison model's probabilities side by side for each face,
+ * with agreement statistics over every paired prediction since the last reset (see core/modelComparison.js).
+ * Both columns show the raw model probabilities, ignored emotions are not filtered out.
+ */
+const ModelComparisonPanel = ({ referenceName, candidateName, faces, summary, showFaceIds, onReset }) => (
+  <div className="probabilities-section model-comparison">
+    <div className="probabilities-header">
+      <div className="probabilities-title">⚖️ {referenceName} vs {candidateName}</div>
+      <button className="softmax-toggle-btn" onClick={onReset} title="Reset agreement statistics">↺ Reset</button>
+    </div>
+    {faces.map(face => (
+      <div key={face.id} className="comparison-face">
+        {showFaceIds && <div className="comparison-face-title">Face #{face.id}</div>}
+        <div className="comparison-columns">
+          <ProbabilityColumn title={referenceName} prediction={face.uncalibrated || (face.probabilities.length > 0 ? face : null)} />
+          <ProbabilityColumn title={candidateName} prediction={face.comparison} />
+        </div>
+      </div>
+    ))}
+    {summary && (
+      <div className="comparison-stats">
+        <div>Pairs: {summary.count}</div>
+        <div>Top-1 agreement: {summary.agreementRate === null ? '–' : formatPercent(summary.agreementRate)}</div>
+        <div>Mean KL: {summary.meanKl === null ? '–' : `${summary.meanKl.toFixed(4)} nats`}</div>
+        {summary.count > 0 && (
+          <table className="comparison-confusion">
+            <caption>Argmax confusion (rows: {referenceName}, columns: {candidateName})</caption>
+            <thead>
+              <tr>
+                <th />
+                {summary.columnLabels.map(label => <th key={label} title={label}>{label.slice(0, 3)}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {summary.rowLabels.map((rowLabel, row) => (
+                <tr key={rowLabel}>
+                  <th title={rowLabel}>{rowLabel}</th>
+                  {summary.confusion[row].map((count, column) => (
+                    <td key={summary.columnLabels[column]} className={summary.columnLabels[column] === rowLabel ? 'diagonal' : ''}>
+                      {count || ''}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    )}
+  </div>
+);
+
+export default ModelComparisonPanel;
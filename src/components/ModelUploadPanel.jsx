@@ -0,0 +1,165 @@
+import React, { useState } from 'react';
+import { inspectOnnxModel, addUploadedModel } from '../services/emotionOnnxService';
+import { isModelCacheAvailable } from '../services/modelCache';
+import { validateModelConfig } from '../core/modelManifest.js';
+import { draftModelConfig } from '../core/sessionMetadata.js';
+
+const formatShape = (shape) => (shape ? `[${shape.join(', ')}]` : '[?]');
+
+// Default id/name for a file, e.g. "my model.onnx" -> upload_my_model
+const identityForFile = (filename) => {
+  const base = filename.replace(/\.onnx$/i, '');
+  return { id: `upload_${base.replace(/[^A-Za-z0-9_.-]+/g, '_')}`, name: `${base} (uploaded)`, filename };
+};
+
+/**
+ * Drop or pick a local .onnx file (plus an optional config JSON) and add it to the model picker.
+ * Without a valid config, a JSON editor pre-filled from the session input/output metadata is shown.
+ */
+const ModelUploadPanel = ({ onModelAdded }) => {
+  const [modelFile, setModelFile] = useState(null); // { name, bytes }
+  const [sessionIO, setSessionIO] = useState(null);
+  const [configText, setConfigText] = useState('');
+  const [configErrors, setConfigErrors] = useState([]);
+  const [persist, setPersist] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+
+  const reset = () => {
+    setModelFile(null);
+    setSessionIO(null);
+    setConfigText('');
+    setConfigErrors([]);
+  };
+
+  // Parse, validate and register the config; the uploaded file name always wins over config.filename
+  const addModel = async (file, config) => {
+    const fullConfig = { ...config, filename: file.name };
+    const errors = validateModelConfig(fullConfig);
+    if (errors.length > 0) {
+      setConfigErrors(errors);
+      return false;
+    }
+    const registered = await addUploadedModel(fullConfig, file.bytes, { persist });
+    setStatus(`Added ${registered.name}${persist ? ' (kept in this browser)' : ''}`);
+    reset();
+    await onModelAdded(registered.id);
+    return true;
+  };
+
+  const runAction = async (action) => {
+    setIsBusy(true);
+    try {
+      await action();
+    } catch (error) {
+      console.error('[ModelUpload] failed:', error);
+      setConfigErrors([error.message]);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleFiles = (fileList) => runAction(async () => {
+    const files = Array.from(fileList || []);
+    const onnxFile = files.find(file => /\.onnx$/i.test(file.name));
+    const configFile = files.find(file => /\.json$/i.test(file.name));
+    if (!onnxFile) throw new Error('Choose an .onnx file (and optionally its config .json)');
+
+    reset();
+    setStatus(`Reading ${onnxFile.name}...`);
+    const file = { name: onnxFile.name, bytes: await onnxFile.arrayBuffer() };
+    const io = await inspectOnnxModel(file.bytes);
+    setModelFile(file);
+    setSessionIO(io);
+
+    const identity = identityForFile(file.name);
+    let config = draftModelConfig(io, identity);
+    if (configFile) {
+      try {
+        config = { id: identity.id, name: identity.name, ...JSON.parse(await configFile.text()) };
+      } catch (error) {
+        setConfigErrors([`${configFile.name}: ${error.message}`]);
+        setConfigText(JSON.stringify(config, null, 2));
+        setStatus('Config file could not be parsed, edit the generated config instead');
+        return;
+      }
+      if (await addModel(file, config)) return;
+    }
+    setConfigText(JSON.stringify(config, null, 2));
+    setStatus(configFile ? 'Fix the config below' : 'Review the generated config');
+  });
+
+  const handleAdd = () => runAction(async () => {
+    let config;
+    try {
+      config = JSON.parse(configText);
+    } catch (error) {
+      setConfigErrors([`Config is not valid JSON: ${error.message}`]);
+      return;
+    }
+    await addModel(modelFile, config);
+  });
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    handleFiles(e.dataTransfer.files);
+  };
+
+  return (
+    <details className="model-upload-panel">
+      <summary>Load a local model</summary>
+      <div
+        className={`model-upload-dropzone${isDragging ? ' dragging' : ''}`}
+        onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+      >
+        <span>Drop an .onnx file and optional config .json here, or</span>
+        <input
+          type="file"
+          accept=".onnx,.json,application/json"
+          multiple
+          disabled={isBusy}
+          onChange={(e) => { handleFiles(e.target.files); e.target.value = ''; }}
+        />
+      </div>
+      {sessionIO && (
+        <ul className="model-upload-io">
+          {sessionIO.inputs.map(input => <li key={`in-${input.name}`}>input {input.name}: {input.type || '?'} {formatShape(input.shape)}</li>)}
+          {sessionIO.outputs.map(output => <li key={`out-${output.name}`}>output {output.name}: {output.type || '?'} {formatShape(output.shape)}</li>)}
+        </ul>
+      )}
+      {modelFile && (
+        <>
+          <textarea
+            className="model-upload-config"
+            value={configText}
+            onChange={(e) => { setConfigText(e.target.value); setConfigErrors([]); }}
+            spellCheck={false}
+            rows={16}
+          />
+          <div className="model-upload-actions">
+            {isModelCacheAvailable() && (
+              <label>
+                <input type="checkbox" checked={persist} onChange={(e) => setPersist(e.target.checked)} />
+                Keep in this browser
+              </label>
+            )}
+            <button className="toggle-button active" onClick={handleAdd} disabled={isBusy}>Add model</button>
+            <button className="toggle-button" onClick={reset} disabled={isBusy}>Cancel</button>
+          </div>
+        </>
+      )}
+      {configErrors.length > 0 && (
+        <ul className="model-registry-errors">
+          {configErrors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+      {status && <p className="model-upload-status">{status}</p>}
+    </details>
+  );
+};
+
+export default ModelUploadPanel;
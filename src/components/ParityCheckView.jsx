@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { parseParityFixture, runParityCheck, DEFAULT_PARITY_TOLERANCES } from '../core/parityCheck.js';
+import { initializeOnnxModel, switchModel, getCurrentModelInfo, getInferenceCore, getModelLoadError } from '../services/emotionOnnxService';
+import { downloadTextFile } from '../services/csvExport';
+import '../styles/EmotionMonitor.css';
+import '../styles/BatchImageAnalysisView.css';
+import '../styles/ParityCheckView.css';
+
+const formatError = (value) => (value === Infinity ? '∞' : value.toExponential(2));
+
+// One table cell per stage: max abs error, or why the stage was skipped/failed
+const StageCell = ({ stage }) => {
+  if (!stage) return <td className="parity-skipped">skipped</td>;
+  return (
+    <td className={stage.pass ? 'parity-pass' : 'parity-fail'}>
+      {stage.error || formatError(stage.maxAbsError)}
+      {stage.worst && !stage.pass && (
+        <span className="parity-worst"> (frame {stage.worst.frame}, landmark {stage.worst.landmark}.{stage.worst.coord})</span>
+      )}
+    </td>
+  );
+};
+
+/**
+ * Parity verification: load a golden fixture produced by the Python training pipeline and compare
+ * the JS normalization and the loaded session against it, stage by stage.
+ */
+const ParityCheckView = () => {
+  const [fixture, setFixture] = useState(null);
+  const [fixtureName, setFixtureName] = useState('');
+  const [tolerances, setTolerances] = useState(DEFAULT_PARITY_TOLERANCES);
+  const [report, setReport] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [status, setStatus] = useState('Load a parity fixture to start');
+  const [errorMessage, setErrorMessage] = useState(null);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    setReport(null);
+    try {
+      const parsed = parseParityFixture(await file.text());
+      setFixture(parsed);
+      setFixtureName(file.name);
+      setTolerances(parsed.tolerances);
+      setErrorMessage(null);
+      setStatus(`${parsed.cases.length} cases loaded${parsed.modelId ? ` for model ${parsed.modelId}` : ''}`);
+    } catch (error) {
+      console.error('[Parity] load error:', error);
+      setFixture(null);
+      setErrorMessage(error.message);
+      setStatus('No fixture loaded');
+    }
+  };
+
+  const handleToleranceChange = (key) => (e) => {
+    const value = parseFloat(e.target.value);
+    if (value >= 0) setTolerances(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleRun = async () => {
+    if (!fixture) return;
+    setErrorMessage(null);
+    setReport(null);
+    setIsRunning(true);
+    try {
+      // Use the model the fixture was produced with, if it names one
+      const modelInfo = getCurrentModelInfo();
+      if (fixture.modelId && modelInfo?.id !== fixture.modelId) {
+        setStatus(`Loading model ${fixture.modelId}...`);
+        if (!(await switchModel(fixture.modelId))) throw new Error(`Failed to load model ${fixture.modelId}: ${getModelLoadError()?.message || 'unknown error'}`);
+      } else if (!modelInfo) {
+        setStatus('Loading ONNX model...');
+        if (!(await initializeOnnxModel())) throw new Error(`Failed to initialize ONNX model: ${getModelLoadError()?.message || 'unknown error'}`);
+      }
+
+      const result = await runParityCheck(getInferenceCore(), fixture, {
+        tolerances,
+        onProgress: ({ processed, total }) => setStatus(`Checked ${processed}/${total} cases`)
+      });
+      setReport(result);
+      const failed = result.cases.filter(c => !c.pass).length;
+      setStatus(result.pass ? `PASS: ${result.cases.length} cases within tolerance` : `FAIL: ${failed}/${result.cases.length} cases out of tolerance`);
+    } catch (error) {
+      console.error('[Parity] error:', error);
+      setErrorMessage(error.message);
+      setStatus('Parity check failed to run');
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const handleExport = () => {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    downloadTextFile(`parity_${report.modelId}_${stamp}.json`, JSON.stringify({ fixture: fixtureName, ...report }, null, 2), 'application/json');
+  };
+
+  return (
+    <div className="emotion-monitor parity-check">
+      <div className="status-bar">
+        <div className="status-header">
+          <div className="model-loader">
+            <label htmlFor="parity-fixture-input">Fixture: </label>
+            <input id="parity-fixture-input" type="file" accept=".json,application/json" onChange={handleFileChange} disabled={isRunning} />
+            <label htmlFor="parity-tol-normalized">Normalized tol: </label>
+            <input id="parity-tol-normalized" type="number" step="any" min="0" value={tolerances.normalized} onChange={handleToleranceChange('normalized')} disabled={isRunning} />
+            <label htmlFor="parity-tol-logits">Logits tol: </label>
+            <input id="parity-tol-logits" type="number" step="any" min="0" value={tolerances.logits} onChange={handleToleranceChange('logits')} disabled={isRunning} />
+          </div>
+          <div className="status-text">
+            <span className={report ? (report.pass ? 'parity-pass' : 'parity-fail') : undefined}>Status: {status}</span>
+            {errorMessage && <span className="error-message">Error: {errorMessage}</span>}
+          </div>
+          <div className="button-group">
+            <button onClick={handleRun} className="toggle-button active" disabled={!fixture || isRunning}>Run parity check</button>
+            <button onClick={handleExport} className="toggle-button" disabled={!report}>Export report</button>
+          </div>
+        </div>
+      </div>
+
+      {report && (
+        <div className="batch-results">
+          <table className="batch-results-table">
+            <thead>
+              <tr>
+                <th>Case</th>
+                <th>Normalization (tol {tolerances.normalized})</th>
+                <th>Model on Python tensor (tol {tolerances.logits})</th>
+                <th>End to end (tol {tolerances.logits})</th>
+                <th>Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr className="parity-summary">
+                <td>Worst over {report.cases.length} cases</td>
+                {['normalization', 'model', 'endToEnd'].map(stage => (
+                  <td key={stage}>{report.worst[stage] === null ? 'skipped' : formatError(report.worst[stage])}</td>
+                ))}
+                <td className={report.pass ? 'parity-pass' : 'parity-fail'}>{report.pass ? 'PASS' : 'FAIL'}</td>
+              </tr>
+              {report.cases.map(result => (
+                <tr key={result.id} className={result.pass ? '' : 'failed'}>
+                  <td>{result.id}</td>
+                  <StageCell stage={result.normalization} />
+                  <StageCell stage={result.model} />
+                  <StageCell stage={result.endToEnd} />
+                  <td className={result.pass ? 'parity-pass' : 'parity-fail'}>{result.pass ? 'pass' : 'fail'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ParityCheckView;
@@ -0,0 +1,25 @@
+import React from 'react';
+
+/**
+ * One titled probability list, sorted by probability, for side-by-side views
+ * (compare mode, calibrated vs uncalibrated). prediction is { probabilities: [{label, probability}] } or null.
+ */
+const ProbabilityColumn = ({ title, prediction }) => (
+  <div className="comparison-column">
+    <div className="comparison-column-title">{title}</div>
+    {prediction ? (
+      <div className="probabilities-list">
+        {[...prediction.probabilities].sort((a, b) => b.probability - a.probability).map(({ label, probability }) => (
+          <div key={label} className="probability-item" data-emotion={label}>
+            <span className="probability-label">{label}</span>
+            <span className="probability-value">{(probability * 100).toFixed(1)}%</span>
+          </div>
+        ))}
+      </div>
+    ) : (
+      <div className="comparison-pending">Waiting for a prediction…</div>
+    )}
+  </div>
+);
+
+export default ProbabilityColumn;
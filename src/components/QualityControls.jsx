@@ -0,0 +1,61 @@
+import React from 'react';
+
+/**
+ * Limits of the face quality gate (see core/faceQuality.js): faces turned too far, too small, cut off by
+ * the frame border or, optionally, badly lit are not sent to the model and the overlay shows why.
+ */
+const QualityControls = ({ settings, onChange }) => {
+  const update = (changes) => onChange({ ...settings, ...changes });
+  const numberHandler = (key) => (e) => {
+    const value = parseFloat(e.target.value);
+    if (Number.isFinite(value) && value >= 0) update({ [key]: value });
+  };
+  const percentHandler = (key) => (e) => {
+    const value = parseFloat(e.target.value);
+    if (Number.isFinite(value) && value >= 0 && value <= 100) update({ [key]: value / 100 });
+  };
+
+  return (
+    <details className="quality-panel">
+      <summary>
+        Face quality gate: {settings.enabled
+          ? `|yaw| ≤ ${settings.maxYaw}°, |pitch| ≤ ${settings.maxPitch}°, |roll| ≤ ${settings.maxRoll}°, ≥ ${settings.minFaceSize} px${settings.checkExposure ? ', exposure' : ''}`
+          : 'off'}
+      </summary>
+      <div className="runtime-settings-row">
+        <label>
+          <input type="checkbox" checked={settings.enabled} onChange={(e) => update({ enabled: e.target.checked })} />
+          Skip low-quality faces
+        </label>
+      </div>
+      <div className="runtime-settings-row">
+        <label htmlFor="quality-yaw" title="Head turned left or right">Max yaw (°): </label>
+        <input id="quality-yaw" type="number" min="0" max="90" step="5" value={settings.maxYaw} onChange={numberHandler('maxYaw')} disabled={!settings.enabled} />
+        <label htmlFor="quality-pitch" title="Head tilted up or down">Max pitch (°): </label>
+        <input id="quality-pitch" type="number" min="0" max="90" step="5" value={settings.maxPitch} onChange={numberHandler('maxPitch')} disabled={!settings.enabled} />
+        <label htmlFor="quality-roll" title="Head tilted sideways">Max roll (°): </label>
+        <input id="quality-roll" type="number" min="0" max="90" step="5" value={settings.maxRoll} onChange={numberHandler('maxRoll')} disabled={!settings.enabled} />
+      </div>
+      <div className="runtime-settings-row">
+        <label htmlFor="quality-size" title="Larger side of the face box">Min face size (px): </label>
+        <input id="quality-size" type="number" min="0" step="10" value={settings.minFaceSize} onChange={numberHandler('minFaceSize')} disabled={!settings.enabled} />
+        <label htmlFor="quality-cutoff" title="Share of the face outside the frame">Max cut off (%): </label>
+        <input id="quality-cutoff" type="number" min="0" max="100" step="5" value={Math.round(settings.maxCutOff * 100)} onChange={percentHandler('maxCutOff')} disabled={!settings.enabled} />
+      </div>
+      <div className="runtime-settings-row">
+        <label title="Brightness and contrast of the face crop (camera only)">
+          <input type="checkbox" checked={settings.checkExposure} onChange={(e) => update({ checkExposure: e.target.checked })} disabled={!settings.enabled} />
+          Check exposure
+        </label>
+        <label htmlFor="quality-brightness-min">Brightness: </label>
+        <input id="quality-brightness-min" type="number" min="0" max="255" step="5" value={settings.minBrightness} onChange={numberHandler('minBrightness')} disabled={!settings.enabled || !settings.checkExposure} />
+        <label htmlFor="quality-brightness-max">to </label>
+        <input id="quality-brightness-max" type="number" min="0" max="255" step="5" value={settings.maxBrightness} onChange={numberHandler('maxBrightness')} disabled={!settings.enabled || !settings.checkExposure} />
+        <label htmlFor="quality-contrast">Min contrast: </label>
+        <input id="quality-contrast" type="number" min="0" max="128" step="5" value={settings.minContrast} onChange={numberHandler('minContrast')} disabled={!settings.enabled || !settings.checkExposure} />
+      </div>
+    </details>
+  );
+};
+
+export default QualityControls;
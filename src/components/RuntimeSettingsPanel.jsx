@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { loadRuntimeSettings, saveRuntimeSettings, EXECUTION_PROVIDER_PRESETS } from '../config/runtimeSettings';
+import { getBenchmarkConfigurations, runProviderBenchmark } from '../services/emotionOnnxService';
+
+const MODEL_DEFAULT = 'model';
+const formatMs = (value) => `${value.toFixed(1)} ms`;
+
+/**
+ * User-level ONNX Runtime settings (execution provider order, wasm threads, proxy mode), the provider
+ * the loaded model actually runs on, and a latency benchmark of the current model per configuration.
+ */
+const RuntimeSettingsPanel = ({ runtimeInfo, modelProcessingOptions, onApply }) => {
+  const [settings, setSettings] = useState(loadRuntimeSettings);
+  const [isApplying, setIsApplying] = useState(false);
+  const [benchmarkResults, setBenchmarkResults] = useState(null);
+  const [benchmarkStatus, setBenchmarkStatus] = useState(null);
+  const [isBenchmarking, setIsBenchmarking] = useState(false);
+
+  const cores = navigator.hardwareConcurrency || 1;
+  const isolated = self.crossOriginIsolated === true;
+  const threadOptions = [...new Set([1, 2, 4, 8, cores])].filter(n => n <= cores).sort((a, b) => a - b);
+
+  const handleApply = async () => {
+    setIsApplying(true);
+    try {
+      saveRuntimeSettings(settings);
+      await onApply();
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  const handleBenchmark = async () => {
+    setIsBenchmarking(true);
+    setBenchmarkResults(null);
+    try {
+      const results = await runProviderBenchmark(getBenchmarkConfigurations(), {
+        onProgress: (done, total) => setBenchmarkStatus(`Benchmarking ${done}/${total}...`)
+      });
+      setBenchmarkResults(results);
+      setBenchmarkStatus(null);
+    } catch (error) {
+      console.error('[RuntimeSettings] benchmark failed:', error);
+      setBenchmarkStatus(`Benchmark failed: ${error.message}`);
+    } finally {
+      setIsBenchmarking(false);
+    }
+  };
+
+  const modelProviders = modelProcessingOptions?.executionProviders?.join(' → ') || 'wasm';
+
+  return (
+    <details className="runtime-settings-panel">
+      <summary>
+        Runtime: {runtimeInfo
+          ? `${runtimeInfo.executionProvider} (${runtimeInfo.thread === 'worker' ? 'worker' : 'main thread'}${runtimeInfo.numThreads ? `, ${runtimeInfo.numThreads} threads` : ''}${runtimeInfo.proxy ? ', proxy' : ''})`
+          : 'no model loaded'}
+      </summary>
+      {runtimeInfo?.providerAttempts.length > 0 && (
+        <ul className="model-validation-warnings">
+          {runtimeInfo.providerAttempts.map(attempt => <li key={attempt.provider}>⚠ {attempt.provider} skipped: {attempt.error}</li>)}
+        </ul>
+      )}
+      <div className="runtime-settings-row">
+        <label htmlFor="runtime-providers">Execution providers: </label>
+        <select
+          id="runtime-providers"
+          value={settings.executionProviders ? settings.executionProviders.join(',') : MODEL_DEFAULT}
+          onChange={(e) => setSettings(prev => ({
+            ...prev,
+            executionProviders: e.target.value === MODEL_DEFAULT ? null : e.target.value.split(',')
+          }))}
+        >
+          <option value={MODEL_DEFAULT}>Model default ({modelProviders})</option>
+          {EXECUTION_PROVIDER_PRESETS.map(preset => (
+            <option key={preset.join(',')} value={preset.join(',')}>{preset.join(' → ')}</option>
+          ))}
+        </select>
+        <label htmlFor="runtime-threads">Threads: </label>
+        <select
+          id="runtime-threads"
+          value={settings.numThreads === null ? MODEL_DEFAULT : String(settings.numThreads)}
+          onChange={(e) => setSettings(prev => ({
+            ...prev,
+            numThreads: e.target.value === MODEL_DEFAULT ? null : Number(e.target.value)
+          }))}
+        >
+          <option value={MODEL_DEFAULT}>Model default</option>
+          <option value="0">Auto</option>
+          {threadOptions.map(n => <option key={n} value={n} disabled={n > 1 && !isolated}>{n}</option>)}
+        </select>
+        <label title="Run ONNX Runtime on the main thread through its own proxy worker instead of the app's inference worker">
+          <input
+            type="checkbox"
+            checked={settings.proxy === true}
+            onChange={(e) => setSettings(prev => ({ ...prev, proxy: e.target.checked ? true : null }))}
+          />
+          Proxy worker
+        </label>
+        <button className="toggle-button active" onClick={handleApply} disabled={isApplying}>Apply & reload model</button>
+      </div>
+      {!isolated && <p className="runtime-settings-note">The page is not cross-origin isolated, wasm runs single-threaded.</p>}
+      <div className="runtime-settings-row">
+        <button className="toggle-button" onClick={handleBenchmark} disabled={isBenchmarking || !runtimeInfo}>
+          ⏱ Benchmark this model
+        </button>
+        {benchmarkStatus && <span>{benchmarkStatus}</span>}
+      </div>
+      {benchmarkResults && (
+        <table className="runtime-benchmark-table">
+          <thead>
+            <tr><th>Provider</th><th>Threads</th><th>Load</th><th>Mean</th><th>Median</th><th>p95</th></tr>
+          </thead>
+          <tbody>
+            {benchmarkResults.map(result => (
+              <tr key={`${result.provider}-${result.numThreads}`} className={result.ok ? '' : 'failed'}>
+                <td>{result.provider}</td>
+                <td>{result.numThreads || 'auto'}</td>
+                {result.ok ? (
+                  <>
+                    <td>{formatMs(result.initMs)}</td>
+                    <td>{formatMs(result.meanMs)}</td>
+                    <td>{formatMs(result.medianMs)}</td>
+                    <td>{formatMs(result.p95Ms)}</td>
+                  </>
+                ) : (
+                  <td colSpan={4}>{result.error}</td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </details>
+  );
+};
+
+export default RuntimeSettingsPanel;
@@ -0,0 +1,50 @@
+import React, { useEffect, useState } from 'react';
+import { downloadTextFile } from '../services/csvExport';
+
+/**
+ * Start/stop/download controls for a SessionRecorder
+ */
+const SessionRecorderControls = ({ recorder, getSessionHeader }) => {
+  const [isRecording, setIsRecording] = useState(recorder.isRecording);
+  const [entryCount, setEntryCount] = useState(recorder.entries.length);
+
+  // Follow the recorder state
+  useEffect(() => {
+    return recorder.subscribe(r => {
+      setIsRecording(r.isRecording);
+      setEntryCount(r.entries.length);
+    });
+  }, [recorder]);
+
+  const handleToggle = () => {
+    if (recorder.isRecording) recorder.stop();
+    else recorder.start(getSessionHeader());
+  };
+
+  const baseFilename = () => `session_${recorder.header?.modelId || 'model'}_${(recorder.header?.startedAt || '').replace(/[:.]/g, '-')}`;
+
+  return (
+    <div className="session-recorder">
+      <button onClick={handleToggle} className={`toggle-button ${isRecording ? 'inactive' : 'active'}`}>
+        {isRecording ? '⏹ Stop recording' : '⏺ Record session'}
+      </button>
+      <span className="session-recorder-count">{entryCount} inferences</span>
+      <button
+        className="toggle-button"
+        disabled={entryCount === 0}
+        onClick={() => downloadTextFile(`${baseFilename()}.csv`, recorder.toCsv(), 'text/csv')}
+      >
+        CSV
+      </button>
+      <button
+        className="toggle-button"
+        disabled={entryCount === 0}
+        onClick={() => downloadTextFile(`${baseFilename()}.json`, recorder.toJson(), 'application/json')}
+      >
+        JSON
+      </button>
+    </div>
+  );
+};
+
+export default SessionRecorderControls;
@@ -0,0 +1,58 @@
+import React from 'react';
+
+const METHOD_LABELS = {
+  none: 'Off',
+  ema: 'Exponential moving average',
+  mean: 'Windowed mean',
+  median: 'Windowed median'
+};
+
+/**
+ * Settings of the temporal smoothing between the model and the display (see core/temporalSmoothing.js):
+ * smoothing method with its alpha or window size, and hysteresis margin and minimum duration.
+ */
+const SmoothingControls = ({ settings, onChange }) => {
+  const update = (changes) => onChange({ ...settings, ...changes });
+  const numberHandler = (key) => (e) => {
+    const value = parseFloat(e.target.value);
+    if (Number.isFinite(value) && value >= 0) update({ [key]: value });
+  };
+
+  return (
+    <details className="smoothing-panel">
+      <summary>
+        Smoothing: {METHOD_LABELS[settings.method]}{settings.hysteresis ? ' + hysteresis' : ''}
+      </summary>
+      <div className="runtime-settings-row">
+        <label htmlFor="smoothing-method">Method: </label>
+        <select id="smoothing-method" value={settings.method} onChange={(e) => update({ method: e.target.value })}>
+          {Object.entries(METHOD_LABELS).map(([method, label]) => <option key={method} value={method}>{label}</option>)}
+        </select>
+        {settings.method === 'ema' && (
+          <>
+            <label htmlFor="smoothing-alpha" title="Weight of the newest prediction">Alpha: </label>
+            <input id="smoothing-alpha" type="number" min="0.01" max="1" step="0.05" value={settings.alpha} onChange={numberHandler('alpha')} />
+          </>
+        )}
+        {(settings.method === 'mean' || settings.method === 'median') && (
+          <>
+            <label htmlFor="smoothing-window" title="Number of predictions">Window: </label>
+            <input id="smoothing-window" type="number" min="1" max="30" step="1" value={settings.windowSize} onChange={numberHandler('windowSize')} />
+          </>
+        )}
+      </div>
+      <div className="runtime-settings-row">
+        <label title="Switch the reported emotion only when another one leads by the margin for the minimum duration">
+          <input type="checkbox" checked={settings.hysteresis} onChange={(e) => update({ hysteresis: e.target.checked })} />
+          Hysteresis
+        </label>
+        <label htmlFor="smoothing-margin">Margin: </label>
+        <input id="smoothing-margin" type="number" min="0" max="1" step="0.05" value={settings.margin} onChange={numberHandler('margin')} disabled={!settings.hysteresis} />
+        <label htmlFor="smoothing-duration">Min duration (ms): </label>
+        <input id="smoothing-duration" type="number" min="0" step="100" value={settings.minDurationMs} onChange={numberHandler('minDurationMs')} disabled={!settings.hysteresis} />
+      </div>
+    </details>
+  );
+};
+
+export default SmoothingControls;
@@ -0,0 +1,254 @@
+import React, { useRef, useState, useEffect } from 'react';
+import { analyzeVideo, seekVideo } from '../services/videoFrameAnalyzer';
+import { computePaddedFaceBox, drawFaceOverlay, getEmotionColor } from '../services/faceOverlayRenderer';
+import { initializeOnnxModel, getCurrentModelInfo, getModelLoadError } from '../services/emotionOnnxService';
+import { FACE_TRACKING_SETTINGS } from '../config/config';
+import '../styles/EmotionMonitor.css';
+import '../styles/VideoAnalysisView.css';
+
+// Same relative padding as the live view's FaceCloseUpStage
+const FACE_BOX_PADDING = 0.2;
+const SAMPLE_RATE_OPTIONS = [0.5, 1, 2, 5, 10, 15, 30];
+
+/**
+ * Offline analysis of a local video file: samples frames at a chosen rate,
+ * runs FaceMesh + the active ONNX model on each and shows an emotion timeline
+ * with a scrubber that redraws the overlay of any analyzed frame.
+ */
+const VideoAnalysisView = () => {
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const abortRef = useRef(null);
+  const [videoUrl, setVideoUrl] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [sampleRate, setSampleRate] = useState(2);
+  const [maxNumFaces, setMaxNumFaces] = useState(FACE_TRACKING_SETTINGS.DEFAULT_MAX_NUM_FACES);
+  const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [progress, setProgress] = useState({ processed: 0, total: 0 });
+  const [timeline, setTimeline] = useState([]);
+  const [selectedIndex, setSelectedIndex] = useState(0);
+  const [status, setStatus] = useState('Choose a video file to analyze');
+  const [errorMessage, setErrorMessage] = useState(null);
+
+  // Release the object URL when the file changes or the view unmounts
+  useEffect(() => {
+    return () => {
+      if (videoUrl) URL.revokeObjectURL(videoUrl);
+    };
+  }, [videoUrl]);
+
+  // Stop a running analysis when leaving the view
+  useEffect(() => {
+    return () => abortRef.current?.abort();
+  }, []);
+
+  const handleFileChange = (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    abortRef.current?.abort();
+    setVideoUrl(URL.createObjectURL(file));
+    setFileName(file.name);
+    setTimeline([]);
+    setSelectedIndex(0);
+    setProgress({ processed: 0, total: 0 });
+    setErrorMessage(null);
+    setStatus(`Loaded ${file.name}`);
+  };
+
+  const handleAnalyze = async () => {
+    if (!videoRef.current || !videoUrl) return;
+    setErrorMessage(null);
+    if (!getCurrentModelInfo()) {
+      setStatus('Loading ONNX model...');
+      const ok = await initializeOnnxModel();
+      if (!ok) {
+        setErrorMessage(`Failed to initialize ONNX model: ${getModelLoadError()?.message || 'unknown error'}`);
+        setStatus('Analysis not started');
+        return;
+      }
+    }
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setIsAnalyzing(true);
+    setTimeline([]);
+    setSelectedIndex(0);
+    setStatus(`Analyzing with ${getCurrentModelInfo().name}...`);
+    try {
+      const result = await analyzeVideo(videoRef.current, {
+        sampleRate,
+        maxNumFaces,
+        signal: controller.signal,
+        onProgress: ({ processed, total, entry }) => {
+          setProgress({ processed, total });
+          setTimeline(prev => [...prev, entry]);
+        }
+      });
+      setTimeline(result);
+      setStatus(controller.signal.aborted
+        ? `Analysis cancelled after ${result.length} frames`
+        : `Analyzed ${result.length} frames`);
+    } catch (error) {
+      console.error('[VideoAnalysis] error:', error);
+      setErrorMessage(error.message);
+      setStatus('Analysis failed');
+    } finally {
+      setIsAnalyzing(false);
+      abortRef.current = null;
+    }
+  };
+
+  const handleCancel = () => abortRef.current?.abort();
+
+  const selectedEntry = timeline[selectedIndex] || null;
+
+  // Show the selected frame with its overlays
+  useEffect(() => {
+    if (isAnalyzing || !selectedEntry || !videoRef.current || !canvasRef.current) return;
+    let cancelled = false;
+    const video = videoRef.current;
+    const canvas = canvasRef.current;
+    const drawEntry = async () => {
+      try {
+        await seekVideo(video, selectedEntry.time);
+      } catch (error) {
+        console.error('[VideoAnalysis] seek error:', error);
+        return;
+      }
+      if (cancelled) return;
+      canvas.width = video.videoWidth;
+      canvas.height = video.videoHeight;
+      const ctx = canvas.getContext('2d');
+      ctx.save();
+      ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+      selectedEntry.faces.forEach(face => {
+        const box = computePaddedFaceBox(face.landmarks, canvas.width, canvas.height, FACE_BOX_PADDING);
+        drawFaceOverlay(ctx, box, face.emotion, face.score, selectedEntry.faces.length > 1 ? `#${face.id}` : null, face.abstained ? face.candidateEmotion : null);
+      });
+      ctx.restore();
+    };
+    drawEntry();
+    return () => { cancelled = true; };
+  }, [selectedEntry, isAnalyzing]);
+
+  return (
+    <div className="emotion-monitor video-analysis">
+      <div className="status-bar">
+        <div className="status-header">
+          <div className="model-loader">
+            <label htmlFor="video-file-input">Video: </label>
+            <input id="video-file-input" type="file" accept="video/*" onChange={handleFileChange} disabled={isAnalyzing} />
+            <label htmlFor="sample-rate-select">Sample rate: </label>
+            <select
+              id="sample-rate-select"
+              value={sampleRate}
+              onChange={e => setSampleRate(Number(e.target.value))}
+              disabled={isAnalyzing}
+            >
+              {SAMPLE_RATE_OPTIONS.map(rate => (
+                <option key={rate} value={rate}>{rate} fps</option>
+              ))}
+            </select>
+            <label htmlFor="video-face-count-select">Faces: </label>
+            <select
+              id="video-face-count-select"
+              className="face-count-select"
+              value={maxNumFaces}
+              onChange={e => setMaxNumFaces(Number(e.target.value))}
+              disabled={isAnalyzing}
+            >
+              {Array.from({ length: FACE_TRACKING_SETTINGS.MAX_NUM_FACES_LIMIT }, (_, i) => i + 1).map(n => (
+                <option key={n} value={n}>{n}</option>
+              ))}
+            </select>
+          </div>
+          <div className="status-text">
+            <span>Status: {status}</span>
+            {fileName && <span>File: {fileName}</span>}
+            {progress.total > 0 && <span>Progress: {progress.processed}/{progress.total} frames</span>}
+            {errorMessage && <span className="error-message">Error: {errorMessage}</span>}
+          </div>
+          <div className="button-group">
+            {isAnalyzing ? (
+              <button onClick={handleCancel} className="toggle-button inactive">Cancel</button>
+            ) : (
+              <button onClick={handleAnalyze} className="toggle-button active" disabled={!videoUrl}>Analyze video</button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="main-content">
+        <div className="video-area">
+          <div className="video-container">
+            <video ref={videoRef} className="webcam analysis-video" src={videoUrl || undefined} muted playsInline preload="auto" />
+            <canvas ref={canvasRef} className="overlay" style={{ objectFit: 'contain' }} />
+          </div>
+          {timeline.length > 0 && (
+            <div className="emotion-timeline">
+              <div className="emotion-timeline-strip">
+                {timeline.map((entry, index) => {
+                  const primary = entry.faces[0];
+                  return (
+                    <div
+                      key={index}
+                      className={`emotion-timeline-cell ${index === selectedIndex ? 'selected' : ''}`}
+                      style={{ background: primary && primary.emotion ? getEmotionColor(primary.emotion) : '#e2e8f0' }}
+                      title={`${entry.time.toFixed(2)}s: ${primary ? primary.emotion || 'warming up' : 'no face'}`}
+                      onClick={() => !isAnalyzing && setSelectedIndex(index)}
+                    />
+                  );
+                })}
+              </div>
+              <input
+                type="range"
+                className="emotion-timeline-scrubber"
+                min={0}
+                max={timeline.length - 1}
+                value={Math.min(selectedIndex, timeline.length - 1)}
+                onChange={e => setSelectedIndex(Number(e.target.value))}
+                disabled={isAnalyzing}
+              />
+              <div className="emotion-timeline-time">
+                {selectedEntry ? `${selectedEntry.time.toFixed(2)}s` : ''} / {timeline[timeline.length - 1].time.toFixed(2)}s
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="probabilities-sidebar">
+          {selectedEntry && selectedEntry.faces.length === 0 && (
+            <div className="probabilities-section">
+              <div className="probabilities-title">No face at {selectedEntry.time.toFixed(2)}s</div>
+            </div>
+          )}
+          {selectedEntry && selectedEntry.faces.map(face => (
+            <div key={face.id} className="probabilities-section" data-face-id={face.id}>
+              <div className="probabilities-header">
+                <div className="probabilities-title">
+                  🎭 {selectedEntry.faces.length > 1 ? `Face #${face.id} ` : ''}{face.emotion || (face.dimensions ? 'Dimensions' : 'Warming up')}
+                </div>
+              </div>
+              <div className="probabilities-list">
+                {[...face.probabilities].sort((a, b) => b.probability - a.probability).map(({ label, probability }) => (
+                  <div key={label} className="probability-item" data-emotion={label}>
+                    <span className="probability-label">{label}</span>
+                    <span className="probability-value">{(probability * 100).toFixed(1)}%</span>
+                  </div>
+                ))}
+                {Object.entries(face.dimensions || {}).map(([name, value]) => (
+                  <div key={name} className="probability-item">
+                    <span className="probability-label">{name}</span>
+                    <span className="probability-value">{Number.isFinite(value) ? value.toFixed(3) : '–'}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VideoAnalysisView;
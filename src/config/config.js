@@ -19,3 +19,12 @@ export const LANDMARK_SETTINGS = {
   LEFT_EYE_INNER_CORNER_INDEX: 133, // MediaPipe landmark index
   RIGHT_EYE_INNER_CORNER_INDEX: 362, // MediaPipe landmark index
 };
+
+// Multi-face tracking settings
+export const FACE_TRACKING_SETTINGS = {
+  DEFAULT_MAX_NUM_FACES: 1,  // FaceMesh maxNumFaces on startup
+  MAX_NUM_FACES_LIMIT: 6,    // Upper bound offered in the face count picker
+  IOU_MATCH_THRESHOLD: 0.3,  // Minimum bounding-box IoU to keep a face ID
+  MAX_CENTROID_DISTANCE: 0.15, // Fallback match radius, in normalized image units
+  MAX_MISSED_FRAMES: 15,     // Frames a face may disappear before its ID is released
+};
@@ -1,64 +1,197 @@
 // src/config/modelConfig.js
-const MODEL_CONFIGS = {
-  "ferplus_transformer_small_v1": {
-    id: "ferplus_transformer_small_v1",
-    name: "Emotion Transformer Small v1 (FER+ 8 Classes)",
-    filename: "emotion_transformer_smallV1.onnx", // Updated to match public/models filename
-    processingOptions: {
-      executionProviders: ['wasm'],
-      graphOptimizationLevel: 'all'
-    },
-    inputFormat: {
-      sequenceLength: 1, // Model processes one frame (set of landmarks) at a time
-      numLandmarks: 478, // MediaPipe FaceMesh outputs 478 landmarks
-      numCoords: 3,      // x, y, z coordinates
-      tensorShape: [1, 478, 3], // Expected input tensor shape [batch_size, num_landmarks, num_coords]
-      requiresNormalization: true, // This model expects specific normalization
-    },
-    normalizationType: 'ferplus', // Specify that this model uses FER+ style normalization
-    outputFormat: {
-      outputType: 'classification',
-      numClasses: 8,
-      classLabels: { // FER+ 8 emotion classes
-        0: 'Neutral', 1: 'Happiness', 2: 'Surprise', 3: 'Sadness',
-        4: 'Anger', 5: 'Disgust', 6: 'Fear', 7: 'Contempt'
-      },
-      outputNames: { logits: 'logits', embedding: 'embedding' }, // Model outputs both
-      applySoftmax: true // The Python script model outputs logits, so apply softmax in client
+// Model registry, loaded at startup from models/manifest.json (public/models/manifest.json) so that
+// models can be added or reconfigured without rebuilding the app.
+//
+// Each manifest entry looks like:
+// {
+//   id, name, filename,
+//   version: "1",        // Bump when the file changes so cached copies are replaced (see services/modelCache.js)
+//   sha256?: "...",      // Optional: downloaded bytes must match this hash
+//   processingOptions: {
+//     executionProviders: ['wasm'], // Tried in order until one initializes, e.g. ['webgpu', 'webgl', 'wasm']
+//     graphOptimizationLevel: 'all',
+//     numThreads: 0,                // Optional: wasm threads, 0 = ONNX Runtime default (needs cross-origin isolation for > 1)
+//     proxy: false                  // Optional: run on the main thread through the ONNX Runtime proxy worker
+//   },
+//   (config/runtimeSettings.js lets the user override these per browser)
+//   inputFormat: {
+//     sequenceLength: 1,        // Frames (sets of landmarks) per inference
+//     sequenceStride: 1,        // Keep every Nth camera frame in the temporal window (only used when sequenceLength > 1)
+//     numLandmarks: 478,        // MediaPipe FaceMesh outputs 478 landmarks
+//     numCoords: 3,             // x, y, z coordinates
+//     tensorShape: [1, 478, 3], // [batch_size, num_landmarks, num_coords]
+//                               // Sequence models use [batch_size, sequence_length, num_landmarks, num_coords]
+//     requiresNormalization: true,
+//     inputName: 'pixel_values' // Optional: session input to feed, needed when the model has several inputs
+//   },
+//   normalizationType: 'ferplus', // FER+ style normalization, 'frontalize' (see below), or 'none'
+//   outputFormat: {
+//     outputType: 'classification', numClasses: 8,
+//     classLabels: { 0: 'Neutral', ... },
+//     outputNames: { logits: 'logits', embedding: 'embedding' }, // Checked against the session when it loads
+//     applySoftmax: true        // The model outputs logits, so apply softmax in client
+//   }
+// }
+// Regression models (e.g. engagement) output a single score that is mapped to bands:
+//   outputFormat: {
+//     outputType: 'regression', numClasses: 5, // Number of bands
+//     classLabels: { 0: 'SNP', 1: 'Not Engaged', ... }, // Band labels, lowest band first
+//     bandThresholds: [0.175, 0.4, 0.6, 0.825], // Band i starts at bandThresholds[i - 1]
+//     scoreRange: [0, 1],
+//     outputNames: { score: 'score' }
+//   }
+// Multi-head models route named outputs to named heads; an optional 'classification' head works as above
+// (labels, abstention, ignored emotions) and the others are scalar dimensions such as valence/arousal:
+//   outputFormat: {
+//     outputType: 'multihead', numClasses: 8, classLabels: { ... },
+//     heads: {
+//       classification: { output: 'logits' },
+//       valence: { output: 'va', index: 0, range: [-1, 1] }, // Element `index` of output `va`
+//       arousal: { output: 'va', index: 1, range: [-1, 1] }
+//     }
+//   }
+// Pose-normalized models align each frame to a canonical neutral face mesh (see core/frontalization.js):
+//   normalizationType: 'frontalize',
+//   frontalization: {
+//     method: 'umeyama',        // 'umeyama' | 'procrustes' | 'roll' (in-plane rotation only, no reference)
+//     referenceLandmarks: 'canonical_face.json', // One frame of [x, y, z] points, next to the model
+//     anchorLandmarks: [1, 6, 33, 133, 263, 362] // Optional: rigid landmarks the rotation is fitted on
+//   }
+// Entries are validated by core/modelManifest.js; invalid entries and entries whose file is missing
+// are kept aside with their errors so the model picker can show them.
+// Models uploaded in the app are added with registerUploadedModel and carry `source: 'upload'`.
+//
+// Ensemble entries run several of the models above on the same landmarks and fuse their probabilities:
+// {
+//   id, name, type: 'ensemble',
+//   fusion: 'mean',             // 'mean' | 'weighted' | 'geometric' | 'majority'
+//   members: [{ modelId: 'ferplus_transformer_small_v1', weight: 1 }, ...],
+//   classLabels?: { 0: 'Neutral', ... } // Output order; members are aligned to it by label name
+// }
+// They are registered with the input format and processing options of their first member
+// (see resolveEnsembleConfig in core/modelManifest.js).
+import { parseModelManifest, resolveEnsembleConfig } from '../core/modelManifest.js';
+
+const MANIFEST_FILENAME = 'manifest.json';
+
+let MODEL_CONFIGS = {}; // id -> valid, available model config
+let uploadedModels = {}; // id -> config of a model uploaded this session, kept across manifest reloads
+let invalidModels = []; // [{ id, name, filename, errors }]
+let manifestErrors = []; // Problems with the manifest as a whole
+let currentActiveModelId = null;
+let manifestPromise = null;
+
+/**
+ * Replace the registry with the models of a parsed manifest.json.
+ * Used by loadModelManifest in the browser and directly by the Node scripts.
+ * @param {object} data parsed manifest
+ * @returns {{models: Array<object>, invalidModels: Array<object>, errors: Array<string>}}
+ */
+export const registerModelManifest = (data) => {
+  const manifest = parseModelManifest(data);
+  MODEL_CONFIGS = {};
+  invalidModels = [];
+  manifestErrors = manifest.errors;
+  const addEntry = (config, errors) => {
+    if (errors.length === 0) {
+      MODEL_CONFIGS[config.id] = config;
+    } else {
+      console.error(`Invalid model entry '${config.id}' in ${MANIFEST_FILENAME}:`, errors);
+      invalidModels.push({ id: config.id, name: config.name || config.id, filename: config.filename, errors });
     }
-  },
-  "ferplus_transformer_small_v2": {
-    id: "ferplus_transformer_small_v2",
-    name: "Emotion Transformer Small v2 (FER+ 8 Classes)",
-    filename: "emotion_transformer_smallV2.onnx",
-    processingOptions: {
-      executionProviders: ['wasm'],
-      graphOptimizationLevel: 'all'
-    },
-    inputFormat: {
-      sequenceLength: 1,
-      numLandmarks: 478,
-      numCoords: 3,
-      tensorShape: [1, 478, 3],
-      requiresNormalization: true
-    },
-    normalizationType: 'ferplus',
-    outputFormat: {
-      outputType: 'classification',
-      numClasses: 8,
-      classLabels: {
-        0: 'Neutral', 1: 'Happiness', 2: 'Surprise', 3: 'Sadness',
-        4: 'Anger', 5: 'Disgust', 6: 'Fear', 7: 'Contempt'
-      },
-      outputNames: { logits: 'logits', embedding: 'embedding' },
-      applySoftmax: true
+  };
+  // Ensembles last, so their members are known
+  manifest.models.filter(({ config }) => config.type !== 'ensemble').forEach(({ config, errors }) => addEntry(config, errors));
+  manifest.models.filter(({ config }) => config.type === 'ensemble').forEach(({ config, errors }) => {
+    if (errors.length > 0) {
+      addEntry(config, errors);
+      return;
     }
-  },
-  // Add other model configurations here if needed
+    const resolved = resolveEnsembleConfig(config, modelId => MODEL_CONFIGS[modelId]);
+    addEntry(resolved.config, resolved.errors);
+  });
+  Object.values(uploadedModels).forEach(config => {
+    if (!MODEL_CONFIGS[config.id]) MODEL_CONFIGS[config.id] = config;
+  });
+  // Default to the manifest's default model, or the first valid one
+  currentActiveModelId = MODEL_CONFIGS[manifest.defaultModelId] ? manifest.defaultModelId : Object.keys(MODEL_CONFIGS)[0] || null;
+  if (manifestErrors.length > 0) console.error(`${MANIFEST_FILENAME} errors:`, manifestErrors);
+  return { models: Object.values(MODEL_CONFIGS), invalidModels, errors: manifestErrors };
+};
+
+// Move a registered model to the invalid list (e.g. its file is missing)
+const markModelInvalid = (modelId, error) => {
+  const config = MODEL_CONFIGS[modelId];
+  if (!config) return;
+  delete MODEL_CONFIGS[modelId];
+  invalidModels.push({ id: config.id, name: config.name, filename: config.filename, errors: [error] });
+  if (currentActiveModelId === modelId) currentActiveModelId = Object.keys(MODEL_CONFIGS)[0] || null;
+  // Ensembles cannot run without all their members
+  Object.values(MODEL_CONFIGS)
+    .filter(other => other.type === 'ensemble' && other.members.some(member => member.modelId === modelId))
+    .forEach(ensemble => markModelInvalid(ensemble.id, `Member '${modelId}' is unavailable`));
+};
+
+/**
+ * Fetch, validate and register models/manifest.json, then check that every model file is served.
+ * Runs once; later calls return the same promise.
+ * @returns {Promise<{models: Array<object>, invalidModels: Array<object>, errors: Array<string>}>}
+ */
+export const loadModelManifest = () => {
+  if (!manifestPromise) {
+    manifestPromise = (async () => {
+      const [manifestUrl] = getModelPaths(MANIFEST_FILENAME);
+      try {
+        const response = await fetch(manifestUrl, { cache: 'no-cache' });
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        registerModelManifest(await response.json());
+      } catch (error) {
+        console.error(`Failed to load model manifest from ${manifestUrl}:`, error);
+        MODEL_CONFIGS = { ...uploadedModels };
+        invalidModels = [];
+        currentActiveModelId = Object.keys(MODEL_CONFIGS)[0] || null;
+        manifestErrors = [`Could not load ${MANIFEST_FILENAME}: ${error.message}`];
+      }
+
+      // A 404 means the entry points at a file that was never deployed; network errors (offline) are not conclusive
+      await Promise.all(Object.values(MODEL_CONFIGS).filter(config => config.source !== 'upload' && config.type !== 'ensemble').map(async config => {
+        try {
+          const response = await fetch(getModelPaths(config.filename)[0], { method: 'HEAD' });
+          if (response.status === 404) markModelInvalid(config.id, `Model file models/${config.filename} not found`);
+        } catch {
+          // Keep the entry; loading it will report the actual problem
+        }
+      }));
+      return getModelManifestStatus();
+    })();
+  }
+  return manifestPromise;
+};
+
+/**
+ * Add a model supplied by the user (its bytes are held by the caller, not served from models/).
+ * @param {object} config validated model config; stored with source 'upload'
+ * @returns {object} the registered config
+ * @throws {Error} when the id belongs to a manifest model
+ */
+export const registerUploadedModel = (config) => {
+  const existing = MODEL_CONFIGS[config.id];
+  if (existing && existing.source !== 'upload') {
+    throw new Error(`Model id '${config.id}' is already used by ${MANIFEST_FILENAME}`);
+  }
+  const uploaded = { ...config, source: 'upload' };
+  uploadedModels[uploaded.id] = uploaded;
+  MODEL_CONFIGS[uploaded.id] = uploaded;
+  if (!currentActiveModelId) currentActiveModelId = uploaded.id;
+  return uploaded;
 };
 
-// Default to the latest FERPlus small model version
-let currentActiveModelId = "ferplus_transformer_small_v2";
+/** @returns {{models: Array<object>, invalidModels: Array<object>, errors: Array<string>}} */
+export const getModelManifestStatus = () => ({
+  models: Object.values(MODEL_CONFIGS),
+  invalidModels,
+  errors: manifestErrors
+});
 
 export const getActiveModelConfig = () => {
   return MODEL_CONFIGS[currentActiveModelId];
@@ -86,6 +219,7 @@ export const getModelPaths = (filename) => {
   // Define potential paths for Vite to find the model in the public directory
   // These paths are relative to the domain root when served.
   return [
+    `${import.meta.env.BASE_URL}models/${filename}`, // public/models under the Vite base path
     `/models/${filename}`,         // Standard for Vite public assets
     `./models/${filename}`,        // Relative path
     // Add any other paths if your deployment structure is different
@@ -0,0 +1,42 @@
+// src/config/neutralBaselines.js
+// Saved per-user neutral baselines (see core/neutralCalibration.js), kept in localStorage by model id,
+// with whether the baseline is applied.
+
+const STORAGE_KEY = 'emotions-neutral-baselines';
+
+const readAll = () => {
+  try {
+    const stored = JSON.parse(globalThis.localStorage?.getItem(STORAGE_KEY) || 'null');
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch {
+    return {};
+  }
+};
+
+const writeAll = (baselines) => {
+  try {
+    globalThis.localStorage?.setItem(STORAGE_KEY, JSON.stringify(baselines));
+  } catch (error) {
+    console.warn('Could not store neutral baselines:', error);
+  }
+};
+
+/**
+ * @param {string} modelId
+ * @returns {{baseline: object, enabled: boolean}|null}
+ */
+export const loadNeutralBaseline = (modelId) => readAll()[modelId] || null;
+
+/**
+ * @param {object} baseline baseline built for baseline.modelId
+ * @param {boolean} enabled whether it is applied
+ */
+export const saveNeutralBaseline = (baseline, enabled) => {
+  writeAll({ ...readAll(), [baseline.modelId]: { baseline, enabled } });
+};
+
+/** @param {string} modelId */
+export const removeNeutralBaseline = (modelId) => {
+  const { [modelId]: removed, ...rest } = readAll();
+  if (removed) writeAll(rest);
+};
@@ -0,0 +1,42 @@
+// src/config/personalClassifiers.js
+// Saved personal classifiers (see core/personalClassifier.js), kept in localStorage by model id,
+// with how they are used ('off', 'alongside' or 'replace').
+
+const STORAGE_KEY = 'emotions-personal-classifiers';
+
+const readAll = () => {
+  try {
+    const stored = JSON.parse(globalThis.localStorage?.getItem(STORAGE_KEY) || 'null');
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch {
+    return {};
+  }
+};
+
+const writeAll = (classifiers) => {
+  try {
+    globalThis.localStorage?.setItem(STORAGE_KEY, JSON.stringify(classifiers));
+  } catch (error) {
+    console.warn('Could not store personal classifiers:', error);
+  }
+};
+
+/**
+ * @param {string} modelId
+ * @returns {{classifier: object, mode: string}|null}
+ */
+export const loadPersonalClassifier = (modelId) => readAll()[modelId] || null;
+
+/**
+ * @param {object} classifier classifier enrolled on classifier.modelId
+ * @param {string} mode how it is used
+ */
+export const savePersonalClassifier = (classifier, mode) => {
+  writeAll({ ...readAll(), [classifier.modelId]: { classifier, mode } });
+};
+
+/** @param {string} modelId */
+export const removePersonalClassifier = (modelId) => {
+  const { [modelId]: removed, ...rest } = readAll();
+  if (removed) writeAll(rest);
+};
@@ -0,0 +1,62 @@
+// src/config/runtimeSettings.js
+// User-level ONNX Runtime settings, kept in localStorage. A null field means "use the model's
+// processingOptions"; set fields override them for every model.
+//   executionProviders: order to try, e.g. ['webgpu', 'wasm']; falls through on initialization failure
+//   numThreads: wasm threads, 0 = ONNX Runtime default; above 1 needs a cross-origin isolated page
+//   proxy: run ONNX Runtime on the main thread with its own proxy worker instead of the app's inference worker
+
+const STORAGE_KEY = 'emotions-runtime-settings';
+
+export const DEFAULT_RUNTIME_SETTINGS = {
+  executionProviders: null,
+  numThreads: null,
+  proxy: null
+};
+
+// Provider orders offered in the settings panel
+export const EXECUTION_PROVIDER_PRESETS = [
+  ['webgpu', 'wasm'],
+  ['webgpu', 'webgl', 'wasm'],
+  ['webgl', 'wasm'],
+  ['wasm']
+];
+
+/** @returns {{executionProviders: Array<string>|null, numThreads: number|null, proxy: boolean|null}} */
+export const loadRuntimeSettings = () => {
+  try {
+    const stored = JSON.parse(globalThis.localStorage?.getItem(STORAGE_KEY) || 'null');
+    return { ...DEFAULT_RUNTIME_SETTINGS, ...(stored && typeof stored === 'object' ? stored : {}) };
+  } catch {
+    return { ...DEFAULT_RUNTIME_SETTINGS };
+  }
+};
+
+/**
+ * Store the user settings (missing fields reset to the model defaults).
+ * @param {{executionProviders?: Array<string>|null, numThreads?: number|null, proxy?: boolean|null}} settings
+ */
+export const saveRuntimeSettings = (settings) => {
+  const merged = { ...DEFAULT_RUNTIME_SETTINGS, ...settings };
+  try {
+    globalThis.localStorage?.setItem(STORAGE_KEY, JSON.stringify(merged));
+  } catch (error) {
+    console.warn('Could not store runtime settings:', error);
+  }
+  return merged;
+};
+
+/**
+ * Effective runtime options for a model: user settings over the model's processingOptions.
+ * @param {object} modelConfig
+ * @param {object} [settings] user settings, loaded from localStorage by default
+ * @returns {{executionProviders: Array<string>, graphOptimizationLevel: string|undefined, numThreads: number, proxy: boolean}}
+ */
+export const resolveProcessingOptions = (modelConfig, settings = loadRuntimeSettings()) => {
+  const modelOptions = modelConfig.processingOptions;
+  return {
+    executionProviders: settings.executionProviders?.length ? settings.executionProviders : modelOptions.executionProviders,
+    graphOptimizationLevel: modelOptions.graphOptimizationLevel,
+    numThreads: settings.numThreads ?? modelOptions.numThreads ?? 0,
+    proxy: settings.proxy ?? modelOptions.proxy ?? false
+  };
+};
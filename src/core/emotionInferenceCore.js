@@ -0,0 +1,209 @@
+// src/core/emotionInferenceCore.js
+// Session management and inference for landmark emotion models, independent of the browser.
+// The ONNX runtime (onnxruntime-web in the browser, its Node build in scripts) and the model bytes
+// are injected, so the web client, backend tools and tests share the exact same preprocessing.
+import { getModelDimensions, preprocessLandmarks } from './landmarkPreprocessing.js';
+import { interpretModelOutput } from './predictionPostprocessing.js';
+import { ModelValidationError, resolveSessionIO, validateSession } from './sessionValidation.js';
+import { applyLandmarkOffset } from './neutralCalibration.js';
+
+// Model input before the neutral baseline offset
+const buildUnadjustedInput = (landmarks, videoWidth, videoHeight, modelConfig, options, logger) => {
+  if (options.sequenceWindow) {
+    // Temporal window collected frame by frame, already normalized
+    const { SEQ_LEN, NUM_LANDMARKS, NUM_COORDS } = getModelDimensions(modelConfig);
+    const expectedLength = SEQ_LEN * NUM_LANDMARKS * NUM_COORDS;
+    if (options.sequenceWindow.length !== expectedLength) {
+      logger.error(`[${options.context || 'FULL'}] Sequence window length ${options.sequenceWindow.length} does not match model input (${expectedLength}).`);
+      return null;
+    }
+    return options.sequenceWindow;
+  }
+  return preprocessLandmarks(landmarks, videoWidth, videoHeight, modelConfig, {
+    skipNormalization: options.skipNormalization === true
+  });
+};
+
+/**
+ * Build the flat model input.
+ * @param {Array} landmarks single frame of {x,y,z} landmarks, or an array of frames
+ * @param {number} videoWidth Width used for normalization.
+ * @param {number} videoHeight Height used for normalization.
+ * @param {object} modelConfig model configuration
+ * @param {{skipNormalization?: boolean, sequenceWindow?: Float32Array, context?: string, inputOffset?: ArrayLike<number>}} [options]
+ *   inputOffset is added to every normalized frame (neutral baseline, see neutralCalibration.js); a sequenceWindow is offset in place
+ * @param {{error: Function}} [logger]
+ * @returns {Float32Array|null} null when a sequence window does not match the model input
+ */
+export const buildModelInput = (landmarks, videoWidth, videoHeight, modelConfig, options = {}, logger = console) => {
+  const input = buildUnadjustedInput(landmarks, videoWidth, videoHeight, modelConfig, options, logger);
+  return input && options.inputOffset ? applyLandmarkOffset(input, options.inputOffset) : input;
+};
+
+/**
+ * EmotionInferenceCore wraps one ONNX session and the config of the model it runs.
+ * - create() builds the session from model bytes with the given runtime and validates it against the config
+ * - predict() normalizes landmarks (or takes a ready sequence window), runs the model and post-processes logits
+ * - run() does the last two steps on a ready input (used by the inference worker)
+ */
+export class EmotionInferenceCore {
+  /**
+   * @param {object} ort ONNX runtime module (needs InferenceSession and Tensor)
+   * @param {object} session ort.InferenceSession
+   * @param {object} modelConfig model configuration (see config/modelConfig.js)
+   * @param {{log: Function, warn: Function, error: Function}} [logger] destination of diagnostic output
+   * @param {object|null} [validationReport] report of validateSession, when the session was validated
+   */
+  constructor(ort, session, modelConfig, logger = console, validationReport = null) {
+    this.ort = ort;
+    this.session = session;
+    this.modelConfig = modelConfig;
+    this.logger = logger;
+    this.validationReport = validationReport;
+    this.executionProvider = null; // Set by create()
+    this.providerAttempts = [];
+    // Session input/outputs the config maps to
+    const { inputName, logitsName, embeddingName } = validationReport || resolveSessionIO(session, modelConfig);
+    this.inputName = inputName || session.inputNames[0];
+    this.logitsName = logitsName || session.outputNames[0];
+    this.embeddingName = embeddingName || null;
+  }
+
+  /**
+   * Create a session from model bytes. The execution providers are tried one at a time, in order:
+   * a provider that fails to initialize, or whose warm-up run fails, falls through to the next one.
+   * The provider that ran is recorded in `executionProvider`, the failed ones in `providerAttempts`.
+   * @param {{ort: object, modelConfig: object, modelBytes: ArrayBuffer|Uint8Array, sessionOptions?: object, logger?: object}} params
+   *   sessionOptions default to the execution providers and graph optimization level of the model config
+   * @returns {Promise<EmotionInferenceCore>}
+   * @throws {ModelValidationError} when the session does not match the config (the session is released)
+   */
+  static async create({ ort, modelConfig, modelBytes, sessionOptions, logger = console }) {
+    if (!ort || !modelConfig || !modelBytes) {
+      throw new Error('EmotionInferenceCore.create needs an ONNX runtime, a model config and model bytes');
+    }
+    const { executionProviders = ['wasm'], ...options } = sessionOptions || {
+      executionProviders: modelConfig.processingOptions.executionProviders,
+      graphOptimizationLevel: modelConfig.processingOptions.graphOptimizationLevel
+    };
+    const bytes = modelBytes instanceof Uint8Array ? modelBytes : new Uint8Array(modelBytes);
+    const providerAttempts = []; // [{ provider, error }] of the providers that were skipped
+
+    for (let i = 0; i < executionProviders.length; i++) {
+      const provider = executionProviders[i];
+      const hasFallback = i < executionProviders.length - 1;
+      let session;
+      try {
+        session = await ort.InferenceSession.create(bytes, { ...options, executionProviders: [provider] });
+      } catch (error) {
+        logger.warn(`[${modelConfig.id}] Execution provider '${provider}' failed to initialize: ${error.message}`);
+        providerAttempts.push({ provider, error: error.message });
+        continue;
+      }
+      logger.log("ONNX Session Input Names:", session.inputNames);
+      logger.log("ONNX Session Output Names:", session.outputNames);
+      // Log class labels mapping for verification
+      logger.log("ONNX Model Class Labels:", modelConfig.outputFormat.classLabels);
+
+      const report = await validateSession(ort, session, modelConfig);
+      report.checks.filter(check => !check.pass && check.severity === 'warning')
+        .forEach(check => logger.warn(`[${modelConfig.id}] ${check.message}`));
+      if (!report.pass) {
+        await session.release?.();
+        // Only a failed warm-up can be the provider's fault (e.g. an unsupported operator)
+        const onlyWarmupFailed = report.checks.every(check => check.pass || check.severity !== 'error' || check.id === 'warmup');
+        if (onlyWarmupFailed && hasFallback) {
+          logger.warn(`[${modelConfig.id}] Execution provider '${provider}' skipped, ${report.warmup.message}`);
+          providerAttempts.push({ provider, error: report.warmup.message });
+          continue;
+        }
+        throw new ModelValidationError(report);
+      }
+      logger.log(`[${modelConfig.id}] Session validated on '${provider}', ${report.warmup.message}`);
+      const core = new EmotionInferenceCore(ort, session, modelConfig, logger, report);
+      core.executionProvider = provider;
+      core.providerAttempts = providerAttempts;
+      return core;
+    }
+    throw new Error(`No execution provider could load model '${modelConfig.id}': ${providerAttempts.map(attempt => `${attempt.provider}: ${attempt.error}`).join('; ')}`);
+  }
+
+  /** @returns {{SEQ_LEN: number, NUM_LANDMARKS: number, NUM_COORDS: number}} */
+  getDimensions() {
+    return getModelDimensions(this.modelConfig);
+  }
+
+  /**
+   * Build the flat model input (see buildModelInput).
+   * @returns {Float32Array|null}
+   */
+  buildInput(landmarks, videoWidth, videoHeight, options = {}) {
+    return buildModelInput(landmarks, videoWidth, videoHeight, this.modelConfig, options, this.logger);
+  }
+
+  /**
+   * Predict emotion from landmarks.
+   * @param {Array} landmarks Array of {x,y,z} landmarks (ignored when options.sequenceWindow is given).
+   * @param {number} videoWidth Width used for normalization.
+   * @param {number} videoHeight Height used for normalization.
+   * @param {{skipNormalization?: boolean, context?: string, sequenceWindow?: Float32Array}} [options]
+   * @returns {Promise<object|null>} prediction (see interpretModelOutput), null on failure
+   */
+  async predict(landmarks, videoWidth, videoHeight, options = {}) {
+    const processedInput = this.buildInput(landmarks, videoWidth, videoHeight, options);
+    if (!processedInput) return null;
+    return this.run(processedInput, options.context);
+  }
+
+  /**
+   * Run the model on a ready input and post-process its head (classification or regression).
+   * The embedding output, when the model has one, is added to the prediction as `embedding`.
+   * @param {Float32Array} processedInput flat input from buildInput
+   * @param {string} [context] label used in logs
+   * @returns {Promise<object|null>} prediction, null on failure
+   */
+  async run(processedInput, context) {
+    const ctxLabel = context || 'FULL';
+    // Log processed input tensor details
+    this.logger.log(`[${ctxLabel}] processedInput length:`, processedInput.length);
+    this.logger.log(`[${ctxLabel}] processedInput first 30:`, processedInput.slice(0, 30));
+
+    // Use the configured input tensor shape (e.g., [1, 478, 3] or [1, T, 478, 3] for sequence models)
+    const tensor = new this.ort.Tensor('float32', processedInput, this.modelConfig.inputFormat.tensorShape);
+    const feeds = { [this.inputName]: tensor };
+
+    try {
+      const results = await this.session.run(feeds);
+      // The FERPlus models have two outputs: 'logits' and 'embedding'; classification uses the logits output,
+      // regression models their score output, and multi-head models route every output to its heads
+      const headOutput = this.modelConfig.outputFormat.outputType === 'multihead'
+        ? Object.fromEntries(Object.entries(results).map(([name, output]) => [name, output.data]))
+        : results[this.logitsName].data;
+
+      const prediction = interpretModelOutput(headOutput, this.modelConfig);
+      if (this.embeddingName && results[this.embeddingName]) prediction.embedding = Array.from(results[this.embeddingName].data);
+      if (prediction.dimensions) this.logger.log(`[${ctxLabel}] dimensions:`, prediction.dimensions);
+      if (!prediction.classification_head_probabilities) {
+        if (prediction.band_index !== undefined) this.logger.log(`[${ctxLabel}] regression score:`, prediction.score, 'band:', prediction.emotion);
+        return prediction;
+      }
+      // Log raw logits and post-softmax probabilities
+      this.logger.log(`[${ctxLabel}] raw logits first 8:`, prediction.raw_logits.slice(0, 8));
+      this.logger.log(`[${ctxLabel}] post-softmax first 8:`, prediction.classification_head_probabilities.slice(0, 8));
+      return prediction;
+    } catch (error) {
+      this.logger.error('Error during ONNX inference:', error);
+      return null;
+    }
+  }
+
+  /** Release the underlying session */
+  async release() {
+    if (this.session && typeof this.session.release === 'function') {
+      await this.session.release();
+    }
+    this.session = null;
+  }
+}
+
+export default EmotionInferenceCore;
@@ -0,0 +1,169 @@
+// src/core/ensembleInference.js
+// Ensembles of landmark emotion models: every member runs on the same landmarks, member probabilities
+// are aligned to the ensemble's label order by label name, then fused. Member cores are injected, so
+// members may live in inference workers or on the main thread.
+import { getModelDimensions } from './landmarkPreprocessing.js';
+import { UNCERTAIN_LABEL, shouldAbstain } from './predictionPostprocessing.js';
+
+const LOG_FLOOR = 1e-12;
+
+/**
+ * Reorder member probabilities to the ensemble labels (matched by name) and renormalize, dropping
+ * member classes the ensemble does not output.
+ * @param {ArrayLike<number>} probabilities member probabilities in member class index order
+ * @param {Object<string, string>} memberLabels member classLabels
+ * @param {Array<string>} labels ensemble labels in output order
+ * @returns {Array<number>}
+ */
+export const alignProbabilities = (probabilities, memberLabels, labels) => {
+  const indexByLabel = new Map(Object.entries(memberLabels).map(([index, label]) => [label, Number(index)]));
+  const aligned = labels.map(label => (indexByLabel.has(label) ? probabilities[indexByLabel.get(label)] ?? 0 : 0));
+  const total = aligned.reduce((sum, p) => sum + p, 0);
+  return total > 0 ? aligned.map(p => p / total) : aligned.map(() => 1 / labels.length);
+};
+
+const argmax = (values) => values.reduce((best, value, i) => (value > values[best] ? i : best), 0);
+
+/**
+ * Fuse aligned member probabilities.
+ * - mean: arithmetic mean
+ * - weighted: mean weighted by the member weights
+ * - geometric: normalized geometric mean (a class must be plausible for every member)
+ * - majority: share of member votes per class (argmax of each member)
+ * @param {Array<Array<number>>} memberProbabilities aligned probabilities, one array per member
+ * @param {string} fusion one of FUSION_METHODS (core/modelManifest.js)
+ * @param {Array<number>} [weights] per member, for 'weighted'
+ * @returns {Array<number>} fused probabilities, summing to 1
+ */
+export const fuseProbabilities = (memberProbabilities, fusion, weights = []) => {
+  const numClasses = memberProbabilities[0].length;
+  const count = memberProbabilities.length;
+  const mean = Array.from({ length: numClasses }, (_, c) => memberProbabilities.reduce((sum, p) => sum + p[c], 0) / count);
+
+  switch (fusion) {
+    case 'mean':
+      return mean;
+    case 'weighted': {
+      const memberWeights = memberProbabilities.map((_, i) => weights[i] ?? 1);
+      const totalWeight = memberWeights.reduce((sum, w) => sum + w, 0) || 1;
+      return Array.from({ length: numClasses }, (_, c) =>
+        memberProbabilities.reduce((sum, p, i) => sum + memberWeights[i] * p[c], 0) / totalWeight);
+    }
+    case 'geometric': {
+      const logMeans = Array.from({ length: numClasses }, (_, c) =>
+        memberProbabilities.reduce((sum, p) => sum + Math.log(Math.max(p[c], LOG_FLOOR)), 0) / count);
+      const maxLog = Math.max(...logMeans);
+      const unnormalized = logMeans.map(value => Math.exp(value - maxLog));
+      const total = unnormalized.reduce((sum, value) => sum + value, 0);
+      return unnormalized.map(value => value / total);
+    }
+    case 'majority': {
+      const votes = new Array(numClasses).fill(0);
+      memberProbabilities.forEach(p => { votes[argmax(p)] += 1; });
+      return votes.map(v => v / count);
+    }
+    default:
+      throw new Error(`Unknown fusion method '${fusion}'`);
+  }
+};
+
+/**
+ * EnsembleInferenceCore runs the members of an ensemble config (see resolveEnsembleConfig) and fuses them.
+ * It has the predict/getDimensions/release interface of EmotionInferenceCore; predictions carry
+ * `ensemble_members` with each member's own result, and raw_logits are the fused log-probabilities.
+ * The ensemble's abstention thresholds apply to the fused probabilities.
+ */
+export class EnsembleInferenceCore {
+  /**
+   * @param {object} modelConfig resolved ensemble config
+   * @param {Array<{modelId: string, name: string, weight: number, classLabels: object, core: object}>} members
+   *   core is an EmotionInferenceCore or InferenceWorkerClient with the member model loaded
+   */
+  constructor(modelConfig, members) {
+    this.modelConfig = modelConfig;
+    this.members = members;
+    this.labels = Object.keys(modelConfig.outputFormat.classLabels)
+      .sort((a, b) => a - b)
+      .map(key => modelConfig.outputFormat.classLabels[key]);
+  }
+
+  /** @returns {{SEQ_LEN: number, NUM_LANDMARKS: number, NUM_COORDS: number}} */
+  getDimensions() {
+    return getModelDimensions(this.modelConfig);
+  }
+
+  /** Member execution providers, e.g. "wasm" or "webgpu/wasm" */
+  get executionProvider() {
+    return [...new Set(this.members.map(member => member.core.executionProvider))].join('/');
+  }
+
+  get providerAttempts() {
+    return this.members.flatMap(member => (member.core.providerAttempts || [])
+      .map(attempt => ({ ...attempt, provider: `${member.modelId}: ${attempt.provider}` })));
+  }
+
+  get numThreads() {
+    return this.members[0].core.numThreads ?? null;
+  }
+
+  get proxy() {
+    return this.members.some(member => member.core.proxy);
+  }
+
+  /** Member validation reports merged into one, checks prefixed with the member id */
+  get validationReport() {
+    return {
+      modelId: this.modelConfig.id,
+      pass: true,
+      checks: this.members.flatMap(member => (member.core.validationReport?.checks || [])
+        .map(check => ({ ...check, message: `${member.modelId}: ${check.message}` })))
+    };
+  }
+
+  /**
+   * Predict with every member and fuse (same contract as EmotionInferenceCore.predict).
+   * A sequenceWindow is copied for each member, since worker members take ownership of it.
+   * @returns {Promise<object|null>} fused prediction with ensemble_members, null when a member failed
+   */
+  async predict(landmarks, videoWidth, videoHeight, options = {}) {
+    const results = await Promise.all(this.members.map(member => member.core.predict(landmarks, videoWidth, videoHeight, {
+      ...options,
+      sequenceWindow: options.sequenceWindow ? options.sequenceWindow.slice() : undefined
+    })));
+    if (results.some(result => !result || !result.classification_head_probabilities)) return null;
+
+    const aligned = results.map((result, i) => alignProbabilities(result.classification_head_probabilities, this.members[i].classLabels, this.labels));
+    const fused = fuseProbabilities(aligned, this.modelConfig.fusion, this.members.map(member => member.weight));
+    // Ties (e.g. split votes) go to the class with the higher mean probability
+    const mean = fuseProbabilities(aligned, 'mean');
+    const top = Math.max(...fused);
+    const best = fused.reduce((winner, p, c) => (p === top && (winner < 0 || mean[c] > mean[winner]) ? c : winner), -1);
+    const abstained = shouldAbstain(fused, this.modelConfig.outputFormat.abstention);
+    return {
+      emotion: abstained ? UNCERTAIN_LABEL : this.labels[best],
+      score: fused[best],
+      classification_head_probabilities: fused,
+      raw_logits: fused.map(p => Math.log(Math.max(p, LOG_FLOOR))),
+      abstained,
+      candidate_emotion: this.labels[best],
+      ensemble_members: results.map((result, i) => ({
+        modelId: this.members[i].modelId,
+        name: this.members[i].name,
+        weight: this.members[i].weight,
+        emotion: result.emotion,
+        score: result.score,
+        probabilities: aligned[i]
+      }))
+    };
+  }
+
+  /** Release every member session (and stop dedicated member workers) */
+  async release() {
+    await Promise.all(this.members.map(async member => {
+      await member.core.release().catch(() => {});
+      member.core.terminate?.();
+    }));
+  }
+}
+
+export default EnsembleInferenceCore;
@@ -0,0 +1,130 @@
+// src/core/faceQuality.js
+// Face quality gate run on the FaceMesh landmarks before inference. A face is assessed on its head pose
+// (yaw, pitch and roll estimated from the 3D landmarks), its size in pixels, the share of its landmarks
+// outside the frame, and optionally the brightness and contrast of its crop; faces outside the limits are
+// not sent to the model and the first failed check is reported as a short hint for the user.
+
+// FaceMesh landmarks used for the pose
+const RIGHT_EYE_OUTER_IDX = 33;
+const LEFT_EYE_OUTER_IDX = 263;
+const RIGHT_CHEEK_IDX = 234;
+const LEFT_CHEEK_IDX = 454;
+const FOREHEAD_IDX = 10;
+const CHIN_IDX = 152;
+
+export const DEFAULT_QUALITY_SETTINGS = {
+  enabled: true,
+  maxYaw: 35, // degrees
+  maxPitch: 30,
+  maxRoll: 30,
+  minFaceSize: 80, // pixels, larger side of the landmark box
+  maxCutOff: 0.1, // share of landmarks outside the frame
+  checkExposure: false, // brightness/contrast of the crop, needs the video frame
+  minBrightness: 40, // mean luma, 0-255
+  maxBrightness: 220,
+  minContrast: 20 // standard deviation of the luma
+};
+
+// Hint shown for each failed check
+export const QUALITY_HINTS = {
+  yaw: 'turn toward camera',
+  pitch: 'look straight at the camera',
+  roll: 'straighten your head',
+  size: 'move closer',
+  cutOff: 'move into the frame',
+  dark: 'more light needed',
+  bright: 'too much light',
+  contrast: 'low contrast'
+};
+
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+// Landmark in pixels; MediaPipe z uses the scale of x
+const toPixels = (landmark, width, height) => ({ x: landmark.x * width, y: landmark.y * height, z: (landmark.z || 0) * width });
+
+// Angle of the a→b vector out of the image plane, in degrees
+const depthAngle = (a, b) => toDegrees(Math.atan2(b.z - a.z, Math.hypot(b.x - a.x, b.y - a.y)));
+
+/**
+ * Estimate the head pose from one face's landmarks.
+ * Yaw and pitch are the depth angles of the cheek-to-cheek and forehead-to-chin vectors, roll the in-plane
+ * angle of the line between the outer eye corners, so each stays close to zero when only the others change.
+ * @param {Array} landmarks Array of {x,y,z} landmarks in [0,1] image coordinates
+ * @param {number} width frame width in pixels
+ * @param {number} height frame height in pixels
+ * @returns {{yaw: number, pitch: number, roll: number}} degrees
+ */
+export const estimateHeadPose = (landmarks, width, height) => {
+  const point = (idx) => toPixels(landmarks[idx], width, height);
+  const rightEye = point(RIGHT_EYE_OUTER_IDX);
+  const leftEye = point(LEFT_EYE_OUTER_IDX);
+  return {
+    yaw: depthAngle(point(RIGHT_CHEEK_IDX), point(LEFT_CHEEK_IDX)),
+    pitch: depthAngle(point(FOREHEAD_IDX), point(CHIN_IDX)),
+    roll: toDegrees(Math.atan2(leftEye.y - rightEye.y, leftEye.x - rightEye.x))
+  };
+};
+
+/**
+ * Brightness and contrast of a face crop.
+ * @param {{data: Uint8ClampedArray}} imageData RGBA pixels (e.g. from getImageData)
+ * @returns {{brightness: number, contrast: number}} mean and standard deviation of the luma, 0-255
+ */
+export const measureExposure = ({ data }) => {
+  const count = data.length / 4;
+  if (count === 0) return { brightness: 0, contrast: 0 };
+  let sum = 0;
+  let sumSquares = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    const luma = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    sum += luma;
+    sumSquares += luma * luma;
+  }
+  const brightness = sum / count;
+  return { brightness, contrast: Math.sqrt(Math.max(0, sumSquares / count - brightness * brightness)) };
+};
+
+/**
+ * Assess whether a face is fit for inference.
+ * @param {Array} landmarks Array of {x,y,z} landmarks in [0,1] image coordinates
+ * @param {number} width frame width in pixels
+ * @param {number} height frame height in pixels
+ * @param {object} [settings] limits (see DEFAULT_QUALITY_SETTINGS)
+ * @param {{brightness: number, contrast: number}|null} [exposure] measureExposure of the face crop, when available
+ * @returns {{pass: boolean, reason: string|null, failures: Array<string>, metrics: object}} failures are keys of
+ *   QUALITY_HINTS in check order, reason the hint of the first one
+ */
+export const assessFaceQuality = (landmarks, width, height, settings = DEFAULT_QUALITY_SETTINGS, exposure = null) => {
+  const { yaw, pitch, roll } = estimateHeadPose(landmarks, width, height);
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  let outside = 0;
+  landmarks.forEach(({ x, y }) => {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+    if (x < 0 || x > 1 || y < 0 || y > 1) outside += 1;
+  });
+  const metrics = {
+    yaw,
+    pitch,
+    roll,
+    faceSize: Math.max((maxX - minX) * width, (maxY - minY) * height),
+    cutOff: landmarks.length > 0 ? outside / landmarks.length : 1,
+    brightness: exposure?.brightness ?? null,
+    contrast: exposure?.contrast ?? null
+  };
+
+  const failures = [];
+  if (metrics.cutOff > settings.maxCutOff) failures.push('cutOff');
+  if (metrics.faceSize < settings.minFaceSize) failures.push('size');
+  if (Math.abs(yaw) > settings.maxYaw) failures.push('yaw');
+  if (Math.abs(pitch) > settings.maxPitch) failures.push('pitch');
+  if (Math.abs(roll) > settings.maxRoll) failures.push('roll');
+  if (settings.checkExposure && exposure) {
+    if (exposure.brightness < settings.minBrightness) failures.push('dark');
+    else if (exposure.brightness > settings.maxBrightness) failures.push('bright');
+    else if (exposure.contrast < settings.minContrast) failures.push('contrast');
+  }
+  return { pass: failures.length === 0, reason: failures.length > 0 ? QUALITY_HINTS[failures[0]] : null, failures, metrics };
+};
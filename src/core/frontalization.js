@@ -0,0 +1,191 @@
+// src/core/frontalization.js
+// Pose normalization for normalizationType 'frontalize': every frame is aligned to a canonical neutral face
+// mesh (the model's frontalization.referenceLandmarks), so that the same expression gives the same input at
+// any head pose. Methods:
+// - 'umeyama': similarity transform (rotation, uniform scale, translation) of the frame onto the reference;
+//   coordinates come out in the units of the reference mesh
+// - 'procrustes': frame and reference are both centered on their anchor centroid and scaled to a unit RMS
+//   anchor distance, then the frame is rotated onto the reference
+// - 'roll': no reference; centered on the nose tip and scaled by the inter-ocular distance like 'ferplus',
+//   then rotated in the image plane so that the eyes are level (yaw and pitch are kept)
+// Rotations are fitted on rigid anchor landmarks only, so that the expression itself is not rotated away.
+// The rotation is the optimal proper rotation (Horn's quaternion method), the same as Umeyama's with the
+// reflection correction.
+import { FERPLUS_LEFT_EYE_INNER_IDX, FERPLUS_NOSE_TIP_IDX, FERPLUS_RIGHT_EYE_INNER_IDX } from './landmarkPreprocessing.js';
+
+// Landmarks that barely move with expressions: nose bridge, eye corners, forehead and upper face oval
+export const DEFAULT_FRONTALIZATION_ANCHORS = [1, 4, 5, 6, 168, 197, 195, 33, 133, 362, 263, 10, 151, 9, 8, 234, 454, 127, 356, 93, 323];
+
+const RIGHT_EYE_OUTER_IDX = 33;
+const LEFT_EYE_OUTER_IDX = 263;
+
+// Reference meshes by file name, registered when their model loads
+const references = new Map();
+
+/**
+ * Register the reference mesh of frontalizing models (frontalization.referenceLandmarks).
+ * @param {string} name file name the models refer to
+ * @param {Array<number>|Array<Array<number>>} values one frame, flat [x0, y0, z0, x1, ...] or [[x, y, z], ...]
+ * @returns {Array<{x:number,y:number,z:number}>} the registered mesh
+ * @throws {Error} when the values are not a frame of 3D points
+ */
+export const registerFrontalizationReference = (name, values) => {
+  const flat = Array.isArray(values) ? values.flat() : [];
+  if (flat.length === 0 || flat.length % 3 !== 0 || !flat.every(Number.isFinite)) {
+    throw new Error(`Frontalization reference '${name}' must be an array of x, y, z numbers`);
+  }
+  const mesh = Array.from({ length: flat.length / 3 }, (_, i) => ({ x: flat[i * 3], y: flat[i * 3 + 1], z: flat[i * 3 + 2] }));
+  references.set(name, mesh);
+  return mesh;
+};
+
+/**
+ * @param {string} name
+ * @returns {Array<{x:number,y:number,z:number}>|null} null until registered
+ */
+export const getFrontalizationReference = (name) => references.get(name) || null;
+
+const centroid = (points) => {
+  const sum = points.reduce((acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y, z: acc.z + p.z }), { x: 0, y: 0, z: 0 });
+  return { x: sum.x / points.length, y: sum.y / points.length, z: sum.z / points.length };
+};
+
+const subtract = (p, c) => ({ x: p.x - c.x, y: p.y - c.y, z: p.z - c.z });
+
+const rotate = (R, p) => ({
+  x: R[0][0] * p.x + R[0][1] * p.y + R[0][2] * p.z,
+  y: R[1][0] * p.x + R[1][1] * p.y + R[1][2] * p.z,
+  z: R[2][0] * p.x + R[2][1] * p.y + R[2][2] * p.z
+});
+
+const rmsSize = (points) => Math.sqrt(points.reduce((sum, p) => sum + p.x * p.x + p.y * p.y + p.z * p.z, 0) / points.length);
+
+// Eigenvector of the largest eigenvalue of a symmetric 4x4 matrix (cyclic Jacobi rotations)
+const largestEigenvector = (matrix) => {
+  const a = matrix.map(row => [...row]);
+  const v = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]];
+  for (let sweep = 0; sweep < 50; sweep++) {
+    let off = 0;
+    for (let p = 0; p < 4; p++) for (let q = p + 1; q < 4; q++) off += a[p][q] * a[p][q];
+    if (off < 1e-18) break;
+    for (let p = 0; p < 4; p++) {
+      for (let q = p + 1; q < 4; q++) {
+        if (Math.abs(a[p][q]) < 1e-30) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+        for (let k = 0; k < 4; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < 4; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < 4; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+  const best = [0, 1, 2, 3].reduce((top, i) => (a[i][i] > a[top][top] ? i : top), 0);
+  return v.map(row => row[best]);
+};
+
+/**
+ * Optimal rotation taking centered source points onto centered target points (least squares, det = +1).
+ * @param {Array<{x,y,z}>} source centered points
+ * @param {Array<{x,y,z}>} target centered points, same order
+ * @returns {Array<Array<number>>} 3x3 rotation matrix R with target ≈ R source
+ */
+export const fitRotation = (source, target) => {
+  const S = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  const axes = ['x', 'y', 'z'];
+  source.forEach((a, i) => {
+    const b = target[i];
+    axes.forEach((ai, r) => axes.forEach((bi, c) => { S[r][c] += a[ai] * b[bi]; }));
+  });
+  const [[xx, xy, xz], [yx, yy, yz], [zx, zy, zz]] = S;
+  const [w, x, y, z] = largestEigenvector([
+    [xx + yy + zz, yz - zy, zx - xz, xy - yx],
+    [yz - zy, xx - yy - zz, xy + yx, zx + xz],
+    [zx - xz, xy + yx, -xx + yy - zz, yz + zy],
+    [xy - yx, zx + xz, yz + zy, -xx - yy + zz]
+  ]);
+  return [
+    [1 - 2 * (y * y + z * z), 2 * (x * y - w * z), 2 * (x * z + w * y)],
+    [2 * (x * y + w * z), 1 - 2 * (x * x + z * z), 2 * (y * z - w * x)],
+    [2 * (x * z - w * y), 2 * (y * z + w * x), 1 - 2 * (x * x + y * y)]
+  ];
+};
+
+// Center on the nose tip, scale by the inner eye corners and level the outer eye corners
+const removeRoll = (points) => {
+  const nose = points[FERPLUS_NOSE_TIP_IDX];
+  const leftInner = points[FERPLUS_LEFT_EYE_INNER_IDX];
+  const rightInner = points[FERPLUS_RIGHT_EYE_INNER_IDX];
+  const interOcular = Math.hypot(leftInner.x - rightInner.x, leftInner.y - rightInner.y) || 1;
+  const roll = Math.atan2(points[LEFT_EYE_OUTER_IDX].y - points[RIGHT_EYE_OUTER_IDX].y, points[LEFT_EYE_OUTER_IDX].x - points[RIGHT_EYE_OUTER_IDX].x);
+  const cos = Math.cos(-roll);
+  const sin = Math.sin(-roll);
+  return points.map(p => {
+    const { x, y, z } = subtract(p, nose);
+    return { x: (cos * x - sin * y) / interOcular, y: (sin * x + cos * y) / interOcular, z: z / interOcular };
+  });
+};
+
+/**
+ * Frontalize one frame of landmarks.
+ * @param {Array} landmarksArray Array of {x,y,z} landmarks in [0,1] image coordinates (z on the scale of x)
+ * @param {number} imageWidth frame width in pixels
+ * @param {number} imageHeight frame height in pixels
+ * @param {{method: string, referenceLandmarks?: string, anchorLandmarks?: Array<number>}} frontalization config of the model
+ * @returns {Array<{x:number,y:number,z:number}>} aligned landmarks
+ * @throws {Error} when the reference mesh of the model has not been registered
+ */
+export const applyFrontalization = (landmarksArray, imageWidth, imageHeight, frontalization) => {
+  if (!landmarksArray || landmarksArray.length === 0) return landmarksArray;
+  const points = landmarksArray.map(lm => ({ x: lm.x * imageWidth, y: lm.y * imageHeight, z: lm.z * imageWidth }));
+  if (frontalization.method === 'roll') return removeRoll(points);
+
+  const reference = getFrontalizationReference(frontalization.referenceLandmarks);
+  if (!reference) throw new Error(`Frontalization reference '${frontalization.referenceLandmarks}' is not loaded`);
+  const anchors = (frontalization.anchorLandmarks || DEFAULT_FRONTALIZATION_ANCHORS)
+    .filter(idx => idx < points.length && idx < reference.length);
+  if (anchors.length < 3) {
+    console.warn('Not enough anchor landmarks for frontalization.');
+    return points;
+  }
+
+  const sourceCenter = centroid(anchors.map(idx => points[idx]));
+  const targetCenter = centroid(anchors.map(idx => reference[idx]));
+  const source = anchors.map(idx => subtract(points[idx], sourceCenter));
+  const target = anchors.map(idx => subtract(reference[idx], targetCenter));
+  const R = fitRotation(source, target);
+
+  if (frontalization.method === 'procrustes') {
+    const size = rmsSize(source) || 1;
+    return points.map(p => {
+      const r = rotate(R, subtract(p, sourceCenter));
+      return { x: r.x / size, y: r.y / size, z: r.z / size };
+    });
+  }
+  // Umeyama: scale = sum of target . (R source) over sum of |source|^2
+  const sourceNorm = source.reduce((sum, p) => sum + p.x * p.x + p.y * p.y + p.z * p.z, 0) || 1;
+  const scale = source.reduce((sum, p, i) => {
+    const r = rotate(R, p);
+    return sum + r.x * target[i].x + r.y * target[i].y + r.z * target[i].z;
+  }, 0) / sourceNorm;
+  return points.map(p => {
+    const r = rotate(R, subtract(p, sourceCenter));
+    return { x: scale * r.x + targetCenter.x, y: scale * r.y + targetCenter.y, z: scale * r.z + targetCenter.z };
+  });
+};
@@ -0,0 +1,152 @@
+// src/core/landmarkPreprocessing.js
+// Landmark normalization and input tensor layout shared by the web client and Node tools.
+// No DOM or runtime dependencies: everything is driven by the model config passed in.
+
+import { applyFrontalization } from './frontalization.js';
+
+// Constant to enable/disable FERPlus specific normalization
+const ENABLE_FERPLUS_NORMALIZATION = true;
+
+// Landmark indices based on the Python training script for FERPlus normalization
+// These are indices into the 478 landmarks array
+export const FERPLUS_NOSE_TIP_IDX = 1;         // Nose tip
+export const FERPLUS_LEFT_EYE_INNER_IDX = 133; // Left eye inner corner
+export const FERPLUS_RIGHT_EYE_INNER_IDX = 362;// Right eye inner corner
+
+/**
+ * Input dimensions of a model.
+ * @param {object} modelConfig model configuration (see config/modelConfig.js)
+ * @returns {{SEQ_LEN: number, NUM_LANDMARKS: number, NUM_COORDS: number}}
+ */
+export const getModelDimensions = (modelConfig) => ({
+  SEQ_LEN: modelConfig.inputFormat.sequenceLength,
+  NUM_LANDMARKS: modelConfig.inputFormat.numLandmarks,
+  NUM_COORDS: modelConfig.inputFormat.numCoords
+});
+
+// FERPlus specific normalization (ported from the Python script)
+export const applyFerPlusNormalization = (landmarksArray, imageWidth, imageHeight) => {
+  if (!landmarksArray || landmarksArray.length === 0) return landmarksArray;
+
+  // landmarksArray is expected to be [NUM_LANDMARKS][NUM_COORDS] for a single frame
+  // The Python script processes one image (frame) at a time.
+  // landmarks input to this function should be the 3D world coordinates from MediaPipe,
+  // scaled by image width/height as in the python script's extract_landmarks_from_image
+  // before normalization.
+
+  const landmarksAbs3d = landmarksArray.map(lm => ({
+    x: lm.x * imageWidth,
+    y: lm.y * imageHeight,
+    z: lm.z * imageWidth // Python script uses image_width for Z scaling
+  }));
+
+  if (landmarksAbs3d.length <= Math.max(FERPLUS_NOSE_TIP_IDX, FERPLUS_LEFT_EYE_INNER_IDX, FERPLUS_RIGHT_EYE_INNER_IDX)) {
+    console.warn("Not enough landmarks for FERPlus normalization.");
+    return landmarksArray; // Return original if not enough landmarks
+  }
+
+  const noseTip3d = { ...landmarksAbs3d[FERPLUS_NOSE_TIP_IDX] };
+
+  const landmarksCentered3d = landmarksAbs3d.map(lm => ({
+    x: lm.x - noseTip3d.x,
+    y: lm.y - noseTip3d.y,
+    z: lm.z - noseTip3d.z
+  }));
+
+  const pLeftEyeInnerXY = { x: landmarksCentered3d[FERPLUS_LEFT_EYE_INNER_IDX].x, y: landmarksCentered3d[FERPLUS_LEFT_EYE_INNER_IDX].y };
+  const pRightEyeInnerXY = { x: landmarksCentered3d[FERPLUS_RIGHT_EYE_INNER_IDX].x, y: landmarksCentered3d[FERPLUS_RIGHT_EYE_INNER_IDX].y };
+
+  const dx = pLeftEyeInnerXY.x - pRightEyeInnerXY.x;
+  const dy = pLeftEyeInnerXY.y - pRightEyeInnerXY.y;
+  let interOcularDistance = Math.sqrt(dx * dx + dy * dy);
+
+  if (interOcularDistance < 1e-6) {
+    console.warn("Inter-ocular distance is too small, using fallback.");
+    interOcularDistance = imageWidth / 4.0; // Fallback from Python script
+    if (interOcularDistance < 1e-6) interOcularDistance = 1.0; // Further fallback
+  }
+
+  const landmarksNormalized3d = landmarksCentered3d.map(lm => ({
+    x: lm.x / interOcularDistance,
+    y: lm.y / interOcularDistance,
+    z: lm.z / interOcularDistance
+  }));
+
+  return landmarksNormalized3d; // This is an array of {x,y,z} objects
+};
+
+/**
+ * Flatten one frame of {x,y,z} landmarks, padding missing landmarks with -1 like the training pipeline does.
+ * @param {Array} frameLandmarks Array of {x,y,z} landmarks for one frame.
+ * @param {object} modelConfig model configuration
+ * @returns {Float32Array} Flat frame of length NUM_LANDMARKS * NUM_COORDS.
+ */
+export const flattenLandmarkFrame = (frameLandmarks, modelConfig) => {
+  const { NUM_LANDMARKS, NUM_COORDS } = getModelDimensions(modelConfig);
+  const landmarks = frameLandmarks || [];
+  const frameArray = new Float32Array(NUM_LANDMARKS * NUM_COORDS).fill(-1.0);
+
+  for (let j = 0; j < Math.min(landmarks.length, NUM_LANDMARKS); j++) {
+    const lm = landmarks[j];
+    if (lm && typeof lm.x === 'number' && typeof lm.y === 'number' && typeof lm.z === 'number') {
+      frameArray[j * NUM_COORDS + 0] = lm.x;
+      frameArray[j * NUM_COORDS + 1] = lm.y;
+      frameArray[j * NUM_COORDS + 2] = lm.z;
+    }
+  }
+  return frameArray;
+};
+
+/**
+ * Normalize a single frame of landmarks and flatten it for the given model.
+ * @param {Array} frameLandmarks Array of {x,y,z} landmarks for one frame.
+ * @param {number} videoWidth Width used for normalization.
+ * @param {number} videoHeight Height used for normalization.
+ * @param {object} modelConfig model configuration
+ * @returns {Float32Array} Flat frame of length NUM_LANDMARKS * NUM_COORDS.
+ */
+export const normalizeLandmarkFrame = (frameLandmarks, videoWidth, videoHeight, modelConfig) => {
+  let normalizedLandmarks = frameLandmarks || [];
+
+  // Apply FERPlus normalization if enabled and model requires it
+  if (ENABLE_FERPLUS_NORMALIZATION && modelConfig.normalizationType === 'ferplus') {
+    // The landmarks from MediaPipe are already in the {x,y,z} format expected by applyFerPlusNormalization.
+    normalizedLandmarks = applyFerPlusNormalization(normalizedLandmarks, videoWidth, videoHeight);
+  } else if (modelConfig.normalizationType === 'frontalize') {
+    // Aligned to the model's canonical face mesh (see frontalization.js)
+    normalizedLandmarks = applyFrontalization(normalizedLandmarks, videoWidth, videoHeight, modelConfig.frontalization);
+  }
+  return flattenLandmarkFrame(normalizedLandmarks, modelConfig);
+};
+
+/**
+ * Build the flat model input from one frame or a list of frames.
+ * Frames beyond those provided are padded with -1.
+ * @param {Array} landmarks single frame of {x,y,z} landmarks, or an array of frames
+ * @param {number} videoWidth Width used for normalization.
+ * @param {number} videoHeight Height used for normalization.
+ * @param {object} modelConfig model configuration
+ * @param {{skipNormalization?: boolean}} [options] skipNormalization flattens the landmarks as given
+ * @returns {Float32Array} Flat input of length SEQ_LEN * NUM_LANDMARKS * NUM_COORDS.
+ */
+export const preprocessLandmarks = (landmarks, videoWidth, videoHeight, modelConfig, options = {}) => {
+  // Convert single-frame landmarks (array of objects) into an array of frames
+  const frames = Array.isArray(landmarks) && landmarks.length > 0 && typeof landmarks[0].x === 'number'
+    ? [landmarks] // Input is a single frame of landmarks
+    : Array.isArray(landmarks)
+      ? landmarks // Input is already an array of frames (see LandmarkSequenceBuffer for the streaming case)
+      : [];
+
+  const { SEQ_LEN, NUM_LANDMARKS, NUM_COORDS } = getModelDimensions(modelConfig);
+  const frameSize = NUM_LANDMARKS * NUM_COORDS;
+  // Pad frames that are not provided with -1
+  const processedFramesData = new Float32Array(SEQ_LEN * frameSize).fill(-1.0);
+
+  for (let i = 0; i < Math.min(SEQ_LEN, frames.length); i++) {
+    const frame = options.skipNormalization
+      ? flattenLandmarkFrame(frames[i], modelConfig)
+      : normalizeLandmarkFrame(frames[i], videoWidth, videoHeight, modelConfig);
+    processedFramesData.set(frame, i * frameSize);
+  }
+  return processedFramesData;
+};
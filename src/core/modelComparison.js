@@ -0,0 +1,93 @@
+// src/core/modelComparison.js
+// Running agreement statistics between two models fed the same landmarks: top-1 agreement rate,
+// mean KL divergence and the confusion between their argmax outputs. Classes are matched by label
+// name, so the two models may order (or partly differ in) their classes.
+import { alignProbabilities } from './ensembleInference.js';
+
+const LOG_FLOOR = 1e-12;
+
+const sortedLabels = (classLabels) => Object.keys(classLabels)
+  .sort((a, b) => a - b)
+  .map(key => classLabels[key]);
+
+const argmax = (values) => values.reduce((best, value, i) => (value > values[best] ? i : best), 0);
+
+/**
+ * KL(p || q) in nats, with q floored so a zero probability does not make it infinite.
+ * @param {ArrayLike<number>} p
+ * @param {ArrayLike<number>} q same length as p
+ * @returns {number}
+ */
+export const klDivergence = (p, q) => {
+  let sum = 0;
+  for (let i = 0; i < p.length; i++) {
+    if (p[i] > 0) sum += p[i] * Math.log(p[i] / Math.max(q[i], LOG_FLOOR));
+  }
+  // Rounding can leave a tiny negative value for identical distributions
+  return Math.max(sum, 0);
+};
+
+/**
+ * ModelAgreementTracker accumulates the comparison of a reference model (A) and a candidate (B)
+ * over paired predictions. KL divergence is KL(A || B) on B's probabilities aligned to A's labels;
+ * the confusion matrix has A's argmax label as rows and B's as columns.
+ */
+export class ModelAgreementTracker {
+  /**
+   * @param {Object<string, string>} labelsA classLabels of the reference model
+   * @param {Object<string, string>} labelsB classLabels of the candidate model
+   */
+  constructor(labelsA, labelsB) {
+    this.labelsA = labelsA;
+    this.labelsB = labelsB;
+    this.rowLabels = sortedLabels(labelsA);
+    this.columnLabels = sortedLabels(labelsB);
+    this.reset();
+  }
+
+  reset() {
+    this.count = 0;
+    this.agreements = 0;
+    this.klSum = 0;
+    this.confusion = this.rowLabels.map(() => new Array(this.columnLabels.length).fill(0));
+  }
+
+  /**
+   * Add one paired prediction.
+   * @param {ArrayLike<number>} probabilitiesA reference probabilities, in class index order
+   * @param {ArrayLike<number>} probabilitiesB candidate probabilities, in class index order
+   * @returns {{agree: boolean, kl: number, topA: string, topB: string}}
+   */
+  add(probabilitiesA, probabilitiesB) {
+    const rowIndex = argmax(Array.from(probabilitiesA));
+    const columnIndex = argmax(Array.from(probabilitiesB));
+    const topA = this.rowLabels[rowIndex];
+    const topB = this.columnLabels[columnIndex];
+    const kl = klDivergence(probabilitiesA, alignProbabilities(probabilitiesB, this.labelsB, this.rowLabels));
+    const agree = topA === topB;
+
+    this.count += 1;
+    if (agree) this.agreements += 1;
+    this.klSum += kl;
+    this.confusion[rowIndex][columnIndex] += 1;
+    return { agree, kl, topA, topB };
+  }
+
+  /**
+   * @returns {{count: number, agreementRate: number|null, meanKl: number|null,
+   *   rowLabels: Array<string>, columnLabels: Array<string>, confusion: Array<Array<number>>}}
+   *   rates are null before the first pair
+   */
+  getSummary() {
+    return {
+      count: this.count,
+      agreementRate: this.count > 0 ? this.agreements / this.count : null,
+      meanKl: this.count > 0 ? this.klSum / this.count : null,
+      rowLabels: this.rowLabels,
+      columnLabels: this.columnLabels,
+      confusion: this.confusion.map(row => [...row])
+    };
+  }
+}
+
+export default ModelAgreementTracker;
@@ -0,0 +1,391 @@
+// src/core/modelManifest.js
+// Schema validation of the model registry (public/models/manifest.json). Pure functions, usable from Node.
+//
+// Manifest format:
+// {
+//   "manifestVersion": 1,
+//   "defaultModelId": "<id>",
+//   "models": [<model config>, ...]
+// }
+// A model config has the shape documented by MODEL_CONFIG_SCHEMA below. Entries with "type": "ensemble"
+// combine other entries instead (ENSEMBLE_CONFIG_SCHEMA, resolved by resolveEnsembleConfig).
+
+export const MODEL_MANIFEST_VERSION = 1;
+
+export const EXECUTION_PROVIDERS = ['wasm', 'webgl', 'webgpu', 'cpu'];
+export const GRAPH_OPTIMIZATION_LEVELS = ['disabled', 'basic', 'extended', 'all'];
+export const NORMALIZATION_TYPES = ['ferplus', 'frontalize', 'none'];
+// 'frontalize' models: how each frame is aligned to the canonical mesh (see core/frontalization.js)
+export const FRONTALIZATION_METHODS = ['umeyama', 'procrustes', 'roll'];
+export const OUTPUT_TYPES = ['classification', 'regression', 'multihead'];
+// Multi-head models: the 'classification' head reads class logits, every other head one scalar (e.g. valence, arousal)
+export const CLASSIFICATION_HEAD = 'classification';
+export const FUSION_METHODS = ['mean', 'weighted', 'geometric', 'majority'];
+
+// Thresholds below which a prediction is reported as "Uncertain" (see shouldAbstain), both in [0, 1]
+const ABSTENTION_SCHEMA = {
+  type: 'object', fields: {
+    minConfidence: { type: 'number', min: 0 },
+    minMargin: { type: 'number', min: 0 }
+  }
+};
+
+// Field -> rule. Rules: type ('string'|'integer'|'number'|'boolean'|'object'|'array'), required, oneOf, min, items, pattern
+export const MODEL_CONFIG_SCHEMA = {
+  id: { type: 'string', required: true, pattern: /^[A-Za-z0-9_.-]+$/ },
+  name: { type: 'string', required: true },
+  filename: { type: 'string', required: true, pattern: /^[^/\\]+\.onnx$/ },
+  version: { type: 'string' },
+  sha256: { type: 'string', pattern: /^[0-9a-fA-F]{64}$/ },
+  processingOptions: {
+    type: 'object', required: true, fields: {
+      executionProviders: { type: 'array', required: true, items: { type: 'string', oneOf: EXECUTION_PROVIDERS }, min: 1 },
+      graphOptimizationLevel: { type: 'string', oneOf: GRAPH_OPTIMIZATION_LEVELS },
+      numThreads: { type: 'integer', min: 0 },
+      proxy: { type: 'boolean' }
+    }
+  },
+  inputFormat: {
+    type: 'object', required: true, fields: {
+      sequenceLength: { type: 'integer', required: true, min: 1 },
+      sequenceStride: { type: 'integer', min: 1 },
+      numLandmarks: { type: 'integer', required: true, min: 1 },
+      numCoords: { type: 'integer', required: true, min: 1 },
+      tensorShape: { type: 'array', required: true, items: { type: 'integer', min: 1 }, min: 2 },
+      requiresNormalization: { type: 'boolean' },
+      inputName: { type: 'string' }
+    }
+  },
+  normalizationType: { type: 'string', required: true, oneOf: NORMALIZATION_TYPES },
+  // Required by normalizationType 'frontalize'. referenceLandmarks: canonical neutral mesh, JSON array of one
+  // frame of x, y, z points next to the model (not needed by 'roll'); anchorLandmarks: rigid landmarks the
+  // rotation is fitted on, a default set of nose bridge, eye corner and forehead points otherwise
+  frontalization: {
+    type: 'object', fields: {
+      method: { type: 'string', required: true, oneOf: FRONTALIZATION_METHODS },
+      referenceLandmarks: { type: 'string', pattern: /^[^/\\]+\.json$/ },
+      anchorLandmarks: { type: 'array', items: { type: 'integer', min: 0 }, min: 3 }
+    }
+  },
+  outputFormat: {
+    type: 'object', required: true, fields: {
+      outputType: { type: 'string', required: true, oneOf: OUTPUT_TYPES },
+      // Required unless the model is multi-head without a classification head
+      numClasses: { type: 'integer', min: 1 }, // Regression: number of bands
+      classLabels: { type: 'object' }, // Regression: band labels, lowest band first
+      outputNames: { type: 'object' },
+      applySoftmax: { type: 'boolean' },
+      // Confidence calibration applied after softmax (see calibrateProbabilities)
+      temperature: { type: 'number' }, // > 0, default 1
+      classPriors: { type: 'object' }, // label -> multiplier >= 0, default 1
+      abstention: ABSTENTION_SCHEMA,
+      // Regression: a scalar score mapped to bands (see mapScoreToBand)
+      bandThresholds: { type: 'array', items: { type: 'number' } }, // Ascending, numClasses - 1 values
+      scoreRange: { type: 'array', items: { type: 'number' }, min: 2 }, // [min, max] of the score, default [0, 1]
+      // Multi-head: head name -> { output: session output name, index?: value of a scalar head within the
+      // output (default 0), range?: [min, max] of a scalar head (default [-1, 1]) }
+      heads: { type: 'object' }
+    }
+  },
+  // Neutral reference face for 'landmarks' neutral calibration: JSON array of one normalized frame, next to the model
+  calibration: {
+    type: 'object', fields: {
+      neutralLandmarks: { type: 'string', pattern: /^[^/\\]+\.json$/ }
+    }
+  }
+};
+
+// Ensemble entry: members are ids of other (non-ensemble) entries of the manifest
+export const ENSEMBLE_CONFIG_SCHEMA = {
+  id: { type: 'string', required: true, pattern: /^[A-Za-z0-9_.-]+$/ },
+  name: { type: 'string', required: true },
+  type: { type: 'string', required: true, oneOf: ['ensemble'] },
+  fusion: { type: 'string', required: true, oneOf: FUSION_METHODS },
+  members: {
+    type: 'array', required: true, min: 2, items: {
+      type: 'object', fields: {
+        modelId: { type: 'string', required: true },
+        weight: { type: 'number', min: 0 } // Used by 'weighted' fusion, default 1
+      }
+    }
+  },
+  classLabels: { type: 'object' }, // Output label order; defaults to the first member's classLabels
+  abstention: ABSTENTION_SCHEMA // Applied to the fused probabilities
+};
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return value === null ? 'null' : typeof value;
+};
+
+const checkValue = (value, rule, path, errors) => {
+  const actualType = typeOf(value);
+  if (actualType !== rule.type && !(rule.type === 'number' && actualType === 'integer')) {
+    errors.push(`${path}: expected ${rule.type}, got ${actualType}`);
+    return;
+  }
+  if (rule.oneOf && !rule.oneOf.includes(value)) {
+    errors.push(`${path}: "${value}" is not one of ${rule.oneOf.join(', ')}`);
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    errors.push(`${path}: "${value}" has an invalid format`);
+  }
+  if ((rule.type === 'integer' || rule.type === 'number') && rule.min !== undefined && value < rule.min) {
+    errors.push(`${path}: must be >= ${rule.min}`);
+  }
+  if (rule.type === 'array') {
+    if (rule.min !== undefined && value.length < rule.min) errors.push(`${path}: needs at least ${rule.min} entries`);
+    if (rule.items) value.forEach((item, i) => checkValue(item, rule.items, `${path}[${i}]`, errors));
+  }
+  if (rule.type === 'object' && rule.fields) {
+    checkFields(value, rule.fields, path, errors);
+  }
+};
+
+const checkFields = (object, fields, prefix, errors) => {
+  Object.entries(fields).forEach(([key, rule]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (object[key] === undefined) {
+      if (rule.required) errors.push(`${path}: missing`);
+      return;
+    }
+    checkValue(object[key], rule, path, errors);
+  });
+};
+
+const checkAbstentionRange = (abstention, path) => Object.entries(abstention || {})
+  .filter(([key, value]) => key in ABSTENTION_SCHEMA.fields && value > 1)
+  .map(([key]) => `${path}.${key}: must be <= 1`);
+
+const checkBands = ({ numClasses, bandThresholds, scoreRange = [0, 1] }) => {
+  if (!bandThresholds) return ['outputFormat.bandThresholds: missing (required for regression)'];
+  const errors = [];
+  if (bandThresholds.length !== numClasses - 1) {
+    errors.push(`outputFormat.bandThresholds: ${bandThresholds.length} thresholds for ${numClasses} bands, expected ${numClasses - 1}`);
+  }
+  if (bandThresholds.some((threshold, i) => i > 0 && threshold <= bandThresholds[i - 1])) {
+    errors.push('outputFormat.bandThresholds: must be strictly ascending');
+  }
+  if (scoreRange.length !== 2 || !(scoreRange[0] < scoreRange[1])) {
+    errors.push('outputFormat.scoreRange: must be [min, max] with min < max');
+  } else if (bandThresholds.some(threshold => threshold <= scoreRange[0] || threshold >= scoreRange[1])) {
+    errors.push(`outputFormat.bandThresholds: must lie inside scoreRange [${scoreRange.join(', ')}]`);
+  }
+  return errors;
+};
+
+const checkHeads = ({ heads }) => {
+  if (!heads) return ['outputFormat.heads: missing (required for multihead)'];
+  const entries = Object.entries(heads);
+  if (entries.length === 0) return ['outputFormat.heads: needs at least 1 head'];
+  const errors = [];
+  entries.forEach(([name, head]) => {
+    const path = `outputFormat.heads.${name}`;
+    if (typeOf(head) !== 'object') {
+      errors.push(`${path}: expected object, got ${typeOf(head)}`);
+      return;
+    }
+    if (typeof head.output !== 'string' || head.output === '') errors.push(`${path}.output: missing`);
+    if (name === CLASSIFICATION_HEAD) {
+      if (head.index !== undefined || head.range !== undefined) errors.push(`${path}: the classification head reads a whole output, index and range do not apply`);
+      return;
+    }
+    if (head.index !== undefined && !(Number.isInteger(head.index) && head.index >= 0)) errors.push(`${path}.index: must be an integer >= 0`);
+    if (head.range !== undefined && !(Array.isArray(head.range) && head.range.length === 2 && head.range[0] < head.range[1])) {
+      errors.push(`${path}.range: must be [min, max] with min < max`);
+    }
+  });
+  return errors;
+};
+
+const checkFrontalization = ({ normalizationType, frontalization, inputFormat }) => {
+  if (normalizationType !== 'frontalize') {
+    return frontalization ? [`frontalization: only used with normalizationType 'frontalize'`] : [];
+  }
+  if (!frontalization) return ['frontalization: missing (required for frontalize)'];
+  const errors = [];
+  if (inputFormat.numCoords !== 3) errors.push(`frontalization: needs numCoords 3, got ${inputFormat.numCoords}`);
+  if (frontalization.method !== 'roll' && !frontalization.referenceLandmarks) {
+    errors.push(`frontalization.referenceLandmarks: missing (required for ${frontalization.method})`);
+  }
+  (frontalization.anchorLandmarks || []).forEach((idx, i) => {
+    if (idx >= inputFormat.numLandmarks) errors.push(`frontalization.anchorLandmarks[${i}]: ${idx} is not below numLandmarks ${inputFormat.numLandmarks}`);
+  });
+  return errors;
+};
+
+/**
+ * Validate one model config against MODEL_CONFIG_SCHEMA and the cross-field rules
+ * (tensor shape matches the input dimensions, frontalization settings, one label per class, band thresholds
+ * of regression models, heads of multi-head models).
+ * @param {object} config
+ * @returns {Array<string>} human-readable errors, empty when valid
+ */
+export const validateModelConfig = (config) => {
+  if (typeOf(config) !== 'object') return ['model entry must be an object'];
+  const errors = [];
+  checkFields(config, MODEL_CONFIG_SCHEMA, '', errors);
+  if (errors.length > 0) return errors;
+
+  const { sequenceLength, numLandmarks, numCoords, tensorShape } = config.inputFormat;
+  const expectedSize = sequenceLength * numLandmarks * numCoords;
+  const shapeSize = tensorShape.reduce((product, dim) => product * dim, 1);
+  if (shapeSize !== expectedSize) {
+    errors.push(`inputFormat.tensorShape: [${tensorShape.join(', ')}] holds ${shapeSize} values, sequenceLength x numLandmarks x numCoords is ${expectedSize}`);
+  }
+  errors.push(...checkFrontalization(config));
+
+  if (config.outputFormat.outputType === 'multihead') errors.push(...checkHeads(config.outputFormat));
+  const { outputType, numClasses, classLabels } = config.outputFormat;
+  if (outputType === 'multihead' && !config.outputFormat.heads?.[CLASSIFICATION_HEAD]) return errors;
+  if (numClasses === undefined || classLabels === undefined) {
+    if (numClasses === undefined) errors.push('outputFormat.numClasses: missing');
+    if (classLabels === undefined) errors.push('outputFormat.classLabels: missing');
+    return errors;
+  }
+  const labelKeys = Object.keys(classLabels);
+  if (labelKeys.length !== numClasses) {
+    errors.push(`outputFormat.classLabels: ${labelKeys.length} labels for ${numClasses} classes`);
+  }
+  for (let i = 0; i < numClasses; i++) {
+    const label = classLabels[i];
+    if (typeof label !== 'string' || label.trim() === '') {
+      errors.push(`outputFormat.classLabels.${i}: missing label`);
+    }
+  }
+
+  const { temperature, classPriors } = config.outputFormat;
+  if (temperature !== undefined && !(temperature > 0)) {
+    errors.push('outputFormat.temperature: must be > 0');
+  }
+  const labels = Object.values(classLabels);
+  Object.entries(classPriors || {}).forEach(([label, prior]) => {
+    if (!labels.includes(label)) errors.push(`outputFormat.classPriors.${label}: not a class label`);
+    else if (typeof prior !== 'number' || !(prior >= 0)) errors.push(`outputFormat.classPriors.${label}: must be a number >= 0`);
+  });
+  errors.push(...checkAbstentionRange(config.outputFormat.abstention, 'outputFormat.abstention'));
+  if (outputType === 'regression') errors.push(...checkBands(config.outputFormat));
+  return errors;
+};
+
+/**
+ * Whether a model outputs class probabilities: classification models and multi-head models with a
+ * classification head. Label-based features (ignore filters, abstention, calibration, ensembles,
+ * compare mode) need one.
+ * @param {object} config model config
+ * @returns {boolean}
+ */
+export const hasClassificationHead = (config) => {
+  const { outputType, heads } = config.outputFormat;
+  return outputType === 'classification' || (outputType === 'multihead' && Boolean(heads?.[CLASSIFICATION_HEAD]));
+};
+
+/**
+ * Validate the shape of an ensemble entry (members are checked by resolveEnsembleConfig).
+ * @param {object} config
+ * @returns {Array<string>} human-readable errors, empty when valid
+ */
+export const validateEnsembleConfig = (config) => {
+  if (typeOf(config) !== 'object') return ['model entry must be an object'];
+  const errors = [];
+  checkFields(config, ENSEMBLE_CONFIG_SCHEMA, '', errors);
+  if (errors.length === 0) errors.push(...checkAbstentionRange(config.abstention, 'abstention'));
+  return errors;
+};
+
+/**
+ * Resolve an ensemble entry against its member configs: every member must exist, have a classification head,
+ * have every output label (matched by name, so members may order their classes differently), and feed on
+ * the same landmark frames. The resolved config borrows input format, normalization and processing options
+ * from the first member, so it can be used wherever a model config is expected.
+ * @param {object} ensemble entry validated by validateEnsembleConfig
+ * @param {(modelId: string) => object|undefined} getMemberConfig lookup of valid model configs
+ * @returns {{config: object, errors: Array<string>}}
+ */
+export const resolveEnsembleConfig = (ensemble, getMemberConfig) => {
+  const errors = [];
+  const members = ensemble.members.map(member => ({ ...member, config: getMemberConfig(member.modelId) }));
+  members.forEach(member => {
+    if (!member.config) errors.push(`members: '${member.modelId}' is not an available model`);
+    else if (member.config.type === 'ensemble') errors.push(`members: '${member.modelId}' is an ensemble`);
+    else if (!hasClassificationHead(member.config)) errors.push(`members: '${member.modelId}' has no classification head`);
+  });
+  if (errors.length > 0) return { config: ensemble, errors };
+
+  const first = members[0].config;
+  const classLabels = ensemble.classLabels || first.outputFormat.classLabels;
+  const labels = Object.keys(classLabels).sort((a, b) => a - b).map(key => classLabels[key]);
+  members.forEach(({ modelId, config }) => {
+    const memberLabels = Object.values(config.outputFormat.classLabels);
+    const missing = labels.filter(label => !memberLabels.includes(label));
+    if (missing.length > 0) errors.push(`members: '${modelId}' has no class ${missing.map(label => `'${label}'`).join(', ')}`);
+
+    // Sequence models share one temporal window of normalized frames
+    const { inputFormat } = config;
+    if (inputFormat.sequenceLength !== first.inputFormat.sequenceLength) {
+      errors.push(`members: '${modelId}' has sequenceLength ${inputFormat.sequenceLength}, '${members[0].modelId}' ${first.inputFormat.sequenceLength}`);
+    } else if (inputFormat.sequenceLength > 1 && (
+      inputFormat.sequenceStride !== first.inputFormat.sequenceStride ||
+      inputFormat.numLandmarks !== first.inputFormat.numLandmarks ||
+      inputFormat.numCoords !== first.inputFormat.numCoords ||
+      config.normalizationType !== first.normalizationType ||
+      JSON.stringify(config.frontalization) !== JSON.stringify(first.frontalization))) {
+      errors.push(`members: sequence model '${modelId}' must share stride, landmark layout and normalization with '${members[0].modelId}'`);
+    }
+  });
+
+  return {
+    config: {
+      ...ensemble,
+      members: ensemble.members.map(({ modelId, weight }) => ({ modelId, weight: weight ?? 1 })),
+      processingOptions: first.processingOptions,
+      inputFormat: first.inputFormat,
+      normalizationType: first.normalizationType,
+      ...(first.frontalization ? { frontalization: first.frontalization } : {}),
+      outputFormat: {
+        outputType: 'classification',
+        numClasses: labels.length,
+        classLabels: Object.fromEntries(labels.map((label, i) => [i, label])),
+        applySoftmax: false, // Members output probabilities already
+        ...(ensemble.abstention ? { abstention: ensemble.abstention } : {})
+      }
+    },
+    errors
+  };
+};
+
+/**
+ * Validate a parsed manifest.
+ * @param {object} data parsed manifest.json
+ * @returns {{defaultModelId: string|null, models: Array<{config: object, errors: Array<string>}>, errors: Array<string>}}
+ *   errors are manifest-level problems; per-model problems are in models[i].errors
+ */
+export const parseModelManifest = (data) => {
+  if (typeOf(data) !== 'object') {
+    return { defaultModelId: null, models: [], errors: ['manifest must be a JSON object'] };
+  }
+  const errors = [];
+  if (data.manifestVersion !== MODEL_MANIFEST_VERSION) {
+    errors.push(`unsupported manifestVersion ${data.manifestVersion} (expected ${MODEL_MANIFEST_VERSION})`);
+  }
+  if (!Array.isArray(data.models)) {
+    errors.push('"models" must be an array');
+    return { defaultModelId: null, models: [], errors };
+  }
+
+  const seenIds = new Set();
+  const models = data.models.map((config, index) => {
+    const entryErrors = config?.type === 'ensemble' ? validateEnsembleConfig(config) : validateModelConfig(config);
+    const id = config && typeof config.id === 'string' ? config.id : null;
+    if (id && seenIds.has(id)) entryErrors.push(`id: duplicate id "${id}"`);
+    if (id) seenIds.add(id);
+    return { config: { ...config, id: id || `models[${index}]` }, errors: entryErrors };
+  });
+
+  const defaultModelId = typeof data.defaultModelId === 'string' ? data.defaultModelId : null;
+  if (defaultModelId && !models.some(entry => entry.config.id === defaultModelId)) {
+    errors.push(`defaultModelId "${defaultModelId}" is not in the manifest`);
+  }
+  return { defaultModelId, models, errors };
+};
@@ -0,0 +1,166 @@
+// src/core/neutralCalibration.js
+// Per-user neutral baseline. While the user holds a neutral expression, normalized landmark frames and
+// model outputs are collected; the baseline built from them corrects predictions in one of two ways:
+// - 'logits': a per-class bias added to the log-probabilities after inference, so that the calibration
+//   frames average to a Neutral-dominated target distribution
+// - 'landmarks': an offset added to every normalized landmark before inference, moving the user's neutral
+//   face onto a reference neutral face declared by the model (calibration.neutralLandmarks in the manifest)
+import { UNCERTAIN_LABEL, shouldAbstain, softmax } from './predictionPostprocessing.js';
+
+export const CALIBRATION_MODES = ['logits', 'landmarks'];
+export const NEUTRAL_BASELINE_VERSION = 1;
+
+// Share of Neutral in the target distribution of the calibration frames, the rest is spread evenly
+export const DEFAULT_NEUTRAL_TARGET = 0.6;
+// Fewer predictions than this are not a baseline
+export const MIN_CALIBRATION_PREDICTIONS = 3;
+
+const LOG_FLOOR = 1e-12;
+// Value of missing landmarks and padded frames in model inputs (see flattenLandmarkFrame)
+const PADDING_VALUE = -1;
+
+const neutralIndex = (classLabels) => {
+  const entry = Object.entries(classLabels).find(([, label]) => label.toLowerCase() === 'neutral');
+  return entry ? Number(entry[0]) : -1;
+};
+
+/**
+ * Collects the samples of one calibration run: normalized landmark frames (every camera frame)
+ * and class probabilities (every inference).
+ */
+export class NeutralCalibrationCollector {
+  /** @param {object} modelConfig model being calibrated */
+  constructor(modelConfig) {
+    this.modelConfig = modelConfig;
+    this.frameSum = null;
+    this.frameCounts = null;
+    this.frameCount = 0;
+    this.logProbabilities = [];
+  }
+
+  /** @param {Float32Array} frame one normalized frame (normalizeLandmarkFrame), missing landmarks are skipped */
+  addFrame(frame) {
+    if (!this.frameSum) {
+      this.frameSum = new Float64Array(frame.length);
+      this.frameCounts = new Uint32Array(frame.length);
+    }
+    frame.forEach((value, i) => {
+      if (value === PADDING_VALUE) return;
+      this.frameSum[i] += value;
+      this.frameCounts[i] += 1;
+    });
+    this.frameCount += 1;
+  }
+
+  /** @param {object} prediction uncalibrated prediction of the model, skipped when it has no class probabilities */
+  addPrediction(prediction) {
+    if (!prediction?.classification_head_probabilities) return;
+    this.logProbabilities.push(Array.from(prediction.classification_head_probabilities, p => Math.log(Math.max(p, LOG_FLOOR))));
+  }
+
+  /** @returns {number} predictions collected so far */
+  get predictionCount() {
+    return this.logProbabilities.length;
+  }
+
+  /**
+   * Mean normalized frame of the run.
+   * @returns {Array<number>} missing values stay at the padding value
+   */
+  meanFrame() {
+    return Array.from(this.frameSum || [], (sum, i) => (this.frameCounts[i] > 0 ? sum / this.frameCounts[i] : PADDING_VALUE));
+  }
+
+  /**
+   * Build the baseline of this run.
+   * @param {'logits'|'landmarks'} mode
+   * @param {{reference?: ArrayLike<number>, neutralTarget?: number}} [options]
+   *   reference: the model's neutral reference frame, required for 'landmarks'
+   * @returns {{version: number, modelId: string, mode: string, createdAt: string, sampleCount: number,
+   *   logitBias: Array<number>|null, landmarkOffset: Array<number>|null}}
+   * @throws {Error} when the run is too short or the mode cannot be used with this model
+   */
+  build(mode, { reference = null, neutralTarget = DEFAULT_NEUTRAL_TARGET } = {}) {
+    if (!CALIBRATION_MODES.includes(mode)) throw new Error(`Unknown calibration mode '${mode}'`);
+    if (this.predictionCount < MIN_CALIBRATION_PREDICTIONS) {
+      throw new Error(`Only ${this.predictionCount} predictions collected, hold still facing the camera and try again`);
+    }
+    const baseline = {
+      version: NEUTRAL_BASELINE_VERSION,
+      modelId: this.modelConfig.id,
+      mode,
+      createdAt: new Date().toISOString(),
+      sampleCount: mode === 'logits' ? this.predictionCount : this.frameCount,
+      logitBias: null,
+      landmarkOffset: null
+    };
+
+    if (mode === 'logits') {
+      const { classLabels, numClasses } = this.modelConfig.outputFormat;
+      const neutral = neutralIndex(classLabels);
+      if (neutral < 0) throw new Error(`Model '${this.modelConfig.id}' has no Neutral class`);
+      const others = (1 - neutralTarget) / Math.max(numClasses - 1, 1);
+      const meanLog = Array.from({ length: numClasses }, (_, c) =>
+        this.logProbabilities.reduce((sum, p) => sum + p[c], 0) / this.predictionCount);
+      baseline.logitBias = meanLog.map((value, c) => Math.log(c === neutral ? neutralTarget : others) - value);
+    } else {
+      if (!reference) throw new Error(`Model '${this.modelConfig.id}' declares no neutral reference (calibration.neutralLandmarks)`);
+      const mean = this.meanFrame();
+      if (mean.length !== reference.length) {
+        throw new Error(`Neutral reference has ${reference.length} values, frames have ${mean.length}`);
+      }
+      baseline.landmarkOffset = mean.map((value, i) => (value === PADDING_VALUE ? 0 : reference[i] - value));
+    }
+    return baseline;
+  }
+}
+
+/**
+ * Apply a 'logits' baseline to a prediction. The bias is added to the log-probabilities, so it works
+ * for models that output logits and for models that output probabilities.
+ * @param {object} prediction uncalibrated prediction
+ * @param {{logitBias: Array<number>}} baseline
+ * @param {Object<string, string>} classLabels labels of the model
+ * @param {{minConfidence?: number, minMargin?: number}} [abstention] thresholds of the model (outputFormat.abstention)
+ * @returns {object} calibrated prediction, raw_logits are the corrected log-probabilities
+ */
+export const applyLogitBias = (prediction, baseline, classLabels, abstention = undefined) => {
+  const corrected = Array.from(prediction.classification_head_probabilities, (p, c) => Math.log(Math.max(p, LOG_FLOOR)) + (baseline.logitBias[c] ?? 0));
+  const probabilities = softmax(corrected);
+  const best = probabilities.reduce((top, p, c) => (p > probabilities[top] ? c : top), 0);
+  const abstained = shouldAbstain(probabilities, abstention);
+  return {
+    ...prediction,
+    emotion: abstained ? UNCERTAIN_LABEL : classLabels[best] || `Class ${best}`,
+    score: probabilities[best],
+    classification_head_probabilities: probabilities,
+    raw_logits: corrected,
+    abstained,
+    candidate_emotion: classLabels[best] || `Class ${best}`
+  };
+};
+
+/**
+ * Add a 'landmarks' baseline offset to a flat model input in place, frame by frame.
+ * Missing landmarks and padded frames keep the padding value.
+ * @param {Float32Array} input flat input of one or more frames
+ * @param {ArrayLike<number>} offset one frame long
+ * @returns {Float32Array} the input
+ */
+export const applyLandmarkOffset = (input, offset) => {
+  for (let i = 0; i < input.length; i++) {
+    if (input[i] !== PADDING_VALUE) input[i] += offset[i % offset.length];
+  }
+  return input;
+};
+
+/**
+ * Check that a stored baseline can be used with a model.
+ * @returns {boolean}
+ */
+export const isBaselineCompatible = (baseline, modelConfig) => {
+  if (!baseline || baseline.version !== NEUTRAL_BASELINE_VERSION || baseline.modelId !== modelConfig.id) return false;
+  if (baseline.mode === 'logits') return Array.isArray(baseline.logitBias) && baseline.logitBias.length === modelConfig.outputFormat.numClasses;
+  const { numLandmarks, numCoords } = modelConfig.inputFormat;
+  return Array.isArray(baseline.landmarkOffset) && baseline.landmarkOffset.length === numLandmarks * numCoords;
+};
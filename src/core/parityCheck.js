@@ -0,0 +1,186 @@
+// src/core/parityCheck.js
+// Parity verification of the JS pipeline against golden fixtures produced by the Python training pipeline.
+//
+// Fixture format:
+// {
+//   format: 'emotions-parity-fixture', version: 1,
+//   modelId?: string,                              // model config the fixture was produced with
+//   tolerances?: { normalized?: number, logits?: number },
+//   cases: [{
+//     id: string,
+//     imageWidth: number, imageHeight: number,
+//     landmarks: [[x, y, z], ...] | [[[x, y, z], ...], ...],   // raw MediaPipe landmarks, one frame or T frames
+//     expectedNormalized?: number[] | nested arrays,          // model input tensor from the training pipeline
+//     expectedLogits?: number[]                              // model output for that tensor
+//   }]
+// }
+import { getModelDimensions, preprocessLandmarks } from './landmarkPreprocessing.js';
+
+export const PARITY_FIXTURE_FORMAT = 'emotions-parity-fixture';
+export const PARITY_FIXTURE_VERSION = 1;
+
+export const DEFAULT_PARITY_TOLERANCES = {
+  normalized: 1e-4, // Max abs error between JS and Python normalized tensors
+  logits: 1e-3      // Max abs error between JS and Python logits
+};
+
+// Stages reported for every case
+// - normalization: preprocessLandmarks output vs expectedNormalized
+// - model: session run on expectedNormalized vs expectedLogits (runtime/export differences only)
+// - endToEnd: session run on the JS tensor vs expectedLogits
+export const PARITY_STAGES = ['normalization', 'model', 'endToEnd'];
+
+const toLandmarkObjects = (frame) => frame.map(lm => (Array.isArray(lm) ? { x: lm[0], y: lm[1], z: lm[2] } : lm));
+
+/**
+ * Parse and validate a parity fixture file.
+ * @param {string} text file contents
+ * @returns {{modelId: string|null, tolerances: object, cases: Array}} cases with landmarks as {x,y,z} frames
+ * @throws {Error} on an unknown format, unsupported version or malformed case
+ */
+export const parseParityFixture = (text) => {
+  const data = JSON.parse(text);
+  if (!data || data.format !== PARITY_FIXTURE_FORMAT) {
+    throw new Error('Not a parity fixture file');
+  }
+  if (data.version !== PARITY_FIXTURE_VERSION) {
+    throw new Error(`Unsupported parity fixture version ${data.version} (expected ${PARITY_FIXTURE_VERSION})`);
+  }
+  if (!Array.isArray(data.cases) || data.cases.length === 0) {
+    throw new Error('Parity fixture has no cases');
+  }
+  const cases = data.cases.map((fixtureCase, i) => {
+    const id = fixtureCase.id ?? `case_${i}`;
+    if (!Array.isArray(fixtureCase.landmarks) || fixtureCase.landmarks.length === 0) {
+      throw new Error(`Parity case ${id} has no landmarks`);
+    }
+    if (!(fixtureCase.imageWidth > 0) || !(fixtureCase.imageHeight > 0)) {
+      throw new Error(`Parity case ${id} needs imageWidth and imageHeight`);
+    }
+    // A single frame is a list of points; a sequence is a list of frames of points
+    const first = fixtureCase.landmarks[0];
+    const isSingleFrame = !Array.isArray(first) || typeof first[0] === 'number';
+    const frames = isSingleFrame ? [fixtureCase.landmarks] : fixtureCase.landmarks;
+    return {
+      id: String(id),
+      imageWidth: fixtureCase.imageWidth,
+      imageHeight: fixtureCase.imageHeight,
+      frames: frames.map(toLandmarkObjects),
+      expectedNormalized: fixtureCase.expectedNormalized ? Float32Array.from(fixtureCase.expectedNormalized.flat(Infinity)) : null,
+      expectedLogits: fixtureCase.expectedLogits ? fixtureCase.expectedLogits.flat(Infinity) : null
+    };
+  });
+  return {
+    modelId: data.modelId || null,
+    tolerances: { ...DEFAULT_PARITY_TOLERANCES, ...(data.tolerances || {}) },
+    cases
+  };
+};
+
+/**
+ * Max absolute error between two flat arrays.
+ * @returns {{maxAbsError: number, index: number, error?: string}} index of the worst element, -1 if none
+ */
+export const compareArrays = (actual, expected) => {
+  if (actual.length !== expected.length) {
+    return { maxAbsError: Infinity, index: -1, error: `length ${actual.length} != expected ${expected.length}` };
+  }
+  let maxAbsError = 0;
+  let index = -1;
+  for (let i = 0; i < actual.length; i++) {
+    const diff = Math.abs(actual[i] - expected[i]);
+    // NaN always counts as a failure
+    if (diff > maxAbsError || Number.isNaN(diff)) {
+      maxAbsError = Number.isNaN(diff) ? Infinity : diff;
+      index = i;
+    }
+  }
+  return { maxAbsError, index };
+};
+
+// Describe a flat tensor index as frame/landmark/coordinate, which is what z-scaling and index bugs show up as
+const describeTensorIndex = (index, modelConfig) => {
+  if (index < 0) return null;
+  const { NUM_LANDMARKS, NUM_COORDS } = getModelDimensions(modelConfig);
+  const frameSize = NUM_LANDMARKS * NUM_COORDS;
+  return {
+    frame: Math.floor(index / frameSize),
+    landmark: Math.floor((index % frameSize) / NUM_COORDS),
+    coord: ['x', 'y', 'z'][index % NUM_COORDS] || String(index % NUM_COORDS)
+  };
+};
+
+const stageResult = (comparison, tolerance, extra = {}) => ({
+  maxAbsError: comparison.maxAbsError,
+  tolerance,
+  pass: !comparison.error && comparison.maxAbsError <= tolerance,
+  error: comparison.error || null,
+  ...extra
+});
+
+/**
+ * Run every fixture case through preprocessLandmarks and the loaded session and compare each stage.
+ * Stages without expected values in the fixture are reported as skipped (null).
+ * @param {import('./emotionInferenceCore.js').EmotionInferenceCore} core loaded inference core
+ * @param {{tolerances: object, cases: Array}} fixture result of parseParityFixture
+ * @param {{tolerances?: object, onProgress?: Function}} [options] tolerances override the fixture's;
+ *   onProgress receives { processed, total, result }
+ * @returns {Promise<{pass: boolean, tolerances: object, modelId: string, cases: Array, worst: object}>}
+ */
+export const runParityCheck = async (core, fixture, options = {}) => {
+  const modelConfig = core.modelConfig;
+  if (modelConfig.type === 'ensemble') {
+    throw new Error(`'${modelConfig.id}' is an ensemble, parity checks compare the logits of a single model`);
+  }
+  const tolerances = { ...DEFAULT_PARITY_TOLERANCES, ...fixture.tolerances, ...(options.tolerances || {}) };
+  const results = [];
+
+  const runLogits = async (input, context) => {
+    const prediction = await core.predict(null, 0, 0, { sequenceWindow: input, context });
+    return prediction ? prediction.raw_logits : null;
+  };
+
+  for (const fixtureCase of fixture.cases) {
+    const result = { id: fixtureCase.id, normalization: null, model: null, endToEnd: null };
+    const actualNormalized = preprocessLandmarks(fixtureCase.frames, fixtureCase.imageWidth, fixtureCase.imageHeight, modelConfig);
+
+    if (fixtureCase.expectedNormalized) {
+      const comparison = compareArrays(actualNormalized, fixtureCase.expectedNormalized);
+      result.normalization = stageResult(comparison, tolerances.normalized, {
+        worst: comparison.error ? null : describeTensorIndex(comparison.index, modelConfig)
+      });
+    }
+
+    if (fixtureCase.expectedLogits) {
+      if (fixtureCase.expectedNormalized && fixtureCase.expectedNormalized.length === actualNormalized.length) {
+        const logits = await runLogits(fixtureCase.expectedNormalized, `PARITY ${fixtureCase.id} model`);
+        result.model = logits
+          ? stageResult(compareArrays(logits, fixtureCase.expectedLogits), tolerances.logits)
+          : stageResult({ maxAbsError: Infinity, error: 'inference failed' }, tolerances.logits);
+      }
+      const logits = await runLogits(actualNormalized, `PARITY ${fixtureCase.id}`);
+      result.endToEnd = logits
+        ? stageResult(compareArrays(logits, fixtureCase.expectedLogits), tolerances.logits, { logits })
+        : stageResult({ maxAbsError: Infinity, error: 'inference failed' }, tolerances.logits);
+    }
+
+    result.pass = PARITY_STAGES.every(stage => !result[stage] || result[stage].pass);
+    results.push(result);
+    if (options.onProgress) options.onProgress({ processed: results.length, total: fixture.cases.length, result });
+  }
+
+  // Worst error per stage over all cases
+  const worst = {};
+  PARITY_STAGES.forEach(stage => {
+    const checked = results.filter(result => result[stage]);
+    worst[stage] = checked.length === 0 ? null : Math.max(...checked.map(result => result[stage].maxAbsError));
+  });
+
+  return {
+    pass: results.every(result => result.pass),
+    modelId: modelConfig.id,
+    tolerances,
+    cases: results,
+    worst
+  };
+};
@@ -0,0 +1,157 @@
+// src/core/personalClassifier.js
+// Few-shot personal classifier over the embeddings of a model. While the user holds one of their own
+// expressions, the embeddings of the primary face are enrolled under one of the model's labels; the
+// classifier built from them scores a new embedding by cosine similarity, either
+// - 'centroid': to the mean embedding of each enrolled label (softmax over the similarities), or
+// - 'knn': to every enrolled embedding, the k most similar ones voting for their label.
+// Its probabilities use the model's class order, classes that were not enrolled get 0.
+import { UNCERTAIN_LABEL, shouldAbstain, softmax } from './predictionPostprocessing.js';
+
+export const PERSONAL_CLASSIFIER_TYPES = ['centroid', 'knn'];
+// 'alongside' shows the personal prediction next to the model's, 'replace' displays it instead
+export const PERSONAL_CLASSIFIER_MODES = ['off', 'alongside', 'replace'];
+export const PERSONAL_CLASSIFIER_VERSION = 1;
+
+export const DEFAULT_K = 5;
+// Labels with fewer embeddings than this are not used
+export const MIN_ENROLLMENT_SAMPLES = 3;
+// Most recent embeddings kept per label, so that saved classifiers stay small
+export const MAX_ENROLLMENT_SAMPLES = 60;
+
+// Cosine similarities are multiplied by this before the softmax of the centroid classifier
+const CENTROID_SHARPNESS = 10;
+// Stored embeddings are rounded to this many decimals
+const STORED_DECIMALS = 4;
+
+const normalize = (embedding) => {
+  const norm = Math.sqrt(Array.from(embedding).reduce((sum, value) => sum + value * value, 0)) || 1;
+  return Array.from(embedding, value => Number((value / norm).toFixed(STORED_DECIMALS)));
+};
+
+const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+/**
+ * @param {object} modelConfig model whose embeddings are enrolled
+ * @param {{type?: string, k?: number}} [options]
+ * @returns {{version: number, modelId: string, type: string, k: number, embeddingSize: number|null, createdAt: string,
+ *   samples: Object<string, Array<Array<number>>>}} classifier without enrolled labels
+ */
+export const createPersonalClassifier = (modelConfig, { type = 'centroid', k = DEFAULT_K } = {}) => {
+  if (!PERSONAL_CLASSIFIER_TYPES.includes(type)) throw new Error(`Unknown personal classifier type '${type}'`);
+  return {
+    version: PERSONAL_CLASSIFIER_VERSION,
+    modelId: modelConfig.id,
+    type,
+    k,
+    embeddingSize: null,
+    createdAt: new Date().toISOString(),
+    samples: {}
+  };
+};
+
+/**
+ * Enroll embeddings under a label; older embeddings beyond MAX_ENROLLMENT_SAMPLES are dropped.
+ * @param {object} classifier
+ * @param {string} label one of the model's class labels
+ * @param {Array<ArrayLike<number>>} embeddings embeddings of the model (prediction.embedding)
+ * @returns {object} updated classifier (the given one is not modified)
+ * @throws {Error} when an embedding does not have the size of the enrolled ones
+ */
+export const addEnrollmentSamples = (classifier, label, embeddings) => {
+  const embeddingSize = classifier.embeddingSize ?? embeddings[0]?.length ?? null;
+  const mismatch = embeddings.find(embedding => embedding.length !== embeddingSize);
+  if (mismatch) throw new Error(`Embedding has ${mismatch.length} values, enrolled embeddings have ${embeddingSize}`);
+  const samples = [...(classifier.samples[label] || []), ...embeddings.map(normalize)].slice(-MAX_ENROLLMENT_SAMPLES);
+  return { ...classifier, embeddingSize, createdAt: new Date().toISOString(), samples: { ...classifier.samples, [label]: samples } };
+};
+
+/**
+ * @param {object} classifier
+ * @param {string} label
+ * @returns {object} updated classifier without the label's embeddings
+ */
+export const removeEnrollmentLabel = (classifier, label) => {
+  const samples = { ...classifier.samples };
+  delete samples[label];
+  return { ...classifier, samples };
+};
+
+/**
+ * @param {object} classifier
+ * @returns {Array<string>} labels with at least MIN_ENROLLMENT_SAMPLES embeddings
+ */
+export const getEnrolledLabels = (classifier) =>
+  Object.entries(classifier.samples).filter(([, samples]) => samples.length >= MIN_ENROLLMENT_SAMPLES).map(([label]) => label);
+
+/**
+ * A classifier needs two enrolled labels to tell anything apart.
+ * @returns {boolean}
+ */
+export const isClassifierReady = (classifier) => Boolean(classifier) && getEnrolledLabels(classifier).length >= 2;
+
+// Score of each enrolled label for a normalized embedding
+const scoreLabels = (classifier, labels, embedding) => {
+  if (classifier.type === 'centroid') {
+    const similarities = labels.map(label => {
+      const samples = classifier.samples[label];
+      const centroid = normalize(embedding.map((_, i) => samples.reduce((sum, sample) => sum + sample[i], 0) / samples.length));
+      return dot(centroid, embedding);
+    });
+    return { similarities, probabilities: softmax(similarities.map(similarity => similarity * CENTROID_SHARPNESS)) };
+  }
+  const neighbours = labels
+    .flatMap((label, index) => classifier.samples[label].map(sample => ({ index, similarity: dot(sample, embedding) })))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, Math.max(1, classifier.k));
+  const similarities = labels.map((_, index) => Math.max(-1, ...neighbours.filter(n => n.index === index).map(n => n.similarity)));
+  const probabilities = labels.map((_, index) => neighbours.filter(n => n.index === index).length / neighbours.length);
+  return { similarities, probabilities };
+};
+
+/**
+ * Classify the embedding of a prediction with the personal classifier, like applyLogitBias does for a
+ * neutral baseline. The prediction needs an `embedding` (see EmotionInferenceCore.run).
+ * @param {object} prediction prediction of the model the classifier was enrolled on
+ * @param {object} classifier ready classifier (isClassifierReady)
+ * @param {Object<string, string>} classLabels labels of the model
+ * @param {{minConfidence?: number, minMargin?: number}} [abstention] thresholds of the model (outputFormat.abstention)
+ * @returns {object} personal prediction; raw_logits are the cosine similarities of each class (-1 when not enrolled)
+ */
+export const applyPersonalClassifier = (prediction, classifier, classLabels, abstention = undefined) => {
+  const labels = getEnrolledLabels(classifier);
+  const { similarities, probabilities } = scoreLabels(classifier, labels, normalize(prediction.embedding));
+  const classCount = Object.keys(classLabels).length;
+  const classProbabilities = new Array(classCount).fill(0);
+  const classSimilarities = new Array(classCount).fill(-1);
+  labels.forEach((label, i) => {
+    const index = Number(Object.keys(classLabels).find(key => classLabels[key] === label));
+    classProbabilities[index] = probabilities[i];
+    classSimilarities[index] = similarities[i];
+  });
+  // Ties (k-NN votes) go to the most similar class
+  const best = classProbabilities.reduce((top, p, c) => (
+    p > classProbabilities[top] || (p === classProbabilities[top] && classSimilarities[c] > classSimilarities[top]) ? c : top
+  ), 0);
+  const abstained = shouldAbstain(classProbabilities, abstention);
+  return {
+    ...prediction,
+    emotion: abstained ? UNCERTAIN_LABEL : classLabels[best],
+    score: classProbabilities[best],
+    classification_head_probabilities: classProbabilities,
+    raw_logits: classSimilarities,
+    abstained,
+    candidate_emotion: classLabels[best]
+  };
+};
+
+/**
+ * Check that a stored classifier can be used with a model: same model, and every label is one of its classes.
+ * @returns {boolean}
+ */
+export const isClassifierCompatible = (classifier, modelConfig) => {
+  if (!classifier || classifier.version !== PERSONAL_CLASSIFIER_VERSION || classifier.modelId !== modelConfig.id) return false;
+  if (!PERSONAL_CLASSIFIER_TYPES.includes(classifier.type) || !classifier.samples || typeof classifier.samples !== 'object') return false;
+  const labels = Object.values(modelConfig.outputFormat.classLabels || {});
+  return Object.entries(classifier.samples).every(([label, samples]) =>
+    labels.includes(label) && Array.isArray(samples) && samples.every(sample => sample.length === classifier.embeddingSize));
+};
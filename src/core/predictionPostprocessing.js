@@ -0,0 +1,258 @@
+// src/core/predictionPostprocessing.js
+// Turn raw model outputs into labelled predictions. Pure functions, usable from the browser and Node.
+
+// Bands of the original engagement regression model in the regression outputFormat layout
+// (lowest band first, see mapScoreToBand)
+export const DEFAULT_ENGAGEMENT_BANDS = {
+  classLabels: { 0: 'SNP', 1: 'Not Engaged', 2: 'Barely Engaged', 3: 'Engaged', 4: 'Highly Engaged' },
+  bandThresholds: [0.175, 0.40, 0.60, 0.825],
+  scoreRange: [0, 1]
+};
+
+// Helper function for softmax (some models output logits)
+export const softmax = (arr) => {
+  const maxLogit = Math.max(...arr);
+  const exps = arr.map(x => Math.exp(x - maxLogit));
+  const sumExps = exps.reduce((a, b) => a + b);
+  return exps.map(x => x / sumExps);
+};
+
+export const mapClassificationLogitsToClassDetails = (logits, classLabels = null) => {
+  const labels = classLabels || {};
+  const details = { index: -1, name: "Classification Failed", raw_logits: null, probabilities: null };
+  if (!logits || !Array.isArray(logits)) return details;
+
+  details.raw_logits = logits;
+  const probabilities = softmax(logits);
+  details.probabilities = probabilities;
+
+  let maxProb = -Infinity;
+  let classIndex = -1;
+  for (let i = 0; i < probabilities.length; i++) {
+    if (probabilities[i] > maxProb) {
+      maxProb = probabilities[i];
+      classIndex = i;
+    }
+  }
+
+  if (labels[classIndex]) {
+    details.index = classIndex;
+    details.name = labels[classIndex];
+  } else if (classIndex !== -1) {
+    details.index = classIndex;
+    details.name = "Unknown Index";
+  }
+  return details;
+};
+
+// Reported instead of a label when the top probability is below the abstention thresholds
+export const UNCERTAIN_LABEL = 'Uncertain';
+// Abstention thresholds of a model without outputFormat.abstention: never abstain
+export const DEFAULT_ABSTENTION = { minConfidence: 0, minMargin: 0 };
+
+const LOG_FLOOR = 1e-12;
+
+/**
+ * Confidence calibration of a model's probabilities (outputFormat.temperature and outputFormat.classPriors).
+ * Temperature scaling divides the log-probabilities by the temperature (> 1 flattens, < 1 sharpens), then
+ * each class is multiplied by its prior (by label, default 1) and the result renormalized.
+ * @param {ArrayLike<number>} probabilities probabilities in class index order
+ * @param {object} outputFormat outputFormat of the model config
+ * @returns {Array<number>} calibrated probabilities (the input values when neither is configured)
+ */
+export const calibrateProbabilities = (probabilities, outputFormat) => {
+  const { temperature = 1, classPriors = null, classLabels = {} } = outputFormat;
+  let calibrated = Array.from(probabilities);
+  if (temperature !== 1) {
+    calibrated = softmax(calibrated.map(p => Math.log(Math.max(p, LOG_FLOOR)) / temperature));
+  }
+  if (classPriors) {
+    const weighted = calibrated.map((p, i) => p * (classPriors[classLabels[i]] ?? 1));
+    const total = weighted.reduce((sum, p) => sum + p, 0);
+    if (total > 0) calibrated = weighted.map(p => p / total);
+  }
+  return calibrated;
+};
+
+/**
+ * Whether a distribution is too unsure to report its top class.
+ * @param {ArrayLike<number>} probabilities
+ * @param {{minConfidence?: number, minMargin?: number}} [thresholds] top probability below minConfidence,
+ *   or a lead over the runner-up below minMargin, abstains (0 disables a threshold)
+ * @returns {boolean}
+ */
+export const shouldAbstain = (probabilities, { minConfidence = 0, minMargin = 0 } = {}) => {
+  let top = 0;
+  let second = 0;
+  for (const p of probabilities) {
+    if (p > top) {
+      second = top;
+      top = p;
+    } else if (p > second) {
+      second = p;
+    }
+  }
+  return top < minConfidence || top - second < minMargin;
+};
+
+/**
+ * Build the prediction object returned by predictEngagement from the classification head output.
+ * Probabilities are calibrated (calibrateProbabilities); with outputFormat.abstention thresholds a too unsure
+ * prediction has emotion UNCERTAIN_LABEL, its top class in candidate_emotion and abstained set.
+ * @param {ArrayLike<number>} classificationOutput raw logits (or probabilities) of the classification head
+ * @param {object} modelConfig model configuration
+ * @returns {{emotion: string, score: number, classification_head_probabilities: Array<number>, raw_logits: Array<number>,
+ *   abstained: boolean, candidate_emotion: string|null}} candidate_emotion is null when the labels do not match the output
+ */
+export const interpretClassificationOutput = (classificationOutput, modelConfig) => {
+  const rawLogits = Array.from(classificationOutput);
+  // Softmax application if model output is raw logits
+  const finalProbabilities = calibrateProbabilities(modelConfig.outputFormat.applySoftmax ? softmax(rawLogits) : rawLogits, modelConfig.outputFormat);
+
+  const classLabels = modelConfig.outputFormat.classLabels;
+  if (!classLabels || Object.keys(classLabels).length !== finalProbabilities.length) {
+    console.error("Class labels mismatch or not defined for the current model.");
+    // Return raw probabilities if labels are problematic
+    return {
+      emotion: "Error: Label mismatch",
+      score: 0,
+      classification_head_probabilities: finalProbabilities,
+      raw_logits: rawLogits,
+      abstained: false,
+      candidate_emotion: null
+    };
+  }
+
+  let maxScore = -Infinity;
+  let detectedEmotion = 'N/A';
+  finalProbabilities.forEach((score, index) => {
+    if (score > maxScore) {
+      maxScore = score;
+      detectedEmotion = classLabels[index] || `Class ${index}`;
+    }
+  });
+
+  const abstained = shouldAbstain(finalProbabilities, modelConfig.outputFormat.abstention);
+  return {
+    emotion: abstained ? UNCERTAIN_LABEL : detectedEmotion,
+    score: maxScore,
+    classification_head_probabilities: finalProbabilities, // Return all probabilities
+    raw_logits: rawLogits, // Model output before softmax
+    abstained,
+    candidate_emotion: detectedEmotion
+  };
+};
+
+/**
+ * Band of a regression score. Bands are the model's classes, lowest first: band i starts at
+ * bandThresholds[i - 1]; scores below the first threshold are in band 0 and scores above the last one
+ * in the last band, so scores slightly outside scoreRange still get a band.
+ * @param {number} score regression output
+ * @param {Array<number>} bandThresholds ascending, one less than the number of bands
+ * @returns {number} band index, -1 when the score is not a finite number
+ */
+export const mapScoreToBand = (score, bandThresholds) => {
+  if (!Number.isFinite(score)) return -1;
+  const index = bandThresholds.findIndex(threshold => score < threshold);
+  return index === -1 ? bandThresholds.length : index;
+};
+
+// Reported for regression scores that are not finite numbers
+export const INVALID_SCORE_LABEL = 'Invalid Score';
+// Reported by mapScoreToClassDetails for scores outside scoreRange
+export const INVALID_SCORE_RANGE_LABEL = 'Invalid Score Range';
+
+/**
+ * Band of a regression score with its label. Unlike mapScoreToBand, scores outside scoreRange are flagged
+ * instead of being put in the first or last band.
+ * Labels are indexed by band, lowest band first, as in the regression outputFormat. Before regression models
+ * were configurable the default labels put SNP at index 4 and Not Engaged..Highly Engaged at 0-3; a labels
+ * map in that order has to be rewritten lowest band first (SNP at 0, see DEFAULT_ENGAGEMENT_BANDS).
+ * @param {number} score regression output
+ * @param {Object<string, string>} [classLabels] band labels, lowest band first; DEFAULT_ENGAGEMENT_BANDS by default
+ * @param {Array<number>} [bandThresholds] see mapScoreToBand; DEFAULT_ENGAGEMENT_BANDS by default
+ * @param {Array<number>} [scoreRange] [min, max] of valid scores, both included; DEFAULT_ENGAGEMENT_BANDS by default
+ * @returns {{index: number, name: string, score: number}} index -1 and INVALID_SCORE_LABEL or
+ *   INVALID_SCORE_RANGE_LABEL as name when the score is not a finite number or outside scoreRange
+ */
+export const mapScoreToClassDetails = (
+  score, classLabels = null, bandThresholds = DEFAULT_ENGAGEMENT_BANDS.bandThresholds, scoreRange = DEFAULT_ENGAGEMENT_BANDS.scoreRange
+) => {
+  const index = mapScoreToBand(score, bandThresholds);
+  if (index === -1) return { index: -1, name: INVALID_SCORE_LABEL, score };
+  if (score < scoreRange[0] || score > scoreRange[1]) return { index: -1, name: INVALID_SCORE_RANGE_LABEL, score };
+  const labels = classLabels || DEFAULT_ENGAGEMENT_BANDS.classLabels;
+  return { index, name: labels[index] ?? 'Unknown Index', score };
+};
+
+/**
+ * Build the prediction object returned by predictEngagement from the scalar output of a regression model
+ * (outputType 'regression'). emotion is the band label, score the regression output itself, and
+ * classification_head_probabilities is null.
+ * @param {ArrayLike<number>} regressionOutput output tensor data, the score is its first value
+ * @param {object} modelConfig model configuration
+ * @returns {{emotion: string, score: number, band_index: number, classification_head_probabilities: null, raw_logits: Array<number>}}
+ */
+export const interpretRegressionOutput = (regressionOutput, modelConfig) => {
+  const rawOutput = Array.from(regressionOutput);
+  const score = rawOutput[0];
+  const { classLabels, bandThresholds } = modelConfig.outputFormat;
+  const bandIndex = mapScoreToBand(score, bandThresholds);
+  return {
+    emotion: bandIndex === -1 ? INVALID_SCORE_LABEL : classLabels[bandIndex] || `Band ${bandIndex}`,
+    score,
+    band_index: bandIndex,
+    classification_head_probabilities: null,
+    raw_logits: rawOutput // The model output, kept under the same name as for classification (parity checks)
+  };
+};
+
+// Range of a scalar head without `range`, e.g. valence and arousal in [-1, 1]
+export const DEFAULT_HEAD_RANGE = [-1, 1];
+
+/**
+ * Build the prediction object of a multi-head model (outputType 'multihead') from its session outputs.
+ * The 'classification' head, when there is one, is post-processed like a classification model; every
+ * other head is one value of its output (head.index) and lands in `dimensions` under the head name.
+ * Without a classification head, emotion and score are null.
+ * @param {Object<string, ArrayLike<number>>} outputs output name -> tensor data
+ * @param {object} modelConfig model configuration
+ * @returns {object} classification prediction fields plus dimensions: {[head: string]: number}
+ */
+export const interpretMultiHeadOutput = (outputs, modelConfig) => {
+  const { classification, ...scalarHeads } = modelConfig.outputFormat.heads;
+  const prediction = classification
+    ? interpretClassificationOutput(outputs[classification.output], modelConfig)
+    : { emotion: null, score: null, classification_head_probabilities: null, raw_logits: null };
+  prediction.dimensions = Object.fromEntries(Object.entries(scalarHeads)
+    .map(([name, head]) => [name, outputs[head.output]?.[head.index ?? 0] ?? null]));
+  return prediction;
+};
+
+/**
+ * Post-process a model output according to outputFormat.outputType.
+ * @param {ArrayLike<number>|Object<string, ArrayLike<number>>} output data of the model's head output,
+ *   or output name -> data of every output for multi-head models
+ * @param {object} modelConfig model configuration
+ * @returns {object} see interpretClassificationOutput, interpretRegressionOutput and interpretMultiHeadOutput
+ */
+export const interpretModelOutput = (output, modelConfig) => {
+  switch (modelConfig.outputFormat.outputType) {
+    case 'regression':
+      return interpretRegressionOutput(output, modelConfig);
+    case 'multihead':
+      return interpretMultiHeadOutput(output, modelConfig);
+    default:
+      return interpretClassificationOutput(output, modelConfig);
+  }
+};
+
+/**
+ * Pair class probabilities with a model's labels.
+ * @param {Array<number>} probabilities classification_head_probabilities of a prediction
+ * @param {object} classLabels index -> label map from the model config
+ * @returns {Array<{label: string, probability: number}>} in class index order
+ */
+export const labelProbabilities = (probabilities, classLabels = {}) => {
+  return Array.from(probabilities || []).map((p, idx) => ({ label: classLabels[idx] || `Class ${idx}`, probability: p }));
+};
@@ -0,0 +1,36 @@
+// src/core/sessionBenchmark.js
+// Latency of a loaded EmotionInferenceCore on a zero input, to compare execution providers and
+// thread counts on the current machine. Only session.run is timed, not pre/post-processing.
+
+const now = () => (globalThis.performance ? globalThis.performance.now() : Date.now());
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+/**
+ * @param {object} core EmotionInferenceCore
+ * @param {{runs?: number, warmupRuns?: number}} [options]
+ * @returns {Promise<{runs: number, meanMs: number, medianMs: number, p95Ms: number, minMs: number, maxMs: number}>}
+ */
+export const benchmarkCore = async (core, { runs = 20, warmupRuns = 3 } = {}) => {
+  const { tensorShape } = core.modelConfig.inputFormat;
+  const size = tensorShape.reduce((product, dim) => product * dim, 1);
+  const feeds = { [core.inputName]: new core.ort.Tensor('float32', new Float32Array(size), tensorShape) };
+
+  for (let i = 0; i < warmupRuns; i++) await core.session.run(feeds);
+  const timings = [];
+  for (let i = 0; i < runs; i++) {
+    const started = now();
+    await core.session.run(feeds);
+    timings.push(now() - started);
+  }
+
+  const sorted = [...timings].sort((a, b) => a - b);
+  return {
+    runs,
+    meanMs: timings.reduce((sum, value) => sum + value, 0) / runs,
+    medianMs: percentile(sorted, 0.5),
+    p95Ms: percentile(sorted, 0.95),
+    minMs: sorted[0],
+    maxMs: sorted[sorted.length - 1]
+  };
+};
@@ -0,0 +1,114 @@
+// src/core/sessionMetadata.js
+// Input/output metadata of an ONNX session, and model config drafts derived from it for models
+// that arrive without a config (e.g. uploaded in the app). Pure functions, usable from Node.
+import { DEFAULT_ENGAGEMENT_BANDS } from './predictionPostprocessing.js';
+
+const DEFAULT_NUM_LANDMARKS = 478;
+const DEFAULT_NUM_COORDS = 3;
+const DEFAULT_NUM_CLASSES = 8;
+const FERPLUS_LABELS = ['Neutral', 'Happiness', 'Surprise', 'Sadness', 'Anger', 'Disgust', 'Fear', 'Contempt'];
+
+const describeValues = (names, metadata = []) => names.map((name, i) => {
+  const meta = metadata.find(item => item.name === name) || metadata[i] || {};
+  return {
+    name,
+    type: meta.isTensor === false ? 'non-tensor' : meta.type || null,
+    shape: Array.isArray(meta.shape) ? [...meta.shape] : null // Symbolic dims are strings
+  };
+});
+
+/**
+ * Names, element types and shapes of the session inputs and outputs.
+ * Shapes are null when the runtime does not expose metadata.
+ * @param {object} session ort.InferenceSession
+ * @returns {{inputs: Array<{name: string, type: string|null, shape: Array<number|string>|null}>, outputs: Array<{name: string, type: string|null, shape: Array<number|string>|null}>}}
+ */
+export const describeSessionIO = (session) => ({
+  inputs: describeValues(session.inputNames, session.inputMetadata),
+  outputs: describeValues(session.outputNames, session.outputMetadata)
+});
+
+// Fixed dimension, or the fallback for symbolic/unknown ones
+const fixedDim = (dim, fallback) => (Number.isInteger(dim) && dim > 0 ? dim : fallback);
+
+/**
+ * Model config pre-filled from session metadata: input dimensions from the first input
+ * ([batch, landmarks, coords], [batch, T, landmarks, coords] or flat [batch, n]), class count from the
+ * 'logits' output (or the first one). A 'score' output, or a single output with one value per item, drafts
+ * a regression model with the engagement bands. Symbolic dims fall back to the FaceMesh/FER+ defaults, so the
+ * draft is a starting point for the config editor, not a guarantee.
+ * @param {{inputs: Array, outputs: Array}} io result of describeSessionIO
+ * @param {{id: string, name: string, filename: string}} identity
+ * @returns {object} model config (see config/modelConfig.js)
+ */
+export const draftModelConfig = (io, { id, name, filename }) => {
+  const shape = io.inputs[0]?.shape?.length ? io.inputs[0].shape : [1, DEFAULT_NUM_LANDMARKS, DEFAULT_NUM_COORDS];
+  const rank = shape.length;
+  let inputFormat;
+  if (rank >= 3) {
+    const numCoords = fixedDim(shape[rank - 1], DEFAULT_NUM_COORDS);
+    const numLandmarks = fixedDim(shape[rank - 2], DEFAULT_NUM_LANDMARKS);
+    const sequenceLength = rank >= 4 ? fixedDim(shape[rank - 3], 1) : 1;
+    inputFormat = {
+      sequenceLength,
+      sequenceStride: 1,
+      numLandmarks,
+      numCoords,
+      tensorShape: sequenceLength > 1 || rank >= 4 ? [1, sequenceLength, numLandmarks, numCoords] : [1, numLandmarks, numCoords],
+      requiresNormalization: true
+    };
+  } else {
+    const size = fixedDim(shape[rank - 1], DEFAULT_NUM_LANDMARKS * DEFAULT_NUM_COORDS);
+    inputFormat = {
+      sequenceLength: 1,
+      sequenceStride: 1,
+      numLandmarks: Math.floor(size / DEFAULT_NUM_COORDS),
+      numCoords: DEFAULT_NUM_COORDS,
+      tensorShape: [1, size],
+      requiresNormalization: true
+    };
+  }
+
+  const scoreOutput = io.outputs.find(output => output.name === 'score')
+    || (io.outputs.length === 1 && io.outputs[0].shape?.[io.outputs[0].shape.length - 1] === 1 ? io.outputs[0] : null);
+  const logitsOutput = io.outputs.find(output => output.name === 'logits') || io.outputs[0];
+  const embeddingOutput = io.outputs.find(output => output.name === 'embedding');
+  const base = {
+    id,
+    name,
+    filename,
+    version: '1',
+    processingOptions: { executionProviders: ['wasm'], graphOptimizationLevel: 'all' },
+    inputFormat,
+    normalizationType: 'ferplus'
+  };
+  if (scoreOutput) {
+    return {
+      ...base,
+      outputFormat: {
+        outputType: 'regression',
+        numClasses: DEFAULT_ENGAGEMENT_BANDS.bandThresholds.length + 1,
+        classLabels: { ...DEFAULT_ENGAGEMENT_BANDS.classLabels },
+        bandThresholds: [...DEFAULT_ENGAGEMENT_BANDS.bandThresholds],
+        scoreRange: [...DEFAULT_ENGAGEMENT_BANDS.scoreRange],
+        outputNames: { score: scoreOutput.name }
+      }
+    };
+  }
+  const numClasses = fixedDim(logitsOutput?.shape?.[logitsOutput.shape.length - 1], DEFAULT_NUM_CLASSES);
+  const labels = numClasses === FERPLUS_LABELS.length ? FERPLUS_LABELS : Array.from({ length: numClasses }, (_, i) => `Class ${i}`);
+
+  return {
+    ...base,
+    outputFormat: {
+      outputType: 'classification',
+      numClasses,
+      classLabels: Object.fromEntries(labels.map((label, i) => [i, label])),
+      outputNames: {
+        logits: logitsOutput?.name || 'logits',
+        ...(embeddingOutput ? { embedding: embeddingOutput.name } : {})
+      },
+      applySoftmax: true
+    }
+  };
+};
@@ -0,0 +1,200 @@
+// src/core/sessionValidation.js
+// Load-time validation of an ONNX session against the model config it is loaded with:
+// input name, dtype and dimensions (symbolic/dynamic axes accepted), declared output names,
+// class count, and a warm-up inference on a zero input. Produces a structured report, so a model
+// that does not match its config is refused at load instead of failing on every frame.
+import { describeSessionIO } from './sessionMetadata.js';
+import { CLASSIFICATION_HEAD } from './modelManifest.js';
+
+/**
+ * Thrown when a session does not match its config; `report` holds the full validation report.
+ */
+export class ModelValidationError extends Error {
+  constructor(report) {
+    const failures = report.checks.filter(check => !check.pass && check.severity === 'error');
+    super(`Model '${report.modelId}' does not match its config: ${failures.map(check => check.message).join('; ')}`);
+    this.name = 'ModelValidationError';
+    this.report = report;
+  }
+}
+
+/**
+ * Input and output names a config maps to in a session: inputFormat.inputName or the only input,
+ * outputFormat.outputNames.logits/embedding or the 'logits'/'embedding' outputs, else the first output for logits.
+ * Regression models read their score from outputNames.score or the 'score' output instead of the logits,
+ * multi-head models their logits from the output of the classification head (none without one).
+ * @returns {{inputName: string|null, logitsName: string|null, embeddingName: string|null}} logitsName is the
+ *   head output (logits or score)
+ */
+export const resolveSessionIO = (session, modelConfig) => {
+  const declaredInput = modelConfig.inputFormat.inputName;
+  const declaredOutputs = modelConfig.outputFormat.outputNames || {};
+  const pick = (declared, conventional) => {
+    if (declared) return session.outputNames.includes(declared) ? declared : null;
+    return session.outputNames.includes(conventional) ? conventional : null;
+  };
+  const head = headOutputKey(modelConfig);
+  let logitsName = pick(declaredOutputs[head], head);
+  if (!logitsName && !declaredOutputs[head]) logitsName = session.outputNames[0] ?? null;
+  if (modelConfig.outputFormat.outputType === 'multihead') {
+    const classificationOutput = modelConfig.outputFormat.heads[CLASSIFICATION_HEAD]?.output;
+    logitsName = classificationOutput && session.outputNames.includes(classificationOutput) ? classificationOutput : null;
+  }
+  return {
+    inputName: declaredInput
+      ? (session.inputNames.includes(declaredInput) ? declaredInput : null)
+      : (session.inputNames.length === 1 ? session.inputNames[0] : null),
+    logitsName,
+    embeddingName: pick(declaredOutputs.embedding, 'embedding')
+  };
+};
+
+// Key of the head output in outputFormat.outputNames
+const headOutputKey = (modelConfig) => (modelConfig.outputFormat.outputType === 'regression' ? 'score' : 'logits');
+
+// [name, head] of the scalar heads of a multi-head model, none for other models
+const scalarHeads = (modelConfig) => Object.entries(modelConfig.outputFormat.heads || {})
+  .filter(([name]) => modelConfig.outputFormat.outputType === 'multihead' && name !== CLASSIFICATION_HEAD);
+
+const formatShape = (shape) => `[${shape.join(', ')}]`;
+
+/**
+ * Compare a session shape to the expected one. Symbolic (string) dims are dynamic axes and accept any size.
+ * @returns {{pass: boolean, dynamic: Array<string>, mismatches: Array<string>}}
+ */
+const compareShape = (actual, expected) => {
+  if (actual.length !== expected.length) {
+    return { pass: false, dynamic: [], mismatches: [`rank ${actual.length}, expected ${expected.length}`] };
+  }
+  const dynamic = [];
+  const mismatches = [];
+  actual.forEach((dim, i) => {
+    if (typeof dim !== 'number' || dim < 0) dynamic.push(`${dim}=${expected[i]}`);
+    else if (dim !== expected[i]) mismatches.push(`dim ${i} is ${dim}, expected ${expected[i]}`);
+  });
+  return { pass: mismatches.length === 0, dynamic, mismatches };
+};
+
+/**
+ * Validate a session against its model config and run a warm-up inference.
+ * @param {object} ort ONNX runtime module (needs Tensor)
+ * @param {object} session ort.InferenceSession
+ * @param {object} modelConfig model configuration
+ * @returns {Promise<{modelId: string, pass: boolean, inputName: string|null, logitsName: string|null, embeddingName: string|null,
+ *   io: {inputs: Array, outputs: Array}, checks: Array<{id: string, pass: boolean, severity: 'error'|'warning', message: string}>,
+ *   warmup: {pass: boolean, durationMs: number|null, message: string}|null}>}
+ *   pass is false when any check with severity 'error' failed; failed warnings are reported but do not refuse the model
+ */
+export const validateSession = async (ort, session, modelConfig) => {
+  const io = describeSessionIO(session);
+  const resolved = resolveSessionIO(session, modelConfig);
+  const { tensorShape } = modelConfig.inputFormat;
+  const { numClasses, classLabels, outputNames: declaredOutputs = {} } = modelConfig.outputFormat;
+  const head = headOutputKey(modelConfig);
+  // Values per batch item of the head output: one per class, or the score of a regression model
+  const headSize = head === 'score' ? 1 : numClasses;
+  const checks = [];
+  const check = (id, pass, message, severity = 'error') => checks.push({ id, pass, severity, message });
+
+  // Input
+  const input = io.inputs.find(item => item.name === resolved.inputName);
+  if (!input) {
+    check('input.name', false, modelConfig.inputFormat.inputName
+      ? `input '${modelConfig.inputFormat.inputName}' not found (model inputs: ${session.inputNames.join(', ')})`
+      : `model has ${session.inputNames.length} inputs (${session.inputNames.join(', ')}), set inputFormat.inputName`);
+  } else {
+    check('input.name', true, `input '${input.name}'`);
+    if (input.type === null) check('input.dtype', false, 'input dtype not exposed by the runtime', 'warning');
+    else check('input.dtype', input.type === 'float32', `input dtype ${input.type}${input.type === 'float32' ? '' : ', expected float32'}`);
+    if (input.shape === null) {
+      check('input.shape', false, 'input shape not exposed by the runtime, checked by the warm-up run only', 'warning');
+    } else {
+      const { pass, dynamic, mismatches } = compareShape(input.shape, tensorShape);
+      const dynamicNote = dynamic.length > 0 ? ` (dynamic axes: ${dynamic.join(', ')})` : '';
+      check('input.shape', pass, pass
+        ? `input shape ${formatShape(input.shape)} accepts tensorShape ${formatShape(tensorShape)}${dynamicNote}`
+        : `input shape ${formatShape(input.shape)} does not accept tensorShape ${formatShape(tensorShape)}: ${mismatches.join(', ')}`);
+    }
+  }
+
+  // Outputs
+  if (modelConfig.outputFormat.outputType === 'multihead') {
+    Object.entries(modelConfig.outputFormat.heads).forEach(([name, { output }]) => {
+      const found = session.outputNames.includes(output);
+      check(`output.head.${name}`, found, found
+        ? `${name} head output '${output}'`
+        : `${name} head output '${output}' not found (model outputs: ${session.outputNames.join(', ')})`);
+    });
+  } else if (!resolved.logitsName) {
+    check(`output.${head}`, false, `${head} output '${declaredOutputs[head]}' not found (model outputs: ${session.outputNames.join(', ')})`);
+  } else if (!declaredOutputs[head] && resolved.logitsName !== head) {
+    check(`output.${head}`, false, `no '${head}' output, using '${resolved.logitsName}'`, 'warning');
+  } else {
+    check(`output.${head}`, true, `${head} output '${resolved.logitsName}'`);
+  }
+  if (declaredOutputs.embedding) {
+    check('output.embedding', Boolean(resolved.embeddingName), resolved.embeddingName
+      ? `embedding output '${resolved.embeddingName}'`
+      : `embedding output '${declaredOutputs.embedding}' not found (model outputs: ${session.outputNames.join(', ')})`);
+  }
+
+  // Class count (multi-head models without a classification head have no classes)
+  if (classLabels) {
+    const labelCount = Object.keys(classLabels).length;
+    check('classes.labels', labelCount === numClasses, `${labelCount} class labels for numClasses ${numClasses}`);
+    const logits = io.outputs.find(item => item.name === resolved.logitsName);
+    const classDim = logits?.shape?.[logits.shape.length - 1];
+    if (typeof classDim === 'number' && classDim > 0) {
+      check('classes.output', classDim === headSize, head === 'score'
+        ? `score output has ${classDim} values per item, expected 1`
+        : `logits output has ${classDim} classes, config declares ${numClasses}`);
+    }
+  }
+
+  // Warm-up inference, only when the static checks leave something to run
+  let warmup = null;
+  if (checks.every(item => item.pass || item.severity !== 'error')) {
+    const size = tensorShape.reduce((product, dim) => product * dim, 1);
+    const started = Date.now();
+    try {
+      const results = await session.run({ [resolved.inputName]: new ort.Tensor('float32', new Float32Array(size), tensorShape) });
+      const durationMs = Date.now() - started;
+      const batch = tensorShape[0];
+      const problems = [];
+      const values = [];
+      if (resolved.logitsName) {
+        const output = results[resolved.logitsName];
+        if (!output || output.data.length !== batch * headSize) {
+          problems.push(`warm-up produced ${output ? output.data.length : 0} ${head} values, expected ${batch * headSize}`);
+        } else {
+          values.push(...output.data);
+        }
+      }
+      scalarHeads(modelConfig).forEach(([name, { output, index = 0 }]) => {
+        const data = results[output]?.data;
+        if (!data || data.length < batch * (index + 1)) problems.push(`warm-up produced no value ${index} in '${output}' for the ${name} head`);
+        else values.push(data[index]);
+      });
+      if (problems.length > 0) {
+        warmup = { pass: false, durationMs, message: problems.join('; ') };
+      } else {
+        warmup = { pass: true, durationMs, message: `warm-up run took ${durationMs} ms` };
+        if (!values.every(Number.isFinite)) {
+          check('warmup.finite', false, 'warm-up on a zero input produced non-finite output values', 'warning');
+        }
+      }
+    } catch (error) {
+      warmup = { pass: false, durationMs: null, message: `warm-up run failed: ${error.message}` };
+    }
+    check('warmup', warmup.pass, warmup.message);
+  }
+
+  return {
+    modelId: modelConfig.id,
+    pass: checks.every(item => item.pass || item.severity !== 'error'),
+    ...resolved,
+    io,
+    checks,
+    warmup
+  };
+};
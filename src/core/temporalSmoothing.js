@@ -0,0 +1,143 @@
+// src/core/temporalSmoothing.js
+// Temporal smoothing of per-face predictions for display: the class probabilities are smoothed over
+// successive predictions (exponential moving average, windowed mean or median), then hysteresis keeps
+// the reported emotion until another class wins by a margin for a minimum duration. Callers keep the
+// raw prediction next to the smoothed one.
+
+export const SMOOTHING_METHODS = ['none', 'ema', 'mean', 'median'];
+
+export const DEFAULT_SMOOTHING_SETTINGS = {
+  method: 'none',
+  alpha: 0.3, // ema: weight of the newest prediction
+  windowSize: 5, // mean/median: number of predictions
+  hysteresis: false,
+  margin: 0.1, // probability lead a new class needs over the reported one
+  minDurationMs: 500 // how long the new class must keep that lead
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const normalize = (values) => {
+  const total = values.reduce((sum, value) => sum + value, 0);
+  return total > 0 ? values.map(value => value / total) : values;
+};
+
+const argmax = (values) => values.reduce((best, value, i) => (value > values[best] ? i : best), 0);
+
+/**
+ * ProbabilitySmoother smooths successive probability vectors of one face.
+ * Mean and median are taken per class over the last windowSize predictions and renormalized; a single
+ * value (the score of a regression model) is smoothed the same way without renormalizing.
+ */
+export class ProbabilitySmoother {
+  /** @param {{method: string, alpha: number, windowSize: number}} settings */
+  constructor({ method, alpha, windowSize }) {
+    if (!SMOOTHING_METHODS.includes(method)) throw new Error(`Unknown smoothing method '${method}'`);
+    this.method = method;
+    this.alpha = Math.min(Math.max(alpha, 0.01), 1);
+    this.windowSize = Math.max(1, Math.round(windowSize));
+    this.reset();
+  }
+
+  reset() {
+    this.history = [];
+    this.average = null;
+  }
+
+  /**
+   * @param {ArrayLike<number>} probabilities newest prediction, in class index order
+   * @returns {Array<number>} smoothed probabilities
+   */
+  update(probabilities) {
+    const current = Array.from(probabilities);
+    switch (this.method) {
+      case 'none':
+        return current;
+      case 'ema':
+        this.average = this.average && this.average.length === current.length
+          ? this.average.map((value, i) => this.alpha * current[i] + (1 - this.alpha) * value)
+          : current;
+        return [...this.average];
+      default: {
+        this.history.push(current);
+        if (this.history.length > this.windowSize) this.history.shift();
+        const perClass = current.map((_, c) => this.history.map(p => p[c]));
+        const averaged = perClass.map(values => (this.method === 'median'
+          ? median(values)
+          : values.reduce((sum, value) => sum + value, 0) / values.length));
+        return averaged.length > 1 ? normalize(averaged) : averaged;
+      }
+    }
+  }
+}
+
+/**
+ * EmotionHysteresis keeps the reported class until a challenger leads it by at least `margin`
+ * continuously for `minDurationMs`.
+ */
+export class EmotionHysteresis {
+  /** @param {{margin: number, minDurationMs: number}} settings */
+  constructor({ margin, minDurationMs }) {
+    this.margin = margin;
+    this.minDurationMs = minDurationMs;
+    this.reset();
+  }
+
+  reset() {
+    this.reported = null;
+    this.challenger = null;
+    this.challengerSince = null;
+  }
+
+  /**
+   * @param {Array<number>} probabilities class probabilities (ignored classes set to 0)
+   * @param {number} timestamp ms
+   * @returns {number} index of the reported class
+   */
+  update(probabilities, timestamp) {
+    const top = argmax(probabilities);
+    // First prediction, other classes, or the reported class was filtered out (e.g. ignored): no hysteresis
+    if (this.reported === null || !(probabilities[this.reported] > 0)) {
+      this.reported = top;
+      this.challenger = null;
+      return this.reported;
+    }
+    if (top === this.reported || probabilities[top] - probabilities[this.reported] < this.margin) {
+      this.challenger = null;
+      return this.reported;
+    }
+    if (this.challenger !== top) {
+      this.challenger = top;
+      this.challengerSince = timestamp;
+    }
+    if (timestamp - this.challengerSince >= this.minDurationMs) {
+      this.reported = top;
+      this.challenger = null;
+    }
+    return this.reported;
+  }
+}
+
+/**
+ * Smoothing and hysteresis for one face, from settings (see DEFAULT_SMOOTHING_SETTINGS).
+ * @param {object} settings
+ * @returns {{smooth: (probabilities: ArrayLike<number>) => Array<number>,
+ *   select: (probabilities: Array<number>, timestamp: number) => number, reset: () => void}}
+ *   select returns the index of the reported class (the argmax without hysteresis)
+ */
+export const createEmotionSmoother = (settings) => {
+  const smoother = new ProbabilitySmoother(settings);
+  const hysteresis = settings.hysteresis ? new EmotionHysteresis(settings) : null;
+  return {
+    smooth: (probabilities) => smoother.update(probabilities),
+    select: (probabilities, timestamp) => (hysteresis ? hysteresis.update(probabilities, timestamp) : argmax(probabilities)),
+    reset: () => {
+      smoother.reset();
+      hysteresis?.reset();
+    }
+  };
+};
@@ -1,6 +1,7 @@
 import { useEffect, useRef } from 'react';
 import { FaceMesh } from '@mediapipe/face_mesh';
 import { Camera } from '@mediapipe/camera_utils';
+import { FACE_MESH_OPTIONS, locateFaceMeshFile } from '../services/faceMeshRunner';
 
 // Create a singleton FaceMesh instance that can be reused
 let globalFaceMeshInstance = null;
@@ -19,13 +20,14 @@ if (typeof window !== 'undefined') {
   });
 }
 
-export default function useFaceMesh(enabled, videoRef, onResults, onStatusChange, onErrorState) {
+export default function useFaceMesh(enabled, videoRef, onResults, onStatusChange, onErrorState, maxNumFaces = 1) {
   const errorCount = useRef(0);
   const streamRef = useRef(null);
   const initializedRef = useRef(false);
   const resultCallbackRef = useRef(onResults);
   const statusCallbackRef = useRef(onStatusChange);
   const errorStateCallbackRef = useRef(onErrorState);
+  const maxNumFacesRef = useRef(maxNumFaces);
   const MAX_ERRORS = 10;
 
   // Update refs when callbacks change
@@ -35,6 +37,14 @@ export default function useFaceMesh(enabled, videoRef, onResults, onStatusChange
     errorStateCallbackRef.current = onErrorState;
   }, [onResults, onStatusChange, onErrorState]);
 
+  // Apply face count changes to the running FaceMesh instance
+  useEffect(() => {
+    maxNumFacesRef.current = maxNumFaces;
+    if (globalFaceMeshInstance && globalFaceMeshInitialized) {
+      globalFaceMeshInstance.setOptions({ ...FACE_MESH_OPTIONS, maxNumFaces });
+    }
+  }, [maxNumFaces]);
+
   useEffect(() => {
     if (!enabled) return;
 
@@ -205,15 +215,13 @@ export default function useFaceMesh(enabled, videoRef, onResults, onStatusChange
             
             // Create new FaceMesh instance
             const fm = new FaceMesh({
-              locateFile: f => `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh@0.4.1633559619/${f}`
+              locateFile: locateFaceMeshFile
             });
             
             // Configure FaceMesh
             fm.setOptions({
-              maxNumFaces: 1,
-              refineLandmarks: true,
-              minDetectionConfidence: 0.5,
-              minTrackingConfidence: 0.5
+              ...FACE_MESH_OPTIONS,
+              maxNumFaces: maxNumFacesRef.current
             });
             
             // Set results callback
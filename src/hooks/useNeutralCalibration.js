@@ -0,0 +1,143 @@
+import { useRef, useState } from 'react';
+import { NeutralCalibrationCollector, applyLogitBias, isBaselineCompatible } from '../core/neutralCalibration';
+import { loadNeutralBaseline, saveNeutralBaseline, removeNeutralBaseline } from '../config/neutralBaselines';
+import { getCurrentModelInfo, getNeutralReference } from '../services/emotionOnnxService';
+
+/**
+ * Neutral baseline calibration of the current model (see core/neutralCalibration.js): the baseline, the
+ * running calibration and the handlers of CalibrationPanel, plus the steps the FaceMesh results callback
+ * runs on each camera frame (collectFrame) and each inference (predict).
+ * @param {{onStatus: (message: string) => void, onError: (message: string) => void}} callbacks
+ */
+export default function useNeutralCalibration({ onStatus, onError }) {
+  // Neutral baseline of the current model: { baseline, enabled, isSaved } or null
+  const [calibration, setCalibration] = useState(null);
+  // Neutral reference face of the current model for landmark calibration (null when it declares none)
+  const [neutralReference, setNeutralReference] = useState(null);
+  // Running calibration: progress for the UI, collector and timing in the ref
+  const [calibrationRun, setCalibrationRun] = useState(null);
+  const runRef = useRef(null);
+  // Uncalibrated prediction next to the calibrated one; landmark offset baselines run the model twice for it
+  const [showUncalibrated, setShowUncalibrated] = useState(true);
+
+  // Saved neutral baseline and neutral reference of the current model; a running calibration is dropped
+  const loadForModel = () => {
+    runRef.current = null;
+    setCalibrationRun(null);
+    const info = getCurrentModelInfo();
+    const stored = info ? loadNeutralBaseline(info.id) : null;
+    setCalibration(stored && isBaselineCompatible(stored.baseline, info) ? { ...stored, isSaved: true } : null);
+    setNeutralReference(null);
+    if (!info) return;
+    getNeutralReference(info)
+      .then(setNeutralReference)
+      .catch(error => console.warn(`[Calibration] ${error.message}`));
+  };
+
+  // Collect the primary face for durationMs; the baseline is built by collectFrame when the time is up
+  const start = (mode, durationMs) => {
+    runRef.current = {
+      collector: new NeutralCalibrationCollector(getCurrentModelInfo()),
+      mode,
+      durationMs,
+      startedAt: null
+    };
+    setCalibrationRun({ progress: 0, predictions: 0 });
+  };
+
+  const cancel = () => {
+    runRef.current = null;
+    setCalibrationRun(null);
+  };
+
+  const finish = () => {
+    const run = runRef.current;
+    runRef.current = null;
+    setCalibrationRun(null);
+    try {
+      const baseline = run.collector.build(run.mode, { reference: neutralReference });
+      setCalibration({ baseline, enabled: true, isSaved: false });
+      onStatus(`Neutral baseline built from ${baseline.sampleCount} samples`);
+    } catch (error) {
+      onError(`Calibration failed: ${error.message}`);
+    }
+  };
+
+  const toggle = (enabled) => {
+    setCalibration(prev => {
+      if (prev.isSaved) saveNeutralBaseline(prev.baseline, enabled);
+      return { ...prev, enabled };
+    });
+  };
+
+  const save = () => {
+    saveNeutralBaseline(calibration.baseline, calibration.enabled);
+    setCalibration(prev => ({ ...prev, isSaved: true }));
+  };
+
+  const reset = () => {
+    removeNeutralBaseline(calibration.baseline.modelId);
+    setCalibration(null);
+  };
+
+  /**
+   * Collect one camera frame of the primary face while calibrating; ends the run when its time is up.
+   * @param {number} frameTime ms, stream time for replays
+   * @param {() => Float32Array} getFrame normalized frame (normalizeLandmarkFrame), only built while calibrating
+   */
+  const collectFrame = (frameTime, getFrame) => {
+    const run = runRef.current;
+    if (!run) return;
+    run.startedAt ??= frameTime;
+    run.collector.addFrame(getFrame());
+    if (frameTime - run.startedAt >= run.durationMs) finish();
+  };
+
+  /**
+   * Run the model for one face with the baseline applied. A running calibration collects the uncalibrated
+   * predictions of the primary face.
+   * @param {(inputOffset?: ArrayLike<number>) => Promise<object|null>} runModel inference, optionally on offset landmarks
+   * @param {{isPrimary: boolean, now: number}} params
+   * @returns {Promise<{prediction: object|null, calibrated: object|null}>} prediction is the model's output and
+   *   calibrated the baseline's; with a landmark offset and the uncalibrated view off, only the offset input
+   *   runs and prediction is the calibrated output
+   */
+  const predict = async (runModel, { isPrimary, now }) => {
+    const run = isPrimary ? runRef.current : null;
+    const baseline = calibration?.enabled ? calibration.baseline : null;
+    if (baseline?.mode === 'landmarks' && !showUncalibrated && !run) {
+      return { prediction: await runModel(baseline.landmarkOffset), calibrated: null };
+    }
+    const prediction = await runModel();
+    // The run may have ended or been cancelled meanwhile
+    if (run && runRef.current === run && prediction) {
+      run.collector.addPrediction(prediction);
+      setCalibrationRun({
+        progress: Math.min(1, (now - run.startedAt) / run.durationMs),
+        predictions: run.collector.predictionCount
+      });
+    }
+    if (!prediction || !baseline) return { prediction, calibrated: null };
+    if (baseline.mode === 'logits') {
+      const { classLabels, abstention } = getCurrentModelInfo().outputFormat;
+      return { prediction, calibrated: applyLogitBias(prediction, baseline, classLabels, abstention) };
+    }
+    return { prediction, calibrated: await runModel(baseline.landmarkOffset) };
+  };
+
+  return {
+    calibration,
+    calibrationRun,
+    neutralReference,
+    showUncalibrated,
+    setShowUncalibrated,
+    loadForModel,
+    start,
+    cancel,
+    toggle,
+    save,
+    reset,
+    collectFrame,
+    predict
+  };
+}
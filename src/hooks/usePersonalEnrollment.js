@@ -0,0 +1,126 @@
+import { useRef, useState } from 'react';
+import {
+  addEnrollmentSamples, applyPersonalClassifier, createPersonalClassifier, isClassifierCompatible, isClassifierReady, removeEnrollmentLabel
+} from '../core/personalClassifier';
+import { loadPersonalClassifier, savePersonalClassifier, removePersonalClassifier } from '../config/personalClassifiers';
+import { getCurrentModelInfo } from '../services/emotionOnnxService';
+
+/**
+ * Few-shot personal enrollment on the current model (see core/personalClassifier.js): the personal
+ * classifier, the running enrollment and the handlers of EnrollmentPanel, plus the steps the FaceMesh
+ * results callback runs on each inference (collect, classify).
+ * @param {{onStatus: (message: string) => void, onError: (message: string) => void}} callbacks
+ */
+export default function usePersonalEnrollment({ onStatus, onError }) {
+  // Personal classifier enrolled on the current model: { classifier, mode, isSaved } or null
+  const [personalClassifier, setPersonalClassifier] = useState(null);
+  // Running enrollment: progress for the UI, label, timing and embeddings in the ref
+  const [enrollmentRun, setEnrollmentRun] = useState(null);
+  const runRef = useRef(null);
+
+  // Saved personal classifier of the current model; a running enrollment is dropped
+  const loadForModel = () => {
+    runRef.current = null;
+    setEnrollmentRun(null);
+    const info = getCurrentModelInfo();
+    const stored = info ? loadPersonalClassifier(info.id) : null;
+    setPersonalClassifier(stored && isClassifierCompatible(stored.classifier, info) ? { ...stored, isSaved: true } : null);
+  };
+
+  // Collect the embeddings of the primary face for durationMs under a label; enrolled by collect when the time is up
+  const start = (label, durationMs) => {
+    runRef.current = { label, durationMs, startedAt: null, embeddings: [] };
+    setEnrollmentRun({ label, progress: 0, samples: 0 });
+  };
+
+  const cancel = () => {
+    runRef.current = null;
+    setEnrollmentRun(null);
+  };
+
+  const finish = () => {
+    const run = runRef.current;
+    runRef.current = null;
+    setEnrollmentRun(null);
+    try {
+      const classifier = addEnrollmentSamples(
+        personalClassifier?.classifier || createPersonalClassifier(getCurrentModelInfo()), run.label, run.embeddings
+      );
+      setPersonalClassifier({ classifier, mode: personalClassifier?.mode ?? 'alongside', isSaved: false });
+      onStatus(`Enrolled ${run.embeddings.length} embeddings for ${run.label}`);
+    } catch (error) {
+      onError(`Enrollment failed: ${error.message}`);
+    }
+  };
+
+  const removeLabel = (label) => {
+    setPersonalClassifier(prev => ({ ...prev, classifier: removeEnrollmentLabel(prev.classifier, label), isSaved: false }));
+  };
+
+  const changeClassifier = (changes) => {
+    setPersonalClassifier(prev => ({ ...prev, classifier: { ...prev.classifier, ...changes }, isSaved: false }));
+  };
+
+  const changeMode = (mode) => {
+    setPersonalClassifier(prev => {
+      if (prev.isSaved) savePersonalClassifier(prev.classifier, mode);
+      return { ...prev, mode };
+    });
+  };
+
+  const save = () => {
+    savePersonalClassifier(personalClassifier.classifier, personalClassifier.mode);
+    setPersonalClassifier(prev => ({ ...prev, isSaved: true }));
+  };
+
+  const reset = () => {
+    removePersonalClassifier(personalClassifier.classifier.modelId);
+    setPersonalClassifier(null);
+  };
+
+  /** @returns {boolean} true while an enrollment is recording */
+  const isEnrolling = () => Boolean(runRef.current);
+
+  /**
+   * Enroll the embedding of one inference of the primary face while recording; ends the run when its time is up.
+   * @param {ArrayLike<number>} embedding prediction.embedding, as the personal classifier will see it
+   * @param {number} now ms, stream time for replays
+   */
+  const collect = (embedding, now) => {
+    const run = runRef.current;
+    if (!run) return;
+    run.startedAt ??= now;
+    run.embeddings.push(embedding);
+    const progress = Math.min(1, (now - run.startedAt) / run.durationMs);
+    setEnrollmentRun({ label: run.label, progress, samples: run.embeddings.length });
+    if (progress >= 1) finish();
+  };
+
+  /**
+   * Personal prediction for a model prediction with an embedding.
+   * @param {object} prediction prediction of the current model
+   * @returns {{mode: string, personal: object|null}} mode 'off' and no prediction until the classifier is ready
+   */
+  const classify = (prediction) => {
+    const mode = isClassifierReady(personalClassifier?.classifier) ? personalClassifier.mode : 'off';
+    if (mode === 'off' || !prediction?.embedding) return { mode, personal: null };
+    const { classLabels, abstention } = getCurrentModelInfo().outputFormat;
+    return { mode, personal: applyPersonalClassifier(prediction, personalClassifier.classifier, classLabels, abstention) };
+  };
+
+  return {
+    personalClassifier,
+    enrollmentRun,
+    loadForModel,
+    start,
+    cancel,
+    removeLabel,
+    changeClassifier,
+    changeMode,
+    save,
+    reset,
+    isEnrolling,
+    collect,
+    classify
+  };
+}
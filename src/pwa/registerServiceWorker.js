@@ -0,0 +1,17 @@
+// src/pwa/registerServiceWorker.js
+
+/**
+ * Register the offline service worker written by the build (see scripts/vite-offline-plugin.js).
+ * Only in production builds: the dev server serves files straight from source.
+ */
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${import.meta.env.BASE_URL}sw.js`, { scope: import.meta.env.BASE_URL })
+      .then(registration => console.log('[PWA] service worker registered, scope:', registration.scope))
+      .catch(error => console.error('[PWA] service worker registration failed:', error));
+  });
+};
+
+export default registerServiceWorker;
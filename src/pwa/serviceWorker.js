@@ -0,0 +1,70 @@
+// src/pwa/serviceWorker.js
+// Service worker template. The build (scripts/vite-offline-plugin.js) writes it to <base>/sw.js with the
+// placeholders below replaced by the list of emitted files and a content hash.
+// - install: precache the app shell, ORT wasm and FaceMesh assets. Models are not precached: the model
+//   cache (services/modelCache.js) keeps the ones the user actually loads
+// - activate: drop caches of previous builds
+// - fetch: serve precached files from the cache, everything else from the network with a cache fallback.
+//   The model manifest is editable after deployment, so it goes to the network first like navigations.
+
+const PRECACHE_URLS = self.__PRECACHE_MANIFEST__;
+const CACHE_VERSION = self.__CACHE_VERSION__;
+const CACHE_PREFIX = 'emotions-offline-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+const MODEL_MANIFEST_URL = new URL('models/manifest.json', self.location.href).href;
+
+// Absolute URLs, resolved against the service worker location (the Vite base path)
+const precachedUrls = new Set(PRECACHE_URLS.map(url => new URL(url, self.location.href).href));
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll([...precachedUrls]))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  url.hash = '';
+  url.search = '';
+
+  // Navigations: network first so a new build is picked up, cached app shell when offline
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(() => caches.match(new URL('./', self.location.href).href))
+    );
+    return;
+  }
+
+  if (url.href === MODEL_MANIFEST_URL) {
+    event.respondWith(
+      fetch(request).catch(() => caches.match(url.href))
+    );
+    return;
+  }
+
+  if (precachedUrls.has(url.href)) {
+    event.respondWith(
+      caches.match(url.href).then(cached => cached || fetch(request))
+    );
+    return;
+  }
+
+  event.respondWith(
+    fetch(request).catch(() => caches.match(request))
+  );
+});
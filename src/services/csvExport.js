@@ -0,0 +1,41 @@
+// src/services/csvExport.js
+
+// Quote a CSV field when it contains a separator, quote or line break
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'number' ? String(value) : `${value}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize rows to CSV.
+ * @param {Array<object>} rows data rows
+ * @param {Array<{key:string, header:string}>} columns column order and header names
+ * @returns {string} CSV text with a header line
+ */
+export const toCsv = (rows, columns) => {
+  const lines = [columns.map(col => escapeCsvValue(col.header)).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(col => escapeCsvValue(row[col.key])).join(','));
+  });
+  return lines.join('\n');
+};
+
+/**
+ * Trigger a browser download of in-memory text.
+ * @param {string} filename suggested file name
+ * @param {string} text file contents
+ * @param {string} mimeType e.g. 'text/csv'
+ */
+export const downloadTextFile = (filename, text, mimeType = 'text/plain') => {
+  const blob = new Blob([text], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Give the browser a moment to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -1,35 +1,222 @@
-import * as ort from 'onnxruntime-web';
-import { getOnnxModelUri } from './onnxModelLoader';
+import { getOnnxModelBytes } from './onnxModelLoader';
 // Removed fetchModelFromHooks fallback since models are served locally
-import { getActiveModelConfig, getModelPaths, getModelConfig as getModelConfigUtil, setActiveModel as setActiveModelUtil, getAllModelConfigs as getAllModelConfigsUtil } from '../config/modelConfig'; // Renamed imports to avoid conflict
+import { getActiveModelConfig, getModelConfig as getModelConfigUtil, setActiveModel as setActiveModelUtil, getAllModelConfigs as getAllModelConfigsUtil, loadModelManifest, getModelManifestStatus, registerUploadedModel } from '../config/modelConfig'; // Renamed imports to avoid conflict
+import { EmotionInferenceCore } from '../core/emotionInferenceCore.js';
+import { hasClassificationHead, validateModelConfig } from '../core/modelManifest.js';
+import { describeSessionIO } from '../core/sessionMetadata.js';
+import { ModelValidationError } from '../core/sessionValidation.js';
+import { benchmarkCore } from '../core/sessionBenchmark.js';
+import { EnsembleInferenceCore } from '../core/ensembleInference.js';
+import { getFrontalizationReference, registerFrontalizationReference } from '../core/frontalization.js';
+import {
+  normalizeLandmarkFrame as normalizeFrameForModel,
+  preprocessLandmarks as preprocessForModel
+} from '../core/landmarkPreprocessing.js';
+import {
+  mapScoreToClassDetails as mapScoreForLabels,
+  mapClassificationLogitsToClassDetails as mapLogitsForLabels,
+  labelProbabilities as labelProbabilitiesForLabels
+} from '../core/predictionPostprocessing.js';
+import { InferenceWorkerClient, InferenceCancelledError } from './inferenceWorkerClient';
+import { getModelBytesCached, hashModelBytes, listCachedModels, loadCachedModel, storeModel } from './modelCache';
+import { resolveProcessingOptions } from '../config/runtimeSettings';
+
+export { InferenceCancelledError, ModelValidationError };
+
+// Browser facade around the framework-agnostic inference core (src/core):
+// fetches model bytes from the deployment and runs the session in a Web Worker
+// (inferenceWorkerClient.js), falling back to the main thread where workers are unavailable.
+// The loaded model is kept as module-level state for the UI.
+let inferenceCore = null; // InferenceWorkerClient or EmotionInferenceCore, same interface
+let workerClient = null;
+let workerThreads = null; // numThreads the worker's runtime was started with
+let currentModelConfig = null; // Stores the config of the currently loaded model
+let lastLoadError = null; // { message, report } of the last failed initializeOnnxModel
+const uploadedModelBytes = new Map(); // id -> bytes of a model uploaded this session
+let uploadsRestored = null;
+let comparisonCore = null; // second model loaded next to the current one in compare mode, own worker
+let comparisonModelConfig = null;
+const neutralReferences = new Map(); // model id -> neutral reference frame for landmark calibration
+
+// onnxruntime-web/all registers the webgl backend next to webgpu and wasm (the default entry point has no webgl).
+// ort.env.wasm.wasmPaths is left unset: onnxruntime-web then loads the wasm file Vite emits next to
+// the bundle under the base path, so inference works offline (see optimizeDeps in vite.config.js)
+
+// wasm settings the main-thread runtime started with; ONNX Runtime ignores changes after its first session
+let mainThreadRuntime = null;
+
+// Load the model on the main thread (no worker support, the worker failed to start, or proxy mode)
+const createMainThreadCore = async (modelConfig, modelBytes, options) => {
+  const ort = await import('onnxruntime-web/all');
+  if (!mainThreadRuntime) {
+    ort.env.wasm.numThreads = options.numThreads;
+    ort.env.wasm.proxy = options.proxy;
+    mainThreadRuntime = { numThreads: options.numThreads, proxy: options.proxy };
+  } else if (mainThreadRuntime.numThreads !== options.numThreads || mainThreadRuntime.proxy !== options.proxy) {
+    console.warn('Main-thread ONNX Runtime already started, thread and proxy settings apply after a page reload.');
+  }
+  const core = await EmotionInferenceCore.create({ ort, modelConfig, modelBytes, sessionOptions: toSessionOptions(options) });
+  core.numThreads = ort.env.wasm.numThreads;
+  core.proxy = Boolean(ort.env.wasm.proxy);
+  return core;
+};
 
-// Constant to enable/disable FERPlus specific normalization
-const ENABLE_FERPLUS_NORMALIZATION = true;
+const toSessionOptions = ({ executionProviders, graphOptimizationLevel }) => ({ executionProviders, graphOptimizationLevel });
+
+// Model bytes from memory (uploads), the persistent model cache or the deployment
+const fetchModelBytes = async (modelConfig) => {
+  if (modelConfig.source === 'upload') return getUploadedModelBytes(modelConfig);
+  // Served from the persistent model cache when this model version was downloaded before
+  const { bytes: modelBytes } = await getModelBytesCached(modelConfig, () => getOnnxModelBytes(modelConfig.filename));
+  if (!modelBytes) {
+    throw new Error(`Failed to fetch model '${modelConfig.filename}' from any of the possible paths`);
+  }
+  return modelBytes;
+};
 
-// Landmark indices based on the Python training script for FERPlus normalization
-// These are indices into the 478 landmarks array
-const FERPLUS_NOSE_TIP_IDX = 1;         // Nose tip
-const FERPLUS_LEFT_EYE_INNER_IDX = 133; // Left eye inner corner
-const FERPLUS_RIGHT_EYE_INNER_IDX = 362;// Right eye inner corner
+// Bytes of an uploaded model: from memory, or from the model cache when it was kept across reloads.
+// Always a copy, since loading transfers the bytes to the worker.
+const getUploadedModelBytes = async (modelConfig) => {
+  const bytes = uploadedModelBytes.get(modelConfig.id) || await loadCachedModel(modelConfig);
+  if (!bytes) throw new Error(`Uploaded model '${modelConfig.id}' is no longer available, upload it again`);
+  uploadedModelBytes.set(modelConfig.id, bytes);
+  return bytes.slice(0);
+};
 
-let onnxSession = null;
-let currentModelConfig = null; // Stores the config of the currently loaded model
+// Register the uploaded models kept in the model cache, once per page load
+const restoreUploadedModels = () => {
+  if (!uploadsRestored) {
+    uploadsRestored = listCachedModels()
+      .then(entries => entries.filter(entry => entry.config?.source === 'upload').forEach(entry => {
+        const errors = validateModelConfig(entry.config);
+        if (errors.length > 0) {
+          console.warn(`Skipping stored uploaded model '${entry.id}':`, errors);
+          return;
+        }
+        try {
+          registerUploadedModel(entry.config);
+        } catch (error) {
+          console.warn(`Skipping stored uploaded model '${entry.id}': ${error.message}`);
+        }
+      }))
+      .catch(error => console.warn('Could not restore uploaded models:', error));
+  }
+  return uploadsRestored;
+};
 
-const getModelDimensions = () => {
-  const config = currentModelConfig || getActiveModelConfig(); // Use loaded model's config first
-  return {
-    SEQ_LEN: config.inputFormat.sequenceLength,
-    NUM_LANDMARKS: config.inputFormat.numLandmarks,
-    NUM_COORDS: config.inputFormat.numCoords
-  };
+/**
+ * Fetch and register the reference mesh of a frontalizing model (frontalization.referenceLandmarks of its
+ * config, a JSON array of one frame of x, y, z coordinates served next to the model), which preprocessing
+ * aligns every frame to. Models sharing a reference file fetch it once.
+ * @param {object} modelConfig
+ * @throws {Error} when the declared file cannot be fetched or is not a frame of the model
+ */
+const loadFrontalizationReference = async (modelConfig) => {
+  const filename = modelConfig.frontalization?.referenceLandmarks;
+  if (!filename || getFrontalizationReference(filename)) return;
+  const bytes = await getOnnxModelBytes(filename);
+  if (!bytes) throw new Error(`Failed to fetch frontalization reference '${filename}'`);
+  const reference = JSON.parse(new TextDecoder().decode(bytes));
+  const { numLandmarks } = modelConfig.inputFormat;
+  if (!Array.isArray(reference) || reference.flat().length !== numLandmarks * 3) {
+    throw new Error(`Frontalization reference '${filename}' must hold ${numLandmarks} x, y, z points`);
+  }
+  registerFrontalizationReference(filename, reference);
 };
 
-export const initializeOnnxModel = async (modelId = null) => {
-  // Explicitly set the base path for ONNX runtime WASM and MJS files to CDN
-  // This avoids serving local WASM/MJS from Vite public, preventing import errors
-  ort.env.wasm.wasmPaths = 'https://cdn.jsdelivr.net/npm/onnxruntime-web/dist/';
+/**
+ * Load a model.
+ * @param {object} modelConfig
+ * @param {{dedicated?: boolean}} [params] dedicated: use a worker of its own instead of the shared one
+ *   (ensemble members, comparison model), or the main thread in proxy mode; the shared worker is never
+ *   touched. Released cores of dedicated workers must also be terminated
+ */
+const createCore = async (modelConfig, { dedicated = false } = {}) => {
+  if (modelConfig.type === 'ensemble') return createEnsembleCore(modelConfig);
+  await loadFrontalizationReference(modelConfig);
+  const options = resolveProcessingOptions(modelConfig);
 
+  if (dedicated && !options.proxy && InferenceWorkerClient.isSupported()) {
+    const client = new InferenceWorkerClient();
+    try {
+      await client.init(modelConfig, await fetchModelBytes(modelConfig), {
+        numThreads: options.numThreads,
+        sessionOptions: toSessionOptions(options)
+      });
+      return client;
+    } catch (error) {
+      client.terminate();
+      if (error instanceof ModelValidationError) throw error;
+      console.warn(`Inference worker unavailable for ${modelConfig.id}, running it on the main thread: ${error.message}`);
+    }
+  } else if (options.proxy && !dedicated) {
+    // ONNX Runtime brings its own worker in proxy mode
+    workerClient?.terminate();
+    workerClient = null;
+  } else if (!dedicated && InferenceWorkerClient.isSupported()) {
+    try {
+      // The worker's wasm runtime keeps the thread count it started with, so a new count needs a new worker
+      if (workerClient && workerThreads !== options.numThreads) {
+        workerClient.terminate();
+        workerClient = null;
+      }
+      if (!workerClient) {
+        workerClient = new InferenceWorkerClient();
+        workerThreads = options.numThreads;
+      }
+      await workerClient.init(modelConfig, await fetchModelBytes(modelConfig), {
+        numThreads: options.numThreads,
+        sessionOptions: toSessionOptions(options)
+      });
+      console.log(`ONNX model loaded in the inference worker (${workerClient.executionProvider}).`);
+      return workerClient;
+    } catch (error) {
+      // The model itself was refused, the main thread would refuse it too
+      if (error instanceof ModelValidationError) throw error;
+      console.warn(`Inference worker unavailable, running ONNX on the main thread: ${error.message}`);
+      workerClient?.terminate();
+      workerClient = null;
+    }
+  }
+  // Bytes were transferred to the worker, read them again
+  const core = await createMainThreadCore(modelConfig, await fetchModelBytes(modelConfig), options);
+  console.log(`ONNX model loaded on the main thread (${core.executionProvider}${core.proxy ? ', proxy' : ''}).`);
+  return core;
+};
+
+// Load every member of an ensemble, one at a time, each in its own worker
+const createEnsembleCore = async (ensembleConfig) => {
+  const members = [];
+  try {
+    for (const { modelId, weight } of ensembleConfig.members) {
+      const memberConfig = getModelConfigUtil(modelId);
+      if (!memberConfig) throw new Error(`Ensemble member '${modelId}' is not available`);
+      let core;
+      try {
+        core = await createCore(memberConfig, { dedicated: true });
+      } catch (error) {
+        error.message = `Ensemble member '${modelId}': ${error.message}`;
+        throw error;
+      }
+      members.push({ modelId, name: memberConfig.name, weight, classLabels: memberConfig.outputFormat.classLabels, core });
+    }
+  } catch (error) {
+    await new EnsembleInferenceCore(ensembleConfig, members).release();
+    throw error;
+  }
+  console.log(`Ensemble ${ensembleConfig.id} loaded with ${members.length} members (${ensembleConfig.fusion}).`);
+  return new EnsembleInferenceCore(ensembleConfig, members);
+};
+
+export const initializeOnnxModel = async (modelId = null) => {
   try {
+    // The registry comes from models/manifest.json
+    const manifest = await loadModelManifest();
+    await restoreUploadedModels();
+    if (!getActiveModelConfig()) {
+      throw new Error(manifest.errors[0] || 'No valid model in the model manifest');
+    }
+
     // Determine which model to load: explicit modelId or the active default
     let targetModelId = modelId || getActiveModelConfig().id;
 
@@ -49,335 +236,181 @@ export const initializeOnnxModel = async (modelId = null) => {
     }
     
     console.log(`Initializing ONNX model: ${currentModelConfig.name} (ID: ${currentModelConfig.id})`);
-    
-    const options = {
-      executionProviders: currentModelConfig.processingOptions.executionProviders,
-      graphOptimizationLevel: currentModelConfig.processingOptions.graphOptimizationLevel
-    };
-    
-    const possiblePaths = getModelPaths(currentModelConfig.filename);
-    let modelLoaded = false;
-    let lastError = null;
 
-    console.log("Attempting to load model using getOnnxModelUri...");
-    try {
-      const modelUri = await getOnnxModelUri(currentModelConfig.filename);
-      if (modelUri) {
-        onnxSession = await ort.InferenceSession.create(modelUri, options);
-        console.log('ONNX model loaded successfully via getOnnxModelUri.');
-        URL.revokeObjectURL(modelUri); // Clean up blob URL
-        modelLoaded = true;
-      } else {
-        console.warn('getOnnxModelUri did not return a URI.');
-      }
-    } catch (error) {
-      console.warn(`Failed to load model from getOnnxModelUri (blob URL): ${error.message}`);
-      lastError = error;
-    }
-    
-    
-    if (!modelLoaded) {
-      console.log("Attempting to load model from direct paths...");
-      for (const path of possiblePaths) {
-        try {
-          console.log(`Trying direct path: ${path}`);
-          onnxSession = await ort.InferenceSession.create(path, options);
-          console.log(`ONNX model loaded successfully from direct path: ${path}`);
-          modelLoaded = true;
-          break;
-        } catch (error) {
-          console.warn(`Failed to load model from ${path}: ${error.message}`);
-          lastError = error;
-        }
-      }
-    }
-    
-    if (!modelLoaded) {
-      throw lastError || new Error('Failed to load model from any of the possible methods/paths');
-    }
-    
-    console.log("ONNX Session Input Names:", onnxSession.inputNames);
-    console.log("ONNX Session Output Names:", onnxSession.outputNames);
-    // Log class labels mapping for verification
-    console.log("ONNX Model Class Labels:", currentModelConfig.outputFormat.classLabels);
+    const previousCore = inferenceCore;
+    inferenceCore = null;
+    if (previousCore && previousCore !== workerClient) previousCore.release().catch(() => {});
+    inferenceCore = await createCore(currentModelConfig);
+    lastLoadError = null;
     return true;
   } catch (error) {
     console.error('Failed to initialize ONNX model:', error);
-    onnxSession = null; // Ensure session is null on failure
+    if (error.report) console.error('Model validation report:', error.report);
+    lastLoadError = { message: error.message, report: error.report || null };
+    inferenceCore = null; // Ensure session is null on failure
     currentModelConfig = null;
     return false;
   }
 };
 
-// FERPlus specific normalization (ported from the Python script)
-const applyFerPlusNormalization = (landmarksArray, imageWidth, imageHeight) => {
-  if (!landmarksArray || landmarksArray.length === 0) return landmarksArray;
-
-  // landmarksArray is expected to be [NUM_LANDMARKS][NUM_COORDS] for a single frame
-  // The Python script processes one image (frame) at a time.
-  // landmarks input to this function should be the 3D world coordinates from MediaPipe,
-  // scaled by image width/height as in the python script's extract_landmarks_from_image
-  // before normalization.
-
-  const landmarksAbs3d = landmarksArray.map(lm => ({
-    x: lm.x * imageWidth,
-    y: lm.y * imageHeight,
-    z: lm.z * imageWidth // Python script uses image_width for Z scaling
-  }));
-
-  if (landmarksAbs3d.length <= Math.max(FERPLUS_NOSE_TIP_IDX, FERPLUS_LEFT_EYE_INNER_IDX, FERPLUS_RIGHT_EYE_INNER_IDX)) {
-    console.warn("Not enough landmarks for FERPlus normalization.");
-    return landmarksArray; // Return original if not enough landmarks
-  }
+const getLabels = () => (currentModelConfig || getActiveModelConfig())?.outputFormat.classLabels;
 
-  const noseTip3d = { ...landmarksAbs3d[FERPLUS_NOSE_TIP_IDX] };
-
-  const landmarksCentered3d = landmarksAbs3d.map(lm => ({
-    x: lm.x - noseTip3d.x,
-    y: lm.y - noseTip3d.y,
-    z: lm.z - noseTip3d.z
-  }));
-
-  const pLeftEyeInnerXY = { x: landmarksCentered3d[FERPLUS_LEFT_EYE_INNER_IDX].x, y: landmarksCentered3d[FERPLUS_LEFT_EYE_INNER_IDX].y };
-  const pRightEyeInnerXY = { x: landmarksCentered3d[FERPLUS_RIGHT_EYE_INNER_IDX].x, y: landmarksCentered3d[FERPLUS_RIGHT_EYE_INNER_IDX].y };
-
-  const dx = pLeftEyeInnerXY.x - pRightEyeInnerXY.x;
-  const dy = pLeftEyeInnerXY.y - pRightEyeInnerXY.y;
-  let interOcularDistance = Math.sqrt(dx * dx + dy * dy);
-
-  if (interOcularDistance < 1e-6) {
-    console.warn("Inter-ocular distance is too small, using fallback.");
-    interOcularDistance = imageWidth / 4.0; // Fallback from Python script
-    if (interOcularDistance < 1e-6) interOcularDistance = 1.0; // Further fallback
-  }
-
-  const landmarksNormalized3d = landmarksCentered3d.map(lm => ({
-    x: lm.x / interOcularDistance,
-    y: lm.y / interOcularDistance,
-    z: lm.z / interOcularDistance
-  }));
-
-  return landmarksNormalized3d; // This is an array of {x,y,z} objects
+/**
+ * Normalize a single frame of landmarks and flatten it for the current model.
+ * Missing landmarks are padded with -1 like the training pipeline does.
+ * @param {Array} frameLandmarks Array of {x,y,z} landmarks for one frame.
+ * @param {number} videoWidth Width used for normalization.
+ * @param {number} videoHeight Height used for normalization.
+ * @param {object} [modelConfig] model to normalize for (e.g. the comparison model), the current one by default
+ * @returns {Float32Array} Flat frame of length NUM_LANDMARKS * NUM_COORDS.
+ */
+export const normalizeLandmarkFrame = (frameLandmarks, videoWidth, videoHeight, modelConfig = null) => {
+  return normalizeFrameForModel(frameLandmarks, videoWidth, videoHeight, modelConfig || currentModelConfig || getActiveModelConfig());
 };
 
 export const preprocessLandmarks = (landmarks, videoWidth, videoHeight) => {
-  // Convert single-frame landmarks (array of objects) into an array of frames
-  const frames = Array.isArray(landmarks) && landmarks.length > 0 && typeof landmarks[0].x === 'number'
-    ? [landmarks] // Input is a single frame of landmarks
-    : Array.isArray(landmarks)
-      ? landmarks // Input is already an array of frames (though typically we process one by one)
-      : [];
-
-  const { SEQ_LEN, NUM_LANDMARKS, NUM_COORDS } = getModelDimensions();
-  const processedFramesData = []; // This will hold the flat Float32Array data
-
-  for (let i = 0; i < SEQ_LEN; i++) {
-    let frameLandmarks = frames[i] || []; // Get current frame's landmarks or empty if no frame
-
-    // Apply FERPlus normalization if enabled and model requires it
-    if (ENABLE_FERPLUS_NORMALIZATION && currentModelConfig && currentModelConfig.normalizationType === 'ferplus') {
-        console.log("Applying FERPlus Normalization in preprocessLandmarks");
-        // Ensure frameLandmarks are in the {x,y,z} format expected by applyFerPlusNormalization
-        // The landmarks from MediaPipe are already in this format.
-        // videoWidth and videoHeight are passed for scaling inside applyFerPlusNormalization
-        frameLandmarks = applyFerPlusNormalization(frameLandmarks, videoWidth, videoHeight);
-    } else if (currentModelConfig && currentModelConfig.inputFormat.requiresNormalization) {
-        // Apply old normalization if configured and FERPlus is not active for this model
-        // This part might need review if applyDistanceNormalization is different
-        console.log("Applying legacy distance normalization");
-        // frameLandmarks = applyDistanceNormalization(frameLandmarks); // Assuming applyDistanceNormalization takes similar input
-    }
-
-
-    // Initialize flat array for the current frame's landmark data
-    const frameArray = new Float32Array(NUM_LANDMARKS * NUM_COORDS).fill(-1.0);
-
-    for (let j = 0; j < Math.min(frameLandmarks.length, NUM_LANDMARKS); j++) {
-      const lm = frameLandmarks[j];
-      if (lm && typeof lm.x === 'number' && typeof lm.y === 'number' && typeof lm.z === 'number') {
-        frameArray[j * NUM_COORDS + 0] = lm.x;
-        frameArray[j * NUM_COORDS + 1] = lm.y;
-        frameArray[j * NUM_COORDS + 2] = lm.z;
-      }
-    }
-    processedFramesData.push(...frameArray); // Add current frame's flat data
-  }
-  // Create a single Float32Array for all frames
-  return new Float32Array(processedFramesData);
+  return preprocessForModel(landmarks, videoWidth, videoHeight, currentModelConfig || getActiveModelConfig());
 };
 
+// Bands of the current model when it is a regression model, the default engagement bands otherwise
 export const mapScoreToClassDetails = (score, classLabels = null) => {
-  const config = currentModelConfig || getActiveModelConfig();
-  const labels = classLabels || config.outputFormat.classLabels || {
-    0: 'Not Engaged', 1: 'Barely Engaged', 2: 'Engaged', 3: 'Highly Engaged', 4: 'SNP' // Default fallback
-  };
-  const details = { index: -1, name: "Prediction Failed", score };
-  if (score === null || score === undefined) return details;
-
-  let classIndex = -1;
-  // This mapping is specific to an engagement model.
-  // For the AffectNet emotion model, this function might not be directly applicable
-  // unless the 'score' represents a specific emotion's confidence or similar.
-  // The AffectNet model outputs logits for 8 classes.
-  if (!(0.0 <= score && score <= 1.0)) details.name = "Invalid Score Range";
-  else if (0.0 <= score && score < 0.175) classIndex = 4;  // SNP
-  else if (0.175 <= score && score < 0.40) classIndex = 0;  // Not Engaged
-  else if (0.40 <= score && score < 0.60) classIndex = 1;  // Barely Engaged
-  else if (0.60 <= score && score < 0.825) classIndex = 2;  // Engaged
-  else if (0.825 <= score && score <= 1.0) classIndex = 3;  // Highly Engaged
-  else details.name = "Score Mapping Error";
-  
-  if (classIndex !== -1 && labels[classIndex]) {
-    details.index = classIndex;
-    details.name = labels[classIndex];
-  } else if (classIndex !== -1) {
-    details.index = classIndex;
-    details.name = "Unknown Index";
-  }
-  return details;
+  const outputFormat = (currentModelConfig || getActiveModelConfig())?.outputFormat;
+  if (outputFormat?.outputType !== 'regression') return mapScoreForLabels(score, classLabels);
+  return mapScoreForLabels(score, classLabels || outputFormat.classLabels, outputFormat.bandThresholds, outputFormat.scoreRange);
 };
 
 export const mapClassificationLogitsToClassDetails = (logits, classLabels = null) => {
-  const config = currentModelConfig || getActiveModelConfig();
-  const labels = classLabels || config.outputFormat.classLabels || { /* default labels */ };
-  const details = { index: -1, name: "Classification Failed", raw_logits: null, probabilities: null };
-  if (!logits || !Array.isArray(logits)) return details;
-
-  details.raw_logits = logits;
-  const maxLogit = Math.max(...logits);
-  const expLogits = logits.map(l => Math.exp(l - maxLogit));
-  const sumExp = expLogits.reduce((sum, val) => sum + val, 0);
-  const probabilities = expLogits.map(exp => exp / sumExp);
-  details.probabilities = probabilities;
-
-  let maxProb = -Infinity;
-  let classIndex = -1;
-  for (let i = 0; i < probabilities.length; i++) {
-    if (probabilities[i] > maxProb) {
-      maxProb = probabilities[i];
-      classIndex = i;
-    }
-  }
-  
-  if (labels[classIndex]) {
-    details.index = classIndex;
-    details.name = labels[classIndex];
-  } else if (classIndex !== -1) {
-    details.index = classIndex;
-    details.name = "Unknown Index";
-  }
-  return details;
+  return mapLogitsForLabels(logits, classLabels || getLabels());
 };
 
 /**
- * Predict engagement/emotion from landmarks.
+ * Predict engagement/emotion from landmarks with the loaded model.
  * @param {Array} landmarks Array of {x,y,z} landmarks.
  * @param {number} videoWidth Width used for normalization.
  * @param {number} videoHeight Height used for normalization.
- * @param {{skipNormalization?: boolean}} [options] If true, bypasses preprocessLandmarks normalization.
+ * @param {{skipNormalization?: boolean, context?: string, sequenceWindow?: Float32Array}} [options]
+ *   skipNormalization bypasses preprocessLandmarks normalization.
+ *   sequenceWindow is an already-normalized [T, NUM_LANDMARKS, NUM_COORDS] window from a LandmarkSequenceBuffer;
+ *   when given, `landmarks` is ignored and the array is transferred to the inference worker.
+ * @returns {Promise<object|null>} prediction, null on failure
+ * @throws {InferenceCancelledError} when a newer prediction with the same context replaced this one before it ran
  */
 export const predictEngagement = async (landmarks, videoWidth, videoHeight, options = {}) => {
-  if (!onnxSession || !currentModelConfig) {
+  if (!inferenceCore || !currentModelConfig) {
     console.error('ONNX session or model config not initialized.');
     return null;
   }
+  return inferenceCore.predict(landmarks, videoWidth, videoHeight, options);
+};
 
-  const skipNorm = options.skipNormalization === true;
-  const ctxLabel = options.context || 'FULL';
-  let processedInput;
-  if (skipNorm) {
-    // Create flat input skipping normalization (assumes landmarks already in normalized [0,1] range)
-    const { SEQ_LEN, NUM_LANDMARKS, NUM_COORDS } = getModelDimensions();
-    // Single frame array
-    const frameArray = new Float32Array(NUM_LANDMARKS * NUM_COORDS).fill(-1.0);
-    for (let j = 0; j < Math.min(landmarks.length, NUM_LANDMARKS); j++) {
-      const lm = landmarks[j];
-      if (lm && typeof lm.x === 'number') {
-        frameArray[j * NUM_COORDS + 0] = lm.x;
-        frameArray[j * NUM_COORDS + 1] = lm.y;
-        frameArray[j * NUM_COORDS + 2] = lm.z;
-      }
-    }
-    // Build sequence-length input, pad remaining frames as -1
-    processedInput = new Float32Array(SEQ_LEN * NUM_LANDMARKS * NUM_COORDS).fill(-1.0);
-    processedInput.set(frameArray, 0);
-  } else {
-    // Standard preprocessing (including FERPlus or legacy normalization)
-    processedInput = preprocessLandmarks(landmarks, videoWidth, videoHeight);
-  }
-  // Log processed input tensor details
-  console.log(`[${ctxLabel}] processedInput length:`, processedInput.length);
-  console.log(`[${ctxLabel}] processedInput first 30:`, processedInput.slice(0, 30));
-
-  // Use the configured input tensor shape from modelConfig (e.g., [1, 478, 3])
-  const inputShape = currentModelConfig.inputFormat.tensorShape;
-  const tensor = new ort.Tensor('float32', processedInput, inputShape);
-  const feeds = { [onnxSession.inputNames[0]]: tensor };
+/**
+ * Pair class probabilities with the loaded model's labels.
+ * @param {Array<number>} probabilities classification_head_probabilities from predictEngagement
+ * @param {Object<string, string>} [classLabels] labels of another model (e.g. the comparison model)
+ * @returns {Array<{label: string, probability: number}>} in class index order
+ */
+export const labelProbabilities = (probabilities, classLabels = null) => {
+  return labelProbabilitiesForLabels(probabilities, classLabels || getLabels() || {});
+};
 
-  try {
-    const results = await onnxSession.run(feeds);
-    const outputTensor = results[onnxSession.outputNames[0]]; // Assuming first output is logits
-    const probabilities = outputTensor.data; // This should be the raw logits/probabilities
+/**
+ * The loaded inference core, for tools that need more than predictEngagement (e.g. parity checks).
+ * @returns {EmotionInferenceCore|null}
+ */
+export const getInferenceCore = () => inferenceCore;
 
-    // The FERPlus model from script has two outputs: 'logits' and 'embedding'
-    // We are interested in 'logits' for classification
-    // outputNames: ["logits", "embedding"]
+/**
+ * Why the last initializeOnnxModel/switchModel failed; report is set when the model did not match its config.
+ * @returns {{message: string, report: object|null}|null} null after a successful load
+ */
+export const getModelLoadError = () => lastLoadError;
 
-    let classificationProbabilities = probabilities; // Default to the first output's data
+/**
+ * Validation report of the loaded model (see core/sessionValidation.js).
+ * @returns {object|null}
+ */
+export const getModelValidationReport = () => inferenceCore?.validationReport || null;
 
-    if (onnxSession.outputNames.includes('logits')) {
-        classificationProbabilities = results['logits'].data;
-    } else {
-        console.warn("Output 'logits' not found, using the first output tensor by default.");
-    }
+/**
+ * Session output the loaded model's embeddings come from (predictions then carry `embedding`).
+ * @returns {string|null} null for models without one, and for ensembles
+ */
+export const getEmbeddingOutputName = () => inferenceCore?.validationReport?.embeddingName || null;
 
+/**
+ * Where the loaded model runs: the execution provider that initialized, the ones that failed before it,
+ * the wasm thread count, proxy mode, and whether the session is in the inference worker or on the main thread.
+ * @returns {{executionProvider: string, providerAttempts: Array<{provider: string, error: string}>, numThreads: number|null, proxy: boolean, thread: 'worker'|'main'}|null}
+ */
+export const getExecutionProviderInfo = () => (inferenceCore ? {
+  executionProvider: inferenceCore.executionProvider,
+  providerAttempts: inferenceCore.providerAttempts || [],
+  numThreads: inferenceCore.numThreads ?? null,
+  proxy: Boolean(inferenceCore.proxy),
+  thread: inferenceCore === workerClient
+    || inferenceCore.members?.every(member => member.core instanceof InferenceWorkerClient) ? 'worker' : 'main'
+} : null);
 
-    // Softmax application if model output is raw logits
-    let finalProbabilities = Array.from(classificationProbabilities);
-    if (currentModelConfig.outputFormat.applySoftmax) {
-      finalProbabilities = softmax(Array.from(classificationProbabilities));
-    }
-    
-    const classLabels = currentModelConfig.outputFormat.classLabels;
-    if (!classLabels || Object.keys(classLabels).length !== finalProbabilities.length) {
-        console.error("Class labels mismatch or not defined for the current model.");
-        // Return raw probabilities if labels are problematic
-        return {
-            emotion: "Error: Label mismatch",
-            score: 0,
-            classification_head_probabilities: finalProbabilities 
-        };
-    }
+/**
+ * Benchmark configurations for this machine: WebGPU, WebGL, and wasm with 1..hardwareConcurrency threads
+ * (a single thread when the page is not cross-origin isolated).
+ * @returns {Array<{provider: string, numThreads: number}>}
+ */
+export const getBenchmarkConfigurations = () => {
+  const cores = navigator.hardwareConcurrency || 1;
+  const threadCounts = self.crossOriginIsolated ? [...new Set([1, 2, 4, cores])].filter(n => n <= cores) : [1];
+  return [
+    { provider: 'webgpu', numThreads: 0 },
+    { provider: 'webgl', numThreads: 0 },
+    ...threadCounts.map(numThreads => ({ provider: 'wasm', numThreads }))
+  ];
+};
 
-    let maxScore = -Infinity;
-    let detectedEmotion = 'N/A';
-    finalProbabilities.forEach((score, index) => {
-      if (score > maxScore) {
-        maxScore = score;
-        detectedEmotion = classLabels[index] || `Class ${index}`;
+/**
+ * Time the current model under each configuration, one throwaway session at a time
+ * (in a fresh worker per configuration, so every thread count takes effect).
+ * @param {Array<{provider: string, numThreads: number}>} configurations
+ * @param {{runs?: number, onProgress?: (done: number, total: number) => void}} [options]
+ * @returns {Promise<Array<object>>} per configuration: provider, numThreads, ok, and error or latency stats (see core/sessionBenchmark.js) with initMs
+ */
+export const runProviderBenchmark = async (configurations, { runs = 20, onProgress } = {}) => {
+  const modelConfig = currentModelConfig || getActiveModelConfig();
+  if (!modelConfig) throw new Error('No model to benchmark');
+  if (modelConfig.type === 'ensemble') throw new Error('Ensembles cannot be benchmarked, select one of their members');
+  const { graphOptimizationLevel } = resolveProcessingOptions(modelConfig);
+  const results = [];
+  for (let i = 0; i < configurations.length; i++) {
+    const configuration = configurations[i];
+    onProgress?.(i, configurations.length);
+    const sessionOptions = { executionProviders: [configuration.provider], graphOptimizationLevel };
+    try {
+      let result;
+      if (InferenceWorkerClient.isSupported()) {
+        const client = new InferenceWorkerClient();
+        try {
+          result = await client.benchmark(modelConfig, await fetchModelBytes(modelConfig), { numThreads: configuration.numThreads, sessionOptions, runs });
+        } finally {
+          client.terminate();
+        }
+      } else {
+        // Same runtime as the loaded model, so the thread count cannot change here
+        const ort = await import('onnxruntime-web/all');
+        const started = performance.now();
+        const core = await EmotionInferenceCore.create({ ort, modelConfig, modelBytes: await fetchModelBytes(modelConfig), sessionOptions });
+        const initMs = performance.now() - started;
+        try {
+          result = { ...(await benchmarkCore(core, { runs })), initMs, executionProvider: core.executionProvider, numThreads: ort.env.wasm.numThreads };
+        } finally {
+          await core.release();
+        }
       }
-    });
-
-    // Log raw logits and post-softmax probabilities
-    console.log(`[${ctxLabel}] raw logits first 8:`, classificationProbabilities.slice(0, 8));
-    console.log(`[${ctxLabel}] post-softmax first 8:`, finalProbabilities.slice(0, 8));
-    return {
-      emotion: detectedEmotion,
-      score: maxScore,
-      classification_head_probabilities: finalProbabilities // Return all probabilities
-    };
-  } catch (error) {
-    console.error('Error during ONNX inference:', error);
-    return null;
+      results.push({ ...configuration, ok: true, ...result });
+    } catch (error) {
+      results.push({ ...configuration, ok: false, error: error.message });
+    }
   }
-};
-
-// Helper function for softmax (if needed, some models output logits)
-const softmax = (arr) => {
-  const maxLogit = Math.max(...arr);
-  const exps = arr.map(x => Math.exp(x - maxLogit));
-  const sumExps = exps.reduce((a, b) => a + b);
-  return exps.map(x => x / sumExps);
+  onProgress?.(configurations.length, configurations.length);
+  return results;
 };
 
 export const getCurrentModelInfo = () => {
@@ -386,9 +419,15 @@ export const getCurrentModelInfo = () => {
       id: currentModelConfig.id,
       name: currentModelConfig.name,
       filename: currentModelConfig.filename,
+      source: currentModelConfig.source || 'manifest',
+      type: currentModelConfig.type || 'model',
+      fusion: currentModelConfig.fusion,
+      members: currentModelConfig.members,
+      processingOptions: currentModelConfig.processingOptions,
       inputFormat: currentModelConfig.inputFormat,
       outputFormat: currentModelConfig.outputFormat,
-      normalizationType: currentModelConfig.normalizationType 
+      normalizationType: currentModelConfig.normalizationType,
+      frontalization: currentModelConfig.frontalization
     } : 
     null;
 };
@@ -397,6 +436,48 @@ export const getAllModels = () => {
     return getAllModelConfigsUtil();
 };
 
+/**
+ * Models of the manifest and uploaded models, including the manifest entries that failed validation, for the model picker.
+ * @returns {Promise<{models: Array<object>, invalidModels: Array<{id, name, filename, errors}>, errors: Array<string>}>}
+ */
+export const getModelRegistry = async () => {
+  await loadModelManifest();
+  await restoreUploadedModels();
+  return getModelManifestStatus();
+};
+
+/**
+ * Open a user-supplied ONNX file to read its input/output metadata (for the config editor).
+ * @param {ArrayBuffer} modelBytes
+ * @returns {Promise<{inputs: Array, outputs: Array}>} see describeSessionIO
+ */
+export const inspectOnnxModel = async (modelBytes) => {
+  const ort = await import('onnxruntime-web/all');
+  const session = await ort.InferenceSession.create(new Uint8Array(modelBytes));
+  try {
+    return describeSessionIO(session);
+  } finally {
+    await session.release();
+  }
+};
+
+/**
+ * Register a user-supplied model for this session so it shows up in the model picker.
+ * @param {object} config model config for the file
+ * @param {ArrayBuffer} modelBytes ONNX model
+ * @param {{persist?: boolean}} [options] persist also keeps the model in the model cache across reloads
+ * @returns {Promise<object>} the registered config
+ * @throws {Error} when the config is invalid or its id belongs to a manifest model
+ */
+export const addUploadedModel = async (config, modelBytes, { persist = false } = {}) => {
+  const errors = validateModelConfig(config);
+  if (errors.length > 0) throw new Error(`Invalid model config: ${errors.join('; ')}`);
+  const registered = registerUploadedModel(config);
+  uploadedModelBytes.set(registered.id, modelBytes.slice(0));
+  if (persist) await storeModel(registered, modelBytes, await hashModelBytes(modelBytes));
+  return registered;
+};
+
 export const switchModel = async (modelId) => {
     console.log(`Attempting to switch model to: ${modelId}`);
     const newModelConfig = getModelConfigUtil(modelId);
@@ -404,9 +485,78 @@ export const switchModel = async (modelId) => {
         console.error(`Cannot switch: Model with ID '${modelId}' not found in configuration.`);
         return false;
     }
-    if (currentModelConfig && currentModelConfig.id === modelId && onnxSession) {
+    if (currentModelConfig && currentModelConfig.id === modelId && inferenceCore) {
         console.log(`Model ${modelId} is already active.`);
         return true; // Already active
     }
     return initializeOnnxModel(modelId); // Re-initialize with the new model ID
 };
+
+/**
+ * Neutral reference face of a model for 'landmarks' neutral calibration (calibration.neutralLandmarks
+ * of its config, a JSON array of one normalized frame served next to the model).
+ * @param {object} modelConfig
+ * @returns {Promise<Array<number>|null>} null when the model declares none
+ * @throws {Error} when the declared file cannot be fetched or is not a frame of the model
+ */
+export const getNeutralReference = async (modelConfig) => {
+  const filename = modelConfig.calibration?.neutralLandmarks;
+  if (!filename) return null;
+  if (!neutralReferences.has(modelConfig.id)) {
+    const bytes = await getOnnxModelBytes(filename);
+    if (!bytes) throw new Error(`Failed to fetch neutral reference '${filename}'`);
+    const reference = JSON.parse(new TextDecoder().decode(bytes));
+    const { numLandmarks, numCoords } = modelConfig.inputFormat;
+    if (!Array.isArray(reference) || reference.length !== numLandmarks * numCoords || !reference.every(Number.isFinite)) {
+      throw new Error(`Neutral reference '${filename}' must be an array of ${numLandmarks * numCoords} numbers`);
+    }
+    neutralReferences.set(modelConfig.id, reference);
+  }
+  return neutralReferences.get(modelConfig.id);
+};
+
+/**
+ * Load a second model to compare with the current one (compare mode). It runs in a worker of its own,
+ * so both models infer in parallel; loading another one replaces it. Both need a classification head.
+ * @param {string} modelId
+ * @returns {Promise<object>} config of the comparison model
+ * @throws {Error|ModelValidationError} when the model is unknown or cannot be loaded
+ */
+export const loadComparisonModel = async (modelId) => {
+  await unloadComparisonModel();
+  const modelConfig = getModelConfigUtil(modelId);
+  if (!modelConfig) throw new Error(`Model with ID '${modelId}' not found in configuration.`);
+  if ([modelConfig, currentModelConfig].some(config => config && !hasClassificationHead(config))) {
+    throw new Error('Compare mode needs two models with a classification head');
+  }
+  comparisonCore = await createCore(modelConfig, { dedicated: true });
+  comparisonModelConfig = modelConfig;
+  console.log(`Comparison model loaded: ${modelConfig.name} (ID: ${modelConfig.id})`);
+  return modelConfig;
+};
+
+/** Release the comparison model and its worker (leaving compare mode). */
+export const unloadComparisonModel = async () => {
+  const core = comparisonCore;
+  comparisonCore = null;
+  comparisonModelConfig = null;
+  if (!core) return;
+  await core.release().catch(() => {});
+  core.terminate?.();
+};
+
+/**
+ * Config of the comparison model, null outside compare mode.
+ * @returns {object|null}
+ */
+export const getComparisonModelInfo = () => comparisonModelConfig;
+
+/**
+ * Predict with the comparison model, same contract as predictEngagement. A sequenceWindow must be
+ * built for the comparison model (its sequence length may differ from the current model's).
+ * @returns {Promise<object|null>} prediction, null outside compare mode or on failure
+ */
+export const predictComparison = async (landmarks, videoWidth, videoHeight, options = {}) => {
+  if (!comparisonCore) return null;
+  return comparisonCore.predict(landmarks, videoWidth, videoHeight, options);
+};
@@ -0,0 +1,32 @@
+// src/services/faceCropExposure.js
+import { measureExposure } from '../core/faceQuality.js';
+
+// Crops are downsampled to this size before measuring, which is plenty for a mean and a deviation
+const SAMPLE_SIZE = 32;
+
+let sampleCanvas = null;
+
+/**
+ * Brightness and contrast of a face crop of a video frame (see measureExposure in core/faceQuality.js).
+ * @param {CanvasImageSource} source video or canvas holding the frame
+ * @param {{minX:number,minY:number,maxX:number,maxY:number}} box face box in source pixels
+ * @returns {{brightness: number, contrast: number}|null} null when the crop is empty or cannot be read
+ */
+export const measureFaceCropExposure = (source, box) => {
+  const width = box.maxX - box.minX;
+  const height = box.maxY - box.minY;
+  if (!(width > 0 && height > 0)) return null;
+  if (!sampleCanvas) {
+    sampleCanvas = document.createElement('canvas');
+    sampleCanvas.width = SAMPLE_SIZE;
+    sampleCanvas.height = SAMPLE_SIZE;
+  }
+  const ctx = sampleCanvas.getContext('2d', { willReadFrequently: true });
+  try {
+    ctx.drawImage(source, box.minX, box.minY, width, height, 0, 0, SAMPLE_SIZE, SAMPLE_SIZE);
+    return measureExposure(ctx.getImageData(0, 0, SAMPLE_SIZE, SAMPLE_SIZE));
+  } catch (error) {
+    console.warn('[FaceQuality] Could not read the face crop:', error);
+    return null;
+  }
+};
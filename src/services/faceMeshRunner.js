@@ -0,0 +1,60 @@
+// src/services/faceMeshRunner.js
+import { FaceMesh } from '@mediapipe/face_mesh';
+
+// FaceMesh options shared by every instance; maxNumFaces is supplied by the caller
+export const FACE_MESH_OPTIONS = {
+  refineLandmarks: true,
+  minDetectionConfidence: 0.5,
+  minTrackingConfidence: 0.5
+};
+
+// Resolve FaceMesh wasm/data/graph files, copied under the base path by scripts/vite-offline-plugin.js
+export const locateFaceMeshFile = (file) => `${import.meta.env.BASE_URL}mediapipe/face_mesh/${file}`;
+
+/**
+ * Create a FaceMesh instance driven frame by frame instead of by a Camera.
+ * Used for offline sources (video files, still images) where each `detect` call
+ * must return the landmarks of exactly the image it was given.
+ *
+ * The JS FaceMesh build has no staticImageMode option; with `staticImageMode` the
+ * graph is reset before every image so no tracking state leaks between unrelated images.
+ *
+ * @param {{maxNumFaces?: number, staticImageMode?: boolean}} [options]
+ * @returns {Promise<{detect: (image: HTMLVideoElement|HTMLImageElement|HTMLCanvasElement) => Promise<{multiFaceLandmarks: Array}>, close: () => Promise<void>}>}
+ */
+export const createFaceMeshDetector = async ({ maxNumFaces = 1, staticImageMode = false } = {}) => {
+  const fm = new FaceMesh({ locateFile: locateFaceMeshFile });
+  fm.setOptions({ ...FACE_MESH_OPTIONS, maxNumFaces });
+
+  let pendingResolve = null;
+  fm.onResults(results => {
+    if (pendingResolve) {
+      // Keep only plain landmark data; results.image is only valid during the callback
+      pendingResolve({ multiFaceLandmarks: results.multiFaceLandmarks || [] });
+      pendingResolve = null;
+    }
+  });
+  await fm.initialize();
+
+  const detect = async (image) => {
+    if (staticImageMode) fm.reset();
+    const resultPromise = new Promise(resolve => { pendingResolve = resolve; });
+    await fm.send({ image });
+    // Results are delivered during send; guard against a frame that produced no callback
+    if (pendingResolve) {
+      pendingResolve({ multiFaceLandmarks: [] });
+      pendingResolve = null;
+    }
+    return resultPromise;
+  };
+
+  const close = async () => {
+    try {
+      await fm.close();
+    } catch (error) {
+      console.warn('[FaceMeshRunner] Error closing FaceMesh:', error);
+    }
+  };
+
+  return { detect, close };
+};
@@ -0,0 +1,167 @@
+// src/services/faceOverlayRenderer.js
+
+// Color mapping for emotions
+const EMOTION_COLORS = {
+  'Happiness': '#fbbf24',
+  'Sadness': '#3b82f6',
+  'Anger': '#ef4444',
+  'Fear': '#8b5cf6',
+  'Surprise': '#06b6d4',
+  'Disgust': '#84cc16',
+  'Contempt': '#6b7280',
+  'Neutral': '#64748b',
+  'Uncertain': '#94a3b8'
+};
+
+// Emotion background colors for bounding boxes
+const EMOTION_BG_COLORS = {
+  'Happiness': 'rgba(251, 191, 36, 0.2)',
+  'Sadness': 'rgba(59, 130, 246, 0.2)',
+  'Anger': 'rgba(239, 68, 68, 0.2)',
+  'Fear': 'rgba(139, 92, 246, 0.2)',
+  'Surprise': 'rgba(6, 182, 212, 0.2)',
+  'Disgust': 'rgba(132, 204, 22, 0.2)',
+  'Contempt': 'rgba(107, 114, 128, 0.2)',
+  'Neutral': 'rgba(100, 116, 139, 0.2)',
+  'Uncertain': 'rgba(148, 163, 184, 0.2)'
+};
+
+export const getEmotionColor = (emotion) => EMOTION_COLORS[emotion] || '#64748b';
+
+export const getEmotionBgColor = (emotion) => EMOTION_BG_COLORS[emotion] || 'rgba(100, 116, 139, 0.2)';
+
+/**
+ * Compute a padded face box in canvas pixels from normalized landmarks.
+ * Uses the same relative padding as FaceCloseUpStage and clamps to the canvas.
+ * @param {Array} landmarks Array of {x,y,z} landmarks in [0,1] image coordinates
+ * @param {number} width canvas width
+ * @param {number} height canvas height
+ * @param {number} paddingFactor fraction of the tight box to pad on each side
+ * @returns {{minX:number,minY:number,maxX:number,maxY:number}}
+ */
+export const computePaddedFaceBox = (landmarks, width, height, paddingFactor) => {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  landmarks.forEach(landmark => {
+    const x = landmark.x * width;
+    const y = landmark.y * height;
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  });
+  const padW = (maxX - minX) * paddingFactor;
+  const padH = (maxY - minY) * paddingFactor;
+  return {
+    minX: Math.max(0, minX - padW),
+    minY: Math.max(0, minY - padH),
+    maxX: Math.min(width, maxX + padW),
+    maxY: Math.min(height, maxY + padH)
+  };
+};
+
+/**
+ * Draw the emotion-colored bounding box and label for one face.
+ * @param {CanvasRenderingContext2D} ctx target context
+ * @param {{minX:number,minY:number,maxX:number,maxY:number}} box face box in canvas pixels
+ * @param {string|null} emotion label to show (box only when null)
+ * @param {number|null} score probability of the label
+ * @param {string|null} faceLabel optional face identifier, e.g. "#2"
+ * @param {string|null} candidateEmotion when the prediction abstained, the class it abstained from:
+ *   the box is dashed and the score line names the candidate
+ */
+export const drawFaceOverlay = (ctx, box, emotion, score, faceLabel = null, candidateEmotion = null) => {
+  const { minX, minY, maxX, maxY } = box;
+  const boxWidth = maxX - minX;
+  const boxHeight = maxY - minY;
+
+  // Use emotion-specific colors
+  const emotionColor = getEmotionColor(emotion);
+
+  ctx.strokeStyle = emotionColor;
+  ctx.lineWidth = 6;
+  ctx.shadowColor = emotionColor;
+  ctx.shadowBlur = 8;
+  if (candidateEmotion) ctx.setLineDash([12, 8]);
+  ctx.strokeRect(minX, minY, boxWidth, boxHeight);
+  ctx.setLineDash([]);
+
+  // Reset shadow for fill operations
+  ctx.shadowColor = 'transparent';
+  ctx.shadowBlur = 0;
+
+  if (emotion) {
+    // Calculate dynamic font size based on box size
+    const baseFontSize = Math.max(18, Math.min(32, Math.min(boxWidth / 8, boxHeight / 12)));
+    const labelHeight = baseFontSize + 30;
+
+    // Draw background for emotion label with gradient
+    const gradient = ctx.createLinearGradient(minX, minY - labelHeight, minX, minY);
+    gradient.addColorStop(0, 'rgba(0, 0, 0, 0.9)');
+    gradient.addColorStop(1, 'rgba(0, 0, 0, 0.7)');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(minX, minY - labelHeight, boxWidth, labelHeight);
+
+    // Add subtle border to label background
+    ctx.strokeStyle = emotionColor;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(minX, minY - labelHeight, boxWidth, labelHeight);
+
+    // Draw emotion text with enhanced styling
+    ctx.font = `bold ${baseFontSize}px 'Inter', 'Segoe UI', Arial, sans-serif`;
+    ctx.fillStyle = emotionColor;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+
+    // Add text glow effect
+    ctx.shadowColor = emotionColor;
+    ctx.shadowBlur = 8;
+    ctx.shadowOffsetX = 0;
+    ctx.shadowOffsetY = 0;
+
+    const emotionText = faceLabel ? `${faceLabel} ${emotion}` : `${emotion}`;
+    const scoreText = `${candidateEmotion ? `${candidateEmotion}? ` : ''}${score !== null && score !== undefined ? (score * 100).toFixed(1) + '%' : 'N/A'}`;
+
+    // Draw emotion name with glow
+    ctx.fillText(emotionText, minX + (boxWidth / 2), minY - labelHeight + baseFontSize / 2 + 8);
+
+    // Draw score with smaller font and white color
+    ctx.font = `600 ${Math.max(14, baseFontSize * 0.75)}px 'Inter', 'Segoe UI', Arial, sans-serif`;
+    ctx.fillStyle = '#FFFFFF';
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
+    ctx.shadowBlur = 4;
+    ctx.fillText(scoreText, minX + (boxWidth / 2), minY - labelHeight + baseFontSize + 12);
+
+    // Reset shadow
+    ctx.shadowColor = 'transparent';
+    ctx.shadowBlur = 0;
+    ctx.shadowOffsetX = 0;
+    ctx.shadowOffsetY = 0;
+  }
+};
+
+/**
+ * Draw a skipped face: grey dashed box with the quality gate's hint (e.g. "move closer") above it.
+ * @param {CanvasRenderingContext2D} ctx target context
+ * @param {{minX:number,minY:number,maxX:number,maxY:number}} box face box in canvas pixels
+ * @param {string} reason hint of the failed quality check
+ * @param {string|null} faceLabel optional face identifier, e.g. "#2"
+ */
+export const drawQualityNotice = (ctx, box, reason, faceLabel = null) => {
+  const { minX, minY, maxX, maxY } = box;
+  const boxWidth = maxX - minX;
+  const fontSize = Math.max(16, Math.min(26, boxWidth / 10));
+
+  ctx.strokeStyle = '#94a3b8';
+  ctx.lineWidth = 4;
+  ctx.setLineDash([8, 8]);
+  ctx.strokeRect(minX, minY, boxWidth, maxY - minY);
+  ctx.setLineDash([]);
+
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+  ctx.fillRect(minX, minY - fontSize - 16, boxWidth, fontSize + 16);
+  ctx.font = `600 ${fontSize}px 'Inter', 'Segoe UI', Arial, sans-serif`;
+  ctx.fillStyle = '#FFFFFF';
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(faceLabel ? `${faceLabel} ${reason}` : reason, minX + boxWidth / 2, minY - fontSize / 2 - 8);
+};
@@ -0,0 +1,139 @@
+// src/services/faceTracker.js
+import { FACE_TRACKING_SETTINGS } from '../config/config';
+
+/**
+ * Compute the normalized bounding box and centroid of one face's landmarks.
+ * @param {Array} landmarks Array of {x,y,z} landmarks in [0,1] image coordinates
+ * @returns {{box:{minX:number,minY:number,maxX:number,maxY:number}, centroid:{x:number,y:number}}}
+ */
+export const getFaceGeometry = (landmarks) => {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  let sumX = 0, sumY = 0;
+  landmarks.forEach(lm => {
+    minX = Math.min(minX, lm.x);
+    minY = Math.min(minY, lm.y);
+    maxX = Math.max(maxX, lm.x);
+    maxY = Math.max(maxY, lm.y);
+    sumX += lm.x;
+    sumY += lm.y;
+  });
+  const count = landmarks.length || 1;
+  return {
+    box: { minX, minY, maxX, maxY },
+    centroid: { x: sumX / count, y: sumY / count }
+  };
+};
+
+const boxIoU = (a, b) => {
+  const interW = Math.max(0, Math.min(a.maxX, b.maxX) - Math.max(a.minX, b.minX));
+  const interH = Math.max(0, Math.min(a.maxY, b.maxY) - Math.max(a.minY, b.minY));
+  const inter = interW * interH;
+  const areaA = (a.maxX - a.minX) * (a.maxY - a.minY);
+  const areaB = (b.maxX - b.minX) * (b.maxY - b.minY);
+  const union = areaA + areaB - inter;
+  return union > 0 ? inter / union : 0;
+};
+
+const centroidDistance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+/**
+ * FaceTracker assigns stable IDs to FaceMesh faces across frames.
+ * - Matches detections to existing tracks by bounding-box IoU first
+ * - Falls back to landmark centroid distance for fast motion with little overlap
+ * - Keeps unmatched tracks alive for a few frames before dropping them
+ */
+class FaceTracker {
+  /**
+   * @param {number} iouThreshold minimum IoU for a box match
+   * @param {number} maxCentroidDistance maximum centroid distance (normalized image units) for a fallback match
+   * @param {number} maxMissedFrames frames a track may go unmatched before it is dropped
+   */
+  constructor(
+    iouThreshold = FACE_TRACKING_SETTINGS.IOU_MATCH_THRESHOLD,
+    maxCentroidDistance = FACE_TRACKING_SETTINGS.MAX_CENTROID_DISTANCE,
+    maxMissedFrames = FACE_TRACKING_SETTINGS.MAX_MISSED_FRAMES
+  ) {
+    this.iouThreshold = iouThreshold;
+    this.maxCentroidDistance = maxCentroidDistance;
+    this.maxMissedFrames = maxMissedFrames;
+    this.reset();
+  }
+
+  /** Forget all tracks and restart IDs from 1 */
+  reset() {
+    this.tracks = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Match a new frame of detections against the current tracks.
+   * @param {Array<Array>} multiFaceLandmarks FaceMesh results.multiFaceLandmarks
+   * @returns {{faces:Array<{id:number, landmarks:Array, box:object, centroid:object, isNew:boolean}>, lostIds:number[], removedIds:number[]}}
+   *   faces: detections of this frame with their track ID, ordered by ID
+   *   lostIds: tracks not seen in this frame but still kept
+   *   removedIds: tracks dropped in this frame
+   */
+  update(multiFaceLandmarks = []) {
+    const detections = multiFaceLandmarks.map(landmarks => ({ landmarks, ...getFaceGeometry(landmarks) }));
+    const assignments = new Map(); // detection index -> track
+    const matchedTracks = new Set();
+
+    // Greedy matching over all candidate pairs, best score first
+    const greedyMatch = (scoreFn, accept) => {
+      const pairs = [];
+      detections.forEach((det, d) => {
+        if (assignments.has(d)) return;
+        this.tracks.forEach(track => {
+          if (matchedTracks.has(track)) return;
+          const score = scoreFn(det, track);
+          if (accept(score)) pairs.push({ d, track, score });
+        });
+      });
+      pairs.sort((a, b) => b.score - a.score);
+      pairs.forEach(({ d, track }) => {
+        if (assignments.has(d) || matchedTracks.has(track)) return;
+        assignments.set(d, track);
+        matchedTracks.add(track);
+      });
+    };
+
+    greedyMatch((det, track) => boxIoU(det.box, track.box), score => score >= this.iouThreshold);
+    // Negated distance so that closer pairs sort first
+    greedyMatch(
+      (det, track) => -centroidDistance(det.centroid, track.centroid),
+      score => -score <= this.maxCentroidDistance
+    );
+
+    const faces = detections.map((det, d) => {
+      let track = assignments.get(d);
+      const isNew = !track;
+      if (isNew) {
+        track = { id: this.nextId++, missedFrames: 0 };
+        this.tracks.push(track);
+        matchedTracks.add(track);
+      }
+      track.box = det.box;
+      track.centroid = det.centroid;
+      track.missedFrames = 0;
+      return { id: track.id, landmarks: det.landmarks, box: det.box, centroid: det.centroid, isNew };
+    });
+
+    const lostIds = [];
+    const removedIds = [];
+    this.tracks = this.tracks.filter(track => {
+      if (matchedTracks.has(track)) return true;
+      track.missedFrames++;
+      if (track.missedFrames > this.maxMissedFrames) {
+        removedIds.push(track.id);
+        return false;
+      }
+      lostIds.push(track.id);
+      return true;
+    });
+
+    faces.sort((a, b) => a.id - b.id);
+    return { faces, lostIds, removedIds };
+  }
+}
+
+export default FaceTracker;
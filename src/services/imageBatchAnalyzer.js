@@ -0,0 +1,177 @@
+// src/services/imageBatchAnalyzer.js
+import FaceCloseUpStage from './faceCloseUpStage';
+import { getFaceGeometry } from './faceTracker';
+import { createFaceMeshDetector } from './faceMeshRunner';
+import { predictEngagement, labelProbabilities, getCurrentModelInfo } from './emotionOnnxService';
+import { toCsv } from './csvExport';
+
+const IMAGE_FILE_PATTERN = /\.(jpe?g|png|gif|bmp|webp)$/i;
+
+export const isImageFile = (file) => (file.type ? file.type.startsWith('image/') : IMAGE_FILE_PATTERN.test(file.name));
+
+// Read every file below a dropped directory entry
+const readEntryFiles = async (entry, path = '') => {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [{ file, path: `${path}${file.name}` }];
+  }
+  if (!entry.isDirectory) return [];
+  const reader = entry.createReader();
+  const children = [];
+  // readEntries returns results in batches until an empty batch
+  let batch;
+  do {
+    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    children.push(...batch);
+  } while (batch.length > 0);
+  const nested = await Promise.all(children.map(child => readEntryFiles(child, `${path}${entry.name}/`)));
+  return nested.flat();
+};
+
+/**
+ * Collect image files from a drop event, descending into dropped folders.
+ * @param {DataTransfer} dataTransfer drop event data
+ * @returns {Promise<Array<{file: File, path: string}>>}
+ */
+export const collectDroppedImageFiles = async (dataTransfer) => {
+  const items = Array.from(dataTransfer.items || []);
+  const entries = items.map(item => item.webkitGetAsEntry && item.webkitGetAsEntry()).filter(Boolean);
+  let files;
+  if (entries.length > 0) {
+    files = (await Promise.all(entries.map(entry => readEntryFiles(entry)))).flat();
+  } else {
+    files = Array.from(dataTransfer.files || []).map(file => ({ file, path: file.name }));
+  }
+  return files.filter(({ file }) => isImageFile(file));
+};
+
+const boxArea = (box) => (box.maxX - box.minX) * (box.maxY - box.minY);
+
+const loadImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const img = new Image();
+  img.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(img);
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Could not decode image'));
+  };
+  img.src = url;
+});
+
+/**
+ * Run a batch of still images through FaceMesh (reset before every image) and the active ONNX model.
+ * The largest detected face of each image is classified.
+ *
+ * @param {Array<{file: File, path: string}>} files images to analyze
+ * @param {{onProgress?: Function, signal?: AbortSignal}} [options]
+ *   onProgress: called after each image with { processed, total, row }
+ *   signal: aborts between images; rows analyzed so far are returned
+ * @returns {Promise<Array<{path:string, thumbnail:string|null, emotion:string|null, score:number|null, probabilities:Array,
+ *   abstained:boolean, candidateEmotion:string|null, dimensions:Object|null, error:string|null}>>}
+ *   abstained rows have emotion "Uncertain" and their top class in candidateEmotion;
+ *   dimensions holds the scalar head values of multi-head models
+ */
+export const analyzeImages = async (files, { onProgress, signal } = {}) => {
+  const modelInfo = getCurrentModelInfo();
+  if (!modelInfo) throw new Error('No ONNX model loaded');
+
+  const detector = await createFaceMeshDetector({ maxNumFaces: 4, staticImageMode: true });
+  const stage = new FaceCloseUpStage(96, 0.2);
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  const rows = [];
+
+  try {
+    for (let i = 0; i < files.length; i++) {
+      if (signal?.aborted) break;
+      const { file, path } = files[i];
+      const row = { path, thumbnail: null, emotion: null, score: null, probabilities: [], abstained: false, candidateEmotion: null, dimensions: null, error: null };
+      try {
+        const img = await loadImage(file);
+        canvas.width = img.naturalWidth;
+        canvas.height = img.naturalHeight;
+        ctx.drawImage(img, 0, 0);
+
+        const results = await detector.detect(canvas);
+        const faces = results.multiFaceLandmarks;
+        if (!faces || faces.length === 0) {
+          row.error = 'no face';
+        } else {
+          // Keep the largest face
+          const { landmarks, box } = faces
+            .map(face => ({ landmarks: face, box: getFaceGeometry(face).box }))
+            .reduce((best, face) => (boxArea(face.box) > boxArea(best.box) ? face : best));
+          row.thumbnail = await stage.processCanvas(canvas, {
+            x: box.minX * canvas.width,
+            y: box.minY * canvas.height,
+            width: (box.maxX - box.minX) * canvas.width,
+            height: (box.maxY - box.minY) * canvas.height
+          });
+
+          if (modelInfo.inputFormat.sequenceLength > 1) {
+            row.error = `sequence model needs ${modelInfo.inputFormat.sequenceLength} frames`;
+          } else {
+            const prediction = await predictEngagement(landmarks, canvas.width, canvas.height, { context: `IMAGE ${path}` });
+            if (!prediction) {
+              row.error = 'inference failed';
+            } else if (prediction.emotion === 'Error: Label mismatch') {
+              row.error = 'label mismatch';
+              row.probabilities = labelProbabilities(prediction.classification_head_probabilities);
+            } else {
+              row.emotion = prediction.emotion;
+              row.score = prediction.score;
+              row.abstained = Boolean(prediction.abstained);
+              row.candidateEmotion = prediction.candidate_emotion ?? null;
+              row.dimensions = prediction.dimensions ?? null;
+              row.probabilities = labelProbabilities(prediction.classification_head_probabilities);
+            }
+          }
+        }
+      } catch (error) {
+        console.error(`[ImageBatch] ${path}:`, error);
+        row.error = error.message;
+      }
+      rows.push(row);
+      if (onProgress) onProgress({ processed: i + 1, total: files.length, row });
+    }
+  } finally {
+    await detector.close();
+  }
+  return rows;
+};
+
+/**
+ * Serialize batch results to CSV: one row per image, one column per class probability and per scalar head.
+ * @param {Array} rows result of analyzeImages
+ * @returns {string}
+ */
+export const batchResultsToCsv = (rows) => {
+  const labels = [];
+  rows.forEach(row => row.probabilities.forEach(({ label }) => {
+    if (!labels.includes(label)) labels.push(label);
+  }));
+  const dimensions = [];
+  rows.forEach(row => Object.keys(row.dimensions || {}).forEach(name => {
+    if (!dimensions.includes(name)) dimensions.push(name);
+  }));
+  const columns = [
+    { key: 'path', header: 'file' },
+    { key: 'emotion', header: 'top_emotion' },
+    { key: 'score', header: 'top_score' },
+    { key: 'abstained', header: 'abstained' },
+    { key: 'candidateEmotion', header: 'candidate_emotion' },
+    ...labels.map(label => ({ key: `p_${label}`, header: `p_${label}` })),
+    ...dimensions.map(name => ({ key: `dim_${name}`, header: `dim_${name}` })),
+    { key: 'error', header: 'failure_reason' },
+  ];
+  const flatRows = rows.map(row => {
+    const flat = { path: row.path, emotion: row.emotion, score: row.score, abstained: row.abstained, candidateEmotion: row.candidateEmotion, error: row.error };
+    row.probabilities.forEach(({ label, probability }) => { flat[`p_${label}`] = probability; });
+    dimensions.forEach(name => { flat[`dim_${name}`] = row.dimensions?.[name] ?? null; });
+    return flat;
+  });
+  return toCsv(flatRows, columns);
+};
@@ -0,0 +1,188 @@
+// src/services/inferenceWorkerClient.js
+import { buildModelInput } from '../core/emotionInferenceCore.js';
+import { getModelDimensions } from '../core/landmarkPreprocessing.js';
+import { ModelValidationError } from '../core/sessionValidation.js';
+import { INFERENCE_MESSAGE } from '../workers/inferenceProtocol.js';
+
+/**
+ * Rejection reason of a prediction that was superseded by a newer one for the same context
+ * (or dropped because another model was loaded) before the worker ran it.
+ */
+export class InferenceCancelledError extends Error {
+  constructor(context) {
+    super(`Inference for ${context} was cancelled`);
+    this.name = 'InferenceCancelledError';
+  }
+}
+
+/**
+ * InferenceWorkerClient drives the inference worker and mirrors the EmotionInferenceCore interface
+ * (modelConfig, validationReport, getDimensions, predict, release) so callers do not care where the session lives.
+ * - Inputs are built on the main thread (cheap) and transferred to the worker as Float32Arrays
+ * - Every request has an ID; the promise settles when the matching response arrives
+ * - A new predict for a context cancels the previous one for that context if it is still queued
+ */
+export class InferenceWorkerClient {
+  constructor() {
+    this.worker = new Worker(new URL('../workers/inferenceWorker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = (event) => this.handleMessage(event.data);
+    this.worker.onerror = (event) => {
+      console.error('[InferenceWorkerClient] worker error:', event.message);
+      this.rejectAll(new Error(`Inference worker error: ${event.message}`));
+    };
+    this.nextRequestId = 1;
+    this.pending = new Map();        // requestId -> { resolve, reject, context }
+    this.latestByContext = new Map(); // context -> requestId of the newest predict
+    this.modelConfig = null;
+    this.validationReport = null;
+    this.executionProvider = null;
+    this.providerAttempts = [];
+    this.numThreads = null;
+  }
+
+  /** @returns {boolean} true when module workers can be created here */
+  static isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  request(message, transfer = [], context = null) {
+    const requestId = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(requestId, { resolve, reject, context });
+      this.worker.postMessage({ ...message, requestId }, transfer);
+    });
+  }
+
+  handleMessage(message) {
+    const entry = this.pending.get(message.requestId);
+    if (!entry) return; // Already cancelled on this side
+    this.pending.delete(message.requestId);
+    if (entry.context && this.latestByContext.get(entry.context) === message.requestId) {
+      this.latestByContext.delete(entry.context);
+    }
+    switch (message.type) {
+      case INFERENCE_MESSAGE.READY:
+      case INFERENCE_MESSAGE.RELEASED:
+        entry.resolve(message);
+        break;
+      case INFERENCE_MESSAGE.RESULT:
+        entry.resolve(message.prediction);
+        break;
+      case INFERENCE_MESSAGE.BENCHMARK_RESULT:
+        entry.resolve(message.result);
+        break;
+      case INFERENCE_MESSAGE.CANCELLED:
+        entry.reject(new InferenceCancelledError(entry.context));
+        break;
+      default:
+        if (message.report) {
+          entry.reject(new ModelValidationError(message.report));
+          break;
+        }
+        entry.reject(new Error(message.message || `Unexpected worker message ${message.type}`));
+    }
+  }
+
+  // Cancel every pending predict on this side; the worker drops its own queue on INIT/RELEASE
+  cancelAllPredicts() {
+    this.pending.forEach((entry, requestId) => {
+      if (!entry.context) return;
+      this.pending.delete(requestId);
+      entry.reject(new InferenceCancelledError(entry.context));
+    });
+    this.latestByContext.clear();
+  }
+
+  rejectAll(error) {
+    this.pending.forEach(entry => entry.reject(error));
+    this.pending.clear();
+    this.latestByContext.clear();
+  }
+
+  /**
+   * Load a model in the worker.
+   * @param {object} modelConfig model configuration
+   * @param {ArrayBuffer} modelBytes ONNX model; transferred, so unusable by the caller afterwards
+   * @param {{wasmPaths?: string, numThreads?: number, sessionOptions?: object}} [options]
+   *   wasmPaths: base URL of the onnxruntime-web wasm files; numThreads only applies to the first model of a worker;
+   *   sessionOptions: executionProviders (tried in order) and graphOptimizationLevel, the model's by default
+   * @returns {Promise<{inputNames: Array<string>, outputNames: Array<string>, report: object, executionProvider: string}>}
+   * @throws {ModelValidationError} when the session does not match the config
+   */
+  async init(modelConfig, modelBytes, { wasmPaths, numThreads, sessionOptions } = {}) {
+    this.cancelAllPredicts();
+    this.modelConfig = null;
+    this.validationReport = null;
+    this.executionProvider = null;
+    const ready = await this.request(
+      { type: INFERENCE_MESSAGE.INIT, modelConfig, modelBytes, wasmPaths, numThreads, sessionOptions },
+      [modelBytes]
+    );
+    this.modelConfig = modelConfig;
+    this.validationReport = ready.report;
+    this.executionProvider = ready.executionProvider;
+    this.providerAttempts = ready.providerAttempts;
+    this.numThreads = ready.numThreads;
+    return { inputNames: ready.inputNames, outputNames: ready.outputNames, report: ready.report, executionProvider: ready.executionProvider };
+  }
+
+  /**
+   * Time a throwaway session of a model in the worker; the loaded model is not touched.
+   * @param {object} modelConfig model configuration
+   * @param {ArrayBuffer} modelBytes ONNX model; transferred
+   * @param {{numThreads?: number, sessionOptions?: object, runs?: number}} [options] as in init, plus the number of timed runs
+   * @returns {Promise<object>} latency stats (see core/sessionBenchmark.js) plus initMs, executionProvider and numThreads
+   */
+  benchmark(modelConfig, modelBytes, { numThreads, sessionOptions, runs } = {}) {
+    return this.request(
+      { type: INFERENCE_MESSAGE.BENCHMARK, modelConfig, modelBytes, numThreads, sessionOptions, runs },
+      [modelBytes]
+    );
+  }
+
+  /** @returns {{SEQ_LEN: number, NUM_LANDMARKS: number, NUM_COORDS: number}} */
+  getDimensions() {
+    return getModelDimensions(this.modelConfig);
+  }
+
+  /**
+   * Predict emotion from landmarks in the worker (same contract as EmotionInferenceCore.predict).
+   * A given sequenceWindow is transferred to the worker and cannot be reused by the caller.
+   * @returns {Promise<object|null>} prediction, null on failure
+   * @throws {InferenceCancelledError} when superseded by a newer prediction for the same context
+   */
+  async predict(landmarks, videoWidth, videoHeight, options = {}) {
+    if (!this.modelConfig) return null;
+    const context = options.context || 'FULL';
+    const input = buildModelInput(landmarks, videoWidth, videoHeight, this.modelConfig, options);
+    if (!input) return null;
+
+    // Drop the previous request for this context if the worker has not run it yet
+    const staleRequestId = this.latestByContext.get(context);
+    if (staleRequestId !== undefined && this.pending.has(staleRequestId)) {
+      const stale = this.pending.get(staleRequestId);
+      this.pending.delete(staleRequestId);
+      this.worker.postMessage({ type: INFERENCE_MESSAGE.CANCEL, requestIds: [staleRequestId] });
+      stale.reject(new InferenceCancelledError(context));
+    }
+    const requestId = this.nextRequestId;
+    this.latestByContext.set(context, requestId);
+    return this.request({ type: INFERENCE_MESSAGE.PREDICT, input, context }, [input.buffer], context);
+  }
+
+  /** Release the session in the worker */
+  async release() {
+    this.cancelAllPredicts();
+    this.modelConfig = null;
+    this.validationReport = null;
+    await this.request({ type: INFERENCE_MESSAGE.RELEASE });
+  }
+
+  /** Stop the worker; pending requests are rejected */
+  terminate() {
+    this.worker.terminate();
+    this.rejectAll(new Error('Inference worker terminated'));
+  }
+}
+
+export default InferenceWorkerClient;
@@ -0,0 +1,92 @@
+// src/services/landmarkSequenceBuffer.js
+
+/**
+ * Fixed-size ring buffer of normalized landmark frames.
+ * - Holds the last `sequenceLength` frames (each a flat Float32Array of NUM_LANDMARKS * NUM_COORDS)
+ * - Optionally keeps only every `stride`-th pushed frame
+ * - Emits windows ordered oldest -> newest, ready to be fed as [1, T, NUM_LANDMARKS, NUM_COORDS]
+ */
+class LandmarkSequenceBuffer {
+  /**
+   * @param {number} sequenceLength number of frames (T) in a window
+   * @param {number} frameSize number of floats per frame (NUM_LANDMARKS * NUM_COORDS)
+   * @param {number} stride keep one frame out of every `stride` pushed frames
+   */
+  constructor(sequenceLength = 1, frameSize = 478 * 3, stride = 1) {
+    this.sequenceLength = Math.max(1, Math.floor(sequenceLength));
+    this.frameSize = frameSize;
+    this.stride = Math.max(1, Math.floor(stride));
+    this.data = new Float32Array(this.sequenceLength * this.frameSize);
+    this.reset();
+  }
+
+  /** Drop all collected frames (e.g. when the face is lost or the model changes) */
+  reset() {
+    this.writeIndex = 0;  // Slot the next kept frame is written to
+    this.count = 0;       // Number of valid frames currently held
+    this.pushCount = 0;   // Number of frames offered, used for striding
+  }
+
+  /**
+   * Offer a normalized frame to the buffer.
+   * @param {Float32Array} frame flat frame data of length `frameSize`
+   * @returns {boolean} true if the frame was kept, false if skipped by the stride
+   */
+  push(frame) {
+    const keep = this.pushCount % this.stride === 0;
+    this.pushCount++;
+    if (!keep) return false;
+    if (!frame || frame.length !== this.frameSize) {
+      console.warn(`[LandmarkSequenceBuffer] Frame size mismatch: expected ${this.frameSize}, got ${frame ? frame.length : 'none'}`);
+      return false;
+    }
+    this.data.set(frame, this.writeIndex * this.frameSize);
+    this.writeIndex = (this.writeIndex + 1) % this.sequenceLength;
+    this.count = Math.min(this.count + 1, this.sequenceLength);
+    return true;
+  }
+
+  /** @returns {boolean} true once a full window of frames has been collected */
+  isReady() {
+    return this.count >= this.sequenceLength;
+  }
+
+  /** @returns {{collected:number, required:number}} warm-up progress */
+  getProgress() {
+    return { collected: this.count, required: this.sequenceLength };
+  }
+
+  /** @returns {string} human-readable warm-up state, e.g. "collecting 16/32 frames" */
+  getStatusText() {
+    if (this.isReady()) return `ready (${this.sequenceLength} frames)`;
+    return `collecting ${this.count}/${this.sequenceLength} frames`;
+  }
+
+  /**
+   * Copy the current window into a new array, oldest frame first.
+   * Slots that have not been filled yet are padded with -1 like preprocessLandmarks does.
+   * @returns {Float32Array} flat window of length sequenceLength * frameSize
+   */
+  toWindow() {
+    const windowData = new Float32Array(this.sequenceLength * this.frameSize).fill(-1.0);
+    // Oldest valid frame sits at writeIndex once the buffer has wrapped, otherwise at 0
+    const start = this.count < this.sequenceLength ? 0 : this.writeIndex;
+    for (let i = 0; i < this.count; i++) {
+      const slot = (start + i) % this.sequenceLength;
+      windowData.set(this.data.subarray(slot * this.frameSize, (slot + 1) * this.frameSize), i * this.frameSize);
+    }
+    return windowData;
+  }
+}
+
+/**
+ * Build a buffer sized from a model config's inputFormat.
+ * @param {object} modelConfig entry from MODEL_CONFIGS
+ * @returns {LandmarkSequenceBuffer}
+ */
+export const createSequenceBufferForModel = (modelConfig) => {
+  const { sequenceLength = 1, sequenceStride = 1, numLandmarks = 478, numCoords = 3 } = modelConfig?.inputFormat || {};
+  return new LandmarkSequenceBuffer(sequenceLength, numLandmarks * numCoords, sequenceStride);
+};
+
+export default LandmarkSequenceBuffer;
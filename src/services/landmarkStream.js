@@ -0,0 +1,157 @@
+// src/services/landmarkStream.js
+
+// Versioned file format for recorded FaceMesh landmark streams:
+// {
+//   format: 'emotions-landmark-stream', version: 1,
+//   header: { recordedAt, videoWidth, videoHeight, frameCount, durationMs, source },
+//   frames: [{ t, videoWidth, videoHeight, faces: [[[x, y, z], ...], ...] }]
+// }
+// `t` is milliseconds since the start of the recording; faces mirror results.multiFaceLandmarks.
+export const LANDMARK_STREAM_FORMAT = 'emotions-landmark-stream';
+export const LANDMARK_STREAM_VERSION = 1;
+
+/**
+ * LandmarkStreamRecorder captures FaceMesh results with timestamps and video dimensions.
+ */
+export class LandmarkStreamRecorder {
+  constructor() {
+    this.isRecording = false;
+    this.frames = [];
+    this.startTime = null;
+    this.header = null;
+  }
+
+  /** @param {{source?: string}} [meta] free-form description of where the stream came from */
+  start(meta = {}) {
+    this.frames = [];
+    this.startTime = performance.now();
+    this.header = { recordedAt: new Date().toISOString(), ...meta };
+    this.isRecording = true;
+  }
+
+  stop() {
+    this.isRecording = false;
+  }
+
+  /**
+   * Append one FaceMesh result.
+   * @param {{multiFaceLandmarks?: Array}} results FaceMesh results
+   * @param {number} videoWidth width of the frame the landmarks refer to
+   * @param {number} videoHeight height of the frame the landmarks refer to
+   */
+  addFrame(results, videoWidth, videoHeight) {
+    if (!this.isRecording) return;
+    this.frames.push({
+      t: Math.round((performance.now() - this.startTime) * 1000) / 1000,
+      videoWidth,
+      videoHeight,
+      faces: (results.multiFaceLandmarks || []).map(face => face.map(lm => [lm.x, lm.y, lm.z]))
+    });
+  }
+
+  /** @returns {string} serialized stream */
+  toJson() {
+    const first = this.frames[0];
+    const last = this.frames[this.frames.length - 1];
+    return JSON.stringify({
+      format: LANDMARK_STREAM_FORMAT,
+      version: LANDMARK_STREAM_VERSION,
+      header: {
+        ...this.header,
+        videoWidth: first ? first.videoWidth : null,
+        videoHeight: first ? first.videoHeight : null,
+        frameCount: this.frames.length,
+        durationMs: last ? last.t : 0
+      },
+      frames: this.frames
+    });
+  }
+}
+
+/**
+ * Parse and validate a landmark stream file.
+ * @param {string} text file contents
+ * @returns {{header: object, frames: Array<{t:number, videoWidth:number, videoHeight:number, multiFaceLandmarks:Array}>}}
+ * @throws {Error} on an unknown format or unsupported version
+ */
+export const parseLandmarkStream = (text) => {
+  const data = JSON.parse(text);
+  if (!data || data.format !== LANDMARK_STREAM_FORMAT) {
+    throw new Error('Not a landmark stream file');
+  }
+  if (data.version !== LANDMARK_STREAM_VERSION) {
+    throw new Error(`Unsupported landmark stream version ${data.version} (expected ${LANDMARK_STREAM_VERSION})`);
+  }
+  if (!Array.isArray(data.frames)) {
+    throw new Error('Landmark stream has no frames');
+  }
+  const frames = data.frames.map((frame, i) => {
+    if (typeof frame.t !== 'number' || !Array.isArray(frame.faces)) {
+      throw new Error(`Malformed frame ${i} in landmark stream`);
+    }
+    return {
+      t: frame.t,
+      videoWidth: frame.videoWidth || data.header?.videoWidth,
+      videoHeight: frame.videoHeight || data.header?.videoHeight,
+      multiFaceLandmarks: frame.faces.map(face => face.map(([x, y, z]) => ({ x, y, z })))
+    };
+  });
+  return { header: data.header || {}, frames };
+};
+
+/**
+ * LandmarkStreamPlayer pushes recorded frames into a FaceMesh-style results handler.
+ * Each pushed result carries `replay: true`, `timestamp` (stream time in ms) and the frame dimensions.
+ * - realtime: frames are spaced by their recorded timing
+ * - otherwise: frames are pushed as fast as the handler completes them, one at a time
+ */
+export class LandmarkStreamPlayer {
+  /**
+   * @param {{frames: Array}} stream result of parseLandmarkStream
+   * @param {(results: object) => (Promise<void>|void)} onResults results handler
+   */
+  constructor(stream, onResults) {
+    this.stream = stream;
+    this.onResults = onResults;
+    this.isPlaying = false;
+    this.runId = 0;
+  }
+
+  /**
+   * Play the stream from the start.
+   * @param {{realtime?: boolean, onProgress?: Function}} [options] onProgress receives { index, total }
+   * @returns {Promise<boolean>} true if the stream played to the end, false if stopped
+   */
+  async play({ realtime = true, onProgress } = {}) {
+    const runId = ++this.runId;
+    this.isPlaying = true;
+    const { frames } = this.stream;
+    const startWall = performance.now();
+    const startT = frames.length > 0 ? frames[0].t : 0;
+
+    for (let i = 0; i < frames.length; i++) {
+      if (this.runId !== runId) return false;
+      const frame = frames[i];
+      if (realtime) {
+        const wait = (frame.t - startT) - (performance.now() - startWall);
+        if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+        if (this.runId !== runId) return false;
+      }
+      await this.onResults({
+        multiFaceLandmarks: frame.multiFaceLandmarks,
+        videoWidth: frame.videoWidth,
+        videoHeight: frame.videoHeight,
+        timestamp: frame.t,
+        replay: true
+      });
+      if (onProgress) onProgress({ index: i + 1, total: frames.length });
+    }
+    if (this.runId === runId) this.isPlaying = false;
+    return true;
+  }
+
+  stop() {
+    this.runId++;
+    this.isPlaying = false;
+  }
+}
@@ -0,0 +1,181 @@
+// src/services/modelCache.js
+// Persistent ONNX model cache in Cache Storage, so reloads and model switches do not re-download models.
+// - Entries are keyed by model id, filename, version (modelConfig.version) and pinned hash (modelConfig.sha256)
+// - A version or hash change misses the cache, downloads the model again and evicts the older versions
+// - Metadata (id, filename, version, sha256, size, cachedAt) travels in the cached response headers
+// - Uploaded models (source 'upload') also keep their whole config there, so they can be restored on reload
+
+export const MODEL_CACHE_NAME = 'emotions-model-cache-v1';
+const KEY_PREFIX = '__model-cache__';
+const UNVERSIONED = 'unversioned';
+
+const listeners = new Set();
+
+/** @returns {boolean} true when Cache Storage is usable (secure contexts only) */
+export const isModelCacheAvailable = () => typeof caches !== 'undefined';
+
+/**
+ * Cache key of a model version: a URL under the base path that is never requested over the network.
+ * @param {{id: string, filename: string, version?: string, sha256?: string}} modelConfig
+ * @returns {string}
+ */
+export const getModelCacheKey = (modelConfig) => {
+  const version = encodeURIComponent(modelConfig.version || UNVERSIONED);
+  const hash = modelConfig.sha256 ? `&sha256=${encodeURIComponent(modelConfig.sha256.toLowerCase())}` : '';
+  const path = `${import.meta.env.BASE_URL}${KEY_PREFIX}/${encodeURIComponent(modelConfig.id)}/${encodeURIComponent(modelConfig.filename)}?version=${version}${hash}`;
+  return new URL(path, self.location.origin).href;
+};
+
+/**
+ * @param {Function} listener called whenever the cache contents change
+ * @returns {Function} unsubscribe
+ */
+export const subscribeToModelCache = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const notify = () => listeners.forEach(listener => listener());
+
+/**
+ * SHA-256 of the model bytes as hex, or null where SubtleCrypto is unavailable.
+ * @param {ArrayBuffer} bytes
+ * @returns {Promise<string|null>}
+ */
+export const hashModelBytes = async (bytes) => {
+  if (!self.crypto?.subtle) return null;
+  const digest = await self.crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+const parseStoredConfig = (header) => {
+  if (!header) return null;
+  try {
+    return JSON.parse(decodeURIComponent(header));
+  } catch {
+    return null;
+  }
+};
+
+const readEntry = (request, response) => ({
+  key: request.url,
+  id: response.headers.get('x-model-id'),
+  filename: response.headers.get('x-model-filename'),
+  version: response.headers.get('x-model-version'),
+  sha256: response.headers.get('x-model-sha256') || null,
+  size: Number(response.headers.get('content-length')) || 0,
+  cachedAt: response.headers.get('x-cached-at'),
+  config: parseStoredConfig(response.headers.get('x-model-config'))
+});
+
+/**
+ * @returns {Promise<Array<{key: string, id: string, filename: string, version: string, sha256: string|null, size: number, cachedAt: string, config: object|null}>>}
+ *   config is only stored for uploaded models
+ */
+export const listCachedModels = async () => {
+  if (!isModelCacheAvailable()) return [];
+  const cache = await caches.open(MODEL_CACHE_NAME);
+  const requests = await cache.keys();
+  const entries = await Promise.all(requests.map(async request => {
+    const response = await cache.match(request);
+    return response ? readEntry(request, response) : null;
+  }));
+  return entries.filter(Boolean).sort((a, b) => a.id.localeCompare(b.id));
+};
+
+/**
+ * Cached bytes of exactly this model version. When the config pins a sha256, an entry stored with another
+ * hash is a miss.
+ * @returns {Promise<ArrayBuffer|null>}
+ */
+export const loadCachedModel = async (modelConfig) => {
+  if (!isModelCacheAvailable()) return null;
+  const cache = await caches.open(MODEL_CACHE_NAME);
+  const response = await cache.match(getModelCacheKey(modelConfig));
+  if (!response) return null;
+  const cachedSha256 = response.headers.get('x-model-sha256');
+  if (modelConfig.sha256 && cachedSha256 && cachedSha256 !== modelConfig.sha256.toLowerCase()) {
+    console.warn(`[ModelCache] Cached ${modelConfig.id} does not match its configured sha256, downloading it again`);
+    return null;
+  }
+  return response.arrayBuffer();
+};
+
+/**
+ * Store a model version and evict every other cached version of the same model id.
+ * @param {object} modelConfig
+ * @param {ArrayBuffer} bytes
+ * @param {string|null} sha256 hash of bytes, if known
+ */
+export const storeModel = async (modelConfig, bytes, sha256 = null) => {
+  if (!isModelCacheAvailable()) return;
+  const cache = await caches.open(MODEL_CACHE_NAME);
+  const key = getModelCacheKey(modelConfig);
+  const headers = {
+    'content-type': 'application/octet-stream',
+    'content-length': String(bytes.byteLength),
+    'x-model-id': modelConfig.id,
+    'x-model-filename': modelConfig.filename,
+    'x-model-version': modelConfig.version || UNVERSIONED,
+    'x-cached-at': new Date().toISOString()
+  };
+  if (sha256) headers['x-model-sha256'] = sha256;
+  // Header values must be ISO-8859-1, labels may not be
+  if (modelConfig.source === 'upload') headers['x-model-config'] = encodeURIComponent(JSON.stringify(modelConfig));
+  // The Response copies the bytes, so the caller may still transfer them afterwards
+  await cache.put(key, new Response(bytes, { headers }));
+
+  const stale = (await listCachedModels()).filter(entry => entry.id === modelConfig.id && entry.key !== key);
+  await Promise.all(stale.map(entry => cache.delete(entry.key)));
+  if (stale.length > 0) console.log(`[ModelCache] Evicted ${stale.length} old version(s) of ${modelConfig.id}`);
+  notify();
+};
+
+/** Remove one cached model version */
+export const deleteCachedModel = async (key) => {
+  if (!isModelCacheAvailable()) return;
+  const cache = await caches.open(MODEL_CACHE_NAME);
+  await cache.delete(key);
+  notify();
+};
+
+/** Remove every cached model */
+export const clearModelCache = async () => {
+  if (!isModelCacheAvailable()) return;
+  await caches.delete(MODEL_CACHE_NAME);
+  notify();
+};
+
+/**
+ * Model bytes from the cache, or from `fetchBytes` on a miss (then cached).
+ * When the config pins a sha256, downloaded bytes must match it.
+ * @param {object} modelConfig
+ * @param {() => Promise<ArrayBuffer|null>} fetchBytes network loader
+ * @returns {Promise<{bytes: ArrayBuffer|null, fromCache: boolean}>}
+ */
+export const getModelBytesCached = async (modelConfig, fetchBytes) => {
+  try {
+    const cached = await loadCachedModel(modelConfig);
+    if (cached) {
+      console.log(`[ModelCache] Loaded ${modelConfig.id} v${modelConfig.version || UNVERSIONED} from cache (${cached.byteLength} bytes)`);
+      return { bytes: cached, fromCache: true };
+    }
+  } catch (error) {
+    console.warn('[ModelCache] Cache read failed, downloading instead:', error);
+  }
+
+  const bytes = await fetchBytes();
+  if (!bytes) return { bytes: null, fromCache: false };
+
+  const sha256 = await hashModelBytes(bytes);
+  if (modelConfig.sha256 && sha256 && sha256 !== modelConfig.sha256.toLowerCase()) {
+    throw new Error(`Model ${modelConfig.filename} does not match its configured sha256`);
+  }
+  try {
+    await storeModel(modelConfig, bytes, sha256);
+  } catch (error) {
+    // Quota exceeded or storage disabled: the model still loads, just not cached
+    console.warn('[ModelCache] Could not cache model:', error);
+  }
+  return { bytes, fromCache: false };
+};
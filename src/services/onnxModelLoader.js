@@ -26,7 +26,13 @@ export const loadOnnxModelFromUrl = async (url) => {
   }
 };
 
-export const getOnnxModelUri = async (modelFilename) => {
+/**
+ * Fetch the bytes of a model served from the public/models directory,
+ * trying the URLs a deployment might serve it from.
+ * @param {string} modelFilename file name under models/
+ * @returns {Promise<ArrayBuffer|null>} null when no URL worked
+ */
+export const getOnnxModelBytes = async (modelFilename) => {
   // Try loading from URL first with various paths that might work
   const baseUrl = window.location.origin;
   // Ensure basePath correctly reflects the deployment subdirectory if any.
@@ -40,6 +46,7 @@ export const getOnnxModelUri = async (modelFilename) => {
   // Construct URLs relative to the current deployment.
   // Vite serves 'public' directory contents from the root.
   const urlsToTry = [
+    new URL(`${import.meta.env.BASE_URL}models/${modelFilename}`, baseUrl).href, // public/models under the Vite base path
     new URL(`models/${modelFilename}`, baseUrl).href, // Absolute path from domain root + /models/
     // The following might be redundant if baseUrl already includes the subpath, or useful if not.
     // new URL(basePath + `models/${modelFilename}`, baseUrl).href, 
@@ -66,10 +73,7 @@ export const getOnnxModelUri = async (modelFilename) => {
     try {
       const modelBuffer = await loadOnnxModelFromUrl(url);
       if (modelBuffer) {
-        const blob = new Blob([modelBuffer], { type: 'application/octet-stream' });
-        const modelBlobUrl = URL.createObjectURL(blob);
-        console.log(`Created ONNX model blob URL from successfully fetched: ${url}`);
-        return modelBlobUrl;
+        return modelBuffer;
       }
     } catch (error) {
       // Error is logged in loadOnnxModelFromUrl, continue to next URL
@@ -80,3 +84,12 @@ export const getOnnxModelUri = async (modelFilename) => {
   console.error(`Failed to load ONNX model '${modelFilename}' from any of the attempted URLs.`);
   return null;
 };
+
+export const getOnnxModelUri = async (modelFilename) => {
+  const modelBuffer = await getOnnxModelBytes(modelFilename);
+  if (!modelBuffer) return null;
+  const blob = new Blob([modelBuffer], { type: 'application/octet-stream' });
+  const modelBlobUrl = URL.createObjectURL(blob);
+  console.log(`Created ONNX model blob URL for '${modelFilename}'`);
+  return modelBlobUrl;
+};
@@ -0,0 +1,167 @@
+// src/services/sessionRecorder.js
+import { toCsv } from './csvExport';
+
+export const SESSION_FORMAT_VERSION = 1;
+
+/**
+ * SessionRecorder keeps every inference of a live session in memory
+ * and exports it as CSV or JSON.
+ * - start() captures a header describing the model config and normalization
+ * - record() appends one inference (only while recording)
+ * - subscribe() lets UI controls follow the recording state
+ */
+class SessionRecorder {
+  constructor() {
+    this.isRecording = false;
+    this.header = null;
+    this.entries = [];
+    this.startTime = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Start a new recording, dropping the previous one.
+   * @param {object} header session metadata: model config, normalization settings, etc.
+   */
+  start(header = {}) {
+    this.startTime = Date.now();
+    this.header = {
+      formatVersion: SESSION_FORMAT_VERSION,
+      startedAt: new Date(this.startTime).toISOString(),
+      ...header
+    };
+    this.entries = [];
+    this.isRecording = true;
+    this.notify();
+  }
+
+  /** Stop recording; entries stay available for download */
+  stop() {
+    if (!this.isRecording) return;
+    this.isRecording = false;
+    this.header = { ...this.header, stoppedAt: new Date().toISOString() };
+    this.notify();
+  }
+
+  /**
+   * Append one inference.
+   * @param {{modelId:string, faceId?:number, context:string, rawLogits:Array<number>, probabilities:Array<number>,
+   *          labels:Array<string>, emotion:string|null, score:number|null, members?:Array<object>|null,
+   *          comparison?:{modelId:string, emotion:string, score:number, probabilities:Array<number>}|null}} entry
+   *   members: ensemble member results; comparison: the comparison model's prediction in compare mode;
+   *   with temporal smoothing, emotion/score are smoothed and rawEmotion/rawScore/smoothedProbabilities are added;
+   *   with a neutral baseline, emotion/score are calibrated and calibratedProbabilities is added;
+   *   with a personal classifier, personal holds its prediction (emotion/score are its own in 'replace' mode);
+   *   abstained entries have emotion "Uncertain" and the top class in candidateEmotion;
+   *   multi-head models add their scalar head values as dimensions (name → value)
+   */
+  record(entry) {
+    if (!this.isRecording) return;
+    const now = Date.now();
+    this.entries.push({
+      timestamp: new Date(now).toISOString(),
+      elapsedMs: now - this.startTime,
+      ...entry
+    });
+    this.notify();
+  }
+
+  /** @returns {boolean} true when there is something to download */
+  hasData() {
+    return this.entries.length > 0;
+  }
+
+  /**
+   * @param {Function} listener called with the recorder whenever its state changes
+   * @returns {Function} unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener(this));
+  }
+
+  /** @returns {string} JSON document with header and entries */
+  toJson() {
+    return JSON.stringify({ header: this.header, entries: this.entries }, null, 2);
+  }
+
+  /**
+   * CSV with the header as leading "# key: value" comment lines,
+   * then one row per inference with one column per class for logits and probabilities
+   * (smoothed probabilities and the raw top emotion when smoothing was on, calibrated probabilities with a
+   * neutral baseline, the personal classifier's top emotion when one was used, the comparison model's top emotion
+   * when recorded in compare mode, and one dim_ column per scalar head of multi-head models).
+   * @returns {string}
+   */
+  toCsv() {
+    const labels = [];
+    this.entries.forEach(entry => (entry.labels || []).forEach(label => {
+      if (!labels.includes(label)) labels.push(label);
+    }));
+    const dimensions = [];
+    this.entries.forEach(entry => Object.keys(entry.dimensions || {}).forEach(name => {
+      if (!dimensions.includes(name)) dimensions.push(name);
+    }));
+    const columns = [
+      { key: 'timestamp', header: 'timestamp' },
+      { key: 'elapsedMs', header: 'elapsed_ms' },
+      { key: 'modelId', header: 'model_id' },
+      { key: 'faceId', header: 'face_id' },
+      { key: 'context', header: 'context' },
+      { key: 'emotion', header: 'filtered_emotion' },
+      { key: 'score', header: 'filtered_score' },
+      { key: 'abstained', header: 'abstained' },
+      { key: 'candidateEmotion', header: 'candidate_emotion' },
+      ...labels.map(label => ({ key: `logit_${label}`, header: `logit_${label}` })),
+      ...labels.map(label => ({ key: `prob_${label}`, header: `prob_${label}` })),
+      ...dimensions.map(name => ({ key: `dim_${name}`, header: `dim_${name}` })),
+      ...(this.entries.some(entry => entry.smoothedProbabilities) ? [
+        { key: 'rawEmotion', header: 'raw_emotion' },
+        { key: 'rawScore', header: 'raw_score' },
+        ...labels.map(label => ({ key: `smooth_${label}`, header: `smooth_${label}` }))
+      ] : []),
+      ...(this.entries.some(entry => entry.calibratedProbabilities)
+        ? labels.map(label => ({ key: `cal_${label}`, header: `cal_${label}` }))
+        : []),
+      ...(this.entries.some(entry => entry.personal) ? [
+        { key: 'personalMode', header: 'personal_mode' },
+        { key: 'personalEmotion', header: 'personal_emotion' },
+        { key: 'personalScore', header: 'personal_score' }
+      ] : []),
+      ...(this.entries.some(entry => entry.comparison) ? [
+        { key: 'comparisonModelId', header: 'comparison_model_id' },
+        { key: 'comparisonEmotion', header: 'comparison_emotion' },
+        { key: 'comparisonScore', header: 'comparison_score' }
+      ] : []),
+    ];
+    const rows = this.entries.map(entry => {
+      const row = {
+        ...entry,
+        comparisonModelId: entry.comparison?.modelId ?? null,
+        comparisonEmotion: entry.comparison?.emotion ?? null,
+        comparisonScore: entry.comparison?.score ?? null,
+        personalMode: entry.personal?.mode ?? null,
+        personalEmotion: entry.personal?.emotion ?? null,
+        personalScore: entry.personal?.score ?? null
+      };
+      (entry.labels || []).forEach((label, idx) => {
+        row[`logit_${label}`] = entry.rawLogits ? entry.rawLogits[idx] : null;
+        row[`prob_${label}`] = entry.probabilities ? entry.probabilities[idx] : null;
+        row[`smooth_${label}`] = entry.smoothedProbabilities ? entry.smoothedProbabilities[idx] : null;
+        row[`cal_${label}`] = entry.calibratedProbabilities ? entry.calibratedProbabilities[idx] : null;
+      });
+      dimensions.forEach(name => { row[`dim_${name}`] = entry.dimensions?.[name] ?? null; });
+      return row;
+    });
+    const headerLines = Object.entries(this.header || {}).map(([key, value]) =>
+      `# ${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`
+    );
+    return [...headerLines, toCsv(rows, columns)].join('\n');
+  }
+}
+
+export default SessionRecorder;
@@ -0,0 +1,127 @@
+// src/services/videoFrameAnalyzer.js
+import FaceTracker from './faceTracker';
+import { createFaceMeshDetector } from './faceMeshRunner';
+import { createSequenceBufferForModel } from './landmarkSequenceBuffer';
+import { predictEngagement, normalizeLandmarkFrame, labelProbabilities, getCurrentModelInfo } from './emotionOnnxService';
+
+/**
+ * Seek a video element and wait until the frame at `time` can be drawn.
+ * @param {HTMLVideoElement} video
+ * @param {number} time seconds
+ */
+export const seekVideo = (video, time) => new Promise((resolve, reject) => {
+  const onSeeked = () => {
+    video.removeEventListener('error', onError);
+    resolve();
+  };
+  const onError = () => {
+    video.removeEventListener('seeked', onSeeked);
+    reject(new Error(`Failed to seek video to ${time.toFixed(3)}s`));
+  };
+  video.addEventListener('seeked', onSeeked, { once: true });
+  video.addEventListener('error', onError, { once: true });
+  video.currentTime = time;
+});
+
+/**
+ * Wait for a video element's metadata (duration and dimensions).
+ * @param {HTMLVideoElement} video
+ */
+export const waitForVideoMetadata = (video) => new Promise((resolve, reject) => {
+  if (video.readyState >= 1 && video.videoWidth > 0) {
+    resolve();
+    return;
+  }
+  video.addEventListener('loadedmetadata', () => resolve(), { once: true });
+  video.addEventListener('error', () => reject(new Error('Could not read video metadata')), { once: true });
+});
+
+/**
+ * Analyze a video frame by frame at a fixed sample rate, independent of wall-clock throttles.
+ * Every sampled frame goes through FaceMesh and predictEngagement for each detected face.
+ *
+ * @param {HTMLVideoElement} video element whose src is the video to analyze (it is seeked in place)
+ * @param {{sampleRate?: number, maxNumFaces?: number, onProgress?: Function, signal?: AbortSignal}} [options]
+ *   sampleRate: analyzed frames per second of video time
+ *   onProgress: called after each frame with { processed, total, entry }
+ *   signal: aborts the analysis between frames; the partial timeline is returned
+ * @returns {Promise<Array<{time:number, faces:Array<{id:number, landmarks:Array, emotion:string|null, score:number|null, probabilities:Array,
+ *   abstained:boolean, candidateEmotion:string|null, dimensions:Object|null}>}>>} abstained faces have emotion "Uncertain" and their
+ *   top class in candidateEmotion; dimensions holds the scalar head values of multi-head models
+ */
+export const analyzeVideo = async (video, { sampleRate = 2, maxNumFaces = 1, onProgress, signal } = {}) => {
+  await waitForVideoMetadata(video);
+  const modelInfo = getCurrentModelInfo();
+  if (!modelInfo) throw new Error('No ONNX model loaded');
+
+  const duration = video.duration;
+  if (!Number.isFinite(duration) || duration <= 0) throw new Error('Video has no usable duration');
+  const step = 1 / sampleRate;
+  const total = Math.floor(duration * sampleRate) + 1;
+  const videoWidth = video.videoWidth;
+  const videoHeight = video.videoHeight;
+
+  const detector = await createFaceMeshDetector({ maxNumFaces });
+  const tracker = new FaceTracker();
+  // Per-face temporal buffers for sequence models, fed at the sample rate
+  const sequenceBuffers = new Map();
+  const timeline = [];
+
+  video.pause();
+  try {
+    for (let i = 0; i < total; i++) {
+      if (signal?.aborted) break;
+      const time = Math.min(i * step, duration);
+      await seekVideo(video, time);
+      const results = await detector.detect(video);
+      const { faces, lostIds, removedIds } = tracker.update(results.multiFaceLandmarks);
+      removedIds.forEach(id => sequenceBuffers.delete(id));
+      lostIds.forEach(id => sequenceBuffers.get(id)?.reset());
+
+      const entry = { time, faces: [] };
+      for (const face of faces) {
+        let sequenceBuffer = null;
+        if (modelInfo.inputFormat.sequenceLength > 1) {
+          if (!sequenceBuffers.has(face.id)) sequenceBuffers.set(face.id, createSequenceBufferForModel(modelInfo));
+          sequenceBuffer = sequenceBuffers.get(face.id);
+          sequenceBuffer.push(normalizeLandmarkFrame(face.landmarks, videoWidth, videoHeight));
+        }
+
+        const faceEntry = {
+          id: face.id,
+          // Plain copies so the timeline can be serialized
+          landmarks: face.landmarks.map(({ x, y, z }) => ({ x, y, z })),
+          emotion: null,
+          score: null,
+          probabilities: [],
+          abstained: false,
+          candidateEmotion: null,
+          dimensions: null
+        };
+        if (!sequenceBuffer || sequenceBuffer.isReady()) {
+          const prediction = await predictEngagement(face.landmarks, videoWidth, videoHeight, {
+            context: `VIDEO ${time.toFixed(2)}s FACE ${face.id}`,
+            sequenceWindow: sequenceBuffer ? sequenceBuffer.toWindow() : undefined
+          });
+          if (prediction) {
+            faceEntry.emotion = prediction.emotion;
+            faceEntry.score = prediction.score;
+            faceEntry.abstained = Boolean(prediction.abstained);
+            faceEntry.candidateEmotion = prediction.candidate_emotion ?? null;
+            faceEntry.dimensions = prediction.dimensions ?? null;
+            faceEntry.probabilities = labelProbabilities(prediction.classification_head_probabilities);
+          } else {
+            faceEntry.emotion = 'Error';
+          }
+        }
+        entry.faces.push(faceEntry);
+      }
+
+      timeline.push(entry);
+      if (onProgress) onProgress({ processed: i + 1, total, entry });
+    }
+  } finally {
+    await detector.close();
+  }
+  return timeline;
+};
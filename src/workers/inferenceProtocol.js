@@ -0,0 +1,107 @@
+// src/workers/inferenceProtocol.js
+// Message protocol between the main thread (services/inferenceWorkerClient.js) and the inference worker.
+// Every request carries a requestId that the matching response echoes back.
+
+export const INFERENCE_MESSAGE = {
+  // main thread -> worker
+  INIT: 'init',         // load a model; cancels everything queued for the previous one
+  PREDICT: 'predict',   // run the model on a ready model input
+  CANCEL: 'cancel',     // drop queued predict requests that have become stale
+  RELEASE: 'release',   // release the session
+  BENCHMARK: 'benchmark', // time a throwaway session of a model, leaving the loaded one alone
+  // worker -> main thread
+  READY: 'ready',       // INIT succeeded
+  RELEASED: 'released', // RELEASE done
+  RESULT: 'result',     // PREDICT succeeded
+  CANCELLED: 'cancelled', // PREDICT dropped before it ran
+  BENCHMARK_RESULT: 'benchmarkResult', // BENCHMARK done
+  ERROR: 'error'        // any request failed
+};
+
+/**
+ * @typedef {object} InitRequest
+ * @property {'init'} type
+ * @property {number} requestId
+ * @property {object} modelConfig model configuration (structured-cloneable)
+ * @property {ArrayBuffer} modelBytes ONNX model, transferred
+ * @property {string} [wasmPaths] base URL of the onnxruntime-web wasm files
+ * @property {number} [numThreads] wasm threads; only the first INIT/BENCHMARK of a worker sets it
+ * @property {object} [sessionOptions] executionProviders (tried in order) and graphOptimizationLevel
+ */
+
+/**
+ * @typedef {object} PredictRequest
+ * @property {'predict'} type
+ * @property {number} requestId
+ * @property {Float32Array} input flat model input of length SEQ_LEN * NUM_LANDMARKS * NUM_COORDS, transferred
+ * @property {string} context label used in logs
+ */
+
+/**
+ * @typedef {object} CancelRequest
+ * @property {'cancel'} type
+ * @property {Array<number>} requestIds predict requests to drop
+ */
+
+/**
+ * @typedef {object} ReleaseRequest
+ * @property {'release'} type
+ * @property {number} requestId
+ */
+
+/**
+ * @typedef {object} BenchmarkRequest
+ * @property {'benchmark'} type
+ * @property {number} requestId
+ * @property {object} modelConfig model configuration
+ * @property {ArrayBuffer} modelBytes ONNX model, transferred
+ * @property {number} [numThreads] as in InitRequest
+ * @property {object} [sessionOptions] as in InitRequest
+ * @property {number} [runs] timed runs
+ */
+
+/**
+ * @typedef {object} ReadyResponse
+ * @property {'ready'} type
+ * @property {number} requestId
+ * @property {Array<string>} inputNames
+ * @property {Array<string>} outputNames
+ * @property {object} report session validation report (see core/sessionValidation.js)
+ * @property {string} executionProvider provider the session runs on
+ * @property {Array<{provider: string, error: string}>} providerAttempts providers that failed before it
+ * @property {number} numThreads wasm threads in effect
+ */
+
+/**
+ * @typedef {object} BenchmarkResultResponse
+ * @property {'benchmarkResult'} type
+ * @property {number} requestId
+ * @property {object} result latency stats (see core/sessionBenchmark.js) plus initMs, executionProvider and numThreads
+ */
+
+/**
+ * @typedef {object} ReleasedResponse
+ * @property {'released'} type
+ * @property {number} requestId
+ */
+
+/**
+ * @typedef {object} ResultResponse
+ * @property {'result'} type
+ * @property {number} requestId
+ * @property {object|null} prediction see core/predictionPostprocessing.js interpretModelOutput
+ */
+
+/**
+ * @typedef {object} CancelledResponse
+ * @property {'cancelled'} type
+ * @property {number} requestId
+ */
+
+/**
+ * @typedef {object} ErrorResponse
+ * @property {'error'} type
+ * @property {number} requestId
+ * @property {string} message
+ * @property {object} [report] validation report of an INIT refused because the model does not match its config
+ */
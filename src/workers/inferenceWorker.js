@@ -0,0 +1,141 @@
+// src/workers/inferenceWorker.js
+// Dedicated worker that owns the ONNX session, so inference does not stall canvas drawing and
+// React updates in the FaceMesh results callback. See inferenceProtocol.js for the messages.
+// The all-backends build, so that 'webgl' providers work in the worker too
+import * as ort from 'onnxruntime-web/all';
+import { EmotionInferenceCore } from '../core/emotionInferenceCore.js';
+import { benchmarkCore } from '../core/sessionBenchmark.js';
+import { INFERENCE_MESSAGE } from './inferenceProtocol.js';
+
+let core = null;
+// The wasm runtime starts with the first session; thread settings after that have no effect
+let runtimeStarted = false;
+// Requests run one at a time, in arrival order
+let taskChain = Promise.resolve();
+// Predict requests waiting in the chain, by requestId; CANCEL removes them before they run
+const pendingPredicts = new Map();
+
+const enqueue = (task) => {
+  taskChain = taskChain.then(task).catch(error => console.error('[InferenceWorker] task error:', error));
+};
+
+// Yield to the event loop so CANCEL messages that arrived meanwhile are handled before the next run
+const yieldToMessages = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const cancelPending = (requestIds) => {
+  requestIds.forEach(requestId => {
+    if (pendingPredicts.delete(requestId)) {
+      self.postMessage({ type: INFERENCE_MESSAGE.CANCELLED, requestId });
+    }
+  });
+};
+
+const configureRuntime = ({ wasmPaths, numThreads }) => {
+  if (runtimeStarted) {
+    if (numThreads !== undefined && numThreads !== ort.env.wasm.numThreads) {
+      console.warn(`[InferenceWorker] numThreads ${numThreads} ignored, the runtime already runs with ${ort.env.wasm.numThreads}`);
+    }
+    return;
+  }
+  if (wasmPaths) ort.env.wasm.wasmPaths = wasmPaths;
+  if (numThreads !== undefined) ort.env.wasm.numThreads = numThreads;
+  runtimeStarted = true;
+};
+
+const handleInit = async ({ requestId, modelConfig, modelBytes, wasmPaths, numThreads, sessionOptions }) => {
+  try {
+    configureRuntime({ wasmPaths, numThreads });
+    const previousCore = core;
+    core = null;
+    if (previousCore) await previousCore.release();
+    core = await EmotionInferenceCore.create({ ort, modelConfig, modelBytes, sessionOptions });
+    self.postMessage({
+      type: INFERENCE_MESSAGE.READY,
+      requestId,
+      inputNames: core.session.inputNames,
+      outputNames: core.session.outputNames,
+      report: core.validationReport,
+      executionProvider: core.executionProvider,
+      providerAttempts: core.providerAttempts,
+      numThreads: ort.env.wasm.numThreads
+    });
+  } catch (error) {
+    core = null;
+    // report is set when the session did not match its config (ModelValidationError)
+    self.postMessage({ type: INFERENCE_MESSAGE.ERROR, requestId, message: error.message, report: error.report });
+  }
+};
+
+const handlePredict = async (requestId) => {
+  await yieldToMessages();
+  const request = pendingPredicts.get(requestId);
+  if (!request) return; // Cancelled while queued
+  pendingPredicts.delete(requestId);
+  if (!core) {
+    self.postMessage({ type: INFERENCE_MESSAGE.ERROR, requestId, message: 'ONNX session not initialized' });
+    return;
+  }
+  const prediction = await core.run(request.input, request.context);
+  self.postMessage({ type: INFERENCE_MESSAGE.RESULT, requestId, prediction });
+};
+
+const quietLogger = { log: () => {}, warn: () => {}, error: (...items) => console.error(...items) };
+
+const handleBenchmark = async ({ requestId, modelConfig, modelBytes, wasmPaths, numThreads, sessionOptions, runs }) => {
+  let benchmarkedCore = null;
+  try {
+    configureRuntime({ wasmPaths, numThreads });
+    const started = performance.now();
+    benchmarkedCore = await EmotionInferenceCore.create({ ort, modelConfig, modelBytes, sessionOptions, logger: quietLogger });
+    const initMs = performance.now() - started;
+    const stats = await benchmarkCore(benchmarkedCore, { runs });
+    self.postMessage({
+      type: INFERENCE_MESSAGE.BENCHMARK_RESULT,
+      requestId,
+      result: { ...stats, initMs, executionProvider: benchmarkedCore.executionProvider, numThreads: ort.env.wasm.numThreads }
+    });
+  } catch (error) {
+    self.postMessage({ type: INFERENCE_MESSAGE.ERROR, requestId, message: error.message });
+  } finally {
+    if (benchmarkedCore) await benchmarkedCore.release();
+  }
+};
+
+const handleRelease = async ({ requestId }) => {
+  const releasedCore = core;
+  core = null;
+  try {
+    if (releasedCore) await releasedCore.release();
+    self.postMessage({ type: INFERENCE_MESSAGE.RELEASED, requestId });
+  } catch (error) {
+    // The client still waits for an answer, e.g. before terminating this worker
+    self.postMessage({ type: INFERENCE_MESSAGE.ERROR, requestId, message: error.message });
+  }
+};
+
+self.onmessage = (event) => {
+  const message = event.data;
+  switch (message.type) {
+    case INFERENCE_MESSAGE.INIT:
+      // Inputs queued for the previous model no longer match
+      cancelPending([...pendingPredicts.keys()]);
+      enqueue(() => handleInit(message));
+      break;
+    case INFERENCE_MESSAGE.PREDICT:
+      pendingPredicts.set(message.requestId, message);
+      enqueue(() => handlePredict(message.requestId));
+      break;
+    case INFERENCE_MESSAGE.CANCEL:
+      cancelPending(message.requestIds || []);
+      break;
+    case INFERENCE_MESSAGE.BENCHMARK:
+      enqueue(() => handleBenchmark(message));
+      break;
+    case INFERENCE_MESSAGE.RELEASE:
+      cancelPending([...pendingPredicts.keys()]);
+      enqueue(() => handleRelease(message));
+      break;
+    default:
+      self.postMessage({ type: INFERENCE_MESSAGE.ERROR, requestId: message.requestId, message: `Unknown message type ${message.type}` });
+  }
+};
@@ -0,0 +1,111 @@
+// test/faceQuality.test.js
+// Face quality gate: head pose from the landmarks, face size, cut-off share, exposure and the order of the checks.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_QUALITY_SETTINGS, QUALITY_HINTS, assessFaceQuality, estimateHeadPose, measureExposure } from '../src/core/faceQuality.js';
+
+const WIDTH = 640;
+const HEIGHT = 480;
+const NUM_LANDMARKS = 478;
+const CENTER = { x: 320, y: 240 };
+
+// Frontal face in pixels around the origin: the landmarks the pose uses at known places, the rest on an ellipse
+const frontalFace = () => {
+  const points = Array.from({ length: NUM_LANDMARKS }, (_, i) => {
+    const angle = (2 * Math.PI * i) / NUM_LANDMARKS;
+    return { x: 60 * Math.cos(angle), y: 80 * Math.sin(angle), z: 10 * Math.cos(3 * angle) };
+  });
+  points[33] = { x: -40, y: -30, z: 0 }; // right eye, outer corner
+  points[263] = { x: 40, y: -30, z: 0 }; // left eye, outer corner
+  points[234] = { x: -70, y: 0, z: 20 }; // right cheek
+  points[454] = { x: 70, y: 0, z: 20 }; // left cheek
+  points[10] = { x: 0, y: -90, z: 0 }; // forehead
+  points[152] = { x: 0, y: 90, z: 0 }; // chin
+  return points;
+};
+
+const degrees = (value) => (value * Math.PI) / 180;
+
+// Turn the head by yaw (about the vertical axis) then roll (in the image plane), place it and convert to
+// MediaPipe image coordinates (z on the scale of x)
+const pose = (points, { yaw = 0, roll = 0, offset = CENTER }) => points.map(({ x, y, z }) => {
+  const x1 = x * Math.cos(degrees(yaw)) - z * Math.sin(degrees(yaw));
+  const z1 = x * Math.sin(degrees(yaw)) + z * Math.cos(degrees(yaw));
+  const x2 = x1 * Math.cos(degrees(roll)) - y * Math.sin(degrees(roll));
+  const y2 = x1 * Math.sin(degrees(roll)) + y * Math.cos(degrees(roll));
+  return { x: (x2 + offset.x) / WIDTH, y: (y2 + offset.y) / HEIGHT, z: z1 / WIDTH };
+});
+
+const assertAngle = (actual, expected, name) => assert.ok(Math.abs(actual - expected) < 1e-6, `${name} ${actual} != ${expected}`);
+
+test('a frontal face has no yaw, pitch or roll and passes the gate', () => {
+  const landmarks = pose(frontalFace(), {});
+  const { yaw, pitch, roll } = estimateHeadPose(landmarks, WIDTH, HEIGHT);
+  [['yaw', yaw], ['pitch', pitch], ['roll', roll]].forEach(([name, angle]) => assertAngle(angle, 0, name));
+  const quality = assessFaceQuality(landmarks, WIDTH, HEIGHT);
+  assert.equal(quality.pass, true);
+  assert.equal(quality.reason, null);
+  assert.equal(quality.metrics.cutOff, 0);
+  assert.equal(quality.metrics.faceSize, 180);
+});
+
+test('a turned head gives its yaw and a tilted head its roll', () => {
+  const turned = estimateHeadPose(pose(frontalFace(), { yaw: 25 }), WIDTH, HEIGHT);
+  assertAngle(turned.yaw, 25, 'yaw');
+  assertAngle(turned.pitch, 0, 'pitch');
+  assertAngle(turned.roll, 0, 'roll');
+
+  const tilted = estimateHeadPose(pose(frontalFace(), { roll: -20 }), WIDTH, HEIGHT);
+  assertAngle(tilted.roll, -20, 'roll');
+  assertAngle(tilted.yaw, 0, 'yaw');
+  assertAngle(tilted.pitch, 0, 'pitch');
+});
+
+test('pose limits fail with their hint', () => {
+  const turned = assessFaceQuality(pose(frontalFace(), { yaw: -40 }), WIDTH, HEIGHT);
+  assert.deepEqual(turned.failures, ['yaw']);
+  assert.equal(turned.reason, QUALITY_HINTS.yaw);
+  const tilted = assessFaceQuality(pose(frontalFace(), { roll: 35 }), WIDTH, HEIGHT);
+  assert.deepEqual(tilted.failures, ['roll']);
+  assert.equal(assessFaceQuality(pose(frontalFace(), { roll: 35 }), WIDTH, HEIGHT, { ...DEFAULT_QUALITY_SETTINGS, maxRoll: 40 }).pass, true);
+});
+
+test('a face partly off the frame fails on cutOff first', () => {
+  // Shifted left so that about a third of the landmarks have x < 0, and turned too far as well
+  const landmarks = pose(frontalFace(), { yaw: 40, offset: { x: 30, y: 240 } });
+  const quality = assessFaceQuality(landmarks, WIDTH, HEIGHT);
+  assert.ok(quality.metrics.cutOff > DEFAULT_QUALITY_SETTINGS.maxCutOff);
+  assert.equal(quality.failures[0], 'cutOff');
+  assert.ok(quality.failures.includes('yaw'));
+  assert.equal(quality.reason, QUALITY_HINTS.cutOff);
+});
+
+test('a small face fails on size', () => {
+  const small = frontalFace().map(({ x, y, z }) => ({ x: x / 3, y: y / 3, z: z / 3 }));
+  const quality = assessFaceQuality(pose(small, {}), WIDTH, HEIGHT);
+  assert.deepEqual(quality.failures, ['size']);
+  assert.equal(quality.reason, QUALITY_HINTS.size);
+});
+
+test('exposure is only checked when checkExposure is on', () => {
+  const landmarks = pose(frontalFace(), {});
+  const dark = { brightness: 10, contrast: 5 };
+  const ignored = assessFaceQuality(landmarks, WIDTH, HEIGHT, DEFAULT_QUALITY_SETTINGS, dark);
+  assert.equal(ignored.pass, true);
+  assert.equal(ignored.metrics.brightness, 10);
+
+  const settings = { ...DEFAULT_QUALITY_SETTINGS, checkExposure: true };
+  assert.deepEqual(assessFaceQuality(landmarks, WIDTH, HEIGHT, settings, dark).failures, ['dark']);
+  assert.deepEqual(assessFaceQuality(landmarks, WIDTH, HEIGHT, settings, { brightness: 240, contrast: 30 }).failures, ['bright']);
+  assert.deepEqual(assessFaceQuality(landmarks, WIDTH, HEIGHT, settings, { brightness: 120, contrast: 5 }).failures, ['contrast']);
+  // No crop measured yet: nothing to check
+  assert.equal(assessFaceQuality(landmarks, WIDTH, HEIGHT, settings, null).pass, true);
+});
+
+test('measureExposure gives the mean and standard deviation of the luma', () => {
+  const pixels = (values) => ({ data: Uint8ClampedArray.from(values.flatMap(v => [v, v, v, 255])) });
+  const { brightness, contrast } = measureExposure(pixels([100, 100, 200, 200]));
+  assert.ok(Math.abs(brightness - 150) < 1e-9);
+  assert.ok(Math.abs(contrast - 50) < 1e-9);
+  assert.deepEqual(measureExposure({ data: new Uint8ClampedArray(0) }), { brightness: 0, contrast: 0 });
+});
@@ -0,0 +1,157 @@
+// test/landmarkPreprocessing.test.js
+// Landmark normalization against the training pipeline: FER+ normalization, padding, sequence layout,
+// the parity check's normalization stage and frontalization.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  FERPLUS_LEFT_EYE_INNER_IDX, FERPLUS_NOSE_TIP_IDX, FERPLUS_RIGHT_EYE_INNER_IDX, normalizeLandmarkFrame, preprocessLandmarks
+} from '../src/core/landmarkPreprocessing.js';
+import { parseParityFixture, runParityCheck } from '../src/core/parityCheck.js';
+import { registerFrontalizationReference } from '../src/core/frontalization.js';
+
+const WIDTH = 640;
+const HEIGHT = 480;
+const NUM_LANDMARKS = 478;
+
+const assertClose = (actual, expected, tolerance = 1e-6) => {
+  assert.equal(actual.length, expected.length);
+  expected.forEach((value, i) => assert.ok(Math.abs(actual[i] - value) <= tolerance, `[${i}] ${actual[i]} != ${value}`));
+};
+
+const modelConfig = (overrides = {}) => ({
+  id: 'test_model',
+  inputFormat: { sequenceLength: 1, sequenceStride: 1, numLandmarks: NUM_LANDMARKS, numCoords: 3, tensorShape: [1, NUM_LANDMARKS, 3] },
+  normalizationType: 'ferplus',
+  ...overrides
+});
+
+// A face in normalized image coordinates: nose tip at the center, inner eye corners 0.1 apart
+const makeFace = () => {
+  const face = Array.from({ length: NUM_LANDMARKS }, (_, i) => ({
+    x: 0.3 + 0.4 * ((i * 37) % 100) / 100,
+    y: 0.25 + 0.5 * ((i * 61) % 100) / 100,
+    z: 0.02 * (((i * 13) % 20) - 10) / 10
+  }));
+  face[FERPLUS_NOSE_TIP_IDX] = { x: 0.5, y: 0.5, z: -0.02 };
+  face[FERPLUS_LEFT_EYE_INNER_IDX] = { x: 0.55, y: 0.45, z: 0 };
+  face[FERPLUS_RIGHT_EYE_INNER_IDX] = { x: 0.45, y: 0.45, z: 0 };
+  return face;
+};
+
+// FER+ normalization as written in the Python training script: pixel coordinates (z scaled by the width),
+// centered on the nose tip and divided by the 2D inter-ocular distance
+const trainingNormalization = (face, width, height, zScale = width) => {
+  const abs = face.map(lm => [lm.x * width, lm.y * height, lm.z * zScale]);
+  const nose = abs[FERPLUS_NOSE_TIP_IDX];
+  const centered = abs.map(p => p.map((value, c) => value - nose[c]));
+  const left = centered[FERPLUS_LEFT_EYE_INNER_IDX];
+  const right = centered[FERPLUS_RIGHT_EYE_INNER_IDX];
+  const interOcular = Math.hypot(left[0] - right[0], left[1] - right[1]);
+  return centered.map(p => p.map(value => value / interOcular));
+};
+
+test('FER+ normalization centers on the nose tip and scales by the inter-ocular distance', () => {
+  const face = makeFace();
+  face[10] = { x: 0.6, y: 0.6, z: 0.03 };
+  const frame = normalizeLandmarkFrame(face, WIDTH, HEIGHT, modelConfig());
+  // Inter-ocular distance is 0.1 * 640 = 64 px
+  assertClose(frame.slice(FERPLUS_NOSE_TIP_IDX * 3, FERPLUS_NOSE_TIP_IDX * 3 + 3), [0, 0, 0]);
+  assertClose(frame.slice(FERPLUS_LEFT_EYE_INNER_IDX * 3, FERPLUS_LEFT_EYE_INNER_IDX * 3 + 3), [0.5, -0.375, 0.2]);
+  assertClose(frame.slice(30, 33), [1, 0.75, 0.5]);
+});
+
+test('normalization matches the training pipeline through the parity check', async () => {
+  const faces = [makeFace(), makeFace().map(lm => ({ ...lm, x: lm.x * 0.9 + 0.07, z: lm.z * 2 }))];
+  const fixture = parseParityFixture(JSON.stringify({
+    format: 'emotions-parity-fixture',
+    version: 1,
+    cases: faces.map((face, i) => ({
+      id: `face_${i}`,
+      imageWidth: WIDTH,
+      imageHeight: HEIGHT,
+      landmarks: face.map(lm => [lm.x, lm.y, lm.z]),
+      expectedNormalized: trainingNormalization(face, WIDTH, HEIGHT)
+    }))
+  }));
+  const report = await runParityCheck({ modelConfig: modelConfig() }, fixture);
+  assert.equal(report.pass, true);
+  assert.ok(report.worst.normalization < 1e-5);
+  assert.equal(report.worst.model, null);
+});
+
+test('the parity check points at the coordinate of a z-scaling mismatch', async () => {
+  const face = makeFace();
+  const fixture = parseParityFixture(JSON.stringify({
+    format: 'emotions-parity-fixture',
+    version: 1,
+    cases: [{ id: 'z_by_height', imageWidth: WIDTH, imageHeight: HEIGHT, landmarks: face.map(lm => [lm.x, lm.y, lm.z]),
+      expectedNormalized: trainingNormalization(face, WIDTH, HEIGHT, HEIGHT) }]
+  }));
+  const { pass, cases: [result] } = await runParityCheck({ modelConfig: modelConfig() }, fixture);
+  assert.equal(pass, false);
+  assert.equal(result.normalization.worst.coord, 'z');
+});
+
+test('missing landmarks and frames are padded with -1', () => {
+  const config = modelConfig({
+    inputFormat: { sequenceLength: 3, sequenceStride: 1, numLandmarks: NUM_LANDMARKS, numCoords: 3, tensorShape: [1, 3, NUM_LANDMARKS, 3] }
+  });
+  const frameSize = NUM_LANDMARKS * 3;
+  const partial = makeFace().slice(0, 400);
+  const input = preprocessLandmarks([makeFace(), partial], WIDTH, HEIGHT, config);
+  assert.equal(input.length, 3 * frameSize);
+  assert.deepEqual(Array.from(input.slice(0, frameSize)), Array.from(normalizeLandmarkFrame(makeFace(), WIDTH, HEIGHT, config)));
+  assert.deepEqual(Array.from(input.slice(frameSize, 2 * frameSize)), Array.from(normalizeLandmarkFrame(partial, WIDTH, HEIGHT, config)));
+  assert.ok(input.slice(frameSize + 400 * 3, 2 * frameSize).every(value => value === -1));
+  assert.ok(input.slice(2 * frameSize).every(value => value === -1));
+});
+
+test('skipNormalization flattens the landmarks as given', () => {
+  const face = makeFace();
+  const input = preprocessLandmarks(face, WIDTH, HEIGHT, modelConfig(), { skipNormalization: true });
+  assertClose(input.slice(3, 6), [0.5, 0.5, -0.02]);
+});
+
+// Rotate a frame of pixel points about the z axis by `angle` and the y axis by `yaw`, then scale and shift it
+const transform = (points, { angle = 0, yaw = 0, scale = 1, shift = [0, 0, 0] }) => points.map(({ x, y, z }) => {
+  const x1 = Math.cos(yaw) * x + Math.sin(yaw) * z;
+  const z1 = -Math.sin(yaw) * x + Math.cos(yaw) * z;
+  const x2 = Math.cos(angle) * x1 - Math.sin(angle) * y;
+  const y2 = Math.sin(angle) * x1 + Math.cos(angle) * y;
+  return { x: scale * x2 + shift[0], y: scale * y2 + shift[1], z: scale * z1 + shift[2] };
+});
+
+// Pixel points back to MediaPipe image coordinates (z on the scale of x)
+const toImageCoordinates = (points) => points.map(p => ({ x: p.x / WIDTH, y: p.y / HEIGHT, z: p.z / WIDTH }));
+
+// Canonical mesh of the frontalizing test models, in its own units
+const reference = makeFace().map(lm => ({ x: (lm.x - 0.5) * 10, y: (lm.y - 0.5) * 10, z: lm.z * 10 }));
+registerFrontalizationReference('test_reference.json', reference.map(p => [p.x, p.y, p.z]));
+
+test('umeyama frontalization maps a rotated, scaled and shifted face back onto the reference', () => {
+  const config = modelConfig({ normalizationType: 'frontalize', frontalization: { method: 'umeyama', referenceLandmarks: 'test_reference.json' } });
+  const posed = toImageCoordinates(transform(reference, { angle: 0.3, yaw: 0.4, scale: 25, shift: [320, 240, 5] }));
+  const frame = normalizeLandmarkFrame(posed, WIDTH, HEIGHT, config);
+  const maxError = reference.reduce((max, p, i) => Math.max(max,
+    Math.abs(frame[i * 3] - p.x), Math.abs(frame[i * 3 + 1] - p.y), Math.abs(frame[i * 3 + 2] - p.z)), 0);
+  assert.ok(maxError < 1e-4, `max error ${maxError}`);
+});
+
+test('procrustes frontalization gives the same frame at any pose and size', () => {
+  const config = modelConfig({ normalizationType: 'frontalize', frontalization: { method: 'procrustes', referenceLandmarks: 'test_reference.json' } });
+  const face = makeFace().map(lm => ({ x: lm.x * WIDTH, y: lm.y * HEIGHT, z: lm.z * WIDTH }));
+  const frontal = normalizeLandmarkFrame(toImageCoordinates(face), WIDTH, HEIGHT, config);
+  const posed = normalizeLandmarkFrame(toImageCoordinates(transform(face, { angle: -0.25, yaw: 0.2, scale: 0.8, shift: [40, -20, 0] })), WIDTH, HEIGHT, config);
+  const maxError = frontal.reduce((max, value, i) => Math.max(max, Math.abs(value - posed[i])), 0);
+  assert.ok(maxError < 1e-4, `max error ${maxError}`);
+});
+
+test('roll frontalization levels the outer eye corners', () => {
+  const config = modelConfig({ normalizationType: 'frontalize', frontalization: { method: 'roll' } });
+  const face = makeFace().map(lm => ({ x: lm.x * WIDTH, y: lm.y * HEIGHT, z: lm.z * WIDTH }));
+  const frame = normalizeLandmarkFrame(toImageCoordinates(transform(face, { angle: 0.35, shift: [10, 10, 0] })), WIDTH, HEIGHT, config);
+  const rightOuter = 33;
+  const leftOuter = 263;
+  assert.ok(Math.abs(frame[rightOuter * 3 + 1] - frame[leftOuter * 3 + 1]) < 1e-5);
+  assertClose(frame.slice(3, 6), [0, 0, 0]);
+});
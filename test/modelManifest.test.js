@@ -0,0 +1,123 @@
+// test/modelManifest.test.js
+// Manifest validation: the shipped manifest, per-entry schema and cross-field rules, and ensemble resolution.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  hasClassificationHead, parseModelManifest, resolveEnsembleConfig, validateEnsembleConfig, validateModelConfig
+} from '../src/core/modelManifest.js';
+
+const shippedManifest = JSON.parse(readFileSync(new URL('../public/models/manifest.json', import.meta.url), 'utf8'));
+
+const classifier = (overrides = {}) => ({
+  id: 'classifier',
+  name: 'Classifier',
+  filename: 'classifier.onnx',
+  processingOptions: { executionProviders: ['wasm'] },
+  inputFormat: { sequenceLength: 1, numLandmarks: 478, numCoords: 3, tensorShape: [1, 478, 3] },
+  normalizationType: 'ferplus',
+  outputFormat: { outputType: 'classification', numClasses: 3, classLabels: { 0: 'Neutral', 1: 'Happiness', 2: 'Sadness' } },
+  ...overrides
+});
+
+const regression = (outputFormat = {}) => classifier({
+  id: 'engagement',
+  outputFormat: {
+    outputType: 'regression', numClasses: 3, classLabels: { 0: 'Low', 1: 'Medium', 2: 'High' }, bandThresholds: [0.3, 0.7], ...outputFormat
+  }
+});
+
+test('the shipped manifest is valid', () => {
+  const manifest = parseModelManifest(shippedManifest);
+  assert.deepEqual(manifest.errors, []);
+  assert.ok(manifest.models.length > 0);
+  manifest.models.forEach(({ config, errors }) => assert.deepEqual(errors, [], config.id));
+  assert.ok(manifest.models.some(({ config }) => config.id === manifest.defaultModelId));
+});
+
+test('a complete model entry has no errors', () => {
+  assert.deepEqual(validateModelConfig(classifier()), []);
+  assert.deepEqual(validateModelConfig(regression()), []);
+});
+
+test('schema errors name the field', () => {
+  assert.deepEqual(validateModelConfig(classifier({ filename: 'models/classifier.onnx' })), ['filename: "models/classifier.onnx" has an invalid format']);
+  assert.deepEqual(validateModelConfig(classifier({ normalizationType: 'zscore' })), ['normalizationType: "zscore" is not one of ferplus, frontalize, none']);
+  assert.deepEqual(validateModelConfig(classifier({ processingOptions: { executionProviders: ['webgpu', 'webgl', 'wasm'] } })), []);
+  assert.deepEqual(validateModelConfig(classifier({ processingOptions: { executionProviders: ['webnn'] } })),
+    ['processingOptions.executionProviders[0]: "webnn" is not one of wasm, webgl, webgpu, cpu']);
+  assert.deepEqual(validateModelConfig(classifier({ sha256: 'abc' })), ['sha256: "abc" has an invalid format']);
+  const { name: _name, ...unnamed } = classifier();
+  assert.deepEqual(validateModelConfig(unnamed), ['name: missing']);
+  assert.deepEqual(validateModelConfig('classifier.onnx'), ['model entry must be an object']);
+});
+
+test('cross-field rules check tensor shape, labels and calibration settings', () => {
+  assert.deepEqual(validateModelConfig(classifier({ inputFormat: { sequenceLength: 2, numLandmarks: 478, numCoords: 3, tensorShape: [1, 478, 3] } })),
+    ['inputFormat.tensorShape: [1, 478, 3] holds 1434 values, sequenceLength x numLandmarks x numCoords is 2868']);
+  assert.deepEqual(validateModelConfig(classifier({ outputFormat: { outputType: 'classification', numClasses: 3, classLabels: { 0: 'Neutral', 1: 'Happiness' } } })),
+    ['outputFormat.classLabels: 2 labels for 3 classes', 'outputFormat.classLabels.2: missing label']);
+  const outputFormat = classifier().outputFormat;
+  assert.deepEqual(validateModelConfig(classifier({ outputFormat: { ...outputFormat, temperature: 0 } })), ['outputFormat.temperature: must be > 0']);
+  assert.deepEqual(validateModelConfig(classifier({ outputFormat: { ...outputFormat, classPriors: { Anger: 2 } } })),
+    ['outputFormat.classPriors.Anger: not a class label']);
+  assert.deepEqual(validateModelConfig(classifier({ outputFormat: { ...outputFormat, abstention: { minConfidence: 1.5 } } })),
+    ['outputFormat.abstention.minConfidence: must be <= 1']);
+});
+
+test('regression models need ascending band thresholds inside the score range', () => {
+  assert.deepEqual(validateModelConfig(regression({ bandThresholds: undefined })), ['outputFormat.bandThresholds: missing (required for regression)']);
+  assert.deepEqual(validateModelConfig(regression({ bandThresholds: [0.3] })),
+    ['outputFormat.bandThresholds: 1 thresholds for 3 bands, expected 2']);
+  assert.deepEqual(validateModelConfig(regression({ bandThresholds: [0.7, 0.3] })), ['outputFormat.bandThresholds: must be strictly ascending']);
+  assert.deepEqual(validateModelConfig(regression({ bandThresholds: [0.3, 1.2] })), ['outputFormat.bandThresholds: must lie inside scoreRange [0, 1]']);
+  assert.deepEqual(validateModelConfig(regression({ bandThresholds: [3, 7], scoreRange: [0, 10] })), []);
+});
+
+test('multi-head models route outputs to heads', () => {
+  const multihead = (heads) => classifier({ outputFormat: { outputType: 'multihead', heads } });
+  assert.deepEqual(validateModelConfig(multihead({ valence: { output: 'va', index: 0 }, arousal: { output: 'va', index: 1 } })), []);
+  assert.deepEqual(validateModelConfig(multihead(undefined)), ['outputFormat.heads: missing (required for multihead)']);
+  assert.deepEqual(validateModelConfig(multihead({ valence: { output: 'va', range: [1, -1] } })), ['outputFormat.heads.valence.range: must be [min, max] with min < max']);
+  // A classification head needs labels like a classification model
+  assert.deepEqual(validateModelConfig(multihead({ classification: { output: 'logits' } })),
+    ['outputFormat.numClasses: missing', 'outputFormat.classLabels: missing']);
+  assert.equal(hasClassificationHead(multihead({ valence: { output: 'va' } })), false);
+  assert.equal(hasClassificationHead(classifier({ outputFormat: { ...classifier().outputFormat, outputType: 'multihead', heads: { classification: { output: 'logits' } } } })), true);
+});
+
+test('frontalizing models need a frontalization block', () => {
+  assert.deepEqual(validateModelConfig(classifier({ normalizationType: 'frontalize' })), ['frontalization: missing (required for frontalize)']);
+  assert.deepEqual(validateModelConfig(classifier({ normalizationType: 'frontalize', frontalization: { method: 'umeyama' } })),
+    ['frontalization.referenceLandmarks: missing (required for umeyama)']);
+  assert.deepEqual(validateModelConfig(classifier({ normalizationType: 'frontalize', frontalization: { method: 'roll', anchorLandmarks: [1, 6, 500] } })),
+    ['frontalization.anchorLandmarks[2]: 500 is not below numLandmarks 478']);
+  assert.deepEqual(validateModelConfig(classifier({ frontalization: { method: 'roll' } })), [`frontalization: only used with normalizationType 'frontalize'`]);
+});
+
+test('manifest-level errors: version, duplicate ids and default model', () => {
+  const manifest = parseModelManifest({ manifestVersion: 2, defaultModelId: 'missing', models: [classifier(), classifier()] });
+  assert.deepEqual(manifest.errors, ['unsupported manifestVersion 2 (expected 1)', 'defaultModelId "missing" is not in the manifest']);
+  assert.deepEqual(manifest.models[0].errors, []);
+  assert.deepEqual(manifest.models[1].errors, ['id: duplicate id "classifier"']);
+  assert.deepEqual(parseModelManifest({ manifestVersion: 1 }).errors, ['"models" must be an array']);
+  assert.deepEqual(parseModelManifest([]).errors, ['manifest must be a JSON object']);
+});
+
+test('ensembles resolve against their members by label name', () => {
+  const reordered = classifier({ id: 'reordered', outputFormat: { outputType: 'classification', numClasses: 3, classLabels: { 0: 'Sadness', 1: 'Neutral', 2: 'Happiness' } } });
+  const configs = { classifier: classifier(), reordered, engagement: regression() };
+  const ensemble = { id: 'pair', name: 'Pair', type: 'ensemble', fusion: 'weighted', members: [{ modelId: 'classifier', weight: 2 }, { modelId: 'reordered' }] };
+  assert.deepEqual(validateEnsembleConfig(ensemble), []);
+  const { config, errors } = resolveEnsembleConfig(ensemble, modelId => configs[modelId]);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(config.members, [{ modelId: 'classifier', weight: 2 }, { modelId: 'reordered', weight: 1 }]);
+  assert.deepEqual(config.outputFormat.classLabels, { 0: 'Neutral', 1: 'Happiness', 2: 'Sadness' });
+  assert.equal(config.inputFormat, configs.classifier.inputFormat);
+
+  assert.deepEqual(resolveEnsembleConfig({ ...ensemble, members: [{ modelId: 'classifier' }, { modelId: 'engagement' }] }, modelId => configs[modelId]).errors,
+    ["members: 'engagement' has no classification head"]);
+  assert.deepEqual(resolveEnsembleConfig({ ...ensemble, members: [{ modelId: 'classifier' }, { modelId: 'gone' }] }, modelId => configs[modelId]).errors,
+    ["members: 'gone' is not an available model"]);
+  assert.deepEqual(validateEnsembleConfig({ ...ensemble, members: [{ modelId: 'classifier' }] }), ['members: needs at least 2 entries']);
+});
@@ -0,0 +1,103 @@
+// test/neutralCalibration.test.js
+// Neutral baseline math: logit bias towards the Neutral target, landmark offsets onto the reference face,
+// and the checks on stored baselines.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_NEUTRAL_TARGET, MIN_CALIBRATION_PREDICTIONS, NeutralCalibrationCollector, applyLandmarkOffset, applyLogitBias, isBaselineCompatible
+} from '../src/core/neutralCalibration.js';
+
+const CLASS_LABELS = { 0: 'Happiness', 1: 'Neutral', 2: 'Sadness', 3: 'Anger' };
+
+const modelConfig = {
+  id: 'calibration_model',
+  inputFormat: { sequenceLength: 1, numLandmarks: 2, numCoords: 3 },
+  outputFormat: { outputType: 'classification', numClasses: 4, classLabels: CLASS_LABELS }
+};
+
+const prediction = (probabilities) => ({ emotion: 'n/a', score: 0, classification_head_probabilities: probabilities });
+
+test('a logits baseline turns the mean calibration prediction into the Neutral target', () => {
+  const collector = new NeutralCalibrationCollector(modelConfig);
+  const samples = [[0.5, 0.2, 0.2, 0.1], [0.6, 0.1, 0.2, 0.1], [0.4, 0.3, 0.2, 0.1]];
+  samples.forEach(probabilities => collector.addPrediction(prediction(probabilities)));
+  const baseline = collector.build('logits');
+  assert.equal(baseline.mode, 'logits');
+  assert.equal(baseline.modelId, 'calibration_model');
+  assert.equal(baseline.sampleCount, 3);
+  assert.equal(baseline.landmarkOffset, null);
+
+  // Bias = log(target) - mean log-probability, so the geometric mean of the samples lands on the target
+  const geometricMean = [0, 1, 2, 3].map(c => Math.exp(samples.reduce((sum, p) => sum + Math.log(p[c]), 0) / samples.length));
+  const corrected = applyLogitBias(prediction(geometricMean), baseline, CLASS_LABELS);
+  const others = (1 - DEFAULT_NEUTRAL_TARGET) / 3;
+  const expected = [others, DEFAULT_NEUTRAL_TARGET, others, others];
+  corrected.classification_head_probabilities.forEach((p, c) => assert.ok(Math.abs(p - expected[c]) < 1e-9));
+  assert.equal(corrected.emotion, 'Neutral');
+  assert.equal(corrected.score, corrected.classification_head_probabilities[1]);
+});
+
+test('applyLogitBias keeps the prediction fields and abstains with the model thresholds', () => {
+  const baseline = { logitBias: [0, 0, 0, 0] };
+  const input = { ...prediction([0.4, 0.35, 0.15, 0.1]), embedding: [1, 2] };
+  const unchanged = applyLogitBias(input, baseline, CLASS_LABELS);
+  unchanged.classification_head_probabilities.forEach((p, c) => assert.ok(Math.abs(p - input.classification_head_probabilities[c]) < 1e-12));
+  assert.equal(unchanged.emotion, 'Happiness');
+  assert.deepEqual(unchanged.embedding, [1, 2]);
+
+  const unsure = applyLogitBias(input, baseline, CLASS_LABELS, { minMargin: 0.1 });
+  assert.equal(unsure.emotion, 'Uncertain');
+  assert.equal(unsure.candidate_emotion, 'Happiness');
+  assert.equal(unsure.abstained, true);
+});
+
+test('predictions without class probabilities are not collected', () => {
+  const collector = new NeutralCalibrationCollector(modelConfig);
+  collector.addPrediction({ emotion: 'Engaged', score: 0.7, classification_head_probabilities: null });
+  collector.addPrediction(null);
+  assert.equal(collector.predictionCount, 0);
+});
+
+test('a run with too few predictions is not a baseline', () => {
+  const collector = new NeutralCalibrationCollector(modelConfig);
+  for (let i = 0; i < MIN_CALIBRATION_PREDICTIONS - 1; i++) collector.addPrediction(prediction([0.25, 0.25, 0.25, 0.25]));
+  assert.throws(() => collector.build('logits'), /Only 2 predictions collected/);
+  assert.throws(() => collector.build('pose'), /Unknown calibration mode/);
+});
+
+test('a logits baseline needs a Neutral class', () => {
+  const collector = new NeutralCalibrationCollector({ ...modelConfig, outputFormat: { ...modelConfig.outputFormat, classLabels: { 0: 'A', 1: 'B', 2: 'C', 3: 'D' } } });
+  for (let i = 0; i < MIN_CALIBRATION_PREDICTIONS; i++) collector.addPrediction(prediction([0.25, 0.25, 0.25, 0.25]));
+  assert.throws(() => collector.build('logits'), /has no Neutral class/);
+});
+
+test('a landmarks baseline moves the mean frame onto the reference and skips missing landmarks', () => {
+  const collector = new NeutralCalibrationCollector(modelConfig);
+  collector.addFrame(Float32Array.of(1, 2, 3, -1, -1, -1));
+  collector.addFrame(Float32Array.of(3, 2, 1, -1, -1, -1));
+  for (let i = 0; i < MIN_CALIBRATION_PREDICTIONS; i++) collector.addPrediction(prediction([0.25, 0.25, 0.25, 0.25]));
+  assert.deepEqual(collector.meanFrame(), [2, 2, 2, -1, -1, -1]);
+  assert.throws(() => collector.build('landmarks'), /declares no neutral reference/);
+  assert.throws(() => collector.build('landmarks', { reference: [0, 0, 0] }), /3 values, frames have 6/);
+
+  const baseline = collector.build('landmarks', { reference: [2.5, 1.5, 2, 9, 9, 9] });
+  assert.equal(baseline.sampleCount, 2);
+  assert.deepEqual(baseline.landmarkOffset, [0.5, -0.5, 0, 0, 0, 0]);
+
+  // Offset applies to every frame of a sequence; padding stays padding
+  const input = Float32Array.of(2, 2, 2, -1, -1, -1, 1, 1, 1, -1, -1, -1);
+  assert.equal(applyLandmarkOffset(input, baseline.landmarkOffset), input);
+  assert.deepEqual(Array.from(input), [2.5, 1.5, 2, -1, -1, -1, 1.5, 0.5, 1, -1, -1, -1]);
+});
+
+test('isBaselineCompatible checks version, model and size', () => {
+  const logits = { version: 1, modelId: 'calibration_model', mode: 'logits', logitBias: [0, 0, 0, 0] };
+  assert.equal(isBaselineCompatible(logits, modelConfig), true);
+  assert.equal(isBaselineCompatible({ ...logits, version: 0 }, modelConfig), false);
+  assert.equal(isBaselineCompatible({ ...logits, modelId: 'other' }, modelConfig), false);
+  assert.equal(isBaselineCompatible({ ...logits, logitBias: [0, 0] }, modelConfig), false);
+  const landmarks = { version: 1, modelId: 'calibration_model', mode: 'landmarks', landmarkOffset: [0, 0, 0, 0, 0, 0] };
+  assert.equal(isBaselineCompatible(landmarks, modelConfig), true);
+  assert.equal(isBaselineCompatible({ ...landmarks, landmarkOffset: [0, 0, 0] }, modelConfig), false);
+  assert.equal(isBaselineCompatible(null, modelConfig), false);
+});
@@ -0,0 +1,120 @@
+// test/predictionPostprocessing.test.js
+// Output interpretation: regression bands, classification probabilities, confidence calibration and abstention.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_ENGAGEMENT_BANDS, INVALID_SCORE_LABEL, INVALID_SCORE_RANGE_LABEL, UNCERTAIN_LABEL, calibrateProbabilities,
+  interpretClassificationOutput, interpretRegressionOutput, mapScoreToBand, mapScoreToClassDetails, shouldAbstain, softmax
+} from '../src/core/predictionPostprocessing.js';
+
+const EMOTION_LABELS = { 0: 'Neutral', 1: 'Happiness', 2: 'Surprise', 3: 'Sadness' };
+
+const classificationConfig = (outputFormat = {}) => ({
+  outputFormat: { outputType: 'classification', numClasses: 4, classLabels: EMOTION_LABELS, applySoftmax: true, ...outputFormat }
+});
+
+test('mapScoreToBand puts band boundaries in the upper band and clamps scores outside the range', () => {
+  const thresholds = [0.175, 0.4, 0.6, 0.825];
+  assert.equal(mapScoreToBand(0, thresholds), 0);
+  assert.equal(mapScoreToBand(0.174, thresholds), 0);
+  assert.equal(mapScoreToBand(0.175, thresholds), 1);
+  assert.equal(mapScoreToBand(0.5, thresholds), 2);
+  assert.equal(mapScoreToBand(0.825, thresholds), 4);
+  assert.equal(mapScoreToBand(-0.2, thresholds), 0);
+  assert.equal(mapScoreToBand(1.3, thresholds), 4);
+  assert.equal(mapScoreToBand(NaN, thresholds), -1);
+  assert.equal(mapScoreToBand(undefined, thresholds), -1);
+});
+
+test('mapScoreToClassDetails labels the band with the default engagement bands', () => {
+  assert.deepEqual(mapScoreToClassDetails(0.1), { index: 0, name: 'SNP', score: 0.1 });
+  assert.deepEqual(mapScoreToClassDetails(0.7), { index: 3, name: 'Engaged', score: 0.7 });
+  assert.deepEqual(mapScoreToClassDetails(0.9), { index: 4, name: 'Highly Engaged', score: 0.9 });
+  assert.deepEqual(mapScoreToClassDetails(0), { index: 0, name: 'SNP', score: 0 });
+  assert.deepEqual(mapScoreToClassDetails(1), { index: 4, name: 'Highly Engaged', score: 1 });
+});
+
+test('mapScoreToClassDetails flags scores outside the score range instead of clamping them', () => {
+  assert.deepEqual(mapScoreToClassDetails(1.7), { index: -1, name: INVALID_SCORE_RANGE_LABEL, score: 1.7 });
+  assert.deepEqual(mapScoreToClassDetails(-0.1), { index: -1, name: INVALID_SCORE_RANGE_LABEL, score: -0.1 });
+  assert.deepEqual(mapScoreToClassDetails(7, { 0: 'Low', 1: 'High' }, [5], [0, 10]), { index: 1, name: 'High', score: 7 });
+  assert.deepEqual(mapScoreToClassDetails(Infinity), { index: -1, name: INVALID_SCORE_LABEL, score: Infinity });
+  assert.equal(mapScoreToClassDetails(null).name, INVALID_SCORE_LABEL);
+});
+
+test('mapScoreToClassDetails uses the bands of the model when given', () => {
+  const classLabels = { 0: 'Low', 1: 'Medium', 2: 'High' };
+  assert.deepEqual(mapScoreToClassDetails(0.5, classLabels, [0.3, 0.7]), { index: 1, name: 'Medium', score: 0.5 });
+  assert.deepEqual(mapScoreToClassDetails(0.8, classLabels, [0.3, 0.7]), { index: 2, name: 'High', score: 0.8 });
+});
+
+test('interpretRegressionOutput agrees with mapScoreToClassDetails', () => {
+  const modelConfig = { outputFormat: { outputType: 'regression', numClasses: 5, ...DEFAULT_ENGAGEMENT_BANDS } };
+  [0, 0.2, 0.45, 0.61, 0.83, 1].forEach(score => {
+    const prediction = interpretRegressionOutput(Float32Array.of(score), modelConfig);
+    const details = mapScoreToClassDetails(prediction.score);
+    assert.equal(prediction.band_index, details.index);
+    assert.equal(prediction.emotion, details.name);
+    assert.equal(prediction.classification_head_probabilities, null);
+  });
+  assert.equal(interpretRegressionOutput([NaN], modelConfig).emotion, INVALID_SCORE_LABEL);
+  assert.equal(mapScoreToClassDetails(NaN).name, INVALID_SCORE_LABEL);
+});
+
+test('softmax is stable for large logits and sums to one', () => {
+  const probabilities = softmax([1000, 1001, 999]);
+  assert.ok(probabilities.every(Number.isFinite));
+  assert.ok(Math.abs(probabilities.reduce((sum, p) => sum + p, 0) - 1) < 1e-12);
+  assert.ok(probabilities[1] > probabilities[0] && probabilities[0] > probabilities[2]);
+});
+
+test('interpretClassificationOutput reports the top class with its probability', () => {
+  const prediction = interpretClassificationOutput(Float32Array.of(0.1, 2.5, 0.3, -1), classificationConfig());
+  assert.equal(prediction.emotion, 'Happiness');
+  assert.equal(prediction.candidate_emotion, 'Happiness');
+  assert.equal(prediction.abstained, false);
+  assert.equal(prediction.score, Math.max(...prediction.classification_head_probabilities));
+  assert.ok(Math.abs(prediction.classification_head_probabilities.reduce((sum, p) => sum + p, 0) - 1) < 1e-6);
+});
+
+test('interpretClassificationOutput abstains below the model thresholds and keeps the candidate', () => {
+  const modelConfig = classificationConfig({ applySoftmax: false, abstention: { minConfidence: 0.5, minMargin: 0.1 } });
+  const unsure = interpretClassificationOutput([0.4, 0.35, 0.15, 0.1], modelConfig);
+  assert.equal(unsure.emotion, UNCERTAIN_LABEL);
+  assert.equal(unsure.candidate_emotion, 'Neutral');
+  assert.equal(unsure.abstained, true);
+  const sure = interpretClassificationOutput([0.1, 0.7, 0.1, 0.1], modelConfig);
+  assert.equal(sure.emotion, 'Happiness');
+  assert.equal(sure.abstained, false);
+});
+
+test('interpretClassificationOutput keeps the prediction shape on a label mismatch', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const prediction = interpretClassificationOutput([0.2, 0.8], classificationConfig({ applySoftmax: false }));
+  assert.equal(prediction.emotion, 'Error: Label mismatch');
+  assert.equal(prediction.abstained, false);
+  assert.equal(prediction.candidate_emotion, null);
+  assert.deepEqual(prediction.classification_head_probabilities, [0.2, 0.8]);
+});
+
+test('shouldAbstain checks the top probability and its lead over the runner-up', () => {
+  assert.equal(shouldAbstain([0.6, 0.3, 0.1]), false);
+  assert.equal(shouldAbstain([0.6, 0.3, 0.1], { minConfidence: 0.7 }), true);
+  assert.equal(shouldAbstain([0.45, 0.44, 0.11], { minMargin: 0.05 }), true);
+  assert.equal(shouldAbstain([0.45, 0.3, 0.25], { minConfidence: 0.4, minMargin: 0.1 }), false);
+});
+
+test('calibrateProbabilities applies temperature and class priors', () => {
+  const probabilities = [0.7, 0.2, 0.05, 0.05];
+  assert.deepEqual(calibrateProbabilities(probabilities, { classLabels: EMOTION_LABELS }), probabilities);
+
+  const flattened = calibrateProbabilities(probabilities, { classLabels: EMOTION_LABELS, temperature: 2 });
+  assert.ok(flattened[0] < probabilities[0] && flattened[3] > probabilities[3]);
+  // T = 2 takes the square root of each probability before renormalizing
+  const roots = probabilities.map(Math.sqrt);
+  const total = roots.reduce((sum, p) => sum + p, 0);
+  flattened.forEach((p, i) => assert.ok(Math.abs(p - roots[i] / total) < 1e-12));
+
+  const weighted = calibrateProbabilities([0.5, 0.5, 0, 0], { classLabels: EMOTION_LABELS, classPriors: { Neutral: 3 } });
+  assert.deepEqual(weighted, [0.75, 0.25, 0, 0]);
+});
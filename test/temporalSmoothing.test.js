@@ -0,0 +1,103 @@
+// test/temporalSmoothing.test.js
+// Display smoothing: EMA, windowed mean and median of the probabilities, and the hysteresis on the reported class.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EmotionHysteresis, ProbabilitySmoother, createEmotionSmoother } from '../src/core/temporalSmoothing.js';
+
+const assertClose = (actual, expected, tolerance = 1e-12) => {
+  assert.equal(actual.length, expected.length);
+  expected.forEach((value, i) => assert.ok(Math.abs(actual[i] - value) <= tolerance, `[${i}] ${actual[i]} != ${value}`));
+};
+
+test('ema weighs the newest prediction by alpha', () => {
+  const smoother = new ProbabilitySmoother({ method: 'ema', alpha: 0.25, windowSize: 5 });
+  assertClose(smoother.update([1, 0]), [1, 0]);
+  assertClose(smoother.update([0, 1]), [0.75, 0.25]);
+  assertClose(smoother.update([0, 1]), [0.5625, 0.4375]);
+  // A prediction with another number of classes starts over
+  assertClose(smoother.update([0.2, 0.3, 0.5]), [0.2, 0.3, 0.5]);
+});
+
+test('mean averages the last windowSize predictions and evicts older ones', () => {
+  const smoother = new ProbabilitySmoother({ method: 'mean', alpha: 0.3, windowSize: 3 });
+  assertClose(smoother.update([1, 0]), [1, 0]);
+  assertClose(smoother.update([0, 1]), [0.5, 0.5]);
+  assertClose(smoother.update([0, 1]), [1 / 3, 2 / 3]);
+  // [1, 0] leaves the window
+  assertClose(smoother.update([0, 1]), [0, 1]);
+  smoother.reset();
+  assertClose(smoother.update([0.4, 0.6]), [0.4, 0.6]);
+});
+
+test('median is taken per class, renormalized, and ignores a single outlier', () => {
+  const smoother = new ProbabilitySmoother({ method: 'median', alpha: 0.3, windowSize: 3 });
+  smoother.update([0.8, 0.2]);
+  smoother.update([0.1, 0.9]);
+  assertClose(smoother.update([0.7, 0.3]), [0.7, 0.3]);
+  // Even window: mean of the two middle values, here after eviction of 0.8
+  const even = new ProbabilitySmoother({ method: 'median', alpha: 0.3, windowSize: 2 });
+  even.update([0.8, 0.2]);
+  even.update([0.2, 0.8]);
+  assertClose(even.update([0.6, 0.4]), [0.4, 0.6]);
+});
+
+test('a single score is smoothed without renormalizing', () => {
+  const smoother = new ProbabilitySmoother({ method: 'mean', alpha: 0.3, windowSize: 2 });
+  smoother.update([0.2]);
+  assertClose(smoother.update([0.6]), [0.4]);
+  assert.throws(() => new ProbabilitySmoother({ method: 'kalman', alpha: 0.3, windowSize: 2 }), /Unknown smoothing method/);
+});
+
+test('hysteresis switches only after the margin is held for the minimum duration', () => {
+  const hysteresis = new EmotionHysteresis({ margin: 0.1, minDurationMs: 500 });
+  assert.equal(hysteresis.update([0.6, 0.4, 0], 0), 0);
+  // Class 1 leads, but by less than the margin
+  assert.equal(hysteresis.update([0.46, 0.54, 0], 100), 0);
+  // Lead above the margin from t = 200
+  assert.equal(hysteresis.update([0.4, 0.6, 0], 200), 0);
+  assert.equal(hysteresis.update([0.4, 0.6, 0], 600), 0);
+  assert.equal(hysteresis.update([0.4, 0.6, 0], 700), 1);
+  assert.equal(hysteresis.update([0.5, 0.45, 0.05], 800), 1);
+});
+
+test('hysteresis restarts the timer when the lead drops below the margin', () => {
+  const hysteresis = new EmotionHysteresis({ margin: 0.1, minDurationMs: 500 });
+  hysteresis.update([0.6, 0.4], 0);
+  hysteresis.update([0.3, 0.7], 100);
+  hysteresis.update([0.48, 0.52], 400);
+  assert.equal(hysteresis.update([0.3, 0.7], 700), 0);
+  assert.equal(hysteresis.update([0.3, 0.7], 1100), 0);
+  assert.equal(hysteresis.update([0.3, 0.7], 1200), 1);
+});
+
+test('hysteresis restarts the timer when the challenger changes', () => {
+  const hysteresis = new EmotionHysteresis({ margin: 0.1, minDurationMs: 500 });
+  hysteresis.update([0.6, 0.3, 0.1], 0);
+  hysteresis.update([0.2, 0.6, 0.2], 100);
+  // Class 2 takes over the lead at t = 400: class 1's time does not count for it
+  assert.equal(hysteresis.update([0.2, 0.2, 0.6], 400), 0);
+  assert.equal(hysteresis.update([0.2, 0.2, 0.6], 800), 0);
+  assert.equal(hysteresis.update([0.2, 0.2, 0.6], 900), 2);
+});
+
+test('hysteresis follows the top class at once when the reported class is filtered out', () => {
+  const hysteresis = new EmotionHysteresis({ margin: 0.1, minDurationMs: 500 });
+  hysteresis.update([0.6, 0.4], 0);
+  // Class 0 ignored by the user: its probability is zeroed
+  assert.equal(hysteresis.update([0, 1], 10), 1);
+  hysteresis.reset();
+  assert.equal(hysteresis.update([0.3, 0.7], 20), 1);
+});
+
+test('createEmotionSmoother selects the argmax without hysteresis', () => {
+  const plain = createEmotionSmoother({ method: 'none', alpha: 0.3, windowSize: 5, hysteresis: false, margin: 0.1, minDurationMs: 500 });
+  plain.select([0.6, 0.4], 0);
+  assert.equal(plain.select([0.45, 0.55], 10), 1);
+
+  const sticky = createEmotionSmoother({ method: 'mean', alpha: 0.3, windowSize: 2, hysteresis: true, margin: 0.1, minDurationMs: 500 });
+  sticky.select(sticky.smooth([0.6, 0.4]), 0);
+  assert.equal(sticky.select(sticky.smooth([0.2, 0.8]), 10), 0);
+  sticky.reset();
+  assertClose(sticky.smooth([0.2, 0.8]), [0.2, 0.8]);
+  assert.equal(sticky.select([0.2, 0.8], 20), 1);
+});
@@ -1,11 +1,12 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import offlinePlugin from './scripts/vite-offline-plugin.js'
 
 // https://vite.dev/config/
 export default defineConfig({
     base: '/Emotions-Models-Client/',
   base: '/Emotions-Models-Client/', // Set base path for GitHub Pages deployment
-  plugins: [react()],
+  plugins: [react(), offlinePlugin()],
   server: {
     headers: {
       'Cross-Origin-Embedder-Policy': 'require-corp',
@@ -13,6 +14,7 @@ export default defineConfig({
     },
   },
   optimizeDeps: {
-    exclude: ['@ffmpeg/ffmpeg', '@ffmpeg/util'],
+    // onnxruntime-web locates its wasm with new URL(..., import.meta.url), which pre-bundling breaks
+    exclude: ['@ffmpeg/ffmpeg', '@ffmpeg/util', 'onnxruntime-web', 'onnxruntime-web/all'],
   },
 })